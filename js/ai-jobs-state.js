@@ -0,0 +1,32 @@
+// AI Job State Helpers - The character's background AI queue. Jobs are plain objects in jobsMap keyed by
+// what they produce (e.g. `part-summary:3`), so every device that wants the same summary finds the same job.
+
+const transact = (state, apply) => (state.ydoc ? state.ydoc.transact(apply) : apply());
+
+// Oldest first
+export const getAIJobs = (state) =>
+  (state.jobsMap ? Array.from(state.jobsMap.values()).sort((a, b) => a.createdAt - b.createdAt) : []);
+
+export const getAIJob = (state, jobId) => (state.jobsMap && state.jobsMap.get(jobId)) || null;
+
+export const setAIJob = (state, job) => {
+  if (state.jobsMap) state.jobsMap.set(job.id, job);
+};
+
+export const removeAIJob = (state, jobId) => {
+  if (state.jobsMap) state.jobsMap.delete(jobId);
+};
+
+// Read and write one job in a single transaction, so a claim sees the job as it is now.
+// `update(job)` returns the new job, or null to leave it; returns what was written.
+export const updateAIJob = (state, jobId, update) => {
+  let written = null;
+  transact(state, () => {
+    const next = update(getAIJob(state, jobId));
+    if (next) {
+      setAIJob(state, next);
+      written = next;
+    }
+  });
+  return written;
+};
@@ -0,0 +1,118 @@
+// AI Jobs - Job records, leases, backoff and labels for the background AI queue
+// Pure functions: no state or DOM access. Jobs are
+// { id, type, args, after, status, attempts, createdAt, updatedAt, runAfter, lease, error, requeue }
+
+export const JOB_QUEUED = 'queued';
+export const JOB_RUNNING = 'running';
+export const JOB_RETRYING = 'retrying';
+export const JOB_FAILED = 'failed';
+
+// How long a claim holds; a device that closes mid-job leaves a lease that runs out
+export const JOB_LEASE_MS = 2 * 60 * 1000;
+// Rate-limited jobs wait 5s, 10s, 20s… up to 10 minutes, and fail after this many attempts
+export const RETRY_BASE_MS = 5000;
+export const RETRY_MAX_MS = 10 * 60 * 1000;
+export const MAX_ATTEMPTS = 6;
+
+// `after`: ids of jobs that must finish first (e.g. the so-far summary waits for its parts)
+export const createJob = ({ id, type, args = {}, after = [] }, now = Date.now()) => ({
+  id,
+  type,
+  args,
+  after,
+  status: JOB_QUEUED,
+  attempts: 0,
+  createdAt: now,
+  updatedAt: now,
+  runAfter: now,
+  lease: null,
+  error: '',
+  requeue: false
+});
+
+export const isLeaseLive = (job, now = Date.now()) => Boolean(job && job.lease && job.lease.until > now);
+
+// Waiting on a job that is still in the queue, including one that failed: a failed summary
+// is retried by the player, and its dependents show what they wait on until then
+export const isJobBlocked = (job, jobsById) => (job.after || []).some(id => jobsById.has(id));
+
+// The failed jobs this one waits on
+export const getFailedDependencies = (job, jobsById) =>
+  (job.after || []).map(id => jobsById.get(id)).filter(dependency => dependency && dependency.status === JOB_FAILED);
+
+// Queued, due for a retry, or claimed by a device whose lease ran out
+export const isJobRunnable = (job, jobsById, now = Date.now()) => {
+  if (job.status === JOB_FAILED) return false;
+  if (job.status === JOB_RUNNING && isLeaseLive(job, now)) return false;
+  if ((job.runAfter || 0) > now) return false;
+  return !isJobBlocked(job, jobsById);
+};
+
+// Oldest runnable job whose type `canRun` accepts, or null
+export const getNextJob = (jobs, now = Date.now(), canRun = () => true) => {
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  return jobs
+    .filter(job => canRun(job) && isJobRunnable(job, jobsById, now))
+    .sort((a, b) => a.createdAt - b.createdAt)[0] || null;
+};
+
+// When a job not runnable now becomes runnable (a retry falls due or a lease runs out), or null
+export const getNextWakeUp = (jobs, now = Date.now()) => {
+  const times = jobs
+    .map((job) => {
+      if (job.status === JOB_RETRYING || job.status === JOB_QUEUED) return job.runAfter > now ? job.runAfter : null;
+      if (job.status === JOB_RUNNING && isLeaseLive(job, now)) return job.lease.until;
+      return null;
+    })
+    .filter(time => time !== null);
+  return times.length > 0 ? Math.min(...times) : null;
+};
+
+// Rate limits from the provider or the sync server's AI proxy are worth waiting out; other errors are not
+export const isRetryableError = (error) => Boolean(error && error.status === 429);
+
+// Backoff for the attempt that just failed (1-based), or the provider's Retry-After when longer
+export const getRetryDelay = (attempts, retryAfterSeconds = 0) => {
+  const backoff = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+  return Math.max(backoff, (Number(retryAfterSeconds) || 0) * 1000);
+};
+
+const JOB_TITLES = {
+  'part-summary': (args) => `Part ${args.partIndex} summary`,
+  'so-far': () => 'Adventure so far',
+  'recent-summary': () => 'Recent adventures',
+  'entry-title': () => 'Entry title'
+};
+
+export const getJobTitle = (job) => (JOB_TITLES[job.type] ? JOB_TITLES[job.type](job.args || {}) : 'AI job');
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// What the job is doing, for the place its result will appear. `jobs` (the whole queue) names failed jobs it waits on.
+export const describeJob = (job, now = Date.now(), jobs = []) => {
+  if (!job) return '';
+  if (job.status === JOB_FAILED) return `Failed: ${job.error || 'unknown error'}`;
+  if (job.status === JOB_RUNNING && isLeaseLive(job, now)) return 'Generating…';
+  if (job.status === JOB_RETRYING) return `Rate limited, retrying at ${formatTime(job.runAfter)}`;
+  const failed = getFailedDependencies(job, new Map(jobs.map(item => [item.id, item])));
+  if (failed.length > 0) return `Waiting on ${failed.map(getJobTitle).join(', ')}, which failed`;
+  if ((job.after || []).length > 0) return 'Queued, waiting for earlier summaries';
+  return 'Queued';
+};
+
+// Counts for the queue indicator: { total, queued, running, retrying, failed, blocked, nextRetryAt };
+// blocked jobs wait on a failed one
+export const summarizeJobs = (jobs, now = Date.now()) => {
+  const counts = { total: jobs.length, queued: 0, running: 0, retrying: 0, failed: 0, blocked: 0, nextRetryAt: null };
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  jobs.forEach((job) => {
+    if (job.status === JOB_FAILED) counts.failed += 1;
+    else if (job.status === JOB_RETRYING) {
+      counts.retrying += 1;
+      counts.nextRetryAt = counts.nextRetryAt === null ? job.runAfter : Math.min(counts.nextRetryAt, job.runAfter);
+    } else if (job.status === JOB_RUNNING && isLeaseLive(job, now)) counts.running += 1;
+    else if (getFailedDependencies(job, jobsById).length > 0) counts.blocked += 1;
+    else counts.queued += 1;
+  });
+  return counts;
+};
@@ -0,0 +1,471 @@
+// AI Providers - Adapters for the supported chat, speech-to-text and embedding APIs
+// Each provider turns (config, messages, options) into one request and the reply into plain text.
+// options.onUsage, when given, receives the token counts the API reported: { promptTokens, completionTokens, model }
+// options.onToken, when given, asks for a streamed reply and receives the text so far as it arrives;
+// options.signal aborts the request.
+import { getSetting } from './yjs.js';
+import { getAudioExtension } from './attachment-files.js';
+
+export const DEFAULT_PROVIDER_ID = 'openai';
+
+export const AI_PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    models: ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+    requiresKey: true
+  },
+  'openai-compatible': {
+    label: 'OpenAI-compatible server (llama.cpp, Ollama)',
+    defaultBaseUrl: 'http://localhost:11434/v1',
+    models: ['llama3.2', 'qwen2.5', 'mistral'],
+    requiresBaseUrl: true
+  },
+  anthropic: {
+    label: 'Anthropic',
+    defaultBaseUrl: 'https://api.anthropic.com/v1',
+    models: ['claude-3-5-haiku-latest', 'claude-sonnet-4-0'],
+    requiresKey: true
+  },
+  mock: {
+    label: 'Offline mock (deterministic, for testing)',
+    models: ['mock']
+  }
+};
+
+export const getProvider = (providerId) => AI_PROVIDERS[providerId] || AI_PROVIDERS[DEFAULT_PROVIDER_ID];
+
+// Settings keys; the OpenAI key keeps its original name
+export const getApiKeySetting = (providerId) => `${providerId}-api-key`;
+export const getModelSetting = (providerId) => `ai-model:${providerId}`;
+
+// Resolve the active provider configuration from settings
+export const getAIConfig = (state) => {
+  const selected = getSetting(state, 'ai-provider', DEFAULT_PROVIDER_ID);
+  const providerId = AI_PROVIDERS[selected] ? selected : DEFAULT_PROVIDER_ID;
+  const provider = getProvider(providerId);
+  return {
+    providerId,
+    apiKey: getSetting(state, getApiKeySetting(providerId), ''),
+    baseUrl: provider.requiresBaseUrl ? getSetting(state, 'ai-base-url', '') : (provider.defaultBaseUrl || ''),
+    model: getSetting(state, getModelSetting(providerId), '') || provider.models[0]
+  };
+};
+
+export const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+
+// Speech to text goes to a local Whisper-compatible server when one is set (it gets no key),
+// otherwise to the chat provider's own /audio/transcriptions endpoint
+export const getTranscriptionConfig = (state) => {
+  const model = getSetting(state, 'transcription-model', '') || DEFAULT_TRANSCRIPTION_MODEL;
+  const localUrl = getSetting(state, 'transcription-base-url', '');
+  if (localUrl) return { providerId: 'openai-compatible', apiKey: '', baseUrl: localUrl, model };
+  const chat = getAIConfig(state);
+  return { ...chat, model: chat.providerId === 'mock' ? 'mock' : model };
+};
+
+export const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// Embeddings come from a local OpenAI-compatible server when one is set (e.g. Ollama with nomic-embed-text),
+// otherwise from the chat provider's own /embeddings endpoint
+export const getEmbeddingConfig = (state) => {
+  const model = getSetting(state, 'embedding-model', '') || DEFAULT_EMBEDDING_MODEL;
+  const localUrl = getSetting(state, 'embedding-base-url', '');
+  if (localUrl) return { providerId: 'openai-compatible', apiKey: '', baseUrl: localUrl, model };
+  const chat = getAIConfig(state);
+  return { ...chat, model: chat.providerId === 'mock' ? 'mock' : model };
+};
+
+// A provider is usable once it has what it needs to send a request
+export const isProviderConfigured = (config) => {
+  const provider = getProvider(config.providerId);
+  if (provider.requiresKey && !(config.apiKey || '').trim()) return false;
+  if (provider.requiresBaseUrl && !(config.baseUrl || '').trim()) return false;
+  return true;
+};
+
+const trimSlash = (url) => (url || '').replace(/\/+$/, '');
+
+const toHttpError = async (response) => {
+  let message = response.statusText;
+  try {
+    const err = await response.json();
+    message = err?.error?.message || message;
+  } catch {}
+  const error = new Error(`HTTP ${response.status}: ${message}`);
+  error.status = response.status;
+  // Seconds to wait before asking again, when a rate limit says so
+  const retryAfter = response.headers && typeof response.headers.get === 'function' ? parseInt(response.headers.get('Retry-After'), 10) : NaN;
+  if (Number.isFinite(retryAfter)) error.retryAfter = retryAfter;
+  return error;
+};
+
+const postJSON = (url, headers, body, signal) =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  }).then(async (response) => {
+    if (!response.ok) throw await toHttpError(response);
+    return response.json();
+  });
+
+const isStreaming = (options) => typeof options.onToken === 'function';
+
+const isEventStream = (response) =>
+  Boolean(response.body && response.headers && typeof response.headers.get === 'function' &&
+    (response.headers.get('Content-Type') || '').includes('text/event-stream'));
+
+// Call onEvent with each server-sent event's JSON data until the stream ends or sends [DONE]
+const readEventStream = async (stream, onEvent) => {
+  const reader = stream.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return false;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return true;
+    if (data) onEvent(JSON.parse(data));
+    return false;
+  };
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = done ? '' : lines.pop();
+      if (lines.some(handleLine) || done) return;
+    }
+  } catch (error) {
+    reader.cancel().catch(() => {});
+    throw error;
+  }
+};
+
+const toStreamError = (event) => new Error(event.error.message || 'AI provider error');
+
+// POST for a streamed reply. Servers that answer with plain JSON instead (no streaming support)
+// go to onJSON, and the whole reply arrives as one token.
+const postStream = (url, headers, body, options, { onEvent, onJSON, getText }) =>
+  fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: options.signal
+  }).then(async (response) => {
+    if (!response.ok) throw await toHttpError(response);
+    if (!isEventStream(response)) {
+      const text = onJSON(await response.json());
+      if (text) options.onToken(text);
+      return text;
+    }
+    await readEventStream(response.body, onEvent);
+    return getText();
+  });
+
+const reportUsage = (options, usage) => {
+  if (typeof options.onUsage === 'function') options.onUsage(usage);
+};
+
+// OpenAI Chat Completions (also served by llama.cpp and Ollama under /v1)
+const requestOpenAIChat = (config, messages, options) => {
+  const body = {
+    model: options.model || config.model,
+    messages,
+    max_tokens: options.maxTokens || 2500,
+    temperature: options.temperature ?? 0.7
+  };
+  if (options.response_format) body.response_format = options.response_format;
+  const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+  const url = `${trimSlash(config.baseUrl)}/chat/completions`;
+  const readReply = (data) => {
+    if (data.usage) {
+      reportUsage(options, { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens, model: data.model || body.model });
+    }
+    return data.choices?.[0]?.message?.content || '';
+  };
+
+  if (!isStreaming(options)) return postJSON(url, headers, body, options.signal).then(readReply);
+  return streamOpenAIChat(url, headers, { ...body, stream: true, stream_options: { include_usage: true } }, options, readReply);
+};
+
+// Chunks carry `choices[0].delta.content`; the last one carries the usage when asked for
+const streamOpenAIChat = (url, headers, body, options, readReply, model = body.model) => {
+  let text = '';
+  return postStream(url, headers, body, options, {
+    onEvent: (event) => {
+      if (event.error) throw toStreamError(event);
+      const delta = event.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        options.onToken(text);
+      }
+      if (event.usage) {
+        reportUsage(options, { promptTokens: event.usage.prompt_tokens, completionTokens: event.usage.completion_tokens, model: event.model || model });
+      }
+    },
+    onJSON: readReply,
+    getText: () => text
+  });
+};
+
+// Anthropic Messages API: system prompt is a top-level field and there is no JSON mode flag
+const requestAnthropicMessages = (config, messages, options) => {
+  const system = messages.filter((m) => m.role === 'system').map((m) => m.content);
+  if (options.response_format?.type === 'json_object') {
+    system.push('Respond with a single valid JSON object and nothing else.');
+  }
+  const body = {
+    model: options.model || config.model,
+    messages: messages.filter((m) => m.role !== 'system'),
+    max_tokens: options.maxTokens || 2500,
+    temperature: Math.min(options.temperature ?? 0.7, 1)
+  };
+  if (system.length > 0) body.system = system.join('\n\n');
+  const url = `${trimSlash(config.baseUrl)}/messages`;
+  const headers = {
+    'x-api-key': config.apiKey,
+    'anthropic-version': '2023-06-01',
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+  const readReply = (data) => {
+    if (data.usage) {
+      reportUsage(options, { promptTokens: data.usage.input_tokens, completionTokens: data.usage.output_tokens, model: data.model || body.model });
+    }
+    return (data.content || [])
+      .filter((block) => block.type === 'text')
+      .map((block) => block.text)
+      .join('');
+  };
+
+  if (!isStreaming(options)) return postJSON(url, headers, body, options.signal).then(readReply);
+  return streamAnthropicMessages(url, headers, { ...body, stream: true }, options, readReply);
+};
+
+// Prompt tokens come with message_start, text with content_block_delta and output tokens with message_delta
+const streamAnthropicMessages = (url, headers, body, options, readReply) => {
+  let text = '';
+  let usage = { promptTokens: 0, completionTokens: 0, model: body.model };
+  return postStream(url, headers, body, options, {
+    onEvent: (event) => {
+      if (event.type === 'error') throw toStreamError(event);
+      if (event.type === 'message_start' && event.message) {
+        usage = { ...usage, promptTokens: event.message.usage?.input_tokens || 0, model: event.message.model || usage.model };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        text += event.delta.text;
+        options.onToken(text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage = { ...usage, completionTokens: event.usage.output_tokens || 0 };
+        reportUsage(options, usage);
+      }
+    },
+    onJSON: readReply,
+    getText: () => text
+  });
+};
+
+// The text a prompt is about: the last paragraph of the last message, minus a "Label:" line
+const getSourceWords = (messages) => {
+  const last = messages[messages.length - 1]?.content || '';
+  const paragraphs = last.split(/\n\s*\n/);
+  const source = paragraphs[paragraphs.length - 1].replace(/^[^\n]*:\n/, '');
+  return source.split(/\s+/).filter(Boolean);
+};
+
+// Offline mock: same input, same output, shaped like what each caller expects
+export const mockReply = (messages, options = {}) => {
+  const words = getSourceWords(messages);
+  if (options.purpose === 'part-breaks') {
+    // Break after the middle entry listed in the prompt
+    const ids = Array.from((messages[messages.length - 1]?.content || '').matchAll(/^- id: (\S+)$/gm), match => match[1]);
+    const after = ids[Math.floor(ids.length / 2) - 1];
+    return JSON.stringify({ breaks: after ? [{ after, reason: 'Mock break halfway through.' }] : [] });
+  }
+  if (options.purpose === 'codex') {
+    // Capitalized names after the first word of a sentence, e.g. "met Sildar Hallwinter"
+    const names = Array.from(words.join(' ').matchAll(/(?<=[a-z,] )[A-Z][\p{L}'-]+(?: [A-Z][\p{L}'-]+)*/gu), match => match[0]);
+    return JSON.stringify({ entities: Array.from(new Set(names)).map(name => ({ type: 'npc', name, aliases: [], description: '' })) });
+  }
+  if (options.response_format?.type === 'json_object') {
+    return JSON.stringify({
+      title: words.slice(0, 6).join(' '),
+      subtitle: `In which ${words.slice(0, 20).join(' ')}`
+    });
+  }
+  if (options.purpose === 'questions') {
+    return [
+      '1. What did your character want most in the last session, and what stood in the way?',
+      '2. Which choice from recent events would your character make differently now?',
+      '3. Who in the party does your character trust least, and why?'
+    ].join('\n');
+  }
+  if (options.purpose === 'chat') {
+    // Cite the first excerpt the question came with
+    const cited = /^\[(\d+)\]/m.exec(messages[messages.length - 1]?.content || '')?.[1];
+    return cited ? `The journal mentions this in excerpt [${cited}].` : 'The journal does not say.';
+  }
+  if (options.purpose === 'part-title') return words.slice(0, 6).join(' ');
+  return words.slice(0, 80).join(' ');
+};
+
+// The mock streams its reply a word at a time
+const streamMockReply = async (messages, options) => {
+  const reply = mockReply(messages, options);
+  const words = reply.match(/\S+\s*/g) || [];
+  let text = '';
+  for (const word of words) {
+    options.signal?.throwIfAborted();
+    await Promise.resolve();
+    text += word;
+    options.onToken(text);
+  }
+  return reply;
+};
+
+// Send a chat request through the configured provider; resolves with the reply text
+export const requestChat = (config, messages, options = {}) => {
+  switch (config.providerId) {
+    case 'mock':
+      if (options.signal?.aborted) return Promise.reject(options.signal.reason);
+      return isStreaming(options) ? streamMockReply(messages, options) : Promise.resolve(mockReply(messages, options));
+    case 'anthropic':
+      return requestAnthropicMessages(config, messages, options);
+    default:
+      return requestOpenAIChat(config, messages, options);
+  }
+};
+
+// Anthropic has no speech-to-text API; everything else speaks the OpenAI audio endpoint
+export const canTranscribe = (config) => config.providerId !== 'anthropic' && isProviderConfigured(config);
+
+// Whisper names the format after the file, so give unnamed recordings one
+const getAudioFileName = (audio) => audio.name || `recording.${getAudioExtension(audio.type)}`;
+
+// OpenAI Audio Transcriptions (also served by faster-whisper-server, LocalAI and whisper.cpp)
+const requestOpenAITranscription = (config, audio, options) => {
+  const form = new FormData();
+  form.append('file', audio, getAudioFileName(audio));
+  form.append('model', config.model);
+  if (options.language) form.append('language', options.language);
+  // A hint for spelling names the recording is likely to contain
+  if (options.prompt) form.append('prompt', options.prompt);
+  const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+
+  return fetch(`${trimSlash(config.baseUrl)}/audio/transcriptions`, { method: 'POST', headers, body: form })
+    .then(async (response) => {
+      if (!response.ok) throw await toHttpError(response);
+      return response.json();
+    })
+    .then((data) => (data.text || '').trim());
+};
+
+// Transcribe an audio Blob or File through the configured provider; resolves with the text.
+// Options: language (ISO 639-1), prompt.
+export const requestTranscription = (config, audio, options = {}) => {
+  switch (config.providerId) {
+    case 'mock':
+      return Promise.resolve(`Mock transcript of ${getAudioFileName(audio)} (${audio.size} bytes).`);
+    case 'anthropic':
+      return Promise.reject(new Error('Anthropic cannot transcribe audio; set a Whisper-compatible server in Settings'));
+    default:
+      return requestOpenAITranscription(config, audio, options);
+  }
+};
+
+// Anthropic has no embeddings API either
+export const canEmbed = (config) => config.providerId !== 'anthropic' && isProviderConfigured(config);
+
+const MOCK_EMBEDDING_SIZE = 64;
+
+// Offline mock: words hashed into a fixed-size unit vector, so texts sharing words point the same way
+export const mockEmbedding = (text) => {
+  const vector = new Array(MOCK_EMBEDDING_SIZE).fill(0);
+  (String(text).toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).forEach((word) => {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    vector[hash % MOCK_EMBEDDING_SIZE] += 1;
+  });
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / length);
+};
+
+// OpenAI Embeddings (also served by Ollama, llama.cpp and LocalAI under /v1); results may come back out of order
+const requestOpenAIEmbeddings = (config, texts, options) => {
+  const headers = config.apiKey ? { 'Authorization': `Bearer ${config.apiKey}` } : {};
+  return postJSON(`${trimSlash(config.baseUrl)}/embeddings`, headers, { model: config.model, input: texts })
+    .then((data) => {
+      if (data.usage) reportUsage(options, { promptTokens: data.usage.prompt_tokens, completionTokens: 0, model: data.model || config.model });
+      return [...(data.data || [])]
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map((item) => item.embedding);
+    });
+};
+
+// Embed a list of texts through the configured provider; resolves with one vector per text, in order.
+// Options: onUsage.
+export const requestEmbeddings = (config, texts, options = {}) => {
+  switch (config.providerId) {
+    case 'mock':
+      return Promise.resolve(texts.map(mockEmbedding));
+    case 'anthropic':
+      return Promise.reject(new Error('Anthropic cannot create embeddings; set an embedding server in Settings'));
+    default:
+      return requestOpenAIEmbeddings(config, texts, options);
+  }
+};
+
+// The proxy token, plus the journal's passphrase or invite token so the server can check the room
+const proxyHeaders = (proxy) => ({
+  'Authorization': `Bearer ${proxy.token}`,
+  ...(proxy.credential ? { 'X-Room-Credential': proxy.credential } : {})
+});
+
+// Sync server AI proxy: the server holds the provider key and model.
+// A streamed reply is relayed as the provider's OpenAI-style events.
+export const requestProxyChat = (proxy, messages, options = {}) => {
+  const url = `${trimSlash(proxy.base)}/ai/chat`;
+  const headers = proxyHeaders(proxy);
+  const body = {
+    room: proxy.room,
+    messages,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+    response_format: options.response_format,
+    purpose: options.purpose
+  };
+  const readReply = (data) => {
+    if (data.usage) {
+      reportUsage(options, { promptTokens: data.usage.prompt_tokens, completionTokens: data.usage.completion_tokens, model: data.model || proxy.model });
+    }
+    return data.content || '';
+  };
+
+  if (!isStreaming(options)) return postJSON(url, headers, body, options.signal).then(readReply);
+  return streamOpenAIChat(url, headers, { ...body, stream: true }, options, readReply, proxy.model);
+};
+
+// The proxy takes the raw audio as the body and forwards it to its provider
+export const requestProxyTranscription = (proxy, audio, options = {}) => {
+  const params = new URLSearchParams({ room: proxy.room });
+  if (options.language) params.set('language', options.language);
+  return fetch(`${trimSlash(proxy.base)}/ai/transcribe?${params}`, {
+    method: 'POST',
+    headers: { 'Content-Type': audio.type || 'application/octet-stream', ...proxyHeaders(proxy) },
+    body: audio
+  }).then(async (response) => {
+    if (!response.ok) throw await toHttpError(response);
+    const data = await response.json();
+    if (data.model) reportUsage(options, { promptTokens: 0, completionTokens: 0, model: data.model });
+    return (data.text || '').trim();
+  });
+};
+
+export const requestProxyEmbeddings = (proxy, texts, options = {}) =>
+  postJSON(`${trimSlash(proxy.base)}/ai/embeddings`, proxyHeaders(proxy), {
+    room: proxy.room,
+    input: texts
+  }).then((data) => {
+    if (data.usage) reportUsage(options, { promptTokens: data.usage.prompt_tokens, completionTokens: 0, model: data.model || proxy.embeddingModel });
+    return data.embeddings || [];
+  });
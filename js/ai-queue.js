@@ -0,0 +1,241 @@
+// AI Queue - Background AI jobs stored in the Yjs doc, so every open device sees the same queue.
+// A device claims a job with a lease before running it, renews the lease while the job runs and drops
+// the job once its result is written; others skip leased jobs. Rate-limited jobs are retried with exponential backoff, other failures stay
+// in the queue as failed until retried. Job types are defined by the modules that produce the results.
+// A job cut off by the player leaving the page goes back to the queue as it was.
+import { getYjsState, getAIJobs, getAIJob, updateAIJob, removeAIJob, getDeviceInfo, onAIJobsChange, onSettingsChange } from './yjs.js';
+import { isAIAvailable, isAbortError } from './ai-request.js';
+import {
+  createJob,
+  isLeaseLive,
+  isJobRunnable,
+  getNextJob,
+  getNextWakeUp,
+  isRetryableError,
+  getRetryDelay,
+  JOB_QUEUED,
+  JOB_RUNNING,
+  JOB_RETRYING,
+  JOB_FAILED,
+  JOB_LEASE_MS,
+  MAX_ATTEMPTS
+} from './ai-jobs.js';
+import { renderAIJobsStatus } from './components/ai-jobs-status.js';
+
+// Job type -> async (state, job, onProgress, holdsLease) => void. onProgress(textSoFar) streams the result as it
+// is written; runners write their result only while holdsLease() is true, since another device may have taken over.
+const jobRunners = new Map();
+
+// Streamed text of the jobs running on this device (job id -> listeners); other devices see the saved result
+const progressListeners = new Map();
+
+// Call callback(textSoFar) while the job runs here, then callback(null) once it ends; returns a function that stops listening
+export const onAIJobProgress = (jobId, callback) => {
+  if (!progressListeners.has(jobId)) progressListeners.set(jobId, new Set());
+  progressListeners.get(jobId).add(callback);
+  return () => progressListeners.get(jobId).delete(callback);
+};
+
+// A listener that fails (e.g. a page that is going away) must not fail the job
+const reportProgress = (jobId, text) => {
+  (progressListeners.get(jobId) || []).forEach((callback) => {
+    try {
+      callback(text);
+    } catch (error) {
+      console.warn(`AI job ${jobId} progress listener failed:`, error);
+    }
+  });
+};
+
+export const defineAIJob = (type, run) => {
+  jobRunners.set(type, run);
+};
+
+// Add a job unless one with the same id is already queued. A job that is running when asked for again
+// runs once more after it finishes, since its input may have changed. Failed jobs stay failed unless
+// `retry` is set (an explicit request from the player).
+export const enqueueAIJob = (state, { id, type, args = {}, after = [], retry = false }, now = Date.now()) =>
+  updateAIJob(state, id, (existing) => {
+    if (!existing) return createJob({ id, type, args, after }, now);
+    if (existing.status === JOB_RUNNING && isLeaseLive(existing, now)) {
+      return existing.requeue ? null : { ...existing, args, after, requeue: true, updatedAt: now };
+    }
+    if (existing.status === JOB_FAILED && retry) return { ...createJob({ id, type, args, after }, now), createdAt: existing.createdAt };
+    return null;
+  }) || getAIJob(state, id);
+
+// Run a failed job again
+export const retryAIJob = (state, jobId, now = Date.now()) => {
+  const job = getAIJob(state, jobId);
+  if (job) enqueueAIJob(state, { ...job, retry: true }, now);
+};
+
+export const retryFailedAIJobs = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  getAIJobs(state).filter(job => job.status === JOB_FAILED).forEach(job => retryAIJob(state, job.id));
+};
+
+// Take the job if it is still runnable; null when another device got there first
+const claimJob = (state, jobId, owner, now) =>
+  updateAIJob(state, jobId, (job) => {
+    const jobsById = new Map(getAIJobs(state).map(item => [item.id, item]));
+    if (!job || !isJobRunnable(job, jobsById, now)) return null;
+    return { ...job, status: JOB_RUNNING, attempts: job.attempts + 1, lease: { owner, until: now + JOB_LEASE_MS }, updatedAt: now };
+  });
+
+// Leases can cross when two devices claim before syncing; only the current holder writes the outcome
+const isHeldBy = (job, owner) => Boolean(job && job.lease && job.lease.owner === owner);
+
+// Push the lease back while the job runs; false once another device holds it
+const renewLease = (state, jobId, owner, now = Date.now()) =>
+  Boolean(updateAIJob(state, jobId, (job) => {
+    if (!isHeldBy(job, owner)) return null;
+    return { ...job, lease: { owner, until: now + JOB_LEASE_MS }, updatedAt: now };
+  }));
+
+// Renewed on a timer and, when less than half of it is left, on streamed text
+const LEASE_RENEW_MS = JOB_LEASE_MS / 4;
+
+const isLeaseShort = (state, jobId, now = Date.now()) => {
+  const job = getAIJob(state, jobId);
+  return Boolean(job && job.lease && job.lease.until - now < JOB_LEASE_MS / 2);
+};
+
+const finishJob = (state, jobId, owner) => {
+  const job = getAIJob(state, jobId);
+  if (!isHeldBy(job, owner)) return;
+  if (job.requeue) {
+    const now = Date.now();
+    updateAIJob(state, jobId, () => ({ ...job, status: JOB_QUEUED, attempts: 0, lease: null, runAfter: now, requeue: false, error: '', updatedAt: now }));
+  } else {
+    removeAIJob(state, jobId);
+  }
+};
+
+// Put the job back as it was before the claim
+const releaseJob = (state, jobId, owner) => {
+  const job = getAIJob(state, jobId);
+  if (!isHeldBy(job, owner)) return;
+  updateAIJob(state, jobId, () => ({ ...job, status: JOB_QUEUED, attempts: job.attempts - 1, lease: null, updatedAt: Date.now() }));
+};
+
+const failJob = (state, jobId, owner, error) => {
+  const job = getAIJob(state, jobId);
+  if (!isHeldBy(job, owner)) return;
+  const now = Date.now();
+  const retry = isRetryableError(error) && job.attempts < MAX_ATTEMPTS;
+  updateAIJob(state, jobId, () => ({
+    ...job,
+    status: retry ? JOB_RETRYING : JOB_FAILED,
+    lease: null,
+    runAfter: retry ? now + getRetryDelay(job.attempts, error.retryAfter) : job.runAfter,
+    error: error.message || String(error),
+    updatedAt: now
+  }));
+};
+
+// One pass per journal at a time on this device; a second caller waits for the first
+const pendingRuns = new WeakMap();
+
+// Run every job this device can run now, oldest first, one at a time so a rate limit
+// slows the whole queue. Resolves with the number of jobs run.
+export const runAIJobs = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (!state.jobsMap) return Promise.resolve(0);
+  if (!pendingRuns.has(state.jobsMap)) {
+    const run = runPending(state).finally(() => pendingRuns.delete(state.jobsMap));
+    pendingRuns.set(state.jobsMap, run);
+  }
+  return pendingRuns.get(state.jobsMap);
+};
+
+const runPending = async (state) => {
+  const owner = getDeviceInfo(state).id;
+  let count = 0;
+  while (isAIAvailable(state)) {
+    const now = Date.now();
+    const next = getNextJob(getAIJobs(state), now, job => jobRunners.has(job.type));
+    if (!next) break;
+    const job = claimJob(state, next.id, owner, now);
+    if (!job) break;
+    const renewTimer = setInterval(() => renewLease(state, job.id, owner), LEASE_RENEW_MS);
+    const onProgress = (text) => {
+      if (isLeaseShort(state, job.id)) renewLease(state, job.id, owner);
+      reportProgress(job.id, text);
+    };
+    const holdsLease = () => isHeldBy(getAIJob(state, job.id), owner);
+    try {
+      await jobRunners.get(job.type)(state, job, onProgress, holdsLease);
+      finishJob(state, job.id, owner);
+    } catch (error) {
+      if (isAbortError(error)) {
+        releaseJob(state, job.id, owner);
+        break;
+      }
+      console.warn(`AI job ${job.id} failed:`, error);
+      failJob(state, job.id, owner, error);
+    } finally {
+      clearInterval(renewTimer);
+      reportProgress(job.id, null);
+    }
+    count += 1;
+  }
+  return count;
+};
+
+// Run the queue whenever it changes or a retry falls due, and keep #ai-jobs-status up to date.
+// One runner per page; returns a function that stops it.
+let stopRunner = null;
+
+export const startAIQueue = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (stopRunner) stopRunner();
+  let stopped = false;
+  let timer = null;
+
+  const render = () => {
+    const container = document.getElementById('ai-jobs-status');
+    if (container) renderAIJobsStatus(container, getAIJobs(state), { onRetry: () => retryFailedAIJobs(state) });
+  };
+
+  const schedule = () => {
+    clearTimeout(timer);
+    if (stopped) return;
+    const now = Date.now();
+    const wakeUp = getNextWakeUp(getAIJobs(state), now);
+    if (wakeUp !== null) timer = setTimeout(tick, Math.max(0, wakeUp - now));
+  };
+
+  // Changes made while a pass runs (e.g. a job added by another device) get a pass of their own
+  let changedWhileRunning = false;
+
+  const tick = () => {
+    if (stopped) return;
+    changedWhileRunning = false;
+    render();
+    runAIJobs(state)
+      .catch(error => console.warn('AI queue stopped:', error))
+      .finally(() => {
+        render();
+        if (changedWhileRunning) tick();
+        else schedule();
+      });
+  };
+
+  const onChange = () => {
+    if (stopped) return;
+    render();
+    if (pendingRuns.has(state.jobsMap)) changedWhileRunning = true;
+    else tick();
+  };
+  onAIJobsChange(state, onChange);
+  // Jobs wait while AI is off or unconfigured and start once it is set up
+  onSettingsChange(state, onChange);
+  tick();
+
+  stopRunner = () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+  return stopRunner;
+};
@@ -1,41 +1,236 @@
-// Centralized OpenAI Chat Completions request helper
-import { getYjsState, getSetting } from './yjs.js';
+// Centralized AI request helper - every AI call goes through the sync server proxy or the configured provider,
+// is checked against the journal's token caps and recorded in the usage ledger
+import { getYjsState, getSetting, getSyncServerHttpBase, getAIUsageRecords, addAIUsageRecord, getRoomCredential } from './yjs.js';
+import {
+  getAIConfig,
+  requestChat,
+  requestProxyChat,
+  isProviderConfigured,
+  getTranscriptionConfig,
+  canTranscribe,
+  requestTranscription,
+  requestProxyTranscription,
+  getEmbeddingConfig,
+  canEmbed,
+  requestEmbeddings,
+  requestProxyEmbeddings
+} from './ai-providers.js';
+import { summarizeUsage, getRemainingTokens, normalizeCap } from './ai-usage.js';
+import { estimateTokens, generateId } from './utils.js';
 
-export const callOpenAIChat = (messages, options = {}) => {
+// Providers' own default when a caller sets no limit
+const DEFAULT_MAX_TOKENS = 2500;
+
+// The proxy advertisement is cached in the device-only doc so availability checks stay synchronous
+export const refreshAIProxy = async (state = getYjsState()) => {
+  const base = getSyncServerHttpBase();
+  try {
+    if (getSetting(state, 'journal-name', '')) {
+      const response = await fetch(`${base}/ai/status`);
+      const info = response.ok ? await response.json() : null;
+      if (info && info.enabled) {
+        state.deviceMap.set('ai-proxy', { base, model: info.model || '', embeddingModel: info.embeddingModel || '' });
+        return state.deviceMap.get('ai-proxy');
+      }
+    }
+  } catch {}
+  state.deviceMap.delete('ai-proxy');
+  return null;
+};
+
+// Proxy is used when the server advertised it, this device has its token and the journal is synced.
+// The room's credential goes along: the server only serves rooms the device can write to.
+export const getAIProxy = (state = getYjsState()) => {
+  const deviceMap = state.deviceMap;
+  const advertised = deviceMap && deviceMap.get('ai-proxy');
+  const token = deviceMap && deviceMap.get('ai-proxy-token');
+  const room = getSetting(state, 'journal-name', '');
+  return advertised && token && room ? { ...advertised, token, room, credential: getRoomCredential(state, room) } : null;
+};
+
+// AI is available when enabled and either the proxy or the selected provider can take requests
+export const isAIAvailable = (state = getYjsState()) =>
+  Boolean(getSetting(state, 'ai-enabled', false) && (getAIProxy(state) || isProviderConfigured(getAIConfig(state))));
+
+// Daily and monthly token caps from settings; 0 means no cap
+export const getUsageCaps = (state = getYjsState()) => ({
+  daily: normalizeCap(getSetting(state, 'ai-daily-token-cap', '')),
+  monthly: normalizeCap(getSetting(state, 'ai-monthly-token-cap', ''))
+});
+
+export const getAIUsageSummary = (state = getYjsState(), now = Date.now()) => summarizeUsage(getAIUsageRecords(state), now);
+
+// Tokens left for the reply once the prompt is counted; rejects when a cap has no room for the prompt
+const checkUsageCaps = (state, promptTokens) => {
+  const { remaining, cap } = getRemainingTokens(getAIUsageSummary(state), getUsageCaps(state));
+  if (remaining <= promptTokens) {
+    const error = new Error(`The ${cap} AI token cap is used up. Raise it in Settings or wait until it resets.`);
+    error.code = 'ai-usage-cap';
+    throw error;
+  }
+  return remaining - promptTokens;
+};
+
+// One ledger record per call. Counts the API did not report (mock, some local servers) are estimated.
+const recordUsage = (state, { provider, model, purpose, reported, estimate }) => {
+  try {
+    addAIUsageRecord(state, {
+      id: `usage-${generateId()}`,
+      timestamp: Date.now(),
+      provider,
+      model: reported?.model || model || '',
+      purpose: purpose || 'other',
+      promptTokens: reported ? reported.promptTokens || 0 : estimate.promptTokens,
+      completionTokens: reported ? reported.completionTokens || 0 : estimate.completionTokens,
+      estimated: !reported
+    });
+  } catch (error) {
+    console.warn('Failed to record AI usage:', error);
+  }
+};
+
+// Proxy was switched off on the server: forget it and use the local provider next time
+const forgetMissingProxy = (state) => (error) => {
+  if (error.status === 404) state.deviceMap.delete('ai-proxy');
+  throw error;
+};
+
+// Chat requests still waiting for their reply, aborted when the player leaves the page
+const inFlight = new Set();
+const watchedWindows = new WeakSet();
+
+export const isAbortError = (error) => Boolean(error && error.name === 'AbortError');
+
+export const abortAIRequests = () => {
+  inFlight.forEach(controller => controller.abort());
+};
+
+const abortOnPageHide = () => {
+  if (typeof window === 'undefined' || watchedWindows.has(window)) return;
+  watchedWindows.add(window);
+  window.addEventListener('pagehide', abortAIRequests);
+};
+
+// A controller for one request that also follows the caller's own signal
+const trackRequest = (signal) => {
+  const controller = new AbortController();
+  if (signal) {
+    if (signal.aborted) controller.abort(signal.reason);
+    else signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  }
+  abortOnPageHide();
+  inFlight.add(controller);
+  return controller;
+};
+
+// Options: model, maxTokens, temperature, response_format, purpose, signal, and onToken(textSoFar)
+// to stream the reply as it is written.
+// Pass a config to use a specific provider (e.g. testing unsaved settings) instead of the proxy.
+// Under a token cap the reply is limited to what is left of it.
+export const callAIChat = async (messages, options = {}, config = null) => {
   const state = getYjsState();
-  const apiKey = getSetting(state, 'openai-api-key', '');
-  const model = options.model || 'gpt-4o-mini';
-  const maxTokens = options.maxTokens || 2500;
-  const temperature = options.temperature ?? 0.7;
-  const responseFormat = options.response_format;
-
-  const body = {
-    model,
-    messages,
-    max_tokens: maxTokens,
-    temperature
+  const promptTokens = estimateTokens(messages.map(message => message.content).join('\n'));
+  const allowance = checkUsageCaps(state, promptTokens);
+  let reported = null;
+  let streamed = '';
+  const controller = trackRequest(options.signal);
+  const request = {
+    ...options,
+    ...(Number.isFinite(allowance) ? { maxTokens: Math.min(options.maxTokens || DEFAULT_MAX_TOKENS, allowance) } : {}),
+    ...(typeof options.onToken === 'function' ? { onToken: (text) => { streamed = text; options.onToken(text); } } : {}),
+    onUsage: (usage) => { reported = usage; },
+    signal: controller.signal
   };
-  if (responseFormat) {
-    body.response_format = responseFormat;
+
+  const proxy = config ? null : getAIProxy(state);
+  const provider = proxy ? null : (config || getAIConfig(state));
+  const record = (content) => recordUsage(state, {
+    provider: proxy ? 'proxy' : provider.providerId,
+    model: proxy ? proxy.model : options.model || provider.model,
+    purpose: options.purpose,
+    reported,
+    estimate: { promptTokens, completionTokens: estimateTokens(content) }
+  });
+
+  try {
+    const content = proxy
+      ? await requestProxyChat(proxy, messages, request).catch(forgetMissingProxy(state))
+      : await requestChat(provider, messages, request);
+    record(content);
+    return content;
+  } catch (error) {
+    // A reply cut off part way was still paid for
+    if (isAbortError(error) && streamed) record(streamed);
+    throw error;
+  } finally {
+    inFlight.delete(controller);
   }
+};
 
-  return fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  }).then(async (response) => {
-    if (!response.ok) {
-      try {
-        const err = await response.json();
-        const message = err?.error?.message || `${response.statusText}`;
-        throw new Error(`HTTP ${response.status}: ${message}`);
-      } catch (_) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-    }
-    return response.json();
+// A local Whisper-compatible server wins over the proxy: the audio then never leaves the table
+const hasLocalTranscription = (state) => Boolean(getSetting(state, 'transcription-base-url', ''));
+
+export const isTranscriptionAvailable = (state = getYjsState()) =>
+  Boolean(getSetting(state, 'ai-enabled', false) &&
+    (hasLocalTranscription(state) || getAIProxy(state) || canTranscribe(getTranscriptionConfig(state))));
+
+// Speech to text for an audio Blob or File; resolves with the transcript.
+// Options: language, prompt. Same routing as callAIChat. Audio is billed by the minute, so it adds no tokens.
+export const callTranscription = async (audio, options = {}, config = null) => {
+  const state = getYjsState();
+  checkUsageCaps(state, 0);
+  let reported = null;
+  const request = { ...options, onUsage: (usage) => { reported = usage; } };
+
+  const proxy = config || hasLocalTranscription(state) ? null : getAIProxy(state);
+  const provider = proxy ? null : (config || getTranscriptionConfig(state));
+  const text = proxy
+    ? await requestProxyTranscription(proxy, audio, request).catch(forgetMissingProxy(state))
+    : await requestTranscription(provider, audio, request);
+
+  recordUsage(state, {
+    provider: proxy ? 'proxy' : provider.providerId,
+    model: proxy ? '' : provider.model,
+    purpose: 'transcription',
+    reported: reported || { promptTokens: 0, completionTokens: 0 },
+    estimate: null
+  });
+  return text;
+};
+
+// A local embedding server wins over the proxy too, and the journal text stays at the table
+const hasLocalEmbeddings = (state) => Boolean(getSetting(state, 'embedding-base-url', ''));
+
+export const isEmbeddingAvailable = (state = getYjsState()) =>
+  Boolean(getSetting(state, 'ai-enabled', false) &&
+    (hasLocalEmbeddings(state) || getAIProxy(state) || canEmbed(getEmbeddingConfig(state))));
+
+// The model behind callEmbeddings, so vectors from different models are never compared
+export const getEmbeddingModel = (state = getYjsState()) => {
+  const proxy = hasLocalEmbeddings(state) ? null : getAIProxy(state);
+  return proxy ? proxy.embeddingModel || `proxy:${proxy.base}` : getEmbeddingConfig(state).model;
+};
+
+// Vectors for a list of texts, one per text in order. Same routing as callTranscription.
+export const callEmbeddings = async (texts, config = null) => {
+  const state = getYjsState();
+  const promptTokens = estimateTokens(texts.join('\n'));
+  checkUsageCaps(state, promptTokens);
+  let reported = null;
+  const request = { onUsage: (usage) => { reported = usage; } };
+
+  const proxy = config || hasLocalEmbeddings(state) ? null : getAIProxy(state);
+  const provider = proxy ? null : (config || getEmbeddingConfig(state));
+  const vectors = proxy
+    ? await requestProxyEmbeddings(proxy, texts, request).catch(forgetMissingProxy(state))
+    : await requestEmbeddings(provider, texts, request);
+
+  recordUsage(state, {
+    provider: proxy ? 'proxy' : provider.providerId,
+    model: proxy ? proxy.embeddingModel : provider.model,
+    purpose: 'embeddings',
+    reported,
+    estimate: { promptTokens, completionTokens: 0 }
   });
+  return vectors;
 };
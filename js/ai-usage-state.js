@@ -0,0 +1,22 @@
+// AI Usage State Helpers - The usage ledger: one record per AI call, shared by every character and device
+// of the journal, since they share the provider key and its bill. Records are plain objects in usageArray.
+import { getUsageRetentionStart } from './ai-usage.js';
+
+const transact = (state, apply) => (state.ydoc ? state.ydoc.transact(apply) : apply());
+
+// In the order they were recorded: [{ id, timestamp, provider, model, purpose, promptTokens, completionTokens, estimated }]
+export const getAIUsageRecords = (state) => (state.usageArray ? state.usageArray.toArray() : []);
+
+// Append a record and drop those older than any total still needs
+export const addAIUsageRecord = (state, record) => {
+  if (!state.usageArray) return;
+  transact(state, () => {
+    const start = getUsageRetentionStart(record.timestamp);
+    // Devices append in their own order, so expired records are not always at the start
+    const records = state.usageArray.toArray();
+    for (let i = records.length - 1; i >= 0; i--) {
+      if (records[i].timestamp < start) state.usageArray.delete(i, 1);
+    }
+    state.usageArray.push([record]);
+  });
+};
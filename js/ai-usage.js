@@ -0,0 +1,145 @@
+// AI Usage - Totals, estimated cost and caps from the usage ledger
+// Pure functions: no state or DOM access. Records are
+// { id, timestamp, provider, model, purpose, promptTokens, completionTokens, estimated }
+
+// USD per million prompt and completion tokens, from the providers' list prices; other models have no cost
+export const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'claude-3-5-haiku-latest': [0.8, 4],
+  'claude-sonnet-4-0': [3, 15],
+  'text-embedding-3-small': [0.02, 0],
+  'whisper-1': [0, 0]
+};
+
+// What each call was for, as shown on the usage dashboard
+export const PURPOSE_LABELS = {
+  'entry-title': 'Entry titles',
+  'part-summary': 'Part summaries',
+  'part-title': 'Part titles',
+  'so-far': 'Adventure so far',
+  'recent-summary': 'Recent adventures',
+  'character-summary': 'Backstory and notes',
+  questions: 'Session questions',
+  chat: 'Ask the journal',
+  codex: 'Codex',
+  'part-breaks': 'Part break suggestions',
+  embeddings: 'Context retrieval',
+  transcription: 'Voice notes',
+  test: 'Provider tests'
+};
+
+export const getPurposeLabel = (purpose) => PURPOSE_LABELS[purpose] || 'Other';
+
+// Days of daily totals on the dashboard
+export const USAGE_DAYS = 14;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Local calendar day and month, so caps reset at the players' midnight
+export const getDayKey = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const getMonthKey = (timestamp) => getDayKey(timestamp).slice(0, 7);
+
+// Start of the month before `now`; older records are no longer needed for any total
+export const getUsageRetentionStart = (now = Date.now()) => {
+  const date = new Date(now);
+  return new Date(date.getFullYear(), date.getMonth() - 1, 1).getTime();
+};
+
+// Dated snapshot names carry the family price, e.g. gpt-4o-mini-2024-07-18
+const findPrice = (model = '') => {
+  const name = String(model).replace(/^proxy:/, '');
+  if (MODEL_PRICES[name]) return MODEL_PRICES[name];
+  const family = Object.keys(MODEL_PRICES)
+    .filter(known => name.startsWith(`${known}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return family ? MODEL_PRICES[family] : null;
+};
+
+// Estimated cost in USD, or null when the model's price is unknown (e.g. local models)
+export const getRecordCost = (record) => {
+  const price = findPrice(record.model);
+  if (!price) return null;
+  return ((record.promptTokens || 0) * price[0] + (record.completionTokens || 0) * price[1]) / 1e6;
+};
+
+// `priced` once any record has a known price; `estimated` once any count was estimated
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, tokens: 0, cost: 0, priced: false, estimated: false });
+
+const addRecord = (totals, record) => {
+  const cost = getRecordCost(record);
+  totals.requests += 1;
+  totals.promptTokens += record.promptTokens || 0;
+  totals.completionTokens += record.completionTokens || 0;
+  totals.tokens += (record.promptTokens || 0) + (record.completionTokens || 0);
+  totals.cost += cost || 0;
+  if (cost !== null) totals.priced = true;
+  if (record.estimated) totals.estimated = true;
+  return totals;
+};
+
+const groupBy = (records, getKey) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const key = getKey(record) || 'other';
+    groups.set(key, addRecord(groups.get(key) || emptyTotals(), record));
+  });
+  return Array.from(groups.entries(), ([key, totals]) => ({ key, ...totals })).sort((a, b) => b.tokens - a.tokens);
+};
+
+// Totals for today and this month, this month by purpose and model, and the last USAGE_DAYS days (oldest first)
+export const summarizeUsage = (records = [], now = Date.now()) => {
+  const today = getDayKey(now);
+  const month = getMonthKey(now);
+  const monthRecords = records.filter(record => getMonthKey(record.timestamp) === month);
+
+  const days = Array.from({ length: USAGE_DAYS }, (_, i) => {
+    const date = new Date(now);
+    date.setDate(date.getDate() - (USAGE_DAYS - 1 - i));
+    return getDayKey(date.getTime());
+  });
+  const byDay = new Map(days.map(day => [day, emptyTotals()]));
+  records.forEach((record) => {
+    const totals = byDay.get(getDayKey(record.timestamp));
+    if (totals) addRecord(totals, record);
+  });
+
+  return {
+    today: records.filter(record => getDayKey(record.timestamp) === today).reduce(addRecord, emptyTotals()),
+    month: monthRecords.reduce(addRecord, emptyTotals()),
+    byPurpose: groupBy(monthRecords, record => record.purpose),
+    byModel: groupBy(monthRecords, record => record.model),
+    days: days.map(day => ({ day, ...byDay.get(day) }))
+  };
+};
+
+// Caps are token totals; 0 or missing means no cap
+export const normalizeCap = (value) => {
+  const cap = parseInt(value, 10);
+  return Number.isFinite(cap) && cap > 0 ? cap : 0;
+};
+
+// Tokens a new request may still use under the caps, or Infinity without caps.
+// { remaining, cap: 'daily' | 'monthly' | null }
+export const getRemainingTokens = (summary, { daily = 0, monthly = 0 } = {}) => {
+  const limits = [
+    daily ? { cap: 'daily', remaining: daily - summary.today.tokens } : null,
+    monthly ? { cap: 'monthly', remaining: monthly - summary.month.tokens } : null
+  ].filter(Boolean);
+  if (limits.length === 0) return { remaining: Infinity, cap: null };
+  const tightest = limits.sort((a, b) => a.remaining - b.remaining)[0];
+  return { remaining: Math.max(0, tightest.remaining), cap: tightest.cap };
+};
+
+// "$1.23", "<$0.01", or "—" for unknown prices
+export const formatCost = (cost) => {
+  if (cost === null || cost === undefined) return '—';
+  if (cost === 0) return '$0.00';
+  if (cost < 0.01) return '<$0.01';
+  return `$${cost.toFixed(2)}`;
+};
@@ -3,24 +3,18 @@
 
 import { 
   getYjsState, 
-  getSetting, 
   getSessionQuestions, 
   setSessionQuestions, 
   clearSessionQuestions 
 } from './yjs.js';
 import { PROMPTS } from './prompts.js';
 import { buildContext, hasContext } from './context.js';
-import { callOpenAIChat } from './ai-request.js';
+import { callAIChat, isAIAvailable, isAbortError } from './ai-request.js';
 
 // Check if AI is available
-export const isAIEnabled = () => {
-  const state = getYjsState();
-  const apiKey = getSetting(state, 'openai-api-key', '');
-  const enabled = getSetting(state, 'ai-enabled', false);
-  return Boolean(enabled && apiKey);
-};
+export const isAIEnabled = () => isAIAvailable(getYjsState());
 
-// Build messages array for OpenAI API
+// Build chat messages array (providers adapt the shape as needed)
 export const buildMessages = (systemPrompt, userPrompt) => {
   return systemPrompt 
     ? [
@@ -31,14 +25,15 @@ export const buildMessages = (systemPrompt, userPrompt) => {
 };
 
 // Simple AI call function (centralized)
-const callAI = (systemPrompt, userPrompt) => {
+const callAI = (systemPrompt, userPrompt, { onToken, signal } = {}) => {
   const messages = buildMessages(systemPrompt, userPrompt);
-  return callOpenAIChat(messages, { temperature: 0.8 })
-    .then((data) => data.choices[0]?.message?.content?.trim());
+  return callAIChat(messages, { temperature: 0.8, purpose: 'questions', onToken, signal })
+    .then((content) => content.trim());
 };
 
-// Generate storytelling questions (uses Yjs for sync)
-export const generateQuestions = (character = null, entries = null, forceRegenerate = false) => {
+// Generate storytelling questions (uses Yjs for sync).
+// Options: onToken(textSoFar) to show the questions as they are written, signal to abort.
+export const generateQuestions = (character = null, entries = null, forceRegenerate = false, options = {}) => {
   if (!isAIEnabled() || !hasContext(character, entries)) {
     return Promise.resolve(null);
   }
@@ -57,7 +52,7 @@ export const generateQuestions = (character = null, entries = null, forceRegener
   return buildContext(character, entries)
     .then(context => {
       const userPrompt = PROMPTS.storytelling.user(context);
-      return callAI(PROMPTS.storytelling.system, userPrompt);
+      return callAI(PROMPTS.storytelling.system, userPrompt, options);
     })
     .then(questions => {
       // Store in Yjs for sync
@@ -67,7 +62,7 @@ export const generateQuestions = (character = null, entries = null, forceRegener
       return questions;
     })
     .catch(error => {
-      console.error('Failed to generate questions:', error);
+      if (!isAbortError(error)) console.error('Failed to generate questions:', error);
       return null;
     });
 };
@@ -0,0 +1,70 @@
+// Attachment Files - Size limits, storage choice and formatting for entry attachments
+// Pure helpers: no state, usable from views
+
+// Files up to this size are kept in the Yjs document; larger ones go to the sync server
+export const INLINE_MAX_BYTES = 256 * 1024;
+// Upper limit for any attachment (the sync server enforces the same default)
+export const ATTACHMENT_MAX_BYTES = 10 * 1024 * 1024;
+// Longest side of generated thumbnails, in pixels
+export const THUMBNAIL_SIZE = 240;
+// Cache Storage bucket for server files; sw.js uses the same name and keeps it across app versions
+export const ATTACHMENT_CACHE = 'journal-attachments';
+
+export const isImageType = (type) => /^image\//.test(String(type || ''));
+
+export const isAudioType = (type) => /^audio\//.test(String(type || ''));
+
+// File extension for a recorded clip, e.g. 'audio/webm;codecs=opus' -> 'webm'
+export const getAudioExtension = (type) => {
+  const subtype = String(type || '').split(';')[0].split('/')[1] || '';
+  return { mpeg: 'mp3', 'x-wav': 'wav', 'x-m4a': 'm4a' }[subtype] || subtype.replace(/[^a-z0-9]/g, '') || 'webm';
+};
+
+export const formatBytes = (bytes) => {
+  const value = Number(bytes) || 0;
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${Math.round(value / 1024)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Where a file of this size can be stored: { storage: 'inline' | 'server' } or { error }.
+// Server files need a linked journal, and are never used for end-to-end encrypted journals
+// because the server would see them unencrypted.
+export const chooseAttachmentStorage = (size, { room = '', encrypted = false } = {}) => {
+  if (!size) return { error: 'The file is empty' };
+  if (size > ATTACHMENT_MAX_BYTES) return { error: `Files are limited to ${formatBytes(ATTACHMENT_MAX_BYTES)}` };
+  if (size <= INLINE_MAX_BYTES) return { storage: 'inline' };
+  if (!room) return { error: `Files over ${formatBytes(INLINE_MAX_BYTES)} need a linked journal on a sync server` };
+  if (encrypted) return { error: `Files over ${formatBytes(INLINE_MAX_BYTES)} cannot be attached to an end-to-end encrypted journal` };
+  return { storage: 'server' };
+};
+
+// Path of a server file; the room decides who may read it
+export const getBlobPath = (room, hash) => `/blobs/${encodeURIComponent(room)}/${hash}`;
+
+export const bytesToHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const base64ToBytes = (base64) => Uint8Array.from(atob(String(base64 || '')), char => char.charCodeAt(0));
+
+// Totals for the settings page: { count, inlineBytes, serverBytes }; the same file attached twice is stored once
+export const summarizeAttachmentStorage = (attachments) => {
+  const seen = new Set();
+  return attachments.reduce((totals, attachment) => {
+    const key = `${attachment.storage}:${attachment.hash}`;
+    const size = seen.has(key) ? 0 : attachment.size || 0;
+    seen.add(key);
+    return {
+      count: totals.count + 1,
+      inlineBytes: totals.inlineBytes + (attachment.storage === 'server' ? 0 : size),
+      serverBytes: totals.serverBytes + (attachment.storage === 'server' ? size : 0)
+    };
+  }, { count: 0, inlineBytes: 0, serverBytes: 0 });
+};
@@ -0,0 +1,350 @@
+// Attachments - Photos of maps and handouts on entries, stored in the journal or on the sync server
+import {
+  getYjsState,
+  getAttachments,
+  getAttachment,
+  setAttachment,
+  getAttachmentData,
+  deleteAttachment,
+  getEntries,
+  updateEntry,
+  getSetting,
+  getRoomCredential,
+  getRoomEncryptionPassphrase,
+  getSyncServerHttpBase
+} from './yjs.js';
+import { generateId, showNotification } from './utils.js';
+import {
+  ATTACHMENT_CACHE,
+  THUMBNAIL_SIZE,
+  isImageType,
+  isAudioType,
+  chooseAttachmentStorage,
+  getBlobPath,
+  bytesToHex,
+  bytesToBase64,
+  summarizeAttachmentStorage
+} from './attachment-files.js';
+import { runUndoable } from './undo.js';
+import { transcribeAudio } from './dictation.js';
+import { isTranscriptionAvailable } from './ai-request.js';
+import { clearSummary } from './summarization.js';
+import { showChoiceModal } from './components/modal.js';
+import { createAttachmentPreview } from './components/attachments.js';
+
+// Allow tests to answer the lightbox
+let showLightbox = showChoiceModal;
+export const setShowLightbox = (impl) => {
+  showLightbox = typeof impl === 'function' ? impl : showChoiceModal;
+};
+
+// Scaled-down JPEG data URL of an image, or null where the browser cannot draw it (e.g. tests)
+const createImageThumbnail = async (blob) => {
+  if (typeof createImageBitmap !== 'function' || typeof document === 'undefined') return null;
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  const context = canvas.getContext('2d');
+  if (!context) return null;
+  context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  if (typeof bitmap.close === 'function') bitmap.close();
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
+
+let makeThumbnail = createImageThumbnail;
+export const setThumbnailMaker = (impl) => {
+  makeThumbnail = typeof impl === 'function' ? impl : createImageThumbnail;
+};
+
+export const hashBytes = async (bytes) =>
+  bytesToHex(new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', bytes)));
+
+// The linked room and how this device reaches it
+const getServerTarget = (state) => {
+  const room = getSetting(state, 'journal-name', '');
+  return {
+    room,
+    credential: room ? getRoomCredential(state, room) : '',
+    encrypted: Boolean(room && getRoomEncryptionPassphrase(state, room))
+  };
+};
+
+const getBlobUrl = (state, hash) => `${getSyncServerHttpBase()}${getBlobPath(getServerTarget(state).room, hash)}`;
+
+const authHeaders = (credential) => (credential ? { 'Authorization': `Bearer ${credential}` } : {});
+
+const openAttachmentCache = () =>
+  (typeof caches !== 'undefined' && caches && typeof caches.open === 'function' ? caches.open(ATTACHMENT_CACHE) : Promise.resolve(null));
+
+const uploadBlob = async (state, hash, bytes) => {
+  const { credential } = getServerTarget(state);
+  const response = await fetch(getBlobUrl(state, hash), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream', ...authHeaders(credential) },
+    body: bytes
+  });
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Upload failed with status ${response.status}`);
+  }
+  // Uploaded files are available offline right away
+  const cache = await openAttachmentCache().catch(() => null);
+  if (cache) await cache.put(getBlobUrl(state, hash), new Response(bytes)).catch(() => {});
+};
+
+// Attach one file (a File or Blob with a name) to an entry; resolves to the new attachment
+export const addEntryAttachment = async (entryId, file, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const target = getServerTarget(state);
+  const choice = chooseAttachmentStorage(file.size, target);
+  if (choice.error) throw new Error(`${file.name || 'File'}: ${choice.error}`);
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const hash = await hashBytes(bytes);
+  const type = file.type || 'application/octet-stream';
+  const thumbnail = isImageType(type) ? await makeThumbnail(file).catch(() => null) : null;
+  if (choice.storage === 'server') await uploadBlob(state, hash, bytes);
+
+  const attachment = {
+    id: generateId(),
+    entryId,
+    name: file.name || 'attachment',
+    type,
+    size: bytes.length,
+    hash,
+    storage: choice.storage,
+    thumbnail: thumbnail || null,
+    createdAt: Date.now()
+  };
+  setAttachment(state, attachment, choice.storage === 'inline' ? bytes : null);
+  return attachment;
+};
+
+// Attach several files, reporting the ones that could not be added; resolves to the added attachments
+export const addEntryAttachments = async (entryId, files, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const added = [];
+  for (const file of Array.from(files || [])) {
+    try {
+      added.push(await addEntryAttachment(entryId, file, state));
+    } catch (error) {
+      console.error('Failed to attach file:', error);
+      showNotification(error.message || 'Failed to attach file', 'error');
+    }
+  }
+  if (added.length > 0) showNotification(added.length === 1 ? 'File attached' : `${added.length} files attached`, 'success');
+  return added;
+};
+
+// Attach recorded voice notes ({ file, transcript } from createDictation), keeping each transcript with its clip
+export const addVoiceNotes = async (entryId, recordings, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const added = [];
+  for (const { file, transcript } of Array.from(recordings || [])) {
+    try {
+      const attachment = await addEntryAttachment(entryId, file, state);
+      if (transcript) setAttachment(state, { ...attachment, transcript });
+      added.push({ ...attachment, ...(transcript ? { transcript } : {}) });
+    } catch (error) {
+      console.error('Failed to attach voice note:', error);
+      showNotification(error.message || 'Failed to attach voice note', 'error');
+    }
+  }
+  return added;
+};
+
+export const removeAttachment = (attachmentId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  runUndoable((s) => deleteAttachment(s, attachmentId), 'Attachment removed', state);
+};
+
+export const getEntryAttachments = (entryId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  return getAttachments(state)
+    .filter(attachment => attachment.entryId === entryId)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+};
+
+// Inline bytes as a URL for <img> and download links; object URLs are reused per file
+const inlineUrls = new Map();
+const getInlineUrl = (state, attachment) => {
+  if (inlineUrls.has(attachment.hash)) return inlineUrls.get(attachment.hash);
+  const data = getAttachmentData(state, attachment.hash);
+  if (!data) return null;
+  const url = typeof URL.createObjectURL === 'function'
+    ? URL.createObjectURL(new Blob([data], { type: attachment.type }))
+    : `data:${attachment.type};base64,${bytesToBase64(data)}`;
+  inlineUrls.set(attachment.hash, url);
+  return url;
+};
+
+// View items for createAttachmentList: small inline images are their own thumbnail
+export const getAttachmentItems = (entryId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  return getEntryAttachments(entryId, state).map((attachment) => {
+    const isImage = isImageType(attachment.type);
+    const fallback = isImage && attachment.storage !== 'server' ? getInlineUrl(state, attachment) : null;
+    return {
+      id: attachment.id,
+      name: attachment.name,
+      type: attachment.type,
+      size: attachment.size,
+      isImage,
+      thumbnail: attachment.thumbnail || fallback
+    };
+  });
+};
+
+// Server files come from the attachment cache when offline, otherwise from the server (and are cached)
+const fetchServerFile = async (state, attachment) => {
+  const url = getBlobUrl(state, attachment.hash);
+  const cache = await openAttachmentCache().catch(() => null);
+  const cached = cache ? await cache.match(url) : null;
+  if (cached) return cached.blob();
+  const response = await fetch(url, { headers: authHeaders(getServerTarget(state).credential) });
+  if (!response.ok) throw new Error(`Attachment download failed with status ${response.status}`);
+  if (cache) await cache.put(url, response.clone()).catch(() => {});
+  return response.blob();
+};
+
+// URL of the whole file, or null when it cannot be loaded right now
+export const getAttachmentUrl = async (attachmentId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const attachment = getAttachment(state, attachmentId);
+  if (!attachment) return null;
+  if (attachment.storage !== 'server') return getInlineUrl(state, attachment);
+  if (inlineUrls.has(attachment.hash)) return inlineUrls.get(attachment.hash);
+  try {
+    const blob = await fetchServerFile(state, attachment);
+    if (typeof URL.createObjectURL !== 'function') return getBlobUrl(state, attachment.hash);
+    const url = URL.createObjectURL(new Blob([blob], { type: attachment.type }));
+    inlineUrls.set(attachment.hash, url);
+    return url;
+  } catch (error) {
+    console.warn('Failed to load attachment:', error);
+    return null;
+  }
+};
+
+// The whole file as a Blob, or null when it is not available on this device
+const getAttachmentBlob = async (state, attachment) => {
+  if (attachment.storage === 'server') return fetchServerFile(state, attachment).catch(() => null);
+  const data = getAttachmentData(state, attachment.hash);
+  return data ? new Blob([data], { type: attachment.type }) : null;
+};
+
+// Transcribe a voice note attached without a transcript and add the text to its entry,
+// so the entry's summary covers what was said; resolves to the transcript
+export const transcribeAttachment = async (attachmentId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const attachment = getAttachment(state, attachmentId);
+  if (!attachment || !isAudioType(attachment.type)) throw new Error('Only voice notes can be transcribed');
+  const blob = await getAttachmentBlob(state, attachment);
+  if (!blob) throw new Error('The recording is not available on this device yet');
+
+  const transcript = await transcribeAudio(new File([blob], attachment.name, { type: attachment.type }), state);
+  if (!transcript) return '';
+  const entry = getEntries(state).find(e => e.id === attachment.entryId);
+  runUndoable((s) => {
+    setAttachment(s, { ...attachment, transcript });
+    if (entry) {
+      const content = (entry.content || '').trimEnd();
+      updateEntry(s, entry.id, { content: content ? `${content}\n\n${transcript}` : transcript });
+    }
+  }, 'Transcript added', state);
+  clearSummary(`entry:${attachment.entryId}`);
+  return transcript;
+};
+
+// Lightbox with the full image, a player for voice notes (or a link to the file) and an option to remove it
+export const openAttachment = async (attachmentId, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const attachment = getAttachment(state, attachmentId);
+    if (!attachment) {
+      showNotification('Attachment not found', 'error');
+      return;
+    }
+    const url = await getAttachmentUrl(attachmentId, state);
+    const isAudio = isAudioType(attachment.type);
+    const canTranscribe = isAudio && !attachment.transcript && isTranscriptionAvailable(state);
+    const choice = await showLightbox({
+      title: attachment.name,
+      message: createAttachmentPreview({ ...attachment, isImage: isImageType(attachment.type), isAudio, url }),
+      options: [
+        { id: 'remove', label: 'Remove' },
+        ...(canTranscribe ? [{ id: 'transcribe', label: 'Transcribe' }] : []),
+        { id: 'close', label: 'Close', type: 'primary' }
+      ]
+    });
+    if (choice === 'remove') removeAttachment(attachmentId, state);
+    if (choice === 'transcribe') {
+      try {
+        const transcript = await transcribeAttachment(attachmentId, state);
+        showNotification(transcript ? 'Transcript added to the entry' : 'No speech was recognised', transcript ? 'success' : 'warning');
+      } catch (error) {
+        console.error('Failed to transcribe attachment:', error);
+        showNotification(error.message || 'Failed to transcribe voice note', 'error');
+      }
+    }
+  } catch (error) {
+    console.error('Failed to open attachment:', error);
+    showNotification('Failed to open attachment', 'error');
+  }
+};
+
+// Download server files that are not cached yet so they open offline; resolves to the number cached
+let cachingPromise = null;
+export const cacheServerAttachments = (stateParam = null) => {
+  if (cachingPromise) return cachingPromise;
+  const state = stateParam || getYjsState();
+  cachingPromise = (async () => {
+    const cache = await openAttachmentCache().catch(() => null);
+    if (!cache || !getServerTarget(state).room) return 0;
+    let cached = 0;
+    const hashes = new Set(getAttachments(state).filter(a => a.storage === 'server').map(a => a.hash));
+    for (const hash of hashes) {
+      const url = getBlobUrl(state, hash);
+      if (await cache.match(url)) continue;
+      try {
+        const response = await fetch(url, { headers: authHeaders(getServerTarget(state).credential) });
+        if (!response.ok) continue;
+        await cache.put(url, response);
+        cached++;
+      } catch {
+        // Offline or the server is unreachable: try again next time
+        break;
+      }
+    }
+    return cached;
+  })().finally(() => { cachingPromise = null; });
+  return cachingPromise;
+};
+
+// { count, inlineBytes, serverBytes, serverFiles, offlineFiles, device: { usage, quota } | null }
+export const getStorageUsage = async (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const attachments = getAttachments(state);
+  const totals = summarizeAttachmentStorage(attachments);
+  const serverHashes = Array.from(new Set(attachments.filter(a => a.storage === 'server').map(a => a.hash)));
+
+  let offlineFiles = 0;
+  const cache = await openAttachmentCache().catch(() => null);
+  if (cache) {
+    for (const hash of serverHashes) {
+      if (await cache.match(getBlobUrl(state, hash))) offlineFiles++;
+    }
+  }
+
+  let device = null;
+  try {
+    if (typeof navigator !== 'undefined' && navigator.storage && typeof navigator.storage.estimate === 'function') {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      device = { usage, quota };
+    }
+  } catch {}
+
+  return { ...totals, serverFiles: serverHashes.length, offlineFiles, device };
+};
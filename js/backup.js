@@ -0,0 +1,380 @@
+// Backup - Journal export (JSON, Markdown book, Yjs snapshot) and validated import
+import * as Y from 'yjs';
+import {
+  getCharacters,
+  getCharacterState,
+  getEntries,
+  ensureEntryText,
+  removeCharacter,
+  DEFAULT_CHARACTER_ID
+} from './yjs.js';
+import {
+  setChronicleSoFarSummary,
+  setChronicleRecentSummary,
+  setChronicleLatestPartIndex,
+  setChroniclePartTitle,
+  setChroniclePartSummary,
+  setChroniclePartEntries,
+  setChronicleGrouping,
+  setChronicleBreak
+} from './chronicle-state.js';
+import { replaceCharacterSheet } from './character-sheet-state.js';
+import { getChatThreads, getChatMessages, replaceChatThread } from './chat-state.js';
+import { summarizeCharacterSheet } from './character-sheet.js';
+import { setPartSize } from './parts.js';
+import { transactLocalEdit } from './yjs-origins.js';
+import { safeParseJSON, generateId, formatDate } from './utils.js';
+import { formatEntryMetadata } from './entry-metadata.js';
+import { bytesToBase64, base64ToBytes } from './attachment-files.js';
+
+export const BACKUP_FORMAT = 'dnd-journal-backup';
+export const BACKUP_VERSION = 1;
+
+// API keys (one per AI provider) never leave the device in an export
+const isPrivateSetting = (key) => key.endsWith('-api-key');
+// Never overwritten by an import (keys are device-owned, the room name would reconnect)
+const isProtectedSetting = (key) => isPrivateSetting(key) || key === 'journal-name';
+
+const omitKeys = (object, isOmitted) =>
+  Object.fromEntries(Object.entries(object || {}).filter(([key]) => !isOmitted(key)));
+
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const byTimestamp = (a, b) => a.timestamp - b.timestamp;
+
+// =============================================================================
+// EXPORT
+// =============================================================================
+
+const exportCharacter = (doc, characterId) => {
+  const target = getCharacterState(doc, characterId);
+  return {
+    id: characterId,
+    character: target.characterMap.toJSON(),
+    entries: getEntries(target),
+    summaries: target.summariesMap.toJSON(),
+    chronicle: target.chronicleMap.toJSON(),
+    codex: target.codexMap.toJSON(),
+    timeline: target.timelineMap.toJSON(),
+    // Conversations with the journal: { threadId: { thread, messages } }
+    chat: Object.fromEntries(getChatThreads(target).map(thread => [thread.id, { thread, messages: getChatMessages(target, thread.id) }])),
+    // Metadata of every attachment; bytes (base64) only for files kept in the journal
+    attachments: target.attachmentsMap.toJSON(),
+    attachmentData: Object.fromEntries(Array.from(target.attachmentDataMap.entries(), ([hash, bytes]) => [hash, bytesToBase64(bytes)]))
+  };
+};
+
+// Versioned JSON backup of every character in the journal (without API keys)
+export const buildBackup = (state) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  settings: omitKeys(state.settingsMap.toJSON(), isPrivateSetting),
+  characters: getCharacters(state).map(({ id }) => exportCharacter(state.ydoc, id))
+});
+
+const entryHeading = (entry, summaries) => {
+  const parsed = safeParseJSON(summaries[`entry:${entry.id}`]);
+  const title = parsed.success && parsed.data && typeof parsed.data.title === 'string' ? parsed.data.title.trim() : '';
+  return title || formatDate(entry.timestamp);
+};
+
+// Readable Markdown book: character sheet, story so far and entries in timestamp order
+export const buildMarkdownBook = (backup) => {
+  const sections = backup.characters.map(({ character, entries, summaries, chronicle }) => {
+    const lines = [`# ${character.name || 'Unnamed character'}`];
+    const tagline = [character.race, character.class].filter(Boolean).join(' • ');
+    if (tagline) lines.push('', `_${tagline}_`);
+    const sheet = summarizeCharacterSheet(character.sheet);
+    if (sheet) lines.push('', '## Character Sheet', '', ...sheet.split('\n').map(line => `- ${line}`));
+    if (character.backstory) lines.push('', '## Backstory', '', character.backstory);
+    if (character.notes) lines.push('', '## Notes', '', character.notes);
+    if (chronicle && chronicle.soFarSummary) lines.push('', '## The Adventure So Far', '', chronicle.soFarSummary);
+
+    lines.push('', '## Journal');
+    [...entries].sort(byTimestamp).forEach((entry) => {
+      const meta = [formatDate(entry.timestamp), ...formatEntryMetadata(entry)].join(' · ');
+      lines.push('', `### ${entryHeading(entry, summaries || {})}`, '', `_${meta}_`, '', entry.content);
+    });
+    return lines.join('\n');
+  });
+  return sections.join('\n\n---\n\n') + '\n';
+};
+
+// Full binary snapshot (Y.encodeStateAsUpdate) with API keys stripped from a copy
+export const buildYjsSnapshot = (state) => {
+  const copy = new Y.Doc();
+  try {
+    Y.applyUpdate(copy, Y.encodeStateAsUpdate(state.ydoc));
+    const settings = copy.getMap('settings');
+    Array.from(settings.keys()).filter(isPrivateSetting).forEach((key) => settings.delete(key));
+    return Y.encodeStateAsUpdate(copy);
+  } finally {
+    copy.destroy();
+  }
+};
+
+// =============================================================================
+// IMPORT
+// =============================================================================
+
+const normalizeTimestamp = (value, index) => {
+  const timestamp = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(timestamp)) {
+    throw new Error(`Entry ${index + 1} has an invalid timestamp`);
+  }
+  return timestamp;
+};
+
+// Entries keep unknown fields; title/subtitle/summary live in the summaries map instead
+const normalizeEntries = (entries) => {
+  if (!Array.isArray(entries)) throw new Error('Backup entries must be a list');
+  return entries.map((entry, index) => {
+    if (!isPlainObject(entry) || typeof entry.content !== 'string' || !entry.content.trim()) {
+      throw new Error(`Entry ${index + 1} has no content`);
+    }
+    const { title, subtitle, summary, ...rest } = entry;
+    return {
+      ...rest,
+      id: entry.id ? String(entry.id) : generateId(),
+      content: entry.content,
+      timestamp: normalizeTimestamp(entry.timestamp, index)
+    };
+  });
+};
+
+// Plain entry lists (e.g. mock-journal-entries.json) may carry their titles inline
+const summariesFromEntries = (rawEntries, entries) =>
+  Object.fromEntries(rawEntries
+    .map((raw, index) => [raw, entries[index]])
+    .filter(([raw]) => raw.title || raw.subtitle)
+    .map(([raw, entry]) => [`entry:${entry.id}`, JSON.stringify({ title: raw.title || '', subtitle: raw.subtitle || '' })]));
+
+const normalizeCharacter = (raw, index) => {
+  if (!isPlainObject(raw) || !raw.id) throw new Error(`Character ${index + 1} has no id`);
+  return {
+    id: String(raw.id),
+    character: isPlainObject(raw.character) ? raw.character : {},
+    entries: normalizeEntries(raw.entries || []),
+    summaries: isPlainObject(raw.summaries) ? raw.summaries : {},
+    chronicle: isPlainObject(raw.chronicle) ? raw.chronicle : null,
+    codex: isPlainObject(raw.codex) ? raw.codex : {},
+    timeline: isPlainObject(raw.timeline) ? raw.timeline : {},
+    chat: isPlainObject(raw.chat) ? raw.chat : {},
+    attachments: isPlainObject(raw.attachments) ? raw.attachments : {},
+    attachmentData: isPlainObject(raw.attachmentData) ? raw.attachmentData : {}
+  };
+};
+
+const parseYjsSnapshot = (bytes) => {
+  const doc = new Y.Doc();
+  try {
+    try {
+      Y.applyUpdate(doc, bytes);
+    } catch {
+      throw new Error('File is not a valid Yjs snapshot');
+    }
+    const backup = buildBackup(getCharacterState(doc, DEFAULT_CHARACTER_ID));
+    const hasData = backup.characters.some((c) => c.entries.length > 0 || Object.keys(c.character).length > 0);
+    if (!hasData) throw new Error('Snapshot contains no journal data');
+    return { complete: true, settings: backup.settings, characters: backup.characters };
+  } finally {
+    doc.destroy();
+  }
+};
+
+// Parse and validate an import file: Uint8Array for a Yjs snapshot, text for JSON.
+// Plain entry lists are imported into the given (active) character.
+// Returns { complete, settings, characters }; complete backups describe the whole journal.
+export const parseBackup = (input, targetCharacterId = DEFAULT_CHARACTER_ID) => {
+  if (input instanceof Uint8Array) return parseYjsSnapshot(input);
+
+  const parsed = safeParseJSON(input);
+  if (!parsed.success) throw new Error('File is not valid JSON');
+  const data = parsed.data;
+
+  if (Array.isArray(data) || (isPlainObject(data) && !data.format && Array.isArray(data.entries))) {
+    const rawEntries = Array.isArray(data) ? data : data.entries;
+    const entries = normalizeEntries(rawEntries);
+    return {
+      complete: false,
+      settings: {},
+      characters: [{
+        id: targetCharacterId,
+        character: {},
+        entries,
+        summaries: summariesFromEntries(rawEntries, entries),
+        chronicle: null,
+        codex: {},
+        timeline: {},
+        chat: {},
+        attachments: {},
+        attachmentData: {}
+      }]
+    };
+  }
+
+  if (!isPlainObject(data) || data.format !== BACKUP_FORMAT) {
+    throw new Error('Unrecognized backup file');
+  }
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${data.version}`);
+  }
+  if (!Array.isArray(data.characters)) throw new Error('Backup has no characters');
+
+  return {
+    complete: true,
+    settings: isPlainObject(data.settings) ? data.settings : {},
+    characters: data.characters.map(normalizeCharacter)
+  };
+};
+
+// Compare a parsed backup with the current journal for the import preview
+export const diffBackup = (state, backup) => {
+  const localCharacters = getCharacters(state);
+  const importedIds = backup.characters.map((c) => c.id);
+
+  const characters = backup.characters.map((imported) => {
+    const local = getCharacterState(state.ydoc, imported.id);
+    const localCharacter = local.characterMap.toJSON();
+    const localEntries = new Map(getEntries(local).map((entry) => [entry.id, entry]));
+    const importedEntryIds = new Set(imported.entries.map((entry) => entry.id));
+
+    const newEntries = imported.entries.filter((entry) => !localEntries.has(entry.id)).length;
+    const changedEntries = imported.entries.filter((entry) =>
+      localEntries.has(entry.id) && localEntries.get(entry.id).content !== entry.content).length;
+
+    return {
+      id: imported.id,
+      name: imported.character.name || localCharacter.name || '',
+      isNew: !localCharacters.some((c) => c.id === imported.id),
+      newEntries,
+      changedEntries,
+      unchangedEntries: imported.entries.length - newEntries - changedEntries,
+      localOnlyEntries: [...localEntries.keys()].filter((id) => !importedEntryIds.has(id)).length,
+      changedFields: Object.keys(imported.character)
+        .filter((field) => !isEqual(imported.character[field], localCharacter[field]))
+    };
+  });
+
+  const localSettings = state.settingsMap.toJSON();
+  return {
+    characters,
+    changedSettings: Object.keys(backup.settings)
+      .filter((key) => !isProtectedSetting(key) && !isEqual(backup.settings[key], localSettings[key])),
+    removedCharacters: backup.complete
+      ? localCharacters.filter((c) => !importedIds.includes(c.id)).map((c) => c.name)
+      : []
+  };
+};
+
+const clearCharacter = (target) => {
+  target.characterMap.clear();
+  if (target.journalArray.length > 0) target.journalArray.delete(0, target.journalArray.length);
+  target.summariesMap.clear();
+  target.questionsMap.clear();
+  target.chronicleMap.clear();
+  target.historyMap.clear();
+  target.entryTextMap.clear();
+  target.codexMap.clear();
+  target.timelineMap.clear();
+  target.chatThreadsMap.clear();
+  target.chatMessagesMap.clear();
+  target.jobsMap.clear();
+  target.attachmentsMap.clear();
+  target.attachmentDataMap.clear();
+};
+
+const importChronicle = (target, chronicle) => {
+  const parts = isPlainObject(chronicle.parts) ? chronicle.parts : {};
+  Object.entries(parts).forEach(([index, part]) => {
+    if (!isPlainObject(part)) return;
+    setChroniclePartTitle(target, index, part.title);
+    setChroniclePartSummary(target, index, part.summary);
+    setChroniclePartEntries(target, index, Array.isArray(part.entries) ? part.entries : []);
+  });
+  setChronicleLatestPartIndex(target, chronicle.latestPartIndex || 0);
+  setChronicleSoFarSummary(target, chronicle.soFarSummary);
+  setChronicleRecentSummary(target, chronicle.recentSummary);
+  // How parts are formed, so new parts close the same way they did before
+  if (chronicle.grouping) setChronicleGrouping(target, chronicle.grouping);
+  if (chronicle.partSize) setPartSize(target, chronicle.partSize);
+  if (isPlainObject(chronicle.breaks)) Object.keys(chronicle.breaks).forEach(entryId => setChronicleBreak(target, entryId, true));
+};
+
+// Merge keeps local data on conflicts and only adds what is missing;
+// replace makes the imported characters match the backup exactly.
+const importCharacter = (state, imported, replace) => {
+  if (imported.id !== DEFAULT_CHARACTER_ID && !state.rosterMap.has(imported.id)) {
+    state.rosterMap.set(imported.id, { id: imported.id, createdAt: Date.now() });
+  }
+
+  const target = getCharacterState(state.ydoc, imported.id);
+  if (replace) clearCharacter(target);
+
+  Object.entries(imported.character).forEach(([field, value]) => {
+    if (!replace && target.characterMap.get(field)) return;
+    // The sheet is rebuilt as nested Yjs types so its fields keep merging separately
+    if (field === 'sheet') {
+      replaceCharacterSheet(target, value);
+    } else {
+      target.characterMap.set(field, value);
+    }
+  });
+
+  const existingIds = new Set(getEntries(target).map((entry) => entry.id));
+  const newEntries = imported.entries.filter((entry) => !existingIds.has(entry.id)).sort(byTimestamp);
+  if (newEntries.length > 0) target.journalArray.push(newEntries);
+  newEntries.forEach((entry) => ensureEntryText(target, entry));
+
+  Object.entries(imported.summaries).forEach(([key, value]) => {
+    if (replace || !target.summariesMap.has(key)) target.summariesMap.set(key, value);
+  });
+
+  Object.entries(imported.codex || {}).forEach(([id, entity]) => {
+    if (isPlainObject(entity) && (replace || !target.codexMap.has(id))) target.codexMap.set(id, entity);
+  });
+
+  Object.entries(imported.timeline || {}).forEach(([id, snapshot]) => {
+    if (isPlainObject(snapshot) && (replace || !target.timelineMap.has(id))) target.timelineMap.set(id, snapshot);
+  });
+
+  Object.entries(imported.chat || {}).forEach(([id, conversation]) => {
+    if (!isPlainObject(conversation) || !isPlainObject(conversation.thread) || conversation.thread.id !== id) return;
+    if (!replace && target.chatThreadsMap.has(id)) return;
+    replaceChatThread(target, conversation.thread, (Array.isArray(conversation.messages) ? conversation.messages : []).filter(isPlainObject));
+  });
+
+  Object.entries(imported.attachmentData || {}).forEach(([hash, base64]) => {
+    if (typeof base64 === 'string' && !target.attachmentDataMap.has(hash)) target.attachmentDataMap.set(hash, base64ToBytes(base64));
+  });
+  Object.entries(imported.attachments || {}).forEach(([id, attachment]) => {
+    if (isPlainObject(attachment) && (replace || !target.attachmentsMap.has(id))) target.attachmentsMap.set(id, attachment);
+  });
+
+  // The chronicle is derived data: merged journals rebuild it, replaced ones restore it
+  if (replace && imported.chronicle) importChronicle(target, imported.chronicle);
+};
+
+// Apply a parsed backup in 'merge' or 'replace' mode
+export const applyBackup = (state, backup, mode = 'merge') => {
+  const replace = mode === 'replace';
+
+  // One undo step for the whole import
+  transactLocalEdit(state, () => {
+    if (replace && backup.complete) {
+      const importedIds = backup.characters.map((c) => c.id);
+      getCharacters(state)
+        .filter((c) => !importedIds.includes(c.id))
+        .forEach((c) => removeCharacter(state, c.id));
+    }
+
+    backup.characters.forEach((imported) => importCharacter(state, imported, replace));
+
+    Object.entries(omitKeys(backup.settings, isProtectedSetting)).forEach(([key, value]) => {
+      if (replace || !state.settingsMap.has(key)) state.settingsMap.set(key, value);
+    });
+  });
+};
@@ -0,0 +1,181 @@
+// Character Changes - What changed between two snapshots of a character: level ups, gear, proficiencies, goals
+// Pure functions: no state or DOM access
+import { ABILITIES, SKILLS, summarizeCharacterSheet } from './character-sheet.js';
+import { diffWords } from './entry-history.js';
+
+// Fields copied into a snapshot; see pickCharacterSnapshot
+export const CHARACTER_SNAPSHOT_FIELDS = ['name', 'race', 'class', 'backstory', 'notes', 'sheet'];
+
+const TEXT_FIELDS = [
+  { field: 'name', label: 'Name' },
+  { field: 'race', label: 'Race' },
+  { field: 'class', label: 'Class' }
+];
+const LONG_FIELDS = [
+  { field: 'backstory', label: 'Backstory' },
+  { field: 'notes', label: 'Notes' }
+];
+
+// Sheet values worth a timeline entry. Current and temporary HP and used spell slots change every
+// fight, so they are left out.
+const SHEET_VALUES = [
+  { field: 'level', label: 'Level', path: ['level'] },
+  { field: 'armorClass', label: 'AC', path: ['armorClass'] },
+  { field: 'hpMax', label: 'Max HP', path: ['hp', 'max'] },
+  { field: 'speed', label: 'Speed', path: ['speed'], unit: ' ft' },
+  ...ABILITIES.map(ability => ({ field: `ability:${ability.id}`, label: ability.short, path: ['abilities', ability.id] })),
+  { field: 'gold', label: 'Gold', path: ['gold'], unit: ' gp' }
+];
+
+const QUOTE_LENGTH = 80;
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+const readPath = (object, path) => path.reduce((value, key) => (isPlainObject(value) ? value[key] : undefined), object) ?? null;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim() : '');
+
+const getProficiencyLabel = (id) => {
+  if (id.startsWith('save:')) {
+    const ability = ABILITIES.find(a => `save:${a.id}` === id);
+    return ability ? `${ability.short} saving throws` : id;
+  }
+  return SKILLS.find(skill => skill.id === id)?.label || id;
+};
+
+// Total quantity per item name (case-insensitive), keeping the name as last written
+const countByName = (items, quantityOf) => {
+  const counts = new Map();
+  (Array.isArray(items) ? items : []).forEach((item) => {
+    const name = cleanText(item?.name);
+    if (!name) return;
+    const key = name.toLowerCase();
+    const previous = counts.get(key);
+    counts.set(key, { name, quantity: (previous?.quantity || 0) + quantityOf(item) });
+  });
+  return counts;
+};
+
+// The part of a character kept in a snapshot, as plain JSON
+export const pickCharacterSnapshot = (character = {}) => {
+  const snapshot = {};
+  CHARACTER_SNAPSHOT_FIELDS.forEach((field) => {
+    const value = character?.[field];
+    if (field === 'sheet') {
+      if (isPlainObject(value)) snapshot.sheet = JSON.parse(JSON.stringify(value));
+    } else if (cleanText(value)) {
+      snapshot[field] = cleanText(value);
+    }
+  });
+  return snapshot;
+};
+
+// Changes from `before` to `after`, in reading order:
+// { field, label, from, to } for values, { field, label, added, removed } for long texts and
+// { field: 'proficiency' | 'item' | 'spell', kind: 'gained' | 'lost' | 'changed', label, from?, to? } for lists
+export const diffCharacters = (before = {}, after = {}) => {
+  const changes = [];
+
+  TEXT_FIELDS.forEach(({ field, label }) => {
+    const from = cleanText(before?.[field]);
+    const to = cleanText(after?.[field]);
+    if (from !== to) changes.push({ field, label, from, to });
+  });
+
+  const sheetBefore = isPlainObject(before?.sheet) ? before.sheet : {};
+  const sheetAfter = isPlainObject(after?.sheet) ? after.sheet : {};
+  SHEET_VALUES.forEach(({ field, label, path, unit }) => {
+    const from = readPath(sheetBefore, path);
+    const to = readPath(sheetAfter, path);
+    if (from !== to) changes.push({ field, label, from, to, ...(unit ? { unit } : {}) });
+  });
+  const abilityBefore = sheetBefore.spellcastingAbility || null;
+  const abilityAfter = sheetAfter.spellcastingAbility || null;
+  if (abilityBefore !== abilityAfter) {
+    const short = (id) => ABILITIES.find(a => a.id === id)?.short || null;
+    changes.push({ field: 'spellcastingAbility', label: 'Spellcasting ability', from: short(abilityBefore), to: short(abilityAfter) });
+  }
+
+  const proficient = (sheet) => Object.keys(sheet.proficiencies || {}).filter(id => sheet.proficiencies[id]);
+  const proficientBefore = proficient(sheetBefore);
+  const proficientAfter = proficient(sheetAfter);
+  proficientAfter.filter(id => !proficientBefore.includes(id))
+    .forEach(id => changes.push({ field: 'proficiency', kind: 'gained', label: getProficiencyLabel(id) }));
+  proficientBefore.filter(id => !proficientAfter.includes(id))
+    .forEach(id => changes.push({ field: 'proficiency', kind: 'lost', label: getProficiencyLabel(id) }));
+
+  const itemsBefore = countByName(sheetBefore.inventory, item => item.quantity ?? 1);
+  const itemsAfter = countByName(sheetAfter.inventory, item => item.quantity ?? 1);
+  itemsAfter.forEach(({ name, quantity }, key) => {
+    const previous = itemsBefore.get(key);
+    if (!previous) {
+      changes.push({ field: 'item', kind: 'gained', label: name, to: quantity });
+    } else if (previous.quantity !== quantity) {
+      changes.push({ field: 'item', kind: 'changed', label: name, from: previous.quantity, to: quantity });
+    }
+  });
+  itemsBefore.forEach(({ name }, key) => {
+    if (!itemsAfter.has(key)) changes.push({ field: 'item', kind: 'lost', label: name });
+  });
+
+  const spellsBefore = countByName(sheetBefore.spells, () => 1);
+  const spellsAfter = countByName(sheetAfter.spells, () => 1);
+  spellsAfter.forEach(({ name }, key) => {
+    if (!spellsBefore.has(key)) changes.push({ field: 'spell', kind: 'gained', label: name });
+  });
+  spellsBefore.forEach(({ name }, key) => {
+    if (!spellsAfter.has(key)) changes.push({ field: 'spell', kind: 'lost', label: name });
+  });
+
+  LONG_FIELDS.forEach(({ field, label }) => {
+    const from = cleanText(before?.[field]);
+    const to = cleanText(after?.[field]);
+    if (from === to) return;
+    const parts = diffWords(from, to);
+    const joined = (type) => parts.filter(part => part.type === type).map(part => part.text.trim()).filter(Boolean).join(' … ');
+    changes.push({ field, label, added: joined('added'), removed: joined('removed') });
+  });
+
+  return changes;
+};
+
+const quote = (text) => `“${text.length > QUOTE_LENGTH ? `${text.slice(0, QUOTE_LENGTH - 1).trimEnd()}…` : text}”`;
+
+// One short line per change, e.g. 'Level 4 → 5', 'Gained Longsword', 'Now proficient in Stealth'
+export const describeCharacterChange = (change) => {
+  const { field, label, kind, from, to } = change;
+  if (field === 'proficiency') return kind === 'gained' ? `Now proficient in ${label}` : `No longer proficient in ${label}`;
+  if (field === 'spell') return kind === 'gained' ? `Learned ${label}` : `Forgot ${label}`;
+  if (field === 'item') {
+    if (kind === 'gained') return `Gained ${label}${to > 1 ? ` ×${to}` : ''}`;
+    if (kind === 'lost') return `Lost ${label}`;
+    return `${label} ×${from} → ×${to}`;
+  }
+  if (LONG_FIELDS.some(long => long.field === field)) {
+    if (change.added) return `${label} updated: ${quote(change.added)}`;
+    return change.removed ? `${label} updated: removed ${quote(change.removed)}` : `${label} updated`;
+  }
+  const format = (value) => `${value}${change.unit || ''}`;
+  if (from === null || from === '') return `${label} ${format(to)}`;
+  if (to === null || to === '') return `${label} cleared (was ${format(from)})`;
+  return `${label} ${format(from)} → ${format(to)}`;
+};
+
+export const isLevelUp = (changes = []) =>
+  changes.some(change => change.field === 'level' && Number.isFinite(change.from) && change.to > change.from);
+
+// 'Session 5' when the snapshot follows an entry with a session number
+export const getSnapshotLabel = (snapshot) => {
+  if (snapshot?.baseline) return 'Before the timeline';
+  if (snapshot?.session) return `Session ${snapshot.session}`;
+  return snapshot?.entryId ? 'After a journal entry' : 'Before the first entry';
+};
+
+// Who the character was at a snapshot: the identity line and the sheet summary
+export const describeCharacterAt = (character = {}) => {
+  let identity = character?.name || 'Unnamed adventurer';
+  if (character?.race) identity += ` (${character.race})`;
+  if (character?.class) identity += ` - ${character.class}`;
+  const sheet = summarizeCharacterSheet(character?.sheet);
+  return sheet ? [identity, ...sheet.split('\n')] : [identity];
+};
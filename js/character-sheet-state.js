@@ -0,0 +1,119 @@
+// Character Sheet State Helpers - 5e sheet as nested Yjs types under the character map's 'sheet' key.
+// Every field, ability and list item is its own Y value, so two devices editing different parts of
+// the sheet merge instead of overwriting each other.
+import * as Y from 'yjs';
+import { transactLocalEdit } from './yjs-origins.js';
+
+// Lists of items ({ id, ... }) and the maps inside the sheet
+export const CHARACTER_SHEET_LISTS = ['inventory', 'spells'];
+const SHEET_MAPS = ['hp', 'abilities', 'proficiencies', 'spellSlots'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Plain JSON to (not yet integrated) Yjs types: objects become Y.Maps and arrays Y.Arrays
+const toYType = (value) => {
+  if (Array.isArray(value)) {
+    const array = new Y.Array();
+    array.push(value.map(toYType));
+    return array;
+  }
+  if (isPlainObject(value)) {
+    const map = new Y.Map();
+    Object.entries(value).forEach(([key, item]) => map.set(key, toYType(item)));
+    return map;
+  }
+  return value;
+};
+
+// Sheet changes are the player's edits, so they can be undone
+const transact = transactLocalEdit;
+
+// The sheet map with all nested types in place; a plain object (e.g. from an old backup) is converted
+export const ensureCharacterSheet = (state) => {
+  const character = state.characterMap;
+  let sheet = character.get('sheet');
+  if (!(sheet instanceof Y.Map)) {
+    sheet = toYType(isPlainObject(sheet) ? sheet : {});
+    character.set('sheet', sheet);
+  }
+  SHEET_MAPS.forEach((field) => {
+    if (!(sheet.get(field) instanceof Y.Map)) sheet.set(field, toYType(isPlainObject(sheet.get(field)) ? sheet.get(field) : {}));
+  });
+  CHARACTER_SHEET_LISTS.forEach((field) => {
+    if (!(sheet.get(field) instanceof Y.Array)) sheet.set(field, toYType(Array.isArray(sheet.get(field)) ? sheet.get(field) : []));
+  });
+  return sheet;
+};
+
+// Plain JSON copy of the sheet ({} before anything was entered)
+export const getCharacterSheet = (state) => {
+  const sheet = state.characterMap.get('sheet');
+  if (sheet instanceof Y.Map) return sheet.toJSON();
+  return isPlainObject(sheet) ? sheet : {};
+};
+
+// path: ['level'], ['hp', 'current'], ['abilities', 'str'], ['proficiencies', 'stealth'], ['spellSlots', '3', 'max'].
+// null or undefined removes the value.
+export const setCharacterSheetValue = (state, path, value) => {
+  transact(state, () => {
+    let map = ensureCharacterSheet(state);
+    path.slice(0, -1).forEach((key) => {
+      let next = map.get(String(key));
+      if (!(next instanceof Y.Map)) {
+        next = new Y.Map();
+        map.set(String(key), next);
+      }
+      map = next;
+    });
+    const key = String(path[path.length - 1]);
+    if (value === null || value === undefined) {
+      map.delete(key);
+    } else {
+      map.set(key, value);
+    }
+  });
+};
+
+const findItemIndex = (list, itemId) => list.toArray().findIndex(item => item instanceof Y.Map && item.get('id') === itemId);
+
+export const addCharacterSheetItem = (state, list, item) => {
+  if (!CHARACTER_SHEET_LISTS.includes(list)) return;
+  transact(state, () => {
+    ensureCharacterSheet(state).get(list).push([toYType(item)]);
+  });
+};
+
+// Fields set to null or undefined are removed from the item
+export const updateCharacterSheetItem = (state, list, itemId, updates) => {
+  if (!CHARACTER_SHEET_LISTS.includes(list)) return;
+  transact(state, () => {
+    const items = ensureCharacterSheet(state).get(list);
+    const index = findItemIndex(items, itemId);
+    if (index === -1) return;
+    const item = items.get(index);
+    Object.entries(updates).forEach(([field, value]) => {
+      if (value === null || value === undefined) {
+        item.delete(field);
+      } else {
+        item.set(field, value);
+      }
+    });
+  });
+};
+
+export const removeCharacterSheetItem = (state, list, itemId) => {
+  if (!CHARACTER_SHEET_LISTS.includes(list)) return;
+  transact(state, () => {
+    const items = ensureCharacterSheet(state).get(list);
+    const index = findItemIndex(items, itemId);
+    if (index !== -1) items.delete(index, 1);
+  });
+};
+
+// Replace the whole sheet from plain JSON (backup import)
+export const replaceCharacterSheet = (state, sheet) => {
+  transact(state, () => {
+    state.characterMap.set('sheet', toYType(isPlainObject(sheet) ? sheet : {}));
+    ensureCharacterSheet(state);
+  });
+};
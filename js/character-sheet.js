@@ -0,0 +1,196 @@
+// Character Sheet - 5e rules for the structured sheet: modifiers, proficiency, input parsing and a summary for the AI
+// Pure helpers: no state, usable from views
+
+export const ABILITIES = [
+  { id: 'str', label: 'Strength', short: 'STR' },
+  { id: 'dex', label: 'Dexterity', short: 'DEX' },
+  { id: 'con', label: 'Constitution', short: 'CON' },
+  { id: 'int', label: 'Intelligence', short: 'INT' },
+  { id: 'wis', label: 'Wisdom', short: 'WIS' },
+  { id: 'cha', label: 'Charisma', short: 'CHA' }
+];
+
+const ABILITY_IDS = ABILITIES.map(ability => ability.id);
+
+export const SKILLS = [
+  { id: 'acrobatics', label: 'Acrobatics', ability: 'dex' },
+  { id: 'animal-handling', label: 'Animal Handling', ability: 'wis' },
+  { id: 'arcana', label: 'Arcana', ability: 'int' },
+  { id: 'athletics', label: 'Athletics', ability: 'str' },
+  { id: 'deception', label: 'Deception', ability: 'cha' },
+  { id: 'history', label: 'History', ability: 'int' },
+  { id: 'insight', label: 'Insight', ability: 'wis' },
+  { id: 'intimidation', label: 'Intimidation', ability: 'cha' },
+  { id: 'investigation', label: 'Investigation', ability: 'int' },
+  { id: 'medicine', label: 'Medicine', ability: 'wis' },
+  { id: 'nature', label: 'Nature', ability: 'int' },
+  { id: 'perception', label: 'Perception', ability: 'wis' },
+  { id: 'performance', label: 'Performance', ability: 'cha' },
+  { id: 'persuasion', label: 'Persuasion', ability: 'cha' },
+  { id: 'religion', label: 'Religion', ability: 'int' },
+  { id: 'sleight-of-hand', label: 'Sleight of Hand', ability: 'dex' },
+  { id: 'stealth', label: 'Stealth', ability: 'dex' },
+  { id: 'survival', label: 'Survival', ability: 'wis' }
+];
+
+export const SPELL_LEVELS = [1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+// Saving throw proficiencies share the proficiencies map with skills
+export const getSaveProficiencyId = (ability) => `save:${ability}`;
+
+// Bounds for the numeric fields, by the first part of their path
+const NUMBER_BOUNDS = {
+  level: { min: 1, max: 20 },
+  armorClass: { min: 0, max: 50 },
+  speed: { min: 0, max: 500 },
+  gold: { min: 0, max: 10000000 },
+  hp: { min: 0, max: 9999 },
+  abilities: { min: 1, max: 30 },
+  spellSlots: { min: 0, max: 9 }
+};
+
+const toInteger = (value, { min, max }) => {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : null;
+};
+
+export const getAbilityModifier = (score) => Math.floor(((Number.isFinite(score) ? score : 10) - 10) / 2);
+
+export const getProficiencyBonus = (level) => 2 + Math.floor((Math.min(20, Math.max(1, level || 1)) - 1) / 4);
+
+export const formatModifier = (value) => (value >= 0 ? `+${value}` : String(value));
+
+const ordinal = (level) => ({ 1: '1st', 2: '2nd', 3: '3rd' }[level] || `${level}th`);
+
+// Value to store for an edited field (see setCharacterSheetValue); null removes it
+export const parseSheetInput = (path, value) => {
+  const [field] = path;
+  if (field === 'proficiencies') return value ? true : null;
+  if (field === 'spellcastingAbility') return ABILITY_IDS.includes(value) ? value : null;
+  if (NUMBER_BOUNDS[field]) return toInteger(value, NUMBER_BOUNDS[field]);
+  return null;
+};
+
+// Item fields for the inventory or spell list, or null when the item has no name
+export const parseSheetItem = (list, fields = {}) => {
+  const name = String(fields.name || '').trim();
+  if (!name) return null;
+  if (list === 'spells') {
+    return { name, level: toInteger(fields.level, { min: 0, max: 9 }) ?? 0, prepared: Boolean(fields.prepared) };
+  }
+  return { name, quantity: toInteger(fields.quantity, { min: 0, max: 9999 }) ?? 1, equipped: Boolean(fields.equipped) };
+};
+
+// Whether anything was entered; a sheet that only has empty maps and lists counts as empty
+export const hasCharacterSheetData = (sheet) => {
+  const hasValue = (value) => {
+    if (Array.isArray(value)) return value.length > 0;
+    if (value && typeof value === 'object') return Object.values(value).some(hasValue);
+    return value !== null && value !== undefined && value !== '' && value !== false;
+  };
+  return hasValue(sheet || {});
+};
+
+// Sheet with defaults filled in and everything the rules derive from it
+export const computeCharacterSheet = (raw = {}) => {
+  const sheet = raw && typeof raw === 'object' ? raw : {};
+  const level = toInteger(sheet.level, NUMBER_BOUNDS.level) || 1;
+  const proficiencyBonus = getProficiencyBonus(level);
+  const proficiencies = sheet.proficiencies || {};
+  const isProficient = (id) => Boolean(proficiencies[id]);
+
+  const abilities = ABILITIES.map((ability) => {
+    const score = toInteger(sheet.abilities?.[ability.id], NUMBER_BOUNDS.abilities) ?? 10;
+    const modifier = getAbilityModifier(score);
+    const saveProficient = isProficient(getSaveProficiencyId(ability.id));
+    return { ...ability, score, modifier, saveProficient, save: modifier + (saveProficient ? proficiencyBonus : 0) };
+  });
+  const modifierOf = (abilityId) => abilities.find(ability => ability.id === abilityId).modifier;
+
+  const skills = SKILLS.map((skill) => {
+    const proficient = isProficient(skill.id);
+    return { ...skill, proficient, bonus: modifierOf(skill.ability) + (proficient ? proficiencyBonus : 0) };
+  });
+
+  const spellcastingAbility = ABILITY_IDS.includes(sheet.spellcastingAbility) ? sheet.spellcastingAbility : '';
+  const spellSlots = SPELL_LEVELS.map((spellLevel) => {
+    const slot = sheet.spellSlots?.[spellLevel] || {};
+    const max = toInteger(slot.max, NUMBER_BOUNDS.spellSlots) ?? 0;
+    return { level: spellLevel, max, used: Math.min(max, toInteger(slot.used, NUMBER_BOUNDS.spellSlots) ?? 0) };
+  });
+  const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || ''));
+
+  return {
+    level,
+    proficiencyBonus,
+    armorClass: toInteger(sheet.armorClass, NUMBER_BOUNDS.armorClass),
+    speed: toInteger(sheet.speed, NUMBER_BOUNDS.speed),
+    gold: toInteger(sheet.gold, NUMBER_BOUNDS.gold),
+    hp: {
+      current: toInteger(sheet.hp?.current, NUMBER_BOUNDS.hp),
+      max: toInteger(sheet.hp?.max, NUMBER_BOUNDS.hp),
+      temp: toInteger(sheet.hp?.temp, NUMBER_BOUNDS.hp)
+    },
+    abilities,
+    skills,
+    initiative: modifierOf('dex'),
+    passivePerception: 10 + skills.find(skill => skill.id === 'perception').bonus,
+    spellcastingAbility,
+    spellSaveDC: spellcastingAbility ? 8 + proficiencyBonus + modifierOf(spellcastingAbility) : null,
+    spellAttackBonus: spellcastingAbility ? proficiencyBonus + modifierOf(spellcastingAbility) : null,
+    spellSlots,
+    inventory: (Array.isArray(sheet.inventory) ? sheet.inventory : []).filter(item => item && item.id),
+    spells: (Array.isArray(sheet.spells) ? sheet.spells : []).filter(spell => spell && spell.id)
+      .sort((a, b) => (a.level || 0) - (b.level || 0) || byName(a, b))
+  };
+};
+
+// A few lines for the AI prompt: what the character can actually do. Empty for an empty sheet.
+export const summarizeCharacterSheet = (raw) => {
+  if (!hasCharacterSheetData(raw)) return '';
+  const sheet = computeCharacterSheet(raw);
+  const lines = [];
+
+  const core = [`Level ${sheet.level} (proficiency ${formatModifier(sheet.proficiencyBonus)})`];
+  if (sheet.hp.max !== null || sheet.hp.current !== null) {
+    const temp = sheet.hp.temp ? ` +${sheet.hp.temp} temporary` : '';
+    core.push(`HP ${sheet.hp.current ?? sheet.hp.max}/${sheet.hp.max ?? '?'}${temp}`);
+  }
+  if (sheet.armorClass !== null) core.push(`AC ${sheet.armorClass}`);
+  if (sheet.speed !== null) core.push(`Speed ${sheet.speed} ft`);
+  core.push(`Initiative ${formatModifier(sheet.initiative)}`);
+  lines.push(core.join(' · '));
+
+  lines.push(`Abilities: ${sheet.abilities.map(a => `${a.short} ${a.score} (${formatModifier(a.modifier)})`).join(', ')}`);
+
+  const saves = sheet.abilities.filter(a => a.saveProficient);
+  if (saves.length > 0) lines.push(`Saving throw proficiencies: ${saves.map(a => `${a.short} ${formatModifier(a.save)}`).join(', ')}`);
+  const skills = sheet.skills.filter(skill => skill.proficient);
+  const skillText = skills.length > 0 ? `Skill proficiencies: ${skills.map(s => `${s.label} ${formatModifier(s.bonus)}`).join(', ')}; ` : '';
+  lines.push(`${skillText}Passive Perception ${sheet.passivePerception}`);
+
+  const slots = sheet.spellSlots.filter(slot => slot.max > 0);
+  if (sheet.spellcastingAbility) {
+    const ability = ABILITIES.find(a => a.id === sheet.spellcastingAbility).short;
+    const slotText = slots.length > 0 ? `; slots left ${slots.map(s => `${ordinal(s.level)} ${s.max - s.used}/${s.max}`).join(', ')}` : '';
+    lines.push(`Spellcasting (${ability}): save DC ${sheet.spellSaveDC}, attack ${formatModifier(sheet.spellAttackBonus)}${slotText}`);
+  } else if (slots.length > 0) {
+    lines.push(`Spell slots left: ${slots.map(s => `${ordinal(s.level)} ${s.max - s.used}/${s.max}`).join(', ')}`);
+  }
+  if (sheet.spells.length > 0) {
+    lines.push(`Spells: ${sheet.spells.map(spell => {
+      const details = [spell.level ? ordinal(spell.level) : 'cantrip', ...(spell.prepared ? ['prepared'] : [])];
+      return `${spell.name} (${details.join(', ')})`;
+    }).join(', ')}`);
+  }
+
+  const items = sheet.inventory.map(item => {
+    const quantity = item.quantity > 1 ? ` ×${item.quantity}` : '';
+    return `${item.name}${quantity}${item.equipped ? ' (equipped)' : ''}`;
+  });
+  if (sheet.gold) items.push(`${sheet.gold} gp`);
+  if (items.length > 0) lines.push(`Inventory: ${items.join(', ')}`);
+
+  return lines.join('\n');
+};
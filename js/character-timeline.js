@@ -0,0 +1,144 @@
+// Character Timeline - Snapshots of the character after each change, linked to the journal entry they followed,
+// so level ups, new gear and rewritten goals stay visible after the character is edited
+import {
+  getYjsState,
+  getCharacterData,
+  getEntries,
+  getCharacterSnapshots,
+  setCharacterSnapshot,
+  deleteCharacterSnapshot,
+  getDeviceInfo,
+  transactLocalEdit
+} from './yjs.js';
+import { generateId, formatDate } from './utils.js';
+import { getEntryMetadataDefaults } from './entry-metadata.js';
+import {
+  pickCharacterSnapshot,
+  diffCharacters,
+  describeCharacterChange,
+  describeCharacterAt,
+  getSnapshotLabel,
+  isLevelUp
+} from './character-changes.js';
+
+// Compare option for the live character
+export const CURRENT_CHARACTER_ID = 'current';
+
+// How many snapshots of changes the AI sees
+const AI_CHANGE_LIMIT = 5;
+
+// Where in the story a change happens: after the latest entry, in the session it belongs to
+const getStoryPoint = (state) => {
+  const entries = getEntries(state);
+  const latest = entries.reduce((found, entry) => (!found || (entry.timestamp || 0) >= (found.timestamp || 0) ? entry : found), null);
+  if (!latest) return {};
+  const { session } = getEntryMetadataDefaults(entries);
+  return { entryId: latest.id, ...(session ? { session } : {}) };
+};
+
+// Part of the character edit, so undoing the edit drops its snapshot too
+const transact = transactLocalEdit;
+
+// Record the character as it is now, after an edit. `previousCharacter` is the character before the
+// edit; the first recorded change keeps it as a baseline so there is something to compare with.
+// Edits made before the next entry is written update the same snapshot. Returns the snapshot, or null
+// when nothing that the timeline tracks has changed.
+export const recordCharacterSnapshot = (previousCharacter = null, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (!state.timelineMap) return null;
+  const character = pickCharacterSnapshot(getCharacterData(state));
+  const point = getStoryPoint(state);
+  const snapshots = getCharacterSnapshots(state);
+  const latest = snapshots[snapshots.length - 1] || null;
+  const sameStoryPoint = Boolean(latest) && !latest.baseline && latest.entryId === point.entryId;
+
+  let before;
+  if (sameStoryPoint) {
+    before = snapshots.length > 1 ? snapshots[snapshots.length - 2].character : {};
+  } else {
+    before = latest ? latest.character : pickCharacterSnapshot(previousCharacter || {});
+  }
+  const changes = diffCharacters(before, character);
+
+  let recorded = null;
+  transact(state, () => {
+    if (changes.length === 0) {
+      // Changed back within the same story point: the snapshot no longer marks a change
+      if (sameStoryPoint) deleteCharacterSnapshot(state, latest.id);
+      return;
+    }
+    const now = Date.now();
+    if (!latest && diffCharacters({}, before).length > 0) {
+      setCharacterSnapshot(state, { id: `snapshot-${generateId()}`, timestamp: now, character: before, baseline: true });
+    }
+    recorded = {
+      id: sameStoryPoint ? latest.id : `snapshot-${generateId()}`,
+      timestamp: now,
+      ...point,
+      character,
+      device: getDeviceInfo(state)
+    };
+    setCharacterSnapshot(state, recorded);
+  });
+  return recorded;
+};
+
+// Newest first, each with what changed since the snapshot before it:
+// [{ id, label, date, entryId, href, levelUp, changes: ['Level 4 → 5', ...], baseline }]
+export const getCharacterTimeline = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const snapshots = getCharacterSnapshots(state);
+  return snapshots.map((snapshot, index) => {
+    const changes = snapshot.baseline ? [] : diffCharacters(index > 0 ? snapshots[index - 1].character : {}, snapshot.character);
+    return {
+      id: snapshot.id,
+      label: getSnapshotLabel(snapshot),
+      date: formatDate(snapshot.timestamp),
+      entryId: snapshot.entryId || null,
+      href: snapshot.entryId ? `/#entry-${encodeURIComponent(snapshot.entryId)}` : null,
+      levelUp: isLevelUp(changes),
+      baseline: Boolean(snapshot.baseline),
+      changes: changes.map(describeCharacterChange)
+    };
+  }).reverse();
+};
+
+// Snapshots to compare, oldest first, and the live character last
+export const getCompareOptions = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  return [
+    ...getCharacterSnapshots(state).map(snapshot => ({ id: snapshot.id, label: `${getSnapshotLabel(snapshot)} · ${formatDate(snapshot.timestamp)}` })),
+    { id: CURRENT_CHARACTER_ID, label: 'Now' }
+  ];
+};
+
+const getCharacterAt = (state, snapshotId) => {
+  if (snapshotId === CURRENT_CHARACTER_ID) return pickCharacterSnapshot(getCharacterData(state));
+  return getCharacterSnapshots(state).find(snapshot => snapshot.id === snapshotId)?.character || null;
+};
+
+// The character as of two points in the timeline and what changed between them, or null for unknown ids
+export const compareCharacterSnapshots = (fromId, toId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const from = getCharacterAt(state, fromId);
+  const to = getCharacterAt(state, toId);
+  if (!from || !to) return null;
+  return {
+    from: describeCharacterAt(from),
+    to: describeCharacterAt(to),
+    changes: diffCharacters(from, to).map(describeCharacterChange)
+  };
+};
+
+// Recent changes for the AI prompt, oldest first: '- Session 5: Level 4 → 5; Gained Longsword'.
+// The oldest snapshot is where the character started (a baseline or the first time it was filled in), not a change.
+export const formatRecentCharacterChanges = (stateParam = null, limit = AI_CHANGE_LIMIT) => {
+  const state = stateParam || getYjsState();
+  return getCharacterTimeline(state)
+    .slice(0, -1)
+    .filter(item => item.changes.length > 0)
+    .slice(0, limit)
+    .reverse()
+    .map(item => `- ${item.label}: ${item.changes.join('; ')}`)
+    .join('\n');
+};
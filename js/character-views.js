@@ -6,6 +6,10 @@ import {
   getFormDataForPage
 } from './navigation-cache.js';
 
+export { renderBacklinks } from './components/backlinks.js';
+export { renderCharacterSheet } from './components/character-sheet.js';
+export { renderCharacterTimeline } from './components/character-timeline.js';
+
 // Render character form with current data (container must be provided by logic)
 export const renderCharacterForm = (form, character) => {
   if (!form) return;
@@ -69,6 +73,13 @@ export const toggleGenerateButton = (generateBtn, isAPIAvailable, hasContent = f
   }
 };
 
+// Only additional characters can be deleted; the first one owns the original journal
+export const toggleDeleteCharacterButton = (deleteBtn, canDelete) => {
+  if (deleteBtn) {
+    deleteBtn.classList.toggle('is-hidden', !canDelete);
+  }
+};
+
 // showNotification function moved to utils.js for shared use across all view modules
 
 
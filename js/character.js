@@ -4,9 +4,17 @@ import {
   getYjsState,
   getCharacterData,
   setCharacter,
+  getCharacter,
   getSummary,
   onCharacterChange,
-  clearSessionQuestions
+  clearSessionQuestions,
+  getCharacterSheet,
+  setCharacterSheetValue,
+  addCharacterSheetItem,
+  updateCharacterSheetItem,
+  removeCharacterSheetItem,
+  onCharacterTimelineChange,
+  DEFAULT_CHARACTER_ID
 } from './yjs.js';
 import { clearSummary } from './summarization.js';
 
@@ -16,16 +24,37 @@ import {
   renderCharacterForm,
   renderSummaries,
   toggleGenerateButton,
-  renderCachedCharacterContent
+  toggleDeleteCharacterButton,
+  renderCachedCharacterContent,
+  renderBacklinks,
+  renderCharacterSheet,
+  renderCharacterTimeline
 } from './character-views.js';
 
-import { getFormData, showNotification } from './utils.js';
+import { getFormData, showNotification, generateId } from './utils.js';
+import { computeCharacterSheet, parseSheetInput, parseSheetItem } from './character-sheet.js';
 
 import { isAIEnabled } from './ai.js';
 import { summarize } from './summarization.js';
+import { setupCharacterSwitcher, handleDeleteCharacter } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
+import { setupUndoShortcuts, runUndoable } from './undo.js';
+import { getWikiLinkIndex } from './wiki.js';
+import {
+  recordCharacterSnapshot,
+  getCharacterTimeline,
+  getCompareOptions,
+  compareCharacterSnapshots,
+  CURRENT_CHARACTER_ID
+} from './character-timeline.js';
+
+// Long texts where an accidental overwrite hurts; replacing them offers Undo
+const UNDOABLE_FIELDS = { backstory: 'Backstory', notes: 'Notes' };
 
 // State management
 let characterFormElement = null;
+// Timeline points being compared; null picks the oldest snapshot and now
+let timelineComparison = null;
 
 // Initialize Character page
 export const initCharacterPage = async (stateParam = null) => {
@@ -50,12 +79,16 @@ export const initCharacterPage = async (stateParam = null) => {
     
     // Initialize Yjs asynchronously (non-blocking)
     const state = stateParam || (await initYjs(), getYjsState());
+    setupCharacterSwitcher(state);
+    setupSyncIndicator();
+    setupUndoShortcuts(state);
     
     // Set up reactive updates
     onCharacterChange(state, () => {
       renderCharacterPage(state);
       updateSummariesDisplay(state);
     });
+    onCharacterTimelineChange(state, () => renderTimeline(state));
     
     // Replace cached content with fresh data
     renderCharacterPage(state);
@@ -84,11 +117,47 @@ export const renderCharacterPage = (stateParam = null) => {
     if (formElement) {
       renderCharacterForm(formElement, character);
     }
+    
+    toggleDeleteCharacterButton(document.getElementById('delete-character'), state.characterId !== DEFAULT_CHARACTER_ID);
+
+    renderCharacterSheet(document.getElementById('character-sheet'), computeCharacterSheet(getCharacterSheet(state)), {
+      onChange: (path, value) => saveSheetValue(path, value, state),
+      onItemChange: (list, itemId, field, value) => saveSheetItem(list, itemId, { [field]: value }, state),
+      onAddItem: (list, fields) => addSheetItem(list, fields, state),
+      onRemoveItem: (list, itemId) => removeSheetItem(list, itemId, state)
+    });
+
+    renderTimeline(state);
+
+    // Entries that link this character with [[Name]]
+    renderBacklinks(document.getElementById('character-backlinks'), getWikiLinkIndex(state).getBacklinks(`character:${state.characterId}`));
   } catch (error) {
     console.error('Failed to render character page:', error);
   }
 };
 
+// Timeline of snapshots with the comparison of two of them
+export const renderTimeline = (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const options = getCompareOptions(state);
+    const known = (id) => options.some(option => option.id === id);
+    const fromId = known(timelineComparison?.fromId) ? timelineComparison.fromId : options[0].id;
+    const toId = known(timelineComparison?.toId) ? timelineComparison.toId : CURRENT_CHARACTER_ID;
+    renderCharacterTimeline(document.getElementById('character-timeline'), {
+      items: getCharacterTimeline(state),
+      compare: { options, fromId, toId, result: compareCharacterSnapshots(fromId, toId, state) }
+    }, {
+      onCompare: (from, to) => {
+        timelineComparison = { fromId: from, toId: to };
+        renderTimeline(state);
+      }
+    });
+  } catch (error) {
+    console.error('Failed to render character timeline:', error);
+  }
+};
+
 // Set up form event handlers
 const setupFormHandlers = () => {
   if (!characterFormElement) return;
@@ -139,6 +208,13 @@ const setupFormHandlers = () => {
       updateSummariesDisplay();
     });
   }
+  
+  const deleteCharacterBtn = document.getElementById('delete-character');
+  if (deleteCharacterBtn) {
+    deleteCharacterBtn.addEventListener('click', () => {
+      handleDeleteCharacter();
+    });
+  }
 };
 
 // Save individual character field
@@ -146,7 +222,18 @@ const saveCharacterField = (field, value) => {
   try {
     const state = getYjsState();
     const trimmedValue = value.trim();
-    setCharacter(state, field, trimmedValue);
+    const previousValue = getCharacter(state, field);
+    if (previousValue === trimmedValue) return;
+    const previousCharacter = getCharacterData(state);
+    const apply = (s) => {
+      setCharacter(s, field, trimmedValue);
+      recordCharacterSnapshot(previousCharacter, s);
+    };
+    if (UNDOABLE_FIELDS[field] && previousValue) {
+      runUndoable(apply, `${UNDOABLE_FIELDS[field]} updated`, state);
+    } else {
+      apply(state);
+    }
     
     // Clear cache when character fields that get summarized change
     if (field === 'backstory' || field === 'notes') {
@@ -173,21 +260,82 @@ export const saveCharacterData = (stateParam = null) => {
     }
     
     const formData = getFormData(formElement);
+    const previousCharacter = getCharacterData(state);
     
-    Object.entries(formData).forEach(([field, value]) => {
-      setCharacter(state, field, value.trim());
-    });
+    runUndoable((s) => {
+      Object.entries(formData).forEach(([field, value]) => {
+        setCharacter(s, field, value.trim());
+      });
+      // Keep what changed on the timeline; undo removes the snapshot with the edit
+      recordCharacterSnapshot(previousCharacter, s);
+    }, 'Character saved!', state);
     
     // Clear session questions when character data changes
     clearSessionQuestions(state);
-    
-    showNotification('Character saved!', 'success');
   } catch (error) {
     console.error('Failed to save character data:', error);
     showNotification('Failed to save character', 'error');
   }
 };
 
+// =============================================================================
+// CHARACTER SHEET
+// =============================================================================
+
+// Store one edited sheet field, e.g. ['abilities', 'str'] or ['proficiencies', 'stealth']
+export const saveSheetValue = (path, value, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const previousCharacter = getCharacterData(state);
+    setCharacterSheetValue(state, path, parseSheetInput(path, value));
+    recordCharacterSnapshot(previousCharacter, state);
+    // Questions are written for what the character can do
+    clearSessionQuestions(state);
+  } catch (error) {
+    console.error('Failed to save character sheet:', error);
+    showNotification('Failed to save character sheet', 'error');
+  }
+};
+
+export const addSheetItem = (list, fields, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const item = parseSheetItem(list, fields);
+  if (!item) {
+    showNotification('Please enter a name', 'warning');
+    return;
+  }
+  const previousCharacter = getCharacterData(state);
+  addCharacterSheetItem(state, list, { id: generateId(), ...item });
+  recordCharacterSnapshot(previousCharacter, state);
+  clearSessionQuestions(state);
+};
+
+// Apply edited fields to an inventory item or spell; clearing the name keeps the old one
+export const saveSheetItem = (list, itemId, updates, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const current = (getCharacterSheet(state)[list] || []).find(item => item.id === itemId);
+  if (!current) return;
+  const item = parseSheetItem(list, { ...current, ...updates });
+  if (!item) {
+    renderCharacterPage(state);
+    return;
+  }
+  const previousCharacter = getCharacterData(state);
+  updateCharacterSheetItem(state, list, itemId, item);
+  recordCharacterSnapshot(previousCharacter, state);
+  clearSessionQuestions(state);
+};
+
+export const removeSheetItem = (list, itemId, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const previousCharacter = getCharacterData(state);
+  runUndoable((s) => {
+    removeCharacterSheetItem(s, list, itemId);
+    recordCharacterSnapshot(previousCharacter, s);
+  }, list === 'spells' ? 'Spell removed' : 'Item removed', state);
+  clearSessionQuestions(state);
+};
+
 // Generate summary for character field
 const generateSummary = (field) => {
   const state = getYjsState();
@@ -0,0 +1,98 @@
+// Characters - Roster management and the active character switcher
+import {
+  getYjsState,
+  getCharacters,
+  getActiveCharacterId,
+  addCharacter,
+  removeCharacter,
+  setActiveCharacter,
+  onRosterChange,
+  onCharacterChange,
+  DEFAULT_CHARACTER_ID
+} from './yjs.js';
+import { renderCharacterSwitcher } from './components/character-switcher.js';
+import { clearNavigationCache } from './navigation-cache.js';
+import { generateId, showNotification } from './utils.js';
+
+// Pages subscribe to the active character's types on load, so switching reloads the page.
+// Allow overriding in tests via dependency injection
+const baseReloadPage = () => window.location.reload();
+let reloadPage = baseReloadPage;
+export const setReloadPage = (impl) => {
+  reloadPage = typeof impl === 'function' ? impl : baseReloadPage;
+};
+
+// Render the switcher into the page header and keep it in sync with roster/name changes
+export const setupCharacterSwitcher = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const container = document.querySelector('.tabs__container');
+  if (!container) return;
+
+  const render = () => {
+    renderCharacterSwitcher(container, getCharacters(state), getActiveCharacterId(state), {
+      onSwitch: (characterId) => handleSwitchCharacter(characterId, state),
+      onCreate: () => handleCreateCharacter(state)
+    });
+  };
+
+  // Links to another character's page (`?character=<id>`) switch to that character
+  const requested = (() => {
+    try { return new URL(window.location.href).searchParams.get('character'); } catch { return null; }
+  })();
+  if (requested && requested !== getActiveCharacterId(state) && getCharacters(state).some(c => c.id === requested)) {
+    handleSwitchCharacter(requested, state);
+    return;
+  }
+
+  render();
+  onRosterChange(state, render);
+  onCharacterChange(state, render);
+};
+
+// Make another character active on this device
+export const handleSwitchCharacter = (characterId, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    if (characterId === getActiveCharacterId(state)) return;
+    setActiveCharacter(state, characterId);
+    clearNavigationCache();
+    reloadPage();
+  } catch (error) {
+    console.error('Failed to switch character:', error);
+    showNotification('Failed to switch character', 'error');
+  }
+};
+
+// Ask for a name, add the character to the roster and switch to it
+export const handleCreateCharacter = (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const name = prompt('Name of the new character:');
+    if (name === null) return;
+    const characterId = addCharacter(state, generateId(), name.trim());
+    handleSwitchCharacter(characterId, state);
+  } catch (error) {
+    console.error('Failed to create character:', error);
+    showNotification('Failed to create character', 'error');
+  }
+};
+
+// Delete the active character and its journal, then fall back to the first character
+export const handleDeleteCharacter = (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const characterId = getActiveCharacterId(state);
+    if (characterId === DEFAULT_CHARACTER_ID) {
+      showNotification('The first character cannot be deleted', 'warning');
+      return;
+    }
+    if (!confirm('Delete this character and all of their journal entries? This cannot be undone.')) return;
+    removeCharacter(state, characterId);
+    clearNavigationCache();
+    showNotification('Character deleted', 'success');
+    reloadPage();
+  } catch (error) {
+    console.error('Failed to delete character:', error);
+    showNotification('Failed to delete character', 'error');
+  }
+};
@@ -0,0 +1,60 @@
+// Chat Prompt - Messages for questions to the journal, and the citations in answers
+// Pure functions: no state or DOM access
+import { PROMPTS } from './prompts.js';
+
+// Earlier messages sent along so follow-up questions ("and after that?") make sense
+export const CHAT_HISTORY_LIMIT = 6;
+
+const THREAD_TITLE_LENGTH = 60;
+
+// "[2]", "[1, 3]" and "[1][3]" all cite excerpts by number
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+// Thread title from its first question
+export const getThreadTitle = (question = '') => {
+  const text = String(question).replace(/\s+/g, ' ').trim();
+  return text.length > THREAD_TITLE_LENGTH ? `${text.slice(0, THREAD_TITLE_LENGTH - 1).trimEnd()}…` : text || 'New conversation';
+};
+
+// Numbered sources from ranked search results: [{ n, id, kind, title, href, excerpt }]
+export const buildSources = (results = []) => results.map((result, index) => ({
+  n: index + 1,
+  id: result.id,
+  kind: result.kind,
+  title: result.title,
+  href: result.href,
+  excerpt: (result.snippet || []).map(part => part.text).join('').trim()
+}));
+
+// "[1] Entry: The harbor (Oct 3, 2026)\n…excerpt…"
+export const formatSources = (sources = []) => sources
+  .map(source => `[${source.n}] ${source.kind === 'part' ? 'Chronicle part' : 'Entry'}: ${source.title}\n${source.excerpt}`)
+  .join('\n\n');
+
+// System prompt with the character context, the recent conversation, then the question with its excerpts
+export const buildChatMessages = ({ context = '', history = [], sources = [], question = '' }) => [
+  { role: 'system', content: context ? `${PROMPTS.chat.system}\n\n${context}` : PROMPTS.chat.system },
+  ...history.slice(-CHAT_HISTORY_LIMIT).map(message => ({ role: message.role, content: message.content })),
+  { role: 'user', content: PROMPTS.chat.user(formatSources(sources), question) }
+];
+
+// Answer text as [{ text }] and [{ citation: n }] parts, for rendering citations as links
+export const splitCitations = (text = '') => {
+  const parts = [];
+  let cursor = 0;
+  for (const match of String(text).matchAll(CITATION_PATTERN)) {
+    if (match.index > cursor) parts.push({ text: text.slice(cursor, match.index) });
+    match[1].split(',').forEach(number => parts.push({ citation: Number(number.trim()) }));
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) parts.push({ text: text.slice(cursor) });
+  return parts;
+};
+
+// Sources the answer actually cites, without their excerpts: [{ n, id, kind, title, href }]
+export const getCitedSources = (text, sources = []) => {
+  const cited = new Set(splitCitations(text).filter(part => part.citation).map(part => part.citation));
+  return sources
+    .filter(source => cited.has(source.n))
+    .map(({ n, id, kind, title, href }) => ({ n, id, kind, title, href }));
+};
@@ -0,0 +1,53 @@
+// Chat State Helpers - Conversations with the journal, kept per character.
+// Threads are plain objects in chatThreadsMap; each thread's messages are a Y.Array in chatMessagesMap,
+// so questions asked on two devices at the same time are both kept.
+import * as Y from 'yjs';
+
+const transact = (state, apply) => (state.ydoc ? state.ydoc.transact(apply) : apply());
+
+// Most recently active first: [{ id, title, createdAt, updatedAt }]
+export const getChatThreads = (state) =>
+  Array.from(state.chatThreadsMap.values()).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+
+export const getChatThread = (state, threadId) => state.chatThreadsMap.get(threadId) || null;
+
+export const setChatThread = (state, thread) => {
+  state.chatThreadsMap.set(thread.id, thread);
+};
+
+// Oldest first: [{ id, role: 'user' | 'assistant', content, timestamp, sources? }]
+export const getChatMessages = (state, threadId) => {
+  const messages = state.chatMessagesMap.get(threadId);
+  return messages ? messages.toArray() : [];
+};
+
+// Append a message and mark the thread as active
+export const addChatMessage = (state, threadId, message) => {
+  transact(state, () => {
+    let messages = state.chatMessagesMap.get(threadId);
+    if (!(messages instanceof Y.Array)) {
+      messages = new Y.Array();
+      state.chatMessagesMap.set(threadId, messages);
+    }
+    messages.push([message]);
+    const thread = getChatThread(state, threadId);
+    if (thread) setChatThread(state, { ...thread, updatedAt: message.timestamp || Date.now() });
+  });
+};
+
+export const deleteChatThread = (state, threadId) => {
+  transact(state, () => {
+    state.chatThreadsMap.delete(threadId);
+    state.chatMessagesMap.delete(threadId);
+  });
+};
+
+// Replace a thread and its messages from plain JSON (backup import)
+export const replaceChatThread = (state, thread, messages = []) => {
+  transact(state, () => {
+    setChatThread(state, thread);
+    const array = new Y.Array();
+    array.push(messages);
+    state.chatMessagesMap.set(thread.id, array);
+  });
+};
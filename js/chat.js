@@ -0,0 +1,166 @@
+// Chat Page - Ask the journal about the campaign; answers are grounded in the character context and the
+// entries that match the question, and cite them
+import {
+  initYjs,
+  getYjsState,
+  getChatThreads,
+  getChatThread,
+  setChatThread,
+  getChatMessages,
+  addChatMessage,
+  deleteChatThread,
+  onChatChange
+} from './yjs.js';
+import { callAIChat, isAIAvailable } from './ai-request.js';
+import { buildContext } from './context.js';
+import { createJournalSearch } from './search.js';
+import { buildSources, buildChatMessages, getCitedSources, getThreadTitle } from './chat-prompt.js';
+import { renderChatThreads, renderChatMessages } from './components/chat.js';
+import { showNotification, generateId } from './utils.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
+
+// Entries and parts sent with each question, and how much text around the matches
+const SOURCE_LIMIT = 6;
+const EXCERPT_RADIUS = 600;
+
+// Thread shown on this device: an id, NEW_THREAD for a conversation not started yet, or null for the most recent one
+const NEW_THREAD = 'new';
+let activeThreadId = null;
+// Thread waiting for an answer
+let pendingThreadId = null;
+let journalSearch = null;
+
+const getJournalSearch = (state) => {
+  if (!journalSearch || journalSearch.doc !== state.ydoc || journalSearch.characterId !== state.characterId) {
+    journalSearch = createJournalSearch(state);
+  }
+  return journalSearch;
+};
+
+// New thread titled after its first question
+export const createChatThread = (question, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const now = Date.now();
+  const thread = { id: `thread-${generateId()}`, title: getThreadTitle(question), createdAt: now, updatedAt: now };
+  setChatThread(state, thread);
+  return thread;
+};
+
+// Ask a question in a thread (a new one when threadId is null). The question is stored right away;
+// resolves with { threadId, message } once the answer is stored too.
+export const askJournal = async (question, threadId = null, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const text = String(question || '').trim();
+  if (!text) return null;
+
+  const thread = (threadId && getChatThread(state, threadId)) || createChatThread(text, state);
+  const history = getChatMessages(state, thread.id);
+  addChatMessage(state, thread.id, { id: `message-${generateId()}`, role: 'user', content: text, timestamp: Date.now() });
+
+  const sources = buildSources(getJournalSearch(state).rank(text, { limit: SOURCE_LIMIT, radius: EXCERPT_RADIUS }));
+  const context = await buildContext();
+  const reply = (await callAIChat(buildChatMessages({ context, history, sources, question: text }), { temperature: 0.3, purpose: 'chat' })).trim();
+  const message = {
+    id: `message-${generateId()}`,
+    role: 'assistant',
+    content: reply,
+    timestamp: Date.now(),
+    sources: getCitedSources(reply, sources)
+  };
+  addChatMessage(state, thread.id, message);
+  return { threadId: thread.id, message };
+};
+
+const getActiveThreadId = (state) => {
+  if (activeThreadId === NEW_THREAD) return null;
+  if (activeThreadId && getChatThread(state, activeThreadId)) return activeThreadId;
+  return getChatThreads(state)[0]?.id || null;
+};
+
+export const renderChatPage = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const threadId = getActiveThreadId(state);
+  renderChatThreads(document.getElementById('chat-threads'), getChatThreads(state), threadId, {
+    onSelect: (id) => {
+      activeThreadId = id;
+      renderChatPage(state);
+    },
+    onDelete: (id) => {
+      if (!confirm('Delete this conversation?')) return;
+      deleteChatThread(state, id);
+      if (activeThreadId === id) activeThreadId = null;
+      renderChatPage(state);
+    }
+  });
+  renderChatMessages(document.getElementById('chat-messages'), threadId ? getChatMessages(state, threadId) : [], {
+    pending: Boolean(pendingThreadId) && pendingThreadId === threadId
+  });
+
+  const available = isAIAvailable(state);
+  const status = document.getElementById('chat-status');
+  if (status) status.textContent = available ? '' : 'Enable AI in Settings to ask the journal.';
+  const submit = document.querySelector('#chat-form [type="submit"]');
+  if (submit) submit.disabled = !available || Boolean(pendingThreadId);
+};
+
+// Ask the question typed into the form, in the thread on screen
+export const submitQuestion = async (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const form = document.getElementById('chat-form');
+  const input = form?.querySelector('[name="question"]');
+  const question = input ? input.value.trim() : '';
+  if (!question || pendingThreadId) return null;
+  if (!isAIAvailable(state)) {
+    showNotification('Enable AI in Settings to ask the journal', 'warning');
+    return null;
+  }
+
+  const threadId = getActiveThreadId(state) || createChatThread(question, state).id;
+  activeThreadId = threadId;
+  pendingThreadId = threadId;
+  input.value = '';
+  renderChatPage(state);
+  try {
+    return await askJournal(question, threadId, state);
+  } catch (error) {
+    console.error('Failed to answer question:', error);
+    showNotification('Failed to get an answer from the AI', 'error');
+    return null;
+  } finally {
+    pendingThreadId = null;
+    renderChatPage(state);
+  }
+};
+
+export const initChatPage = async (stateParam = null) => {
+  const state = stateParam || (await initYjs(), getYjsState());
+  setupCharacterSwitcher(state);
+  setupSyncIndicator();
+  renderChatPage(state);
+
+  const form = document.getElementById('chat-form');
+  if (form) {
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      submitQuestion(state);
+    });
+  }
+  const newThread = document.getElementById('chat-new');
+  if (newThread) {
+    newThread.addEventListener('click', () => {
+      // The thread is created with its first question
+      activeThreadId = NEW_THREAD;
+      renderChatPage(state);
+      form?.querySelector('[name="question"]')?.focus();
+    });
+  }
+  onChatChange(state, () => renderChatPage(state));
+};
+
+// Initialize when DOM is ready (align with other pages)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    initChatPage();
+  });
+}
@@ -1,5 +1,6 @@
 // Chronicle State Helpers - Yjs object-based structure (extracted from yjs.js)
 import * as Y from 'yjs';
+import { transactLocalEdit } from './yjs-origins.js';
 
 export const ensureChronicleStructure = (state) => {
   const chronicle = state.chronicleMap;
@@ -67,3 +68,36 @@ export const setChroniclePartEntries = (state, partIndex, entryIds) => {
   }
 };
 
+
+// How new parts are closed: every `partSize` entries ('count') or when a new session starts ('session')
+export const PART_GROUPING_COUNT = 'count';
+export const PART_GROUPING_SESSION = 'session';
+
+export const getChronicleGrouping = (state) => {
+  const chronicle = ensureChronicleStructure(state);
+  return chronicle.get('grouping') === PART_GROUPING_SESSION ? PART_GROUPING_SESSION : PART_GROUPING_COUNT;
+};
+
+// Grouping and breaks are the player's choices and can be undone; summaries and part bookkeeping are written
+// by parts.js in background transactions
+export const setChronicleGrouping = (state, grouping) => transactLocalEdit(state, () => {
+  const chronicle = ensureChronicleStructure(state);
+  chronicle.set('grouping', grouping === PART_GROUPING_SESSION ? PART_GROUPING_SESSION : PART_GROUPING_COUNT);
+});
+
+// Manual "end chapter here" markers: entry IDs after which a part closes
+export const getChronicleBreaks = (state) => {
+  const breaks = ensureChronicleStructure(state).get('breaks');
+  return new Set(breaks ? Array.from(breaks.keys()) : []);
+};
+
+export const setChronicleBreak = (state, entryId, enabled = true) => transactLocalEdit(state, () => {
+  const chronicle = ensureChronicleStructure(state);
+  let breaks = chronicle.get('breaks');
+  if (!breaks) {
+    breaks = new Y.Map();
+    chronicle.set('breaks', breaks);
+  }
+  if (enabled) breaks.set(entryId, true);
+  else breaks.delete(entryId);
+});
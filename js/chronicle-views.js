@@ -1,17 +1,37 @@
 // Chronicle Views - Pure rendering functions
 import { createCollapsible } from './components/collapsible.js';
 import { formatDate, parseMarkdown } from './utils.js';
+import { createAIJobState } from './components/ai-jobs-status.js';
 
-export const renderSoFar = (container, text) => {
-  if (!container) return;
+// Summary text with the state of its AI job, if one is queued; the state alone while there is no text yet.
+// `jobs` is the whole queue, to show a job stuck behind a failed one.
+const renderSummary = (container, text, job, jobs) => {
   container.innerHTML = '';
-  container.appendChild(createCollapsible('Show summary', 'Hide summary', text));
+  const jobState = createAIJobState(job, Date.now(), jobs);
+  if (jobState) container.appendChild(jobState);
+  if (text || !jobState) container.appendChild(createCollapsible('Show summary', 'Hide summary', text));
 };
 
-export const renderRecent = (container, text) => {
+// A summary still being written on this device, shown open as it arrives
+export const renderStreamingSummary = (container, text, job = null) => {
   if (!container) return;
   container.innerHTML = '';
-  container.appendChild(createCollapsible('Show summary', 'Hide summary', text));
+  const jobState = createAIJobState(job);
+  if (jobState) container.appendChild(jobState);
+  const content = document.createElement('div');
+  content.className = 'chronicle-streaming';
+  content.innerHTML = parseMarkdown(text);
+  container.appendChild(content);
+};
+
+export const renderSoFar = (container, text, job = null, jobs = []) => {
+  if (!container) return;
+  renderSummary(container, text, job, jobs);
+};
+
+export const renderRecent = (container, text, job = null, jobs = []) => {
+  if (!container) return;
+  renderSummary(container, text, job, jobs);
 };
 
 export const renderPartsList = (container, parts, idToEntry) => {
@@ -40,9 +60,51 @@ export const renderPartsList = (container, parts, idToEntry) => {
     viewLink.textContent = 'View Part';
     viewLink.className = 'btn btn-secondary';
     partDiv.appendChild(viewLink);
+    const jobState = createAIJobState(p.job);
+    if (jobState) partDiv.appendChild(jobState);
     list.appendChild(partDiv);
   });
   container.innerHTML = '';
   container.appendChild(list);
 };
 
+
+// Entries of the open part, each with an "End chapter here" control; AI suggestions are marked
+export const renderOpenPartEntries = (container, entries, options = {}) => {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!entries || entries.length === 0) return;
+  const suggestions = options.suggestions || new Map();
+  const list = document.createElement('ol');
+  list.className = 'open-part-entries';
+  entries.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'open-part-entries__item';
+    item.dataset.entryId = entry.id;
+
+    const label = document.createElement('span');
+    const words = (entry.content || '').split(/\s+/).filter(Boolean);
+    const preview = words.slice(0, 12).join(' ') + (words.length > 12 ? '…' : '');
+    label.textContent = `${formatDate(entry.timestamp)} — ${preview}`;
+    item.appendChild(label);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-secondary open-part-entries__break';
+    button.textContent = 'End chapter here';
+    button.addEventListener('click', () => {
+      if (options.onEndPart) options.onEndPart(entry.id);
+    });
+    item.appendChild(button);
+
+    if (suggestions.has(entry.id)) {
+      item.classList.add('open-part-entries__item--suggested');
+      const reason = document.createElement('p');
+      reason.className = 'open-part-entries__reason';
+      reason.textContent = `Suggested break${suggestions.get(entry.id) ? `: ${suggestions.get(entry.id)}` : ''}`;
+      item.appendChild(reason);
+    }
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+};
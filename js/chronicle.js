@@ -1,25 +1,74 @@
 // Chronicle Page Scaffold - renders placeholders for So Far and Parts list
 import { initYjs, getYjsState } from './yjs.js';
 import { getEntries } from './yjs.js';
-import { ensureChronicleStructure, getChroniclePartsMap } from './chronicle-state.js';
+import { ensureChronicleStructure, getChroniclePartsMap, getChronicleGrouping, setChronicleGrouping, setChronicleBreak, PART_GROUPING_SESSION } from './chronicle-state.js';
 import { onJournalChange, onSummariesChange } from './yjs.js';
-import { onChronicleChange } from './yjs.js';
-import { PART_SIZE_DEFAULT, backfillPartsIfMissing, recomputeRecentSummary, recomputePartSummary, recomputeSoFarSummary } from './parts.js';
-import { formatDate } from './utils.js';
-import { renderSoFar as viewRenderSoFar, renderRecent as viewRenderRecent, renderPartsList as viewRenderPartsList } from './chronicle-views.js';
+import { onChronicleChange, onAIJobsChange, getAIJob, getAIJobs } from './yjs.js';
+import {
+  backfillPartsIfMissing,
+  maybeCloseOpenPart,
+  recomputeRecentSummary,
+  recomputePartSummary,
+  recomputeSoFarSummary,
+  getJournalPartition,
+  getPartSize,
+  setPartSize,
+  repartitionParts,
+  suggestPartBreaks,
+  getPartJobId,
+  SO_FAR_JOB_ID,
+  RECENT_JOB_ID,
+  RECENT_SUMMARY_KEY
+} from './parts.js';
+import { formatDate, showNotification } from './utils.js';
+import { clearSummary } from './summarization.js';
+import { isAIAvailable } from './ai-request.js';
+import { startAIQueue, onAIJobProgress } from './ai-queue.js';
+import { showChoiceModal } from './components/modal.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
+import { setupUndoShortcuts } from './undo.js';
+import { renderSoFar as viewRenderSoFar, renderRecent as viewRenderRecent, renderStreamingSummary as viewRenderStreamingSummary, renderPartsList as viewRenderPartsList, renderOpenPartEntries as viewRenderOpenPartEntries } from './chronicle-views.js';
+
+// AI-suggested breaks for the open part (entry ID -> reason); kept until the page reloads
+let suggestedBreaks = new Map();
+
+// Summaries being written on this device (job ID -> text so far), shown in place of the saved ones
+const streamingSummaries = new Map();
 
 const renderSoFar = (state) => {
   const el = document.getElementById('so-far-content');
   if (!el) return;
-  const soFar = ensureChronicleStructure(state).get('soFarSummary');
-  viewRenderSoFar(el, soFar);
+  const job = getAIJob(state, SO_FAR_JOB_ID);
+  if (streamingSummaries.has(SO_FAR_JOB_ID)) return viewRenderStreamingSummary(el, streamingSummaries.get(SO_FAR_JOB_ID), job);
+  viewRenderSoFar(el, ensureChronicleStructure(state).get('soFarSummary'), job, getAIJobs(state));
 };
 
 const renderRecent = (state) => {
   const el = document.getElementById('recent-content');
   if (!el) return;
-  const recent = ensureChronicleStructure(state).get('recentSummary');
-  viewRenderRecent(el, recent);
+  const job = getAIJob(state, RECENT_JOB_ID);
+  if (streamingSummaries.has(RECENT_JOB_ID)) return viewRenderStreamingSummary(el, streamingSummaries.get(RECENT_JOB_ID), job);
+  viewRenderRecent(el, ensureChronicleStructure(state).get('recentSummary'), job, getAIJobs(state));
+};
+
+// Redraw at most once a frame while text streams in, and at once when it ends
+const streamSummary = (jobId, render) => {
+  let frame = null;
+  onAIJobProgress(jobId, (text) => {
+    if (text) streamingSummaries.set(jobId, text);
+    else streamingSummaries.delete(jobId);
+    if (!text) {
+      if (frame !== null) cancelAnimationFrame(frame);
+      frame = null;
+      render(getYjsState());
+    } else if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        render(getYjsState());
+      });
+    }
+  });
 };
 
 const renderPartsList = (state) => {
@@ -32,30 +81,119 @@ const renderPartsList = (state) => {
   const items = [];
   for (let i = 1; i <= latest; i++) {
     const partObj = parts.get(String(i));
-    items.push({ index: i, title: partObj && partObj.get('title'), entries: partObj && partObj.get('entries') ? partObj.get('entries').toArray() : [] });
+    items.push({
+      index: i,
+      title: partObj && partObj.get('title'),
+      entries: partObj && partObj.get('entries') ? partObj.get('entries').toArray() : [],
+      job: getAIJob(state, getPartJobId(i))
+    });
   }
   viewRenderPartsList(el, items, idToEntry);
 };
 
+const renderPartSettings = (state) => {
+  const grouping = getChronicleGrouping(state);
+  const select = document.getElementById('part-grouping');
+  if (select) select.value = grouping;
+  const sizeInput = document.getElementById('part-size');
+  if (sizeInput) {
+    if (document.activeElement !== sizeInput) sizeInput.value = String(getPartSize(state));
+    sizeInput.disabled = grouping === PART_GROUPING_SESSION;
+  }
+};
+
+const renderOpenPart = (state) => {
+  const el = document.getElementById('open-part-entries');
+  if (!el) return;
+  viewRenderOpenPartEntries(el, getJournalPartition(state).openPart, {
+    suggestions: suggestedBreaks,
+    onEndPart: (entryId) => endPartAfter(getYjsState(), entryId)
+  });
+};
+
+// Close any part the settings now complete and refresh the open part's summary
+const closeCompletedParts = async (state) => {
+  if (await maybeCloseOpenPart(state)) {
+    clearSummary(RECENT_SUMMARY_KEY);
+    await recomputeRecentSummary(state);
+  }
+};
+
+const endPartAfter = async (state, entryId) => {
+  setChronicleBreak(state, entryId, true);
+  suggestedBreaks.delete(entryId);
+  await closeCompletedParts(state);
+};
+
+const handleSuggestBreaks = async (button) => {
+  const state = getYjsState();
+  if (!isAIAvailable(state)) {
+    showNotification('Enable AI in Settings to get suggestions', 'warning');
+    return;
+  }
+  button.disabled = true;
+  try {
+    const suggestions = await suggestPartBreaks(state);
+    suggestedBreaks = new Map(suggestions.map(s => [s.entryId, s.reason]));
+    renderOpenPart(state);
+    showNotification(suggestions.length > 0 ? `${suggestions.length} break(s) suggested` : 'No clear breaks found', 'info');
+  } catch (error) {
+    console.error('Failed to suggest breaks:', error);
+    showNotification('Failed to suggest breaks', 'error');
+  } finally {
+    button.disabled = false;
+  }
+};
+
+const handleRepartition = async () => {
+  const choice = await showChoiceModal({
+    title: 'Re-partition parts',
+    message: 'Rebuild all parts with the current settings and breaks? Parts whose entries change get a new title and summary.',
+    options: [
+      { id: 'repartition', label: 'Re-partition', type: 'primary' },
+      { id: 'cancel', label: 'Cancel' }
+    ]
+  });
+  if (choice !== 'repartition') return;
+  try {
+    const { changed, removed } = await repartitionParts(getYjsState());
+    showNotification(changed.length === 0 && removed === 0 ? 'Parts already match the settings' : `Parts rebuilt: ${changed.length} changed`, 'success');
+  } catch (error) {
+    console.error('Failed to re-partition parts:', error);
+    showNotification('Failed to re-partition parts', 'error');
+  }
+};
+
 const init = async () => {
   await initYjs();
   const state = getYjsState();
+  setupCharacterSwitcher(state);
+  setupSyncIndicator();
+  setupUndoShortcuts(state);
+  // Summaries are generated by the background AI queue, shared with every open device,
+  // and stream in here when this device writes them
+  streamSummary(SO_FAR_JOB_ID, renderSoFar);
+  streamSummary(RECENT_JOB_ID, renderRecent);
+  startAIQueue(state);
 
   console.debug('[Chronicle] init: entries count before backfill =', getEntries(state).length);
-  await backfillPartsIfMissing(state, PART_SIZE_DEFAULT);
+  await backfillPartsIfMissing(state);
   console.debug('[Chronicle] after backfill: latestPartIndex =', ensureChronicleStructure(state).get('latestPartIndex'));
   renderSoFar(state);
   renderRecent(state);
   renderPartsList(state);
+  renderPartSettings(state);
+  renderOpenPart(state);
 
   // React to journal changes (e.g., when persistence/ws sync loads entries later)
   onJournalChange(state, () => {
     const s = getYjsState();
     console.debug('[Chronicle] journal changed: entries =', getEntries(s).length);
-    backfillPartsIfMissing(s, PART_SIZE_DEFAULT).then(() => {
+    backfillPartsIfMissing(s).then(() => {
       renderSoFar(s);
       renderRecent(s);
       renderPartsList(s);
+      renderOpenPart(s);
     }).catch(() => {});
   });
 
@@ -68,6 +206,14 @@ const init = async () => {
     renderPartsList(s);
   });
 
+  // Queued, running, retrying and failed summaries are shown where the summary will appear
+  onAIJobsChange(state, () => {
+    const s = getYjsState();
+    renderSoFar(s);
+    renderRecent(s);
+    renderPartsList(s);
+  });
+
   // React to direct chronicle structure updates (e.g., titles, latestPartIndex)
   onChronicleChange(state, () => {
     const s = getYjsState();
@@ -75,14 +221,42 @@ const init = async () => {
     renderSoFar(s);
     renderRecent(s);
     renderPartsList(s);
+    renderPartSettings(s);
+    renderOpenPart(s);
   });
 
+  // Settings apply to parts not yet closed; Re-partition rebuilds the closed ones too
+  const groupingSelect = document.getElementById('part-grouping');
+  if (groupingSelect) {
+    groupingSelect.addEventListener('change', async () => {
+      const s = getYjsState();
+      setChronicleGrouping(s, groupingSelect.value);
+      await closeCompletedParts(s);
+    });
+  }
+
+  const sizeInput = document.getElementById('part-size');
+  if (sizeInput) {
+    sizeInput.addEventListener('change', async () => {
+      const s = getYjsState();
+      sizeInput.value = String(setPartSize(s, sizeInput.value));
+      await closeCompletedParts(s);
+    });
+  }
+
+  const suggestBtn = document.getElementById('suggest-breaks');
+  if (suggestBtn) suggestBtn.addEventListener('click', () => handleSuggestBreaks(suggestBtn));
+
+  const repartitionBtn = document.getElementById('repartition-parts');
+  if (repartitionBtn) repartitionBtn.addEventListener('click', () => handleRepartition());
+
   const regenBtn = document.getElementById('regenerate-recent');
   if (regenBtn) {
     regenBtn.addEventListener('click', async () => {
       const s = getYjsState();
       console.debug('[Chronicle] regenerate recent clicked');
-      await recomputeRecentSummary(s, PART_SIZE_DEFAULT);
+      clearSummary(RECENT_SUMMARY_KEY);
+      await recomputeRecentSummary(s, null, true);
       renderRecent(s);
     });
   }
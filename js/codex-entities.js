@@ -0,0 +1,207 @@
+// Codex Entities - Extract named NPCs, places, factions and items from entries and merge them
+// Entities live in the per-character codex map; extraction results are cached as `codex:<entryId>` summaries
+
+import {
+  getYjsState,
+  getEntries,
+  getSummary,
+  getCodexEntities,
+  getCodexEntity,
+  setCodexEntity,
+  deleteCodexEntity,
+  transactLocalEdit,
+  transactBackground
+} from './yjs.js';
+import { summarize } from './summarization.js';
+import { isAIAvailable } from './ai-request.js';
+import { describeEntryForAI } from './entry-metadata.js';
+import { safeParseJSON } from './utils.js';
+import { CODEX_TYPES, normalizeEntityName, getEntityId, getCodexHref } from './codex-names.js';
+
+export const getCodexSummaryKey = (entryId) => `codex:${entryId}`;
+
+export { CODEX_TYPES, normalizeEntityName, getEntityId, getCodexHref };
+
+const cleanText = (value, max) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, max) : '');
+
+// Validate the model's `{ entities: [...] }` reply; drops anything without a usable name
+export const parseExtractedEntities = (raw) => {
+  const data = typeof raw === 'string' ? (safeParseJSON(raw).data || null) : raw;
+  const list = data && Array.isArray(data.entities) ? data.entities : [];
+  const seen = new Set();
+  return list.reduce((acc, item) => {
+    const name = cleanText(item && item.name, 120);
+    if (!name || !normalizeEntityName(name)) return acc;
+    const type = Object.prototype.hasOwnProperty.call(CODEX_TYPES, item.type) ? item.type : 'npc';
+    const key = `${type}:${normalizeEntityName(name)}`;
+    if (seen.has(key)) return acc;
+    seen.add(key);
+    const aliases = (Array.isArray(item.aliases) ? item.aliases : [])
+      .map(alias => cleanText(alias, 120))
+      .filter(alias => alias && normalizeEntityName(alias) !== normalizeEntityName(name));
+    acc.push({ type, name, aliases, description: cleanText(item.description, 1000) });
+    return acc;
+  }, []);
+};
+
+const namesOf = (entity) => [entity.name, ...(entity.aliases || [])].map(normalizeEntityName).filter(Boolean);
+
+// Same name or alias wins, preferring the same type (manual merges may cross types).
+// NPCs also match on a lone first name, e.g. "Sildar" and "Sildar Hallwinter", when that is unambiguous.
+export const findMatchingEntity = (entities, candidate) => {
+  const candidateNames = namesOf(candidate);
+  const exact = entities.filter(entity => namesOf(entity).some(name => candidateNames.includes(name)));
+  if (exact.length > 0) return exact.find(entity => entity.type === candidate.type) || exact[0];
+  if (candidate.type !== 'npc') return null;
+
+  const [candidateName] = candidateNames;
+  const firstNameMatches = entities.filter((entity) => {
+    if (entity.type !== 'npc') return false;
+    const name = normalizeEntityName(entity.name);
+    const [shorter, longer] = name.length < candidateName.length ? [name, candidateName] : [candidateName, name];
+    return !shorter.includes(' ') && longer.startsWith(`${shorter} `);
+  });
+  return firstNameMatches.length === 1 ? firstNameMatches[0] : null;
+};
+
+const addAliases = (entity, names) => {
+  const known = new Set(namesOf(entity));
+  const aliases = [...(entity.aliases || [])];
+  names.forEach((name) => {
+    const normalized = normalizeEntityName(name);
+    if (!normalized || known.has(normalized)) return;
+    known.add(normalized);
+    aliases.push(name);
+  });
+  return aliases;
+};
+
+// Merge one entry's extracted entities into the codex, replacing what that entry said before
+export const mergeEntryEntities = (state, entryId, extracted) => {
+  const apply = () => {
+    // Forget the entry's previous mentions; entities nobody mentions any more go away
+    getCodexEntities(state).forEach((entity) => {
+      if (!(entity.mentions || []).includes(entryId)) return;
+      const mentions = entity.mentions.filter(id => id !== entryId);
+      if (mentions.length === 0 && !entity.edited) deleteCodexEntity(state, entity.id);
+      else setCodexEntity(state, { ...entity, mentions });
+    });
+
+    extracted.forEach((candidate) => {
+      const match = findMatchingEntity(getCodexEntities(state), candidate);
+      if (!match) {
+        setCodexEntity(state, {
+          id: getEntityId(candidate.type, candidate.name),
+          type: candidate.type,
+          name: candidate.name,
+          aliases: candidate.aliases,
+          description: candidate.description,
+          mentions: [entryId]
+        });
+        return;
+      }
+      // A fuller name replaces a lone first name, which becomes an alias
+      const useCandidateName = match.type === 'npc' && candidate.type === 'npc'
+        && !normalizeEntityName(match.name).includes(' ')
+        && normalizeEntityName(candidate.name).startsWith(`${normalizeEntityName(match.name)} `);
+      const name = useCandidateName ? candidate.name : match.name;
+      const merged = { ...match, name, aliases: [] };
+      merged.aliases = addAliases(merged, [match.name, ...(match.aliases || []), candidate.name, ...candidate.aliases]);
+      setCodexEntity(state, {
+        ...merged,
+        description: match.description || candidate.description,
+        mentions: Array.from(new Set([...(match.mentions || []), entryId]))
+      });
+    });
+  };
+  transactBackground(state, apply);
+};
+
+// Ask the model for the entities of one entry (cached per entry) and merge them
+export const extractEntryEntities = async (state, entry) => {
+  const text = describeEntryForAI(entry);
+  if (!text || !text.trim()) return [];
+  const result = await summarize(getCodexSummaryKey(entry.id), text);
+  const entities = parseExtractedEntities(result);
+  mergeEntryEntities(state, entry.id, entities);
+  return entities;
+};
+
+// Drop mentions of entries that no longer exist
+export const pruneCodexMentions = (state) => {
+  const entryIds = new Set(getEntries(state).map(entry => entry.id));
+  const stale = getCodexEntities(state).filter(entity => (entity.mentions || []).some(id => !entryIds.has(id)));
+  if (stale.length === 0) return false;
+  const apply = () => {
+    stale.forEach((entity) => {
+      const mentions = entity.mentions.filter(id => entryIds.has(id));
+      if (mentions.length === 0 && !entity.edited) deleteCodexEntity(state, entity.id);
+      else setCodexEntity(state, { ...entity, mentions });
+    });
+  };
+  transactBackground(state, apply);
+  return true;
+};
+
+// Entries that have not been scanned since they were written or last edited
+export const getUnscannedEntries = (state) => getEntries(state)
+  .filter(entry => entry.content && entry.content.trim() && !getSummary(state, getCodexSummaryKey(entry.id)));
+
+let syncInFlight = null;
+
+// Bring the codex up to date with the journal, one entry at a time; concurrent calls share one run
+export const syncCodex = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (syncInFlight) return syncInFlight;
+  syncInFlight = (async () => {
+    pruneCodexMentions(state);
+    let scanned = 0;
+    for (const entry of getUnscannedEntries(state)) {
+      if (!isAIAvailable(state)) break;
+      try {
+        await extractEntryEntities(state, entry);
+        scanned += 1;
+      } catch (error) {
+        console.error('Failed to extract codex entities:', error);
+      }
+    }
+    return scanned;
+  })().finally(() => {
+    syncInFlight = null;
+  });
+  return syncInFlight;
+};
+
+// Fold one entity into another: names become aliases, mentions are combined
+export const mergeCodexEntities = (state, sourceId, targetId) => {
+  const source = getCodexEntity(state, sourceId);
+  const target = getCodexEntity(state, targetId);
+  if (!source || !target || sourceId === targetId) return false;
+  const apply = () => {
+    setCodexEntity(state, {
+      ...target,
+      aliases: addAliases(target, [source.name, ...(source.aliases || [])]),
+      description: target.description || source.description,
+      mentions: Array.from(new Set([...(target.mentions || []), ...(source.mentions || [])])),
+      edited: Boolean(target.edited || source.edited)
+    });
+    deleteCodexEntity(state, sourceId);
+  };
+  // The player merged these on the codex page
+  transactLocalEdit(state, apply);
+  return true;
+};
+
+// A description written by hand is kept when later entries mention the entity
+export const updateCodexDescription = (state, entityId, description) => {
+  const entity = getCodexEntity(state, entityId);
+  if (!entity) return false;
+  setCodexEntity(state, { ...entity, description: cleanText(description, 1000), edited: true });
+  return true;
+};
+
+// Names and aliases for parseMarkdown's `links` option
+export const getCodexLinks = (state) => getCodexEntities(state).flatMap((entity) => {
+  const href = getCodexHref(entity.id);
+  return [entity.name, ...(entity.aliases || [])].filter(Boolean).map(name => ({ name, href }));
+});
@@ -0,0 +1,23 @@
+// Codex Names - Pure helpers for codex entity names and links
+// Shared by the codex logic and its views; no state access
+
+export const CODEX_TYPES = {
+  npc: 'NPCs',
+  location: 'Locations',
+  faction: 'Factions',
+  item: 'Items'
+};
+
+// Comparable form of a name: no accents, leading article, punctuation or case
+export const normalizeEntityName = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+  .replace(/^\s*(the|a|an)\s+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+export const getEntityId = (type, name) => `${type}:${normalizeEntityName(name).replace(/ /g, '-')}`;
+
+export const getCodexHref = (entityId) => `/codex.html#${encodeURIComponent(entityId)}`;
@@ -0,0 +1,105 @@
+// Codex Page - Named NPCs, places, factions and items from the journal
+import { initYjs, getYjsState, getCodexEntities, onCodexChange, onJournalChange } from './yjs.js';
+import { syncCodex, getUnscannedEntries, mergeCodexEntities, updateCodexDescription } from './codex-entities.js';
+import { isAIAvailable } from './ai-request.js';
+import { getWikiLinkIndex, getEntryLabels } from './wiki.js';
+import { renderCodexList } from './components/codex-list.js';
+import { renderBrokenLinks } from './components/backlinks.js';
+import { showNotification } from './utils.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
+
+const renderStatus = (state, scanning = false) => {
+  const status = document.getElementById('codex-status');
+  if (!status) return;
+  if (scanning) {
+    status.textContent = 'Scanning entries for names...';
+    return;
+  }
+  const pending = getUnscannedEntries(state).length;
+  if (pending === 0) status.textContent = '';
+  else if (!isAIAvailable(state)) status.textContent = `${pending} ${pending === 1 ? 'entry has' : 'entries have'} not been scanned. Enable AI in Settings to fill the codex.`;
+  else status.textContent = `${pending} ${pending === 1 ? 'entry' : 'entries'} waiting to be scanned.`;
+};
+
+export const renderCodexPage = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const container = document.getElementById('codex-list');
+  const filter = document.getElementById('codex-filter');
+  const wiki = getWikiLinkIndex(state);
+  // Entries that link an entity with [[Name]] count as mentions too
+  const entities = getCodexEntities(state).map(entity => ({
+    ...entity,
+    mentions: Array.from(new Set([...(entity.mentions || []), ...wiki.getBacklinks(`codex:${entity.id}`).map(item => item.entryId)]))
+  }));
+  renderCodexList(container, entities, {
+    filter: filter ? filter.value : '',
+    entryLabels: getEntryLabels(state),
+    onSaveDescription: (entityId, text) => {
+      if (updateCodexDescription(getYjsState(), entityId, text)) showNotification('Description saved', 'success');
+    },
+    onMerge: (sourceId, targetId) => {
+      if (mergeCodexEntities(getYjsState(), sourceId, targetId)) showNotification('Merged', 'success');
+    }
+  });
+  renderBrokenLinks(document.getElementById('codex-broken-links'), wiki.broken);
+  renderStatus(state);
+};
+
+const runScan = async (state) => {
+  if (!isAIAvailable(state)) {
+    showNotification('Enable AI in Settings to scan entries', 'warning');
+    return;
+  }
+  renderStatus(state, true);
+  try {
+    const scanned = await syncCodex(state);
+    showNotification(scanned > 0 ? `Scanned ${scanned} ${scanned === 1 ? 'entry' : 'entries'}` : 'The codex is up to date', 'success');
+  } catch (error) {
+    console.error('Failed to scan entries:', error);
+    showNotification('Failed to scan entries', 'error');
+  }
+  renderStatus(state);
+};
+
+export const initCodexPage = async (stateParam = null) => {
+  const state = stateParam || (await initYjs(), getYjsState());
+  setupCharacterSwitcher(state);
+  setupSyncIndicator();
+  renderCodexPage(state);
+  // The list is rendered after load, so the browser could not scroll to a linked entity itself
+  if (window.location.hash) {
+    const target = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    if (target && typeof target.scrollIntoView === 'function') target.scrollIntoView();
+  }
+
+  const filter = document.getElementById('codex-filter');
+  if (filter) filter.addEventListener('input', () => renderCodexPage(getYjsState()));
+
+  const scanButton = document.getElementById('codex-scan');
+  if (scanButton) scanButton.addEventListener('click', () => runScan(getYjsState()));
+
+  const offFns = [];
+  offFns.push(onCodexChange(state, () => renderCodexPage(getYjsState())));
+  offFns.push(onJournalChange(state, () => {
+    renderCodexPage(getYjsState());
+    syncCodex(getYjsState()).catch(() => {});
+  }));
+
+  syncCodex(state).then(() => renderStatus(getYjsState())).catch(() => {});
+
+  const unsubscribe = () => {
+    while (offFns.length) {
+      const off = offFns.pop();
+      try { off && off(); } catch {}
+    }
+  };
+  return { unsubscribe };
+};
+
+// Initialize when DOM is ready (align with other pages)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    initCodexPage();
+  });
+}
@@ -0,0 +1,59 @@
+// AI Jobs Status Component - Header indicator for the background AI queue
+// Views must remain pure: no state or service imports
+import { summarizeJobs, describeJob, getJobTitle, getFailedDependencies, JOB_FAILED } from '../ai-jobs.js';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// "AI: 1 generating · 2 queued · 1 retrying at 14:05 · 1 failed · 1 blocked", or '' for an empty queue
+export const describeAIJobs = (jobs = [], now = Date.now()) => {
+  const counts = summarizeJobs(jobs, now);
+  if (counts.total === 0) return '';
+  const parts = [
+    counts.running ? `${counts.running} generating` : '',
+    counts.queued ? `${counts.queued} queued` : '',
+    counts.retrying ? `${counts.retrying} retrying at ${formatTime(counts.nextRetryAt)}` : '',
+    counts.failed ? `${counts.failed} failed` : '',
+    counts.blocked ? `${counts.blocked} blocked` : ''
+  ].filter(Boolean);
+  return `AI: ${parts.join(' · ')}`;
+};
+
+// Render into #ai-jobs-status; hidden while the queue is empty. The tooltip lists every job,
+// and failed jobs get a Retry button calling options.onRetry().
+export const renderAIJobsStatus = (container, jobs = [], options = {}) => {
+  if (!container) return;
+  const now = options.now || Date.now();
+  container.innerHTML = '';
+  const label = describeAIJobs(jobs, now);
+  container.classList.toggle('is-hidden', !label);
+  if (!label) {
+    container.title = '';
+    return;
+  }
+
+  const text = document.createElement('span');
+  text.className = 'ai-jobs-status__text';
+  text.textContent = label;
+  container.appendChild(text);
+  container.title = jobs.map(job => `${getJobTitle(job)}: ${describeJob(job, now, jobs)}`).join('\n');
+
+  if (jobs.some(job => job.status === JOB_FAILED) && options.onRetry) {
+    const retry = document.createElement('button');
+    retry.type = 'button';
+    retry.className = 'ai-jobs-status__retry';
+    retry.textContent = 'Retry';
+    retry.addEventListener('click', () => options.onRetry());
+    container.appendChild(retry);
+  }
+};
+
+// Job state in place of a result that is not ready yet; null without a job.
+// Given the whole queue, a job waiting on a failed one says which.
+export const createAIJobState = (job, now = Date.now(), jobs = []) => {
+  if (!job) return null;
+  const state = document.createElement('p');
+  const blocked = getFailedDependencies(job, new Map(jobs.map(item => [item.id, item]))).length > 0;
+  state.className = `ai-job-state ai-job-state--${blocked ? 'blocked' : job.status}`;
+  state.textContent = describeJob(job, now, jobs);
+  return state;
+};
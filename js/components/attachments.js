@@ -0,0 +1,82 @@
+// Attachments Component - Entry thumbnails and the lightbox preview
+// Views must remain pure: no state or service imports
+import { formatBytes } from '../attachment-files.js';
+
+// items: [{ id, name, type, size, isImage, thumbnail }] where thumbnail is an image URL or null.
+// Returns null when the entry has no attachments.
+export const createAttachmentList = (items, onOpen = null) => {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  const list = document.createElement('ul');
+  list.className = 'attachment-list';
+  items.forEach((item) => {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'attachment-thumb';
+    button.dataset.attachmentId = item.id;
+    button.title = `${item.name} (${formatBytes(item.size)})`;
+    if (item.thumbnail) {
+      const img = document.createElement('img');
+      img.src = item.thumbnail;
+      img.alt = item.name;
+      img.loading = 'lazy';
+      button.appendChild(img);
+    } else {
+      const label = document.createElement('span');
+      label.className = 'attachment-thumb__name';
+      label.textContent = item.name;
+      button.appendChild(label);
+    }
+    if (onOpen) button.addEventListener('click', () => onOpen(item.id));
+    li.appendChild(button);
+    list.appendChild(li);
+  });
+  return list;
+};
+
+// Lightbox body for one attachment: the image itself, a player for voice notes (with their transcript),
+// or a note for files the browser shows elsewhere.
+// url is null while the file is unavailable (e.g. a server file that was never cached on this device).
+export const createAttachmentPreview = ({ name, type, size, isImage, isAudio = false, transcript = '', url }) => {
+  const preview = document.createElement('figure');
+  preview.className = 'attachment-preview';
+  if (url && isImage) {
+    const img = document.createElement('img');
+    img.className = 'attachment-preview__image';
+    img.src = url;
+    img.alt = name;
+    preview.appendChild(img);
+  } else if (url && isAudio) {
+    const audio = document.createElement('audio');
+    audio.className = 'attachment-preview__audio';
+    audio.controls = true;
+    audio.src = url;
+    preview.appendChild(audio);
+  } else if (!url) {
+    const note = document.createElement('p');
+    note.className = 'text-muted';
+    note.textContent = 'This file is not available offline on this device yet.';
+    preview.appendChild(note);
+  }
+
+  if (transcript) {
+    const quote = document.createElement('blockquote');
+    quote.className = 'attachment-preview__transcript';
+    quote.textContent = transcript;
+    preview.appendChild(quote);
+  }
+
+  const caption = document.createElement('figcaption');
+  caption.className = 'attachment-preview__caption';
+  caption.textContent = `${name} · ${type || 'file'} · ${formatBytes(size)}`;
+  if (url) {
+    caption.appendChild(document.createTextNode(' · '));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.textContent = isImage || isAudio ? 'Download' : 'Open file';
+    caption.appendChild(link);
+  }
+  preview.appendChild(caption);
+  return preview;
+};
@@ -0,0 +1,62 @@
+// Backlinks Component - "Mentioned in" lists and broken wiki links
+// Views must remain pure: no state or service imports
+
+const createLinkList = (items, renderItem) => {
+  const list = document.createElement('ul');
+  list.className = 'backlinks__list';
+  items.forEach((item) => {
+    const li = document.createElement('li');
+    renderItem(li, item);
+    list.appendChild(li);
+  });
+  return list;
+};
+
+const createLink = (item) => {
+  const link = document.createElement('a');
+  link.href = item.href;
+  link.textContent = item.label;
+  return link;
+};
+
+// items: [{ href, label }]; null when nothing links here
+export const createBacklinks = (items, heading = 'Mentioned in') => {
+  if (!Array.isArray(items) || items.length === 0) return null;
+  const aside = document.createElement('aside');
+  aside.className = 'backlinks';
+  const title = document.createElement('h4');
+  title.className = 'backlinks__title';
+  title.textContent = heading;
+  aside.appendChild(title);
+  aside.appendChild(createLinkList(items, (li, item) => li.appendChild(createLink(item))));
+  return aside;
+};
+
+// Render backlinks into a container, or clear it when there are none
+export const renderBacklinks = (container, items, heading) => {
+  if (!container) return;
+  container.innerHTML = '';
+  const backlinks = createBacklinks(items, heading);
+  if (backlinks) container.appendChild(backlinks);
+};
+
+// items: [{ href, label, target }] where `target` is the link text that resolved to nothing
+export const renderBrokenLinks = (container, items) => {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!Array.isArray(items) || items.length === 0) return;
+  const title = document.createElement('h3');
+  title.textContent = 'Broken links';
+  const hint = document.createElement('p');
+  hint.className = 'text-muted text-small';
+  hint.textContent = 'These [[links]] do not match any entry, part, character or codex name.';
+  container.appendChild(title);
+  container.appendChild(hint);
+  container.appendChild(createLinkList(items, (li, item) => {
+    const code = document.createElement('code');
+    code.textContent = `[[${item.target}]]`;
+    li.appendChild(code);
+    li.appendChild(document.createTextNode(' in '));
+    li.appendChild(createLink(item));
+  }));
+};
@@ -0,0 +1,280 @@
+// Character Sheet Component - Editable 5e sheet: core stats, abilities and saves, skills, inventory and spells
+// Views must remain pure: no state or service imports
+import { ABILITIES, formatModifier, getSaveProficiencyId } from '../character-sheet.js';
+
+const createElement = (tag, className = '', text = '') => {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+};
+
+// Inputs carry their sheet path (e.g. 'hp.current') in data-path; see readPath
+const createNumberInput = (path, value, label, { min = 0, max = 999 } = {}) => {
+  const input = createElement('input', 'form-input character-sheet__number');
+  input.type = 'number';
+  input.min = String(min);
+  input.max = String(max);
+  input.value = value ?? '';
+  input.dataset.path = path;
+  input.setAttribute('aria-label', label);
+  return input;
+};
+
+const createCheckbox = (path, checked, label) => {
+  const input = createElement('input', 'checkbox-input');
+  input.type = 'checkbox';
+  input.checked = Boolean(checked);
+  input.dataset.path = path;
+  input.setAttribute('aria-label', label);
+  return input;
+};
+
+const createStat = (labelText, control) => {
+  const stat = createElement('label', 'character-sheet__stat');
+  stat.appendChild(createElement('span', 'form-label', labelText));
+  stat.appendChild(control);
+  return stat;
+};
+
+const createDerived = (labelText, value) => {
+  const stat = createElement('div', 'character-sheet__stat character-sheet__stat--derived');
+  stat.appendChild(createElement('span', 'form-label', labelText));
+  stat.appendChild(createElement('span', 'character-sheet__value', value));
+  return stat;
+};
+
+const createGroup = (title, className) => {
+  const group = createElement('fieldset', `character-sheet__group ${className}`);
+  group.appendChild(createElement('legend', 'character-sheet__title', title));
+  return group;
+};
+
+const createCore = (sheet) => {
+  const group = createGroup('Core', 'character-sheet__core');
+  const grid = createElement('div', 'character-sheet__grid');
+  grid.appendChild(createStat('Level', createNumberInput('level', sheet.level, 'Level', { min: 1, max: 20 })));
+  grid.appendChild(createStat('Armor Class', createNumberInput('armorClass', sheet.armorClass, 'Armor Class', { max: 50 })));
+  grid.appendChild(createStat('Speed (ft)', createNumberInput('speed', sheet.speed, 'Speed', { max: 500 })));
+  grid.appendChild(createStat('HP', createNumberInput('hp.current', sheet.hp.current, 'Current hit points', { max: 9999 })));
+  grid.appendChild(createStat('Max HP', createNumberInput('hp.max', sheet.hp.max, 'Maximum hit points', { max: 9999 })));
+  grid.appendChild(createStat('Temp HP', createNumberInput('hp.temp', sheet.hp.temp, 'Temporary hit points', { max: 9999 })));
+  grid.appendChild(createDerived('Proficiency', formatModifier(sheet.proficiencyBonus)));
+  grid.appendChild(createDerived('Initiative', formatModifier(sheet.initiative)));
+  grid.appendChild(createDerived('Passive Perception', String(sheet.passivePerception)));
+  group.appendChild(grid);
+  return group;
+};
+
+const createAbilities = (sheet) => {
+  const group = createGroup('Abilities and Saving Throws', 'character-sheet__abilities');
+  const grid = createElement('div', 'character-sheet__grid');
+  sheet.abilities.forEach((ability) => {
+    const card = createElement('div', 'character-sheet__ability');
+    card.dataset.ability = ability.id;
+    card.appendChild(createStat(ability.short, createNumberInput(`abilities.${ability.id}`, ability.score, `${ability.label} score`, { min: 1, max: 30 })));
+    card.appendChild(createElement('span', 'character-sheet__modifier', formatModifier(ability.modifier)));
+    const save = createElement('label', 'character-sheet__check text-small');
+    save.appendChild(createCheckbox(`proficiencies.${getSaveProficiencyId(ability.id)}`, ability.saveProficient, `${ability.label} saving throw proficiency`));
+    save.appendChild(document.createTextNode(` Save ${formatModifier(ability.save)}`));
+    card.appendChild(save);
+    grid.appendChild(card);
+  });
+  group.appendChild(grid);
+  return group;
+};
+
+const createSkills = (sheet) => {
+  const group = createGroup('Skills', 'character-sheet__skills');
+  const list = createElement('ul', 'character-sheet__skill-list');
+  sheet.skills.forEach((skill) => {
+    const item = createElement('li', 'character-sheet__skill');
+    const label = createElement('label', 'character-sheet__check');
+    label.appendChild(createCheckbox(`proficiencies.${skill.id}`, skill.proficient, `${skill.label} proficiency`));
+    label.appendChild(document.createTextNode(` ${skill.label} `));
+    label.appendChild(createElement('span', 'text-muted text-small', ABILITIES.find(a => a.id === skill.ability).short));
+    item.appendChild(label);
+    item.appendChild(createElement('span', 'character-sheet__modifier', formatModifier(skill.bonus)));
+    list.appendChild(item);
+  });
+  group.appendChild(list);
+  return group;
+};
+
+// One editable row per item: fields are [{ field, type, label }]
+const createItemList = (list, items, fields) => {
+  const rows = createElement('ul', 'character-sheet__items');
+  items.forEach((item) => {
+    const row = createElement('li', 'character-sheet__item');
+    row.dataset.list = list;
+    row.dataset.itemId = item.id;
+    fields.forEach(({ field, type, label, min, max }) => {
+      let input;
+      if (type === 'checkbox') {
+        input = createCheckbox('', item[field], `${label}: ${item.name}`);
+        const wrapper = createElement('label', 'character-sheet__check text-small');
+        wrapper.appendChild(input);
+        wrapper.appendChild(document.createTextNode(` ${label}`));
+        row.appendChild(wrapper);
+      } else {
+        input = type === 'number'
+          ? createNumberInput('', item[field], `${label}: ${item.name}`, { min, max })
+          : createElement('input', 'form-input character-sheet__item-name');
+        if (type !== 'number') {
+          input.type = 'text';
+          input.value = item[field] || '';
+          input.setAttribute('aria-label', label);
+        }
+        row.appendChild(input);
+      }
+      delete input.dataset.path;
+      input.dataset.itemField = field;
+    });
+    const remove = createElement('button', 'btn btn-secondary character-sheet__remove', 'Remove');
+    remove.type = 'button';
+    remove.dataset.action = 'remove-item';
+    remove.setAttribute('aria-label', `Remove ${item.name}`);
+    row.appendChild(remove);
+    rows.appendChild(row);
+  });
+  return rows;
+};
+
+// Small form that adds an item to a list
+const createAddForm = (list, fields, buttonText) => {
+  const form = createElement('form', 'character-sheet__add');
+  form.dataset.list = list;
+  fields.forEach(({ field, type, label, min, max }) => {
+    const input = createElement('input', type === 'checkbox' ? 'checkbox-input' : 'form-input');
+    input.type = type;
+    input.name = field;
+    if (type === 'number') {
+      input.min = String(min);
+      input.max = String(max);
+    }
+    if (type === 'checkbox') {
+      const wrapper = createElement('label', 'character-sheet__check text-small');
+      wrapper.appendChild(input);
+      wrapper.appendChild(document.createTextNode(` ${label}`));
+      form.appendChild(wrapper);
+    } else {
+      input.placeholder = label;
+      input.setAttribute('aria-label', label);
+      form.appendChild(input);
+    }
+  });
+  const button = createElement('button', 'btn btn-secondary', buttonText);
+  button.type = 'submit';
+  form.appendChild(button);
+  return form;
+};
+
+const INVENTORY_FIELDS = [
+  { field: 'name', type: 'text', label: 'Item' },
+  { field: 'quantity', type: 'number', label: 'Quantity', min: 0, max: 9999 },
+  { field: 'equipped', type: 'checkbox', label: 'Equipped' }
+];
+
+const SPELL_FIELDS = [
+  { field: 'name', type: 'text', label: 'Spell' },
+  { field: 'level', type: 'number', label: 'Level (0 for cantrips)', min: 0, max: 9 },
+  { field: 'prepared', type: 'checkbox', label: 'Prepared' }
+];
+
+const createInventory = (sheet) => {
+  const group = createGroup('Inventory', 'character-sheet__inventory');
+  group.appendChild(createStat('Gold (gp)', createNumberInput('gold', sheet.gold, 'Gold', { max: 10000000 })));
+  group.appendChild(createItemList('inventory', sheet.inventory, INVENTORY_FIELDS));
+  group.appendChild(createAddForm('inventory', INVENTORY_FIELDS, 'Add Item'));
+  return group;
+};
+
+const createSpells = (sheet) => {
+  const group = createGroup('Spells', 'character-sheet__spells');
+  const grid = createElement('div', 'character-sheet__grid');
+
+  const ability = createElement('select', 'form-select');
+  ability.dataset.path = 'spellcastingAbility';
+  ability.setAttribute('aria-label', 'Spellcasting ability');
+  [{ id: '', short: 'None' }, ...ABILITIES].forEach(({ id, short }) => {
+    const option = createElement('option', '', short);
+    option.value = id;
+    ability.appendChild(option);
+  });
+  ability.value = sheet.spellcastingAbility;
+  grid.appendChild(createStat('Spellcasting', ability));
+  grid.appendChild(createDerived('Spell Save DC', sheet.spellSaveDC === null ? '—' : String(sheet.spellSaveDC)));
+  grid.appendChild(createDerived('Spell Attack', sheet.spellAttackBonus === null ? '—' : formatModifier(sheet.spellAttackBonus)));
+  group.appendChild(grid);
+
+  const slots = createElement('table', 'character-sheet__slots');
+  const head = slots.createTHead().insertRow();
+  ['Slot level', 'Slots', 'Used'].forEach(text => head.appendChild(createElement('th', '', text)));
+  const body = slots.createTBody();
+  sheet.spellSlots.forEach((slot) => {
+    const row = body.insertRow();
+    row.insertCell().textContent = String(slot.level);
+    row.insertCell().appendChild(createNumberInput(`spellSlots.${slot.level}.max`, slot.max || null, `Level ${slot.level} slots`, { max: 9 }));
+    row.insertCell().appendChild(createNumberInput(`spellSlots.${slot.level}.used`, slot.used || null, `Level ${slot.level} slots used`, { max: 9 }));
+  });
+  group.appendChild(slots);
+
+  group.appendChild(createItemList('spells', sheet.spells, SPELL_FIELDS));
+  group.appendChild(createAddForm('spells', SPELL_FIELDS, 'Add Spell'));
+  return group;
+};
+
+const readValue = (input) => (input.type === 'checkbox' ? input.checked : input.value);
+
+// Key that finds the same control after a re-render, so the field being edited keeps focus
+const getFocusKey = (element) => {
+  if (!element || !element.dataset) return null;
+  if (element.dataset.path) return `path:${element.dataset.path}`;
+  const row = element.closest('[data-item-id]');
+  if (row && element.dataset.itemField) return `item:${row.dataset.itemId}:${element.dataset.itemField}`;
+  const form = element.closest('form[data-list]');
+  if (form && element.name) return `add:${form.dataset.list}:${element.name}`;
+  return null;
+};
+
+const findByFocusKey = (root, key) => Array.from(root.querySelectorAll('input, select, button')).find(el => getFocusKey(el) === key);
+
+// sheet: computeCharacterSheet() output. handlers: onChange(path, value), onItemChange(list, itemId, field, value),
+// onAddItem(list, fields), onRemoveItem(list, itemId). Values are raw input values; the logic parses them.
+export const renderCharacterSheet = (container, sheet, handlers = {}) => {
+  if (!container || !sheet) return;
+  const focusKey = container.contains(document.activeElement) ? getFocusKey(document.activeElement) : null;
+
+  const body = createElement('div', 'character-sheet__body');
+  [createCore(sheet), createAbilities(sheet), createSkills(sheet), createInventory(sheet), createSpells(sheet)]
+    .forEach(group => body.appendChild(group));
+
+  body.addEventListener('change', (event) => {
+    const input = event.target;
+    if (input.closest('form[data-list]')) return;
+    if (input.dataset.path && handlers.onChange) {
+      handlers.onChange(input.dataset.path.split('.'), readValue(input));
+      return;
+    }
+    const row = input.closest('[data-item-id]');
+    if (row && input.dataset.itemField && handlers.onItemChange) {
+      handlers.onItemChange(row.dataset.list, row.dataset.itemId, input.dataset.itemField, readValue(input));
+    }
+  });
+  body.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-action="remove-item"]');
+    const row = button && button.closest('[data-item-id]');
+    if (row && handlers.onRemoveItem) handlers.onRemoveItem(row.dataset.list, row.dataset.itemId);
+  });
+  body.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const form = event.target;
+    if (!handlers.onAddItem) return;
+    const fields = Object.fromEntries(Array.from(form.querySelectorAll('input')).map(input => [input.name, readValue(input)]));
+    handlers.onAddItem(form.dataset.list, fields);
+  });
+
+  container.replaceChildren(body);
+  const focused = focusKey && findByFocusKey(body, focusKey);
+  if (focused) focused.focus();
+};
@@ -0,0 +1,47 @@
+// Character Switcher Component - Select for the active character in the tabs header
+// Views must remain pure: no state or service imports
+
+export const NEW_CHARACTER_OPTION = '__new__';
+
+export const createCharacterSwitcher = (characters, activeId, callbacks = {}) => {
+  const select = document.createElement('select');
+  select.className = 'tabs__switcher';
+  select.setAttribute('aria-label', 'Active character');
+
+  characters.forEach((character, index) => {
+    const option = document.createElement('option');
+    option.value = character.id;
+    option.textContent = character.name || `Unnamed character ${index + 1}`;
+    option.selected = character.id === activeId;
+    select.appendChild(option);
+  });
+
+  const newOption = document.createElement('option');
+  newOption.value = NEW_CHARACTER_OPTION;
+  newOption.textContent = '+ New character';
+  select.appendChild(newOption);
+
+  select.addEventListener('change', () => {
+    if (select.value === NEW_CHARACTER_OPTION) {
+      // Keep showing the current character until the logic layer switches
+      select.value = activeId;
+      if (callbacks.onCreate) callbacks.onCreate();
+      return;
+    }
+    if (callbacks.onSwitch) callbacks.onSwitch(select.value);
+  });
+
+  return select;
+};
+
+// Render (or replace) the switcher inside the given header container
+export const renderCharacterSwitcher = (container, characters, activeId, callbacks = {}) => {
+  if (!container) return;
+  const switcher = createCharacterSwitcher(characters, activeId, callbacks);
+  const existing = container.querySelector('.tabs__switcher');
+  if (existing) {
+    existing.replaceWith(switcher);
+  } else {
+    container.appendChild(switcher);
+  }
+};
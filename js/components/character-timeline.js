@@ -0,0 +1,103 @@
+// Character Timeline Component - Snapshots of the character over the campaign and a side-by-side comparison
+// Views must remain pure: no state or service imports
+
+const createElement = (tag, className = '', text = '') => {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+};
+
+const createChangeList = (changes) => {
+  const list = createElement('ul', 'character-timeline__changes');
+  changes.forEach(change => list.appendChild(createElement('li', '', change)));
+  return list;
+};
+
+// item: { id, label, date, href, levelUp, baseline, changes: [string] }
+const createItem = (item) => {
+  const li = createElement('li', `character-timeline__item${item.levelUp ? ' character-timeline__item--level-up' : ''}`);
+  li.dataset.snapshotId = item.id;
+  const header = createElement('div', 'character-timeline__header');
+  header.appendChild(createElement('strong', 'character-timeline__label', item.label));
+  if (item.levelUp) header.appendChild(createElement('span', 'character-timeline__badge', 'Level up'));
+  header.appendChild(createElement('span', 'text-muted text-small', item.date));
+  if (item.href) {
+    const link = createElement('a', 'text-small', 'Journal entry');
+    link.href = item.href;
+    header.appendChild(link);
+  }
+  li.appendChild(header);
+  if (item.baseline) {
+    li.appendChild(createElement('p', 'text-muted text-small', 'The character before the first recorded change.'));
+  } else if (item.changes.length > 0) {
+    li.appendChild(createChangeList(item.changes));
+  }
+  return li;
+};
+
+const createSelect = (name, labelText, options, selectedId) => {
+  const label = createElement('label', 'character-timeline__select');
+  label.appendChild(createElement('span', 'form-label', labelText));
+  const select = createElement('select', 'form-select');
+  select.dataset.compare = name;
+  options.forEach((option) => {
+    const element = createElement('option', '', option.label);
+    element.value = option.id;
+    element.selected = option.id === selectedId;
+    select.appendChild(element);
+  });
+  label.appendChild(select);
+  return label;
+};
+
+const createCharacterAt = (title, lines) => {
+  const column = createElement('div', 'character-timeline__snapshot');
+  column.appendChild(createElement('h4', '', title));
+  lines.forEach(line => column.appendChild(createElement('p', 'text-small', line)));
+  return column;
+};
+
+// compare: { options: [{ id, label }], fromId, toId, result: { from: [line], to: [line], changes: [string] } | null }
+const createCompare = (compare, onCompare) => {
+  const section = createElement('div', 'character-timeline__compare');
+  section.appendChild(createElement('h3', '', 'Compare'));
+  const controls = createElement('div', 'character-timeline__controls');
+  controls.appendChild(createSelect('from', 'Character as of', compare.options, compare.fromId));
+  controls.appendChild(createSelect('to', 'Compared with', compare.options, compare.toId));
+  controls.addEventListener('change', () => {
+    const read = (name) => controls.querySelector(`[data-compare="${name}"]`).value;
+    if (typeof onCompare === 'function') onCompare(read('from'), read('to'));
+  });
+  section.appendChild(controls);
+
+  const { result } = compare;
+  if (!result) return section;
+  const label = (id) => compare.options.find(option => option.id === id)?.label || '';
+  const columns = createElement('div', 'character-timeline__columns');
+  columns.appendChild(createCharacterAt(label(compare.fromId), result.from));
+  columns.appendChild(createCharacterAt(label(compare.toId), result.to));
+  section.appendChild(columns);
+  if (result.changes.length > 0) {
+    section.appendChild(createChangeList(result.changes));
+  } else {
+    section.appendChild(createElement('p', 'text-muted text-small', 'No differences.'));
+  }
+  return section;
+};
+
+// timeline: { items (newest first), compare }; handlers: { onCompare(fromId, toId) }
+export const renderCharacterTimeline = (container, timeline, handlers = {}) => {
+  if (!container) return;
+  container.innerHTML = '';
+  container.appendChild(createElement('h2', '', 'Character Timeline'));
+  const items = timeline?.items || [];
+  if (items.length === 0) {
+    container.appendChild(createElement('p', 'text-muted', 'Level ups, new gear and changed goals are recorded here as you save the character, next to the journal entry they followed.'));
+    return;
+  }
+  const list = createElement('ol', 'character-timeline__list');
+  items.forEach(item => list.appendChild(createItem(item)));
+  container.appendChild(list);
+  if (timeline.compare) container.appendChild(createCompare(timeline.compare, handlers.onCompare));
+};
@@ -0,0 +1,97 @@
+// Chat Component - Conversation threads and messages with citations that link to entries
+// Views must remain pure: no state or service imports
+import { splitCitations } from '../chat-prompt.js';
+
+const createElement = (tag, className = '', text = '') => {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text) element.textContent = text;
+  return element;
+};
+
+// threads: [{ id, title, updatedAt }]; handlers: { onSelect(threadId), onDelete(threadId) }
+export const renderChatThreads = (container, threads, activeId, handlers = {}) => {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!Array.isArray(threads) || threads.length === 0) {
+    container.appendChild(createElement('p', 'text-muted text-small', 'No conversations yet.'));
+    return;
+  }
+  const list = createElement('ul', 'chat-threads__list');
+  threads.forEach((thread) => {
+    const item = createElement('li', `chat-threads__item${thread.id === activeId ? ' chat-threads__item--active' : ''}`);
+    item.dataset.threadId = thread.id;
+    const select = createElement('button', 'chat-threads__title', thread.title);
+    select.type = 'button';
+    if (thread.id === activeId) select.setAttribute('aria-current', 'true');
+    select.addEventListener('click', () => handlers.onSelect && handlers.onSelect(thread.id));
+    const remove = createElement('button', 'chat-threads__delete', '×');
+    remove.type = 'button';
+    remove.setAttribute('aria-label', `Delete conversation: ${thread.title}`);
+    remove.addEventListener('click', () => handlers.onDelete && handlers.onDelete(thread.id));
+    item.appendChild(select);
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+};
+
+// Paragraphs of the answer with [n] turned into links to the cited source
+const createContent = (content, sources = []) => {
+  const wrapper = createElement('div', 'chat-message__content');
+  String(content || '').split(/\n\s*\n/).forEach((paragraphText) => {
+    const paragraph = createElement('p');
+    splitCitations(paragraphText).forEach((part) => {
+      if (!part.citation) {
+        paragraph.appendChild(document.createTextNode(part.text));
+        return;
+      }
+      const source = sources.find(item => item.n === part.citation);
+      if (!source || !source.href) {
+        paragraph.appendChild(document.createTextNode(`[${part.citation}]`));
+        return;
+      }
+      const link = createElement('a', 'chat-citation', `[${part.citation}]`);
+      link.href = source.href;
+      link.title = source.title || '';
+      paragraph.appendChild(link);
+    });
+    wrapper.appendChild(paragraph);
+  });
+  return wrapper;
+};
+
+const createSources = (sources) => {
+  const list = createElement('ol', 'chat-message__sources');
+  sources.forEach((source) => {
+    const item = createElement('li');
+    item.value = source.n;
+    const link = createElement('a', '', source.title || 'Journal entry');
+    link.href = source.href;
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  return list;
+};
+
+// messages: [{ id, role, content, sources? }]; pending shows that an answer is on its way
+export const renderChatMessages = (container, messages, { pending = false } = {}) => {
+  if (!container) return;
+  container.innerHTML = '';
+  if ((!Array.isArray(messages) || messages.length === 0) && !pending) {
+    container.appendChild(createElement('p', 'text-muted', 'Ask about people, places and promises from your sessions, e.g. "What did we promise the harbormaster?"'));
+    return;
+  }
+  (messages || []).forEach((message) => {
+    const element = createElement('article', `chat-message chat-message--${message.role === 'user' ? 'user' : 'assistant'}`);
+    element.dataset.messageId = message.id;
+    element.appendChild(createContent(message.content, message.sources));
+    if (message.role !== 'user' && Array.isArray(message.sources) && message.sources.length > 0) {
+      element.appendChild(createSources(message.sources));
+    }
+    container.appendChild(element);
+  });
+  if (pending) {
+    container.appendChild(createElement('p', 'chat-message chat-message--pending text-muted', 'Looking through the journal…'));
+  }
+};
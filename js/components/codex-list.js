@@ -0,0 +1,143 @@
+// Codex List Component - Entities grouped by type with their mentions
+// Views must remain pure: no state or service imports
+import { normalizeEntityName, CODEX_TYPES } from '../codex-names.js';
+
+const matchesFilter = (entity, filter) => {
+  const query = normalizeEntityName(filter);
+  if (!query) return true;
+  return [entity.name, ...(entity.aliases || [])].some(name => normalizeEntityName(name).includes(query));
+};
+
+const createMentions = (entity, entryLabels) => {
+  const list = document.createElement('ul');
+  list.className = 'codex-entity__mentions';
+  (entity.mentions || []).forEach((entryId) => {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = `/#entry-${encodeURIComponent(entryId)}`;
+    link.textContent = entryLabels.get(entryId) || 'Untitled entry';
+    item.appendChild(link);
+    list.appendChild(item);
+  });
+  return list;
+};
+
+const createDescriptionEditor = (entity, onSaveDescription) => {
+  const form = document.createElement('form');
+  form.className = 'codex-entity__edit is-hidden';
+  const textarea = document.createElement('textarea');
+  textarea.className = 'form-textarea';
+  textarea.name = 'description';
+  textarea.rows = 3;
+  textarea.value = entity.description || '';
+  textarea.setAttribute('aria-label', `Description of ${entity.name}`);
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.className = 'btn btn-primary';
+  save.textContent = 'Save';
+  form.appendChild(textarea);
+  form.appendChild(save);
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (onSaveDescription) onSaveDescription(entity.id, textarea.value);
+  });
+  return form;
+};
+
+const createMergeControl = (entity, others, onMerge) => {
+  const label = document.createElement('label');
+  label.className = 'codex-entity__merge text-small';
+  label.textContent = 'Same as ';
+  const select = document.createElement('select');
+  select.className = 'form-select';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Choose…';
+  select.appendChild(placeholder);
+  others.forEach((other) => {
+    const option = document.createElement('option');
+    option.value = other.id;
+    option.textContent = other.name;
+    select.appendChild(option);
+  });
+  select.addEventListener('change', () => {
+    if (select.value && onMerge) onMerge(entity.id, select.value);
+  });
+  label.appendChild(select);
+  return label;
+};
+
+const createEntity = (entity, others, options) => {
+  const article = document.createElement('article');
+  article.className = 'codex-entity';
+  article.id = entity.id;
+
+  const header = document.createElement('div');
+  header.className = 'flex-row justify-between gap-8';
+  const name = document.createElement('h4');
+  name.className = 'codex-entity__name m-0';
+  name.textContent = entity.name;
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'btn btn-secondary codex-entity__edit-toggle';
+  edit.textContent = 'Edit';
+  header.appendChild(name);
+  header.appendChild(edit);
+  article.appendChild(header);
+
+  if (entity.aliases && entity.aliases.length > 0) {
+    const aliases = document.createElement('p');
+    aliases.className = 'codex-entity__aliases text-muted text-small';
+    aliases.textContent = `Also: ${entity.aliases.join(', ')}`;
+    article.appendChild(aliases);
+  }
+
+  const description = document.createElement('p');
+  description.className = 'codex-entity__description';
+  description.textContent = entity.description || 'No description yet.';
+  article.appendChild(description);
+
+  const editor = createDescriptionEditor(entity, options.onSaveDescription);
+  article.appendChild(editor);
+  edit.addEventListener('click', () => {
+    editor.classList.toggle('is-hidden');
+    if (!editor.classList.contains('is-hidden')) editor.querySelector('textarea').focus();
+  });
+
+  article.appendChild(createMentions(entity, options.entryLabels || new Map()));
+  if (others.length > 0) article.appendChild(createMergeControl(entity, others, options.onMerge));
+  return article;
+};
+
+// options: { filter, entryLabels: Map(entryId -> label), onSaveDescription(id, text), onMerge(sourceId, targetId) }
+export const renderCodexList = (container, entities, options = {}) => {
+  if (!container) return;
+  container.innerHTML = '';
+
+  const sorted = [...(entities || [])].sort((a, b) => a.name.localeCompare(b.name));
+  const visible = sorted.filter(entity => matchesFilter(entity, options.filter || ''));
+  if (visible.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-muted';
+    empty.textContent = sorted.length === 0
+      ? 'Nothing in the codex yet. Names appear here once entries are scanned.'
+      : 'No names match the filter.';
+    container.appendChild(empty);
+    return;
+  }
+
+  Object.entries(CODEX_TYPES).forEach(([type, heading]) => {
+    const ofType = visible.filter(entity => entity.type === type);
+    if (ofType.length === 0) return;
+    const section = document.createElement('section');
+    section.className = 'codex__group';
+    const title = document.createElement('h3');
+    title.textContent = heading;
+    section.appendChild(title);
+    ofType.forEach((entity) => {
+      const others = sorted.filter(other => other.id !== entity.id && other.type === entity.type);
+      section.appendChild(createEntity(entity, others, options));
+    });
+    container.appendChild(section);
+  });
+};
@@ -1,4 +1,5 @@
 import { getFormData } from '../utils.js';
+import { createEntryMetadataFields, readEntryMetadataFields } from './entry-metadata-fields.js';
 
 export const createEntryForm = (options = {}) => {
   const form = document.createElement('form');
@@ -10,18 +11,52 @@ export const createEntryForm = (options = {}) => {
       <label for="entry-content">Notes</label>
       <textarea id="entry-content" name="content" class="form-textarea" rows="4" placeholder="Write your journal entry here..." required></textarea>
     </div>
+    <div class="form-group">
+      <label for="entry-attachments">Attachments</label>
+      <input type="file" id="entry-attachments" name="attachments" class="form-input" accept="image/*,audio/*,application/pdf" multiple>
+    </div>
     <div class="form-group">
       <button type="submit" class="btn btn-primary">Add Entry</button>
     </div>
   `;
+  form.insertBefore(createEntryMetadataFields({}, 'entry'), form.lastElementChild);
+
+  // Voice notes, where the page can record them
+  if (options.onRecord) {
+    const dictation = document.createElement('div');
+    dictation.className = 'form-group entry-dictation';
+    dictation.innerHTML = `
+      <button type="button" id="entry-record" class="btn btn-secondary" aria-pressed="false">Record voice note</button>
+      <p id="entry-dictation-status" class="entry-dictation__status text-small text-muted is-hidden" aria-live="polite"></p>
+    `;
+    dictation.querySelector('#entry-record').addEventListener('click', () => options.onRecord());
+    form.insertBefore(dictation, form.querySelector('.entry-metadata-fields') || form.lastElementChild);
+  }
 
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     const data = new FormData(form);
-    const entryData = { content: data.get('content') };
+    const entryData = { content: data.get('content'), ...readEntryMetadataFields(form) };
+    // An empty file input still submits one nameless, empty file
+    const files = data.getAll('attachments').filter(file => file && file.name && file.size > 0);
+    if (files.length > 0) entryData.files = files;
     if (options.onSubmit) options.onSubmit(entryData);
   });
 
   return form;
 };
 
+// Show whether a voice note is being recorded, with a status line (hidden when message is empty)
+export const setDictationState = (form, { recording = false, message = '' } = {}) => {
+  const button = form.querySelector('#entry-record');
+  const status = form.querySelector('#entry-dictation-status');
+  if (button) {
+    button.textContent = recording ? 'Stop recording' : 'Record voice note';
+    button.setAttribute('aria-pressed', String(recording));
+    button.classList.toggle('is-recording', recording);
+  }
+  if (status) {
+    status.textContent = message;
+    status.classList.toggle('is-hidden', !message);
+  }
+};
@@ -0,0 +1,65 @@
+// Entry History Component - Revision list with word diffs and restore actions
+// Views must remain pure: no state or service imports
+import { formatDate } from '../utils.js';
+
+// Diff parts from entry-history.js as <ins>/<del>/text nodes
+export const createDiffView = (parts) => {
+  const diff = document.createElement('div');
+  diff.className = 'entry-diff';
+  parts.forEach((part) => {
+    if (part.type === 'same') {
+      diff.appendChild(document.createTextNode(part.text));
+      return;
+    }
+    const mark = document.createElement(part.type === 'added' ? 'ins' : 'del');
+    mark.textContent = part.text;
+    diff.appendChild(mark);
+  });
+  return diff;
+};
+
+// revisions: newest first, each { id, timestamp, device, restoredFrom?, diff, isCurrent }.
+// Restore buttons carry data-modal-choice so a surrounding choice modal resolves with them.
+export const createEntryHistory = (revisions) => {
+  const list = document.createElement('ol');
+  list.className = 'entry-history';
+
+  if (revisions.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'entry-history__empty';
+    empty.textContent = 'No earlier versions of this entry.';
+    list.appendChild(empty);
+    return list;
+  }
+
+  revisions.forEach((revision) => {
+    const item = document.createElement('li');
+    item.className = 'entry-history__revision';
+    item.dataset.revisionId = revision.id;
+
+    const meta = document.createElement('div');
+    meta.className = 'entry-history__meta';
+    const device = revision.device && revision.device.name ? revision.device.name : 'Unknown device';
+    const notes = [
+      revision.isCurrent ? 'current' : '',
+      revision.restoredFrom ? 'restored' : ''
+    ].filter(Boolean);
+    meta.textContent = `${formatDate(revision.timestamp)} · ${device}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+    item.appendChild(meta);
+
+    item.appendChild(createDiffView(revision.diff));
+
+    if (!revision.isCurrent) {
+      const restore = document.createElement('button');
+      restore.type = 'button';
+      restore.className = 'btn btn-secondary entry-history__restore';
+      restore.dataset.modalChoice = `restore:${revision.id}`;
+      restore.textContent = 'Restore this version';
+      item.appendChild(restore);
+    }
+
+    list.appendChild(item);
+  });
+
+  return list;
+};
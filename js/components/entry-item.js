@@ -1,14 +1,44 @@
 // Entry Item Component - Reusable renderer for a journal entry
 import { parseMarkdown, formatDate } from '../utils.js';
 import { createCollapsible } from './collapsible.js';
+import { formatEntryMetadata } from '../entry-metadata.js';
+import { createBacklinks } from './backlinks.js';
+import { createAttachmentList } from './attachments.js';
+import { createAIJobState } from './ai-jobs-status.js';
 // Views must remain pure: no state or service imports
 
 // Summarization orchestration removed from views by ADR-0015
 
-export const createEntryItem = (entry, onEdit, onDelete, precomputedSummary = null) => {
+// Session details line (session, dates, location, party); null when the entry has none
+export const createEntrySessionMeta = (entry) => {
+  const labels = formatEntryMetadata(entry);
+  if (labels.length === 0) return null;
+  const list = document.createElement('ul');
+  list.className = 'entry-session-meta';
+  labels.forEach((label) => {
+    const item = document.createElement('li');
+    item.textContent = label;
+    list.appendChild(item);
+  });
+  return list;
+};
+
+// What the title job is doing, under the placeholder subtitle; removed once the title arrives or without a job
+export const renderEntryJobState = (article, job) => {
+  const current = article.querySelector('.entry-header > .ai-job-state');
+  if (current) current.remove();
+  const subtitle = article.querySelector('.entry-subtitle');
+  const next = article.classList.contains('entry--placeholder') ? createAIJobState(job) : null;
+  if (next && subtitle) subtitle.after(next);
+};
+
+// options: links and resolveWikiLink for the content (see parseMarkdown); backlinks: [{ href, label }];
+// attachments: thumbnail items (see createAttachmentList) opened with onOpenAttachment(id)
+export const createEntryItem = (entry, onEdit, onDelete, precomputedSummary = null, onHistory = null, options = {}) => {
   const article = document.createElement('article');
   article.className = 'entry';
   article.dataset.entryId = entry.id;
+  article.id = `entry-${entry.id}`;
   let title;
   let subtitle;
   // No summary anymore; only title and subtitle are used
@@ -42,6 +72,11 @@ export const createEntryItem = (entry, onEdit, onDelete, precomputedSummary = nu
               <path d="M11.5 2.5L13.5 4.5L4.5 13.5H2.5V11.5L11.5 2.5Z" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round"/>
             </svg>
           </button>
+          ${onHistory ? `<button class="icon-button" title="History">
+            <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+              <path d="M2.5 8A5.5 5.5 0 1 0 4.1 4.1M2.5 2.5V4.5H4.5M8 5V8L10 9.5" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round"/>
+            </svg>
+          </button>` : ''}
           <button class="icon-button" title="Delete">
             <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
               <path d="M2 4H14M5.5 4V2.5C5.5 2.22386 5.72386 2 6 2H10C10.2761 2 10.5 2.22386 10.5 2.5V4M12.5 4V13.5C12.5 13.7761 12.2761 14 12 14H4C3.72386 14 3.5 13.7761 3.5 13.5V4H12.5Z" stroke="currentColor" stroke-width="1" stroke-linecap="round" stroke-linejoin="round"/>
@@ -52,9 +87,13 @@ export const createEntryItem = (entry, onEdit, onDelete, precomputedSummary = nu
     </div>
   `;
 
+  const sessionMeta = createEntrySessionMeta(entry);
+  if (sessionMeta) article.querySelector('.entry-meta').prepend(sessionMeta);
+
   // Create collapsible content section using the reusable component
   const contentWrapper = document.createElement('div');
-  contentWrapper.innerHTML = parseMarkdown(entry.content);
+  contentWrapper.className = 'entry-content';
+  contentWrapper.innerHTML = parseMarkdown(entry.content, { links: options.links, resolveWikiLink: options.resolveWikiLink });
   const collapsible = createCollapsible('Show chapter', 'Hide chapter', contentWrapper);
   
   // Style the toggle button to match existing design
@@ -68,10 +107,18 @@ export const createEntryItem = (entry, onEdit, onDelete, precomputedSummary = nu
   
   article.appendChild(collapsible);
 
+  const attachments = createAttachmentList(options.attachments, options.onOpenAttachment);
+  if (attachments) article.appendChild(attachments);
+
+  const backlinks = createBacklinks(options.backlinks);
+  if (backlinks) article.appendChild(backlinks);
+
   const editButton = article.querySelector('.icon-button[title="Edit"]');
   const deleteButton = article.querySelector('.icon-button[title="Delete"]');
   if (editButton && onEdit) editButton.addEventListener('click', () => onEdit(entry.id));
   if (deleteButton && onDelete) deleteButton.addEventListener('click', () => onDelete(entry.id));
+  const historyButton = article.querySelector('.icon-button[title="History"]');
+  if (historyButton && onHistory) historyButton.addEventListener('click', () => onHistory(entry.id));
 
   // No async summarization here; logic layer should update the DOM when ready
 
@@ -1,5 +1,16 @@
-import { sortEntriesByDate, formatDate } from '../utils.js';
-import { createEntryItem } from './entry-item.js';
+import { sortEntriesByDate, formatDate, parseMarkdown } from '../utils.js';
+import { createEntryItem, createEntrySessionMeta } from './entry-item.js';
+import { createBacklinks } from './backlinks.js';
+import { createAttachmentList } from './attachments.js';
+
+// Per-entry rendering options: codex names, wiki link resolution, backlinks and attachments
+const getItemOptions = (entry, options) => ({
+  links: options.links,
+  resolveWikiLink: options.resolveWikiLink,
+  backlinks: typeof options.getBacklinks === 'function' ? options.getBacklinks(entry) : null,
+  attachments: typeof options.getAttachments === 'function' ? options.getAttachments(entry) : null,
+  onOpenAttachment: options.onOpenAttachment
+});
 
 export const renderEntries = (container, entries, options = {}) => {
   if (!container) return;
@@ -28,7 +39,7 @@ export const renderEntries = (container, entries, options = {}) => {
 
     recentEntries.forEach((entry) => {
       const pre = typeof options.getPrecomputedSummary === 'function' ? options.getPrecomputedSummary(entry) : null;
-      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre);
+      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre, options.onHistory, getItemOptions(entry, options));
       recentSection.appendChild(entryElement);
     });
     fragment.appendChild(recentSection);
@@ -67,7 +78,7 @@ export const renderEntries = (container, entries, options = {}) => {
 
     olderEntries.forEach((entry) => {
       const pre = typeof options.getPrecomputedSummary === 'function' ? options.getPrecomputedSummary(entry) : null;
-      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre);
+      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre, options.onHistory, getItemOptions(entry, options));
       olderContentDiv.appendChild(entryElement);
     });
 
@@ -96,11 +107,11 @@ export const renderEntries = (container, entries, options = {}) => {
     updatedIds.add(entry.id);
     const existingElement = existingEntries.get(entry.id);
     if (existingElement) {
-      updateEntryElement(existingElement, entry, options.onEdit, options.onDelete);
+      updateEntryElement(existingElement, entry, options.onEdit, options.onDelete, getItemOptions(entry, options));
       fragment.appendChild(existingElement);
     } else {
       const pre = typeof options.getPrecomputedSummary === 'function' ? options.getPrecomputedSummary(entry) : null;
-      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre);
+      const entryElement = createEntryItem(entry, options.onEdit, options.onDelete, pre, options.onHistory, getItemOptions(entry, options));
       fragment.appendChild(entryElement);
     }
   });
@@ -123,7 +134,7 @@ const createEmptyState = (message) => {
   return emptyDiv;
 };
 
-const updateEntryElement = (element, entry, onEdit, onDelete) => {
+const updateEntryElement = (element, entry, onEdit, onDelete, itemOptions = {}) => {
   const timestampElement = element.querySelector('.entry-timestamp');
   if (timestampElement) {
     const formattedDate = formatDate(entry.timestamp);
@@ -133,6 +144,48 @@ const updateEntryElement = (element, entry, onEdit, onDelete) => {
     }
   }
 
+  // Text edits (local or from another device) keep the element but change its content
+  const contentElement = element.querySelector('.entry-content');
+  if (contentElement) {
+    const html = parseMarkdown(entry.content, { links: itemOptions.links, resolveWikiLink: itemOptions.resolveWikiLink });
+    if (contentElement.innerHTML !== html) contentElement.innerHTML = html;
+  }
+
+  // Session details may be added, changed or cleared
+  const currentMeta = element.querySelector('.entry-session-meta');
+  const nextMeta = createEntrySessionMeta(entry);
+  if (!nextMeta) {
+    if (currentMeta) currentMeta.remove();
+  } else if (!currentMeta) {
+    const metaRow = element.querySelector('.entry-meta');
+    if (metaRow) metaRow.prepend(nextMeta);
+  } else if (currentMeta.textContent !== nextMeta.textContent) {
+    currentMeta.replaceWith(nextMeta);
+  }
+
+  // Attachments may be added or removed on any device
+  const currentAttachments = element.querySelector(':scope > .attachment-list');
+  const nextAttachments = createAttachmentList(itemOptions.attachments, itemOptions.onOpenAttachment);
+  if (!nextAttachments) {
+    if (currentAttachments) currentAttachments.remove();
+  } else if (!currentAttachments) {
+    const backlinksElement = element.querySelector(':scope > .backlinks');
+    element.insertBefore(nextAttachments, backlinksElement);
+  } else if (currentAttachments.innerHTML !== nextAttachments.innerHTML) {
+    currentAttachments.replaceWith(nextAttachments);
+  }
+
+  // Backlinks change when other entries add or remove links to this one
+  const currentBacklinks = element.querySelector(':scope > .backlinks');
+  const nextBacklinks = createBacklinks(itemOptions.backlinks);
+  if (!nextBacklinks) {
+    if (currentBacklinks) currentBacklinks.remove();
+  } else if (!currentBacklinks) {
+    element.appendChild(nextBacklinks);
+  } else if (currentBacklinks.innerHTML !== nextBacklinks.innerHTML) {
+    currentBacklinks.replaceWith(nextBacklinks);
+  }
+
   const editButton = element.querySelector('.entry-actions button:first-child');
   const deleteButton = element.querySelector('.entry-actions button:last-child');
   if (editButton) editButton.onclick = () => onEdit(entry.id);
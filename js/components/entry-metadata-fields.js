@@ -0,0 +1,65 @@
+// Entry Metadata Fields - Optional session details shared by the add and edit forms
+// Views must remain pure: no state or service imports
+
+const FIELDS = [
+  { name: 'session', label: 'Session #', type: 'number', attrs: { min: '1', step: '1' } },
+  { name: 'playDate', label: 'Played on', type: 'date' },
+  { name: 'worldDate', label: 'In-world date', type: 'text', attrs: { placeholder: 'e.g. 3rd of Mirtul, 1492 DR' } },
+  { name: 'location', label: 'Location', type: 'text', attrs: { placeholder: 'e.g. Phandalin' } },
+  { name: 'participants', label: 'Party present', type: 'text', attrs: { placeholder: 'Comma-separated names' } }
+];
+
+const toInputValue = (name, value) => {
+  if (value == null) return '';
+  if (name === 'participants' && Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// <details> block with one input per field; `values` prefills them
+export const createEntryMetadataFields = (values = {}, idPrefix = 'entry') => {
+  const details = document.createElement('details');
+  details.className = 'entry-metadata-fields';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Session details';
+  details.appendChild(summary);
+
+  const grid = document.createElement('div');
+  grid.className = 'entry-metadata-fields__grid';
+  FIELDS.forEach((field) => {
+    const group = document.createElement('div');
+    group.className = 'form-group';
+    const input = document.createElement('input');
+    input.id = `${idPrefix}-${field.name}`;
+    input.name = field.name;
+    input.type = field.type;
+    input.className = 'form-input';
+    Object.entries(field.attrs || {}).forEach(([key, value]) => input.setAttribute(key, value));
+    input.value = toInputValue(field.name, values[field.name]);
+    const label = document.createElement('label');
+    label.htmlFor = input.id;
+    label.textContent = field.label;
+    group.appendChild(label);
+    group.appendChild(input);
+    grid.appendChild(group);
+  });
+  details.appendChild(grid);
+  return details;
+};
+
+// Raw field values; the logic layer normalizes them
+export const readEntryMetadataFields = (container) => {
+  const values = {};
+  FIELDS.forEach(({ name }) => {
+    const input = container && container.querySelector(`input[name="${name}"]`);
+    values[name] = input ? input.value : '';
+  });
+  return values;
+};
+
+// Fill only empty inputs so nothing typed is overwritten
+export const applyEntryMetadataDefaults = (container, defaults = {}) => {
+  FIELDS.forEach(({ name }) => {
+    const input = container && container.querySelector(`input[name="${name}"]`);
+    if (input && !input.value && defaults[name] != null) input.value = toInputValue(name, defaults[name]);
+  });
+};
@@ -32,6 +32,12 @@ export const showChoiceModal = ({ title = 'Choose an option', message = '', opti
       resolve(result);
     };
 
+    // Controls inside the message can resolve the modal too, e.g. per-row actions
+    body.addEventListener('click', (e) => {
+      const choice = e.target.closest && e.target.closest('[data-modal-choice]');
+      if (choice) cleanup(choice.dataset.modalChoice);
+    });
+
     const onKeyDown = (e) => {
       if (e.key === 'Escape') {
         cleanup('cancel');
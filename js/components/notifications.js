@@ -1,9 +1,25 @@
 // UI-only toast notifications
-export const showNotification = (message, type = 'info', duration = 3000) => {
+// Optional action: { label, onClick } renders a button that runs onClick and dismisses the toast
+export const showNotification = (message, type = 'info', duration = 3000, action = null) => {
   const notification = document.createElement('div');
   notification.className = `notification notification--${type}`;
   notification.textContent = message || '';
 
+  if (action && typeof action.onClick === 'function') {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'notification__action';
+    button.textContent = action.label || 'OK';
+    button.addEventListener('click', () => {
+      if (notification.parentNode) {
+        notification.parentNode.removeChild(notification);
+        repositionNotifications();
+      }
+      action.onClick();
+    });
+    notification.appendChild(button);
+  }
+
   document.body.appendChild(notification);
 
   const existingNotifications = document.querySelectorAll('.notification');
@@ -1,24 +1,38 @@
 import { renderEntries } from './entry-list.js';
 import { createCollapsible } from './collapsible.js';
+import { renderBacklinks } from './backlinks.js';
+import { createAIJobState } from './ai-jobs-status.js';
 
 const createCollapsibleSummary = (html) => createCollapsible('Show summary', 'Hide summary', html);
 
 export const renderPart = (elements, data, options = {}) => {
-  const { titleElement, summaryElement, listElement } = elements;
-  const { title, summary, entries } = data;
+  const { titleElement, summaryElement, listElement, backlinksElement } = elements;
+  const { title, summary, entries, job } = data;
 
   if (!titleElement || !summaryElement || !listElement) return;
 
   titleElement.textContent = title || '';
   summaryElement.innerHTML = '';
-  const summaryText = (summary || 'No summary available.').trim();
-  summaryElement.appendChild(createCollapsibleSummary(summaryText));
+  // A queued or failed summary job is shown above the summary, or instead of it while there is none
+  const jobState = createAIJobState(job);
+  if (jobState) summaryElement.appendChild(jobState);
+  if (summary || !jobState) {
+    const summaryText = (summary || 'No summary available.').trim();
+    summaryElement.appendChild(createCollapsibleSummary(summaryText));
+  }
  
   renderEntries(listElement, entries || [], {
     onEdit: null,
     onDelete: null,
     getPrecomputedSummary: options.getPrecomputedSummary || null,
-    sortOrder: options.sortOrder || 'asc'
+    sortOrder: options.sortOrder || 'asc',
+    links: options.links || null,
+    resolveWikiLink: options.resolveWikiLink || null,
+    getBacklinks: options.getBacklinks || null,
+    getAttachments: options.getAttachments || null,
+    onOpenAttachment: options.onOpenAttachment || null
   });
+
+  renderBacklinks(backlinksElement, options.backlinks);
 };
 
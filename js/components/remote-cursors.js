@@ -0,0 +1,20 @@
+// Remote Cursors Component - Who else is editing an entry, and where
+// Views must remain pure: no state or service imports
+
+// cursors: [{ clientId, name, color, line, column }], color being an index into the cursor palette
+export const renderRemoteCursors = (container, cursors = []) => {
+  if (!container) return;
+  container.innerHTML = '';
+  cursors.forEach((cursor) => {
+    const chip = document.createElement('span');
+    chip.className = `remote-cursor remote-cursor--${cursor.color}`;
+    chip.dataset.clientId = String(cursor.clientId);
+    chip.title = `${cursor.name} is editing at line ${cursor.line}, column ${cursor.column}`;
+
+    const caret = document.createElement('span');
+    caret.className = 'remote-cursor__caret';
+    chip.appendChild(caret);
+    chip.appendChild(document.createTextNode(`${cursor.name} · line ${cursor.line}`));
+    container.appendChild(chip);
+  });
+};
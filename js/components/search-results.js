@@ -0,0 +1,57 @@
+// Search Results Component - Matches with highlighted snippets and links
+// Views must remain pure: no state or service imports
+
+const KIND_LABELS = { entry: 'Entry', part: 'Chronicle part' };
+
+// results: [{ id, kind, title, href, snippet: [{ text, highlight }] }]
+export const renderSearchResults = (container, results, query = '') => {
+  if (!container) return;
+  container.innerHTML = '';
+  if (!query.trim()) {
+    container.classList.add('is-hidden');
+    return;
+  }
+  container.classList.remove('is-hidden');
+
+  const summary = document.createElement('p');
+  summary.className = 'search-results__count';
+  summary.textContent = results.length === 0
+    ? `No matches for “${query.trim()}”`
+    : `${results.length} match${results.length === 1 ? '' : 'es'} for “${query.trim()}”`;
+  container.appendChild(summary);
+  if (results.length === 0) return;
+
+  const list = document.createElement('ol');
+  list.className = 'search-results__list';
+  results.forEach((result) => {
+    const item = document.createElement('li');
+    item.className = `search-result search-result--${result.kind}`;
+
+    const kind = document.createElement('span');
+    kind.className = 'search-result__kind';
+    kind.textContent = KIND_LABELS[result.kind] || result.kind;
+
+    const link = document.createElement('a');
+    link.className = 'search-result__title';
+    link.href = result.href;
+    link.textContent = result.title;
+
+    const snippet = document.createElement('p');
+    snippet.className = 'search-result__snippet';
+    result.snippet.forEach((part) => {
+      if (part.highlight) {
+        const mark = document.createElement('mark');
+        mark.textContent = part.text;
+        snippet.appendChild(mark);
+      } else {
+        snippet.appendChild(document.createTextNode(part.text));
+      }
+    });
+
+    item.appendChild(kind);
+    item.appendChild(link);
+    item.appendChild(snippet);
+    list.appendChild(item);
+  });
+  container.appendChild(list);
+};
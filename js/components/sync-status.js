@@ -0,0 +1,64 @@
+// Sync Status Component - Connection indicator for page headers and the settings details
+// Views must remain pure: no state or service imports
+
+// Label and dot tone (matches the .sync-dot modifiers in main.css) for a sync state
+export const describeSyncState = (syncState = {}) => {
+  const { status = 'disconnected', room = null, pendingUpdates = 0 } = syncState;
+  const pending = pendingUpdates > 0 ? ` · ${pendingUpdates} unsynced change${pendingUpdates === 1 ? '' : 's'}` : '';
+  if (!room) return { label: 'Local only', tone: 'local-only' };
+  if (status === 'synced') return { label: 'Synced', tone: 'connected' };
+  if (status === 'connected') return { label: `Syncing…${pending}`, tone: 'connecting' };
+  if (status === 'connecting') return { label: `Connecting…${pending}`, tone: 'connecting' };
+  return { label: `Offline${pending}`, tone: 'disconnected' };
+};
+
+const formatLastSynced = (lastSynced) =>
+  lastSynced ? new Date(lastSynced).toLocaleString() : 'Never';
+
+// Fill a dot + text pair; used by the header indicator and the settings status row
+export const renderSyncIndicator = (dotElement, textElement, syncState) => {
+  const { label, tone } = describeSyncState(syncState);
+  if (dotElement) dotElement.className = `sync-dot ${tone}`;
+  if (textElement) textElement.textContent = label;
+};
+
+// Render the header indicator into #sync-status, creating its dot and text when the page ships it empty
+export const renderSyncStatus = (container, syncState) => {
+  if (!container) return;
+  let dot = container.querySelector('.sync-dot');
+  let text = container.querySelector('.sync-text');
+  if (!dot || !text) {
+    container.innerHTML = '';
+    const indicator = document.createElement('span');
+    indicator.className = 'sync-indicator';
+    dot = document.createElement('span');
+    text = document.createElement('span');
+    text.className = 'sync-text';
+    indicator.appendChild(dot);
+    indicator.appendChild(text);
+    container.appendChild(indicator);
+  }
+  renderSyncIndicator(dot, text, syncState);
+  container.title = syncState && syncState.room ? `Last synced: ${formatLastSynced(syncState.lastSynced)}` : '';
+  container.classList.remove('is-hidden');
+};
+
+// Settings details: journal, mode, last sync and pending changes as a definition list
+export const renderSyncDetails = (listElement, syncState = {}) => {
+  if (!listElement) return;
+  listElement.innerHTML = '';
+  if (!syncState.room) return;
+  [
+    ['Journal', syncState.room],
+    ['Encryption', syncState.encrypted ? 'End-to-end' : 'Off'],
+    ['Last synced', formatLastSynced(syncState.lastSynced)],
+    ['Unsynced changes', String(syncState.pendingUpdates || 0)]
+  ].forEach(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    listElement.appendChild(dt);
+    listElement.appendChild(dd);
+  });
+};
@@ -2,9 +2,13 @@
 // Single function for all AI context needs
 
 import { getYjsState, getCharacterData, getEntries, getSummary } from './yjs.js';
-import { SO_FAR_LATEST_KEY, RECENT_SUMMARY_KEY, backfillPartsIfMissing, PART_SIZE_DEFAULT } from './parts.js';
+import { SO_FAR_LATEST_KEY, RECENT_SUMMARY_KEY, backfillPartsIfMissing } from './parts.js';
 import { summarize } from './summarization.js';
 import { getWordCount } from './utils.js';
+import { getLatestEntryMetadata, formatEntryMetadata } from './entry-metadata.js';
+import { summarizeCharacterSheet } from './character-sheet.js';
+import { formatRecentCharacterChanges } from './character-timeline.js';
+import { getRelevantPassages } from './embeddings.js';
 
 // Build context string for AI from character and entries
 export const buildContext = (character = null, entries = null) => {
@@ -27,6 +31,18 @@ export const buildContext = (character = null, entries = null) => {
   if (character?.race) characterInfo += ` (${character.race})`;
   if (character?.class) characterInfo += ` - ${character.class}`;
 
+  // What the character can actually do, from the structured sheet
+  const sheetSummary = summarizeCharacterSheet(character?.sheet);
+  if (sheetSummary) characterInfo += `\nCharacter Sheet:\n${sheetSummary}`;
+
+  // How the character has changed lately (level ups, gear, goals), from the live journal's timeline
+  const recentChanges = getRecentCharacterChanges();
+  if (recentChanges) characterInfo += `\nCharacter Changes:\n${recentChanges}`;
+
+  // Where and when the party last played, if the entries record it
+  const latestSession = getLatestEntryMetadata(entries || []);
+  if (latestSession) characterInfo += `\nLatest Session: ${formatEntryMetadata(latestSession).join(' · ')}`;
+
   // Prepare async character section calls
   const characterSectionFields = [
     character?.backstory ? ['backstory', character.backstory] : null,
@@ -43,13 +59,19 @@ export const buildContext = (character = null, entries = null) => {
     entriesPromise = (async () => {
       const state = getYjsState();
       // Ensure required summaries exist
-      await backfillPartsIfMissing(state, PART_SIZE_DEFAULT);
+      await backfillPartsIfMissing(state);
       const soFar = getSummary(state, SO_FAR_LATEST_KEY) || '';
       const recent = getSummary(state, RECENT_SUMMARY_KEY) || '';
-      // Only use parts-based summaries; do not fallback to entries list
+      // Older details the summaries leave out, picked by similarity to the current part
+      const relevant = await getRelevantPassages(state).catch((error) => {
+        console.warn('Failed to retrieve relevant entries:', error);
+        return [];
+      });
+      // Only use parts-based summaries and retrieved passages; do not fallback to entries list
       let result = '';
       if (soFar) result += `\n\nAdventure So Far: ${soFar}`;
       if (recent) result += `\n\nRecent Adventures: ${recent}`;
+      if (relevant.length > 0) result += `\n\nRelevant Earlier Moments:\n${relevant.map(item => item.text).join('\n\n')}`;
       return result || '\n\nNo journal summaries yet.';
     })();
   } else {
@@ -66,6 +88,15 @@ export const buildContext = (character = null, entries = null) => {
   });
 };
 
+// Empty when Y.js is not initialized, e.g. context built from imported data only
+const getRecentCharacterChanges = () => {
+  try {
+    return formatRecentCharacterChanges(getYjsState());
+  } catch {
+    return '';
+  }
+};
+
 // Build character section (backstory or notes) with intelligent summarization
 const buildCharacterSection = (fieldName, content, config) => {
   const capitalizedName = fieldName.charAt(0).toUpperCase() + fieldName.slice(1);
@@ -0,0 +1,123 @@
+// Dictation - Voice notes for new entries: record a clip, transcribe it into the notes and keep it as an attachment
+import { getYjsState, getCharacterData, getCodexEntities } from './yjs.js';
+import { callTranscription, isTranscriptionAvailable } from './ai-request.js';
+import { getAudioExtension } from './attachment-files.js';
+import { setDictationState } from './components/entry-form.js';
+
+// Microphone recorder; resolves to a MediaRecorder that has not started yet
+const openMicrophone = async () => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new MediaRecorder(stream);
+  // Release the microphone once the clip is complete
+  recorder.addEventListener('stop', () => stream.getTracks().forEach(track => track.stop()));
+  return recorder;
+};
+
+// Allow tests to stand in for the microphone with a MediaRecorder-like object
+let openRecorder = openMicrophone;
+export const setRecorderFactory = (impl) => {
+  openRecorder = typeof impl === 'function' ? impl : openMicrophone;
+};
+
+export const isRecordingSupported = () =>
+  openRecorder !== openMicrophone ||
+  (typeof navigator !== 'undefined' && Boolean(navigator.mediaDevices?.getUserMedia) && typeof MediaRecorder !== 'undefined');
+
+// Whisper spells names better when it has seen them: the character and codex names, short of its prompt limit
+export const getTranscriptionPrompt = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const names = [getCharacterData(state).name, ...getCodexEntities(state).map(entity => entity.name)]
+    .map(name => (name || '').trim())
+    .filter(Boolean);
+  return Array.from(new Set(names)).join(', ').slice(0, 600);
+};
+
+// Speech to text for one clip, with the journal's names as a spelling hint
+export const transcribeAudio = (audio, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const prompt = getTranscriptionPrompt(state);
+  return callTranscription(audio, prompt ? { prompt } : {});
+};
+
+// 'voice-note-2026-10-19-20-15-00.webm'
+const getRecordingName = (type) =>
+  `voice-note-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.${getAudioExtension(type)}`;
+
+// Add text after what is already in the notes, as its own paragraph
+const appendToNotes = (textarea, text) => {
+  if (!textarea || !text) return;
+  const current = textarea.value.trimEnd();
+  textarea.value = current ? `${current}\n\n${text}` : text;
+};
+
+// Record button for the new-entry form. Each clip is transcribed into the notes for editing and kept
+// as { file, transcript } until the entry is saved; see getRecordings and reset.
+export const createDictation = (form, stateParam = null) => {
+  let recordings = [];
+  let recorder = null;
+  // Bumped on reset so transcripts that finish afterwards do not land in the next entry
+  let generation = 0;
+  const show = (message, recording = false) => setDictationState(form, { recording, message });
+
+  const finish = async (blob, startedIn) => {
+    const state = stateParam || getYjsState();
+    const type = blob.type || 'audio/webm';
+    const recording = { file: new File([blob], getRecordingName(type), { type }), transcript: '' };
+    if (blob.size === 0) {
+      show('Nothing was recorded');
+      return;
+    }
+    recordings.push(recording);
+    if (!isTranscriptionAvailable(state)) {
+      show('Voice note kept: it will be attached to the entry. Enable AI in Settings to transcribe it.');
+      return;
+    }
+
+    show('Transcribing…');
+    try {
+      const transcript = await transcribeAudio(recording.file, state);
+      if (startedIn !== generation) return;
+      recording.transcript = transcript;
+      appendToNotes(form.querySelector('textarea[name="content"]'), transcript);
+      show(transcript ? 'Transcript added to your notes: check it before saving.' : 'No speech was recognised; the voice note is still attached.');
+    } catch (error) {
+      console.error('Failed to transcribe voice note:', error);
+      if (startedIn === generation) show('Transcription failed; the voice note will still be attached.');
+    }
+  };
+
+  const start = async () => {
+    const startedIn = generation;
+    try {
+      const chunks = [];
+      recorder = await openRecorder();
+      recorder.addEventListener('dataavailable', (event) => {
+        if (event.data && event.data.size > 0) chunks.push(event.data);
+      });
+      recorder.addEventListener('stop', () => {
+        const type = recorder?.mimeType || chunks[0]?.type || 'audio/webm';
+        recorder = null;
+        show('');
+        if (startedIn === generation) finish(new Blob(chunks, { type }), startedIn);
+      });
+      recorder.start();
+      show('Recording… press Stop recording when you are done.', true);
+    } catch (error) {
+      recorder = null;
+      console.error('Failed to start recording:', error);
+      show('The microphone is not available: allow microphone access to record voice notes.');
+    }
+  };
+
+  return {
+    toggle: () => (recorder ? recorder.stop() : start()),
+    isRecording: () => Boolean(recorder),
+    getRecordings: () => recordings.slice(),
+    reset: () => {
+      generation++;
+      if (recorder) recorder.stop();
+      recordings = [];
+      show('');
+    }
+  };
+};
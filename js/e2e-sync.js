@@ -0,0 +1,201 @@
+// End-to-end encrypted sync - Yjs updates are encrypted on this device before they leave it.
+// The sync server only relays and stores ciphertext, so it never sees journal content.
+import * as Y from 'yjs';
+
+// Encrypted rooms are served under /ws/e2e/<room>, separate from the plaintext Yjs rooms
+export const E2E_PATH = 'e2e';
+
+// Beyond this many stored updates, a client replaces them with one encrypted snapshot
+export const COMPACT_THRESHOLD = 200;
+
+const KEY_ITERATIONS = 250000;
+const IV_BYTES = 12;
+const RECONNECT_MAX_MS = 30000;
+
+const getSubtle = () => {
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if (!subtle) throw new Error('Encryption needs a secure context (https or localhost)');
+  return subtle;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+// AES-GCM key from the passphrase. The room name is the salt, so every device derives the same key.
+export const deriveRoomKey = async (passphrase, room) => {
+  const subtle = getSubtle();
+  const encoder = new TextEncoder();
+  const material = await subtle.importKey('raw', encoder.encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt: encoder.encode(`dnd-journal:${E2E_PATH}:${room}`), iterations: KEY_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// Random IV followed by the ciphertext
+export const encryptUpdate = async (key, update) => {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const ciphertext = new Uint8Array(await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, update));
+  const message = new Uint8Array(IV_BYTES + ciphertext.length);
+  message.set(iv);
+  message.set(ciphertext, IV_BYTES);
+  return message;
+};
+
+// Rejects when the key is wrong or the data was tampered with
+export const decryptUpdate = async (key, message) => {
+  const iv = message.subarray(0, IV_BYTES);
+  const plaintext = await getSubtle().decrypt({ name: 'AES-GCM', iv }, key, message.subarray(IV_BYTES));
+  return new Uint8Array(plaintext);
+};
+
+// An empty Yjs update encodes as two zero bytes
+const isEmptyUpdate = (update) => update.length <= 2 && update.every((byte) => byte === 0);
+
+// Provider with the small part of the WebsocketProvider surface the app uses: on(), disconnect(), destroy(),
+// plus getSyncProof() for claiming the room.
+// Events: 'status' ({ status }), 'sync' (true), 'connection-close' (CloseEvent), 'decrypt-error' (Error).
+export const createEncryptedProvider = ({ url, room, doc, key, params = {}, WebSocketImpl = globalThis.WebSocket }) => {
+  const listeners = new Map();
+  const query = new URLSearchParams(params).toString();
+  const socketUrl = `${url.replace(/\/+$/, '')}/${E2E_PATH}/${encodeURIComponent(room)}${query ? `?${query}` : ''}`;
+  let socket = null;
+  let shouldConnect = true;
+  let synced = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+  // Serialize decrypt/apply work so updates are applied in the order they arrived
+  let queue = Promise.resolve();
+  // The latest ciphertext seen or sent; its hash shows the server this device has synced the room
+  let latestCiphertext = null;
+
+  const emit = (event, ...args) => (listeners.get(event) || []).forEach((callback) => callback(...args));
+
+  const send = (message) => {
+    if (socket && socket.readyState === 1) socket.send(JSON.stringify(message));
+  };
+
+  const sendEncrypted = async (type, update, extra = {}) => {
+    const data = toBase64(await encryptUpdate(key, update));
+    latestCiphertext = data;
+    send({ type, data, ...extra });
+  };
+
+  // Apply stored history, then upload whatever this device has that the server lacks
+  const loadHistory = async (updates, base) => {
+    if (updates.length > 0) latestCiphertext = updates[updates.length - 1];
+    const serverDoc = new Y.Doc();
+    try {
+      for (const data of updates) {
+        Y.applyUpdate(serverDoc, await decryptUpdate(key, fromBase64(data)));
+      }
+    } catch (error) {
+      serverDoc.destroy();
+      throw error;
+    }
+    Y.applyUpdate(doc, Y.encodeStateAsUpdate(serverDoc), provider);
+    const missing = Y.encodeStateAsUpdate(doc, Y.encodeStateVector(serverDoc));
+    serverDoc.destroy();
+
+    synced = true;
+    emit('sync', true);
+    if (updates.length > COMPACT_THRESHOLD) {
+      // The server refuses the snapshot if another device compacted the log since `base`
+      await sendEncrypted('compact', Y.encodeStateAsUpdate(doc), { replaces: updates.length, base });
+    } else if (!isEmptyUpdate(missing)) {
+      await sendEncrypted('update', missing);
+    }
+  };
+
+  const handleMessage = (raw) => {
+    let message;
+    try {
+      message = JSON.parse(typeof raw === 'string' ? raw : new TextDecoder().decode(raw));
+    } catch {
+      return;
+    }
+    queue = queue.then(async () => {
+      if (message.type === 'history' && Array.isArray(message.updates)) {
+        await loadHistory(message.updates, message.base);
+      } else if (message.type === 'update' && typeof message.data === 'string') {
+        Y.applyUpdate(doc, await decryptUpdate(key, fromBase64(message.data)), provider);
+        latestCiphertext = message.data;
+      }
+    }).catch((error) => {
+      // Undecryptable data means a wrong passphrase: stop instead of mixing in garbage
+      console.warn('Could not decrypt sync data:', error);
+      shouldConnect = false;
+      if (socket) socket.close();
+      emit('decrypt-error', error);
+    });
+  };
+
+  const connect = () => {
+    if (!shouldConnect || socket) return;
+    emit('status', { status: 'connecting' });
+    socket = new WebSocketImpl(socketUrl);
+    socket.onopen = () => {
+      attempts = 0;
+      emit('status', { status: 'connected' });
+    };
+    socket.onmessage = (event) => handleMessage(event.data);
+    socket.onerror = () => {};
+    socket.onclose = (event) => {
+      socket = null;
+      synced = false;
+      emit('connection-close', event, provider);
+      emit('status', { status: 'disconnected' });
+      if (shouldConnect) {
+        attempts += 1;
+        reconnectTimer = setTimeout(connect, Math.min(RECONNECT_MAX_MS, 100 * 2 ** attempts));
+      }
+    };
+  };
+
+  const handleDocUpdate = (update, origin) => {
+    // Remote updates came from the server already; local edits before sync are sent with the history diff
+    if (origin === provider || !synced) return;
+    queue = queue.then(() => sendEncrypted('update', update)).catch((error) => {
+      console.warn('Could not encrypt update:', error);
+    });
+  };
+
+  const provider = {
+    on: (event, callback) => {
+      listeners.set(event, [...(listeners.get(event) || []), callback]);
+    },
+    get synced() {
+      return synced;
+    },
+    // { ciphertextHash } (SHA-256 hex of a stored entry), or null before anything was synced
+    getSyncProof: async () => {
+      if (!latestCiphertext) return null;
+      const digest = await getSubtle().digest('SHA-256', new TextEncoder().encode(latestCiphertext));
+      return { ciphertextHash: Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('') };
+    },
+    disconnect: () => {
+      shouldConnect = false;
+      clearTimeout(reconnectTimer);
+      if (socket) socket.close();
+    },
+    destroy: () => {
+      provider.disconnect();
+      doc.off('update', handleDocUpdate);
+      listeners.clear();
+    }
+  };
+
+  doc.on('update', handleDocUpdate);
+  connect();
+  return provider;
+};
@@ -0,0 +1,154 @@
+// Embeddings - Retrieval over the whole journal, so older details still reach the AI context.
+// Entries and chronicle part summaries are embedded through the provider layer. Each vector is cached in
+// summariesMap under `embedding:<hash>`, where the hash covers the model and the text: edited entries and
+// regenerated summaries are embedded again, unchanged ones never are.
+import { getYjsState, getEntries, getSetting, getSummariesMap } from './yjs.js';
+import { getChroniclePartsMap } from './chronicle-state.js';
+import { getJournalPartition, LEGACY_PENDING_SUMMARY } from './parts.js';
+import { describeEntryForAI } from './entry-metadata.js';
+import { callEmbeddings, getEmbeddingModel, isEmbeddingAvailable } from './ai-request.js';
+import { bytesToHex, bytesToBase64, base64ToBytes } from './attachment-files.js';
+import { estimateTokens } from './utils.js';
+
+export const EMBEDDING_PREFIX = 'embedding:';
+export const CONTEXT_TOKEN_BUDGET_DEFAULT = 1500;
+// Most passages added to the context, however much budget is left
+export const RELEVANT_LIMIT = 8;
+
+// Texts per embeddings request
+const BATCH_SIZE = 32;
+// Latest entries that stand in for the open part while it has none
+const QUERY_FALLBACK_ENTRIES = 3;
+
+export const getContextTokenBudget = (state) => {
+  const budget = parseInt(getSetting(state, 'context-token-budget', ''), 10);
+  return Number.isFinite(budget) && budget >= 0 ? budget : CONTEXT_TOKEN_BUDGET_DEFAULT;
+};
+
+export const getEmbeddingKey = (hash) => `${EMBEDDING_PREFIX}${hash}`;
+
+const hashText = async (text) =>
+  bytesToHex(new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))));
+
+// Vectors are stored as base64 Float32 so summariesMap stays a map of strings
+export const encodeVector = (vector) => bytesToBase64(new Uint8Array(Float32Array.from(vector).buffer));
+export const decodeVector = (encoded) => Array.from(new Float32Array(base64ToBytes(encoded).buffer));
+
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// What can be retrieved: every entry with text and every part with a finished summary.
+// [{ id, kind: 'entry' | 'part', text }]; entry items keep the entry's id
+export const getRetrievalItems = (state) => {
+  const entries = getEntries(state)
+    .filter(entry => entry && entry.content)
+    .map(entry => ({ id: entry.id, kind: 'entry', text: describeEntryForAI(entry) }));
+  const parts = Array.from(getChroniclePartsMap(state).entries())
+    .map(([index, part]) => {
+      const summary = part.get('summary') || '';
+      if (!summary || summary === LEGACY_PENDING_SUMMARY) return null;
+      const title = part.get('title') || '';
+      return { id: `part:${index}`, kind: 'part', text: `Part ${index}${title ? `: ${title}` : ''}\n${summary}` };
+    })
+    .filter(Boolean);
+  return [...entries, ...parts];
+};
+
+// One sync per journal at a time; a second caller waits for the first
+const pendingSyncs = new WeakMap();
+
+// Embed what is missing from the cache and drop vectors nothing refers to any more.
+// Resolves with the retrieval items and their vectors: [{ id, kind, text, vector }]
+export const syncEmbeddings = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const summaries = getSummariesMap(state);
+  if (!pendingSyncs.has(summaries)) {
+    const sync = embedMissing(state).finally(() => pendingSyncs.delete(summaries));
+    pendingSyncs.set(summaries, sync);
+  }
+  return pendingSyncs.get(summaries);
+};
+
+const embedMissing = async (state) => {
+  const summaries = getSummariesMap(state);
+  const model = getEmbeddingModel(state);
+  const items = getRetrievalItems(state);
+  const keys = await Promise.all(items.map(async item => getEmbeddingKey(await hashText(`${model}\n${item.text}`))));
+
+  const missing = new Map();
+  items.forEach((item, i) => {
+    if (!summaries.has(keys[i]) && !missing.has(keys[i])) missing.set(keys[i], item.text);
+  });
+  const pending = Array.from(missing.entries());
+  for (let start = 0; start < pending.length; start += BATCH_SIZE) {
+    const batch = pending.slice(start, start + BATCH_SIZE);
+    const vectors = await callEmbeddings(batch.map(([, text]) => text));
+    if (vectors.length !== batch.length) throw new Error('Embedding provider returned the wrong number of vectors');
+    const store = () => batch.forEach(([key], i) => summaries.set(key, encodeVector(vectors[i])));
+    if (state.ydoc) state.ydoc.transact(store); else store();
+  }
+
+  const current = new Set(keys);
+  const stale = Array.from(summaries.keys()).filter(key => key.startsWith(EMBEDDING_PREFIX) && !current.has(key));
+  if (stale.length > 0) {
+    const prune = () => stale.forEach(key => summaries.delete(key));
+    if (state.ydoc) state.ydoc.transact(prune); else prune();
+  }
+
+  return items.map((item, i) => ({ ...item, vector: decodeVector(summaries.get(keys[i])) }));
+};
+
+const meanVector = (vectors) => {
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach(vector => vector.forEach((value, i) => { sum[i] += value; }));
+  return sum.map(value => value / vectors.length);
+};
+
+// Pure: items most similar to the query items, best first, as many as fit the token budget.
+// Query items themselves are never returned. [{ id, kind, text, score }]
+export const findRelevantItems = (items, queryIds, { budget = CONTEXT_TOKEN_BUDGET_DEFAULT, limit = RELEVANT_LIMIT } = {}) => {
+  const query = new Set(queryIds);
+  const queryVectors = items.filter(item => query.has(item.id)).map(item => item.vector);
+  if (queryVectors.length === 0) return [];
+  const target = meanVector(queryVectors);
+
+  const ranked = items
+    .filter(item => !query.has(item.id))
+    .map(({ id, kind, text, vector }) => ({ id, kind, text, score: cosineSimilarity(target, vector) }))
+    .sort((a, b) => b.score - a.score);
+
+  const selected = [];
+  let remaining = budget;
+  for (const item of ranked) {
+    if (selected.length >= limit) break;
+    const tokens = estimateTokens(item.text);
+    if (tokens > remaining) continue;
+    selected.push(item);
+    remaining -= tokens;
+  }
+  return selected;
+};
+
+// Earlier entries and parts most related to the current open part, within the journal's token budget.
+// Empty when embeddings are unavailable, the budget is zero or there is nothing earlier to find.
+export const getRelevantPassages = async (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const budget = getContextTokenBudget(state);
+  if (budget === 0 || !isEmbeddingAvailable(state)) return [];
+
+  const { openPart } = getJournalPartition(state);
+  const query = openPart.length > 0 ? openPart : getEntries(state).slice(-QUERY_FALLBACK_ENTRIES);
+  if (query.length === 0) return [];
+
+  const items = await syncEmbeddings(state);
+  return findRelevantItems(items, query.map(entry => entry.id), { budget });
+};
@@ -0,0 +1,137 @@
+// Entry Editor - Binds an edit textarea to the entry's Y.Text and shares cursors through awareness
+import * as Y from 'yjs';
+import { getYjsState, getEntries, ensureEntryText, applyTextChange, getAwareness, getDeviceInfo, trackUndoOrigin } from './yjs.js';
+
+// Cursor colours for remote editors: an index into the palette in entry-item.css (.remote-cursor--N),
+// picked by a hash of the device id
+export const CURSOR_COLOR_COUNT = 6;
+
+export const pickCursorColor = (id = '') => {
+  const hash = Array.from(String(id)).reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return hash % CURSOR_COLOR_COUNT;
+};
+
+// Devices on older versions share a hex colour instead of an index
+const toCursorColor = (color) =>
+  (Number.isInteger(color) && color >= 0 && color < CURSOR_COLOR_COUNT ? color : 0);
+
+// Line and column (1-based) of an index, for describing where someone is typing
+export const getLineAndColumn = (text, index) => {
+  const before = text.slice(0, Math.max(0, index));
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+};
+
+// Move a local index through a remote Y.Text delta so the caret stays on the same character
+export const transformIndex = (index, delta) => {
+  let position = 0;
+  let shift = 0;
+  for (const op of delta) {
+    if (position >= index) break;
+    if (op.retain) {
+      position += op.retain;
+    } else if (op.insert) {
+      shift += typeof op.insert === 'string' ? op.insert.length : 1;
+    } else if (op.delete) {
+      shift -= Math.min(op.delete, index - position);
+      position += op.delete;
+    }
+  }
+  return index + shift;
+};
+
+// Remote editors of this entry: [{ clientId, name, color, index, line, column }]
+const readRemoteCursors = (awareness, doc, text, entryId) => {
+  const value = text.toString();
+  const cursors = [];
+  awareness.getStates().forEach((presence, clientId) => {
+    if (clientId === awareness.clientID || !presence || !presence.cursor || presence.cursor.entryId !== entryId) return;
+    const absolute = Y.createAbsolutePositionFromRelativePosition(Y.createRelativePositionFromJSON(presence.cursor.head), doc);
+    if (!absolute || absolute.type !== text) return;
+    const user = presence.user || {};
+    cursors.push({
+      clientId,
+      name: user.name || 'Another device',
+      color: toCursorColor(user.color),
+      index: absolute.index,
+      ...getLineAndColumn(value, absolute.index)
+    });
+  });
+  return cursors;
+};
+
+// Keep textarea and Y.Text in sync both ways. Typing is written through immediately, remote
+// changes update the textarea without moving the caret.
+// Returns { unbind, revertLocalChanges }; reverting leaves other devices' edits in place.
+export const bindEntryEditor = (textarea, entryId, { onRemoteCursors = null } = {}, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const entry = getEntries(state).find(e => e.id === entryId);
+  const text = entry ? ensureEntryText(state, entry) : null;
+  if (!text) return { unbind: () => {}, revertLocalChanges: () => {} };
+
+  // Typing carries this editor's own origin: remote changes can be told apart, Cancel reverts only
+  // this editor's changes, and the page's undo still tracks them
+  const origin = { entryEditor: entryId };
+  const localEdits = new Y.UndoManager(text, { trackedOrigins: new Set([origin]) });
+  const untrackUndo = trackUndoOrigin(state, origin);
+  const awareness = getAwareness();
+  textarea.value = text.toString();
+
+  const publishCursor = () => {
+    if (!awareness) return;
+    const anchor = Y.createRelativePositionFromTypeIndex(text, textarea.selectionStart || 0);
+    const head = Y.createRelativePositionFromTypeIndex(text, textarea.selectionEnd || 0);
+    awareness.setLocalStateField('cursor', {
+      entryId,
+      anchor: Y.relativePositionToJSON(anchor),
+      head: Y.relativePositionToJSON(head)
+    });
+  };
+
+  const reportCursors = () => {
+    if (awareness && onRemoteCursors) onRemoteCursors(readRemoteCursors(awareness, state.ydoc, text, entryId));
+  };
+
+  const onInput = () => {
+    applyTextChange(text, textarea.value, origin);
+    publishCursor();
+  };
+
+  const onRemoteChange = (event, transaction) => {
+    if (transaction.origin === origin) return;
+    const { selectionStart, selectionEnd } = textarea;
+    textarea.value = text.toString();
+    textarea.setSelectionRange(transformIndex(selectionStart, event.delta), transformIndex(selectionEnd, event.delta));
+    reportCursors();
+  };
+
+  textarea.addEventListener('input', onInput);
+  ['select', 'keyup', 'mouseup', 'focus'].forEach(type => textarea.addEventListener(type, publishCursor));
+  text.observe(onRemoteChange);
+
+  if (awareness) {
+    const device = getDeviceInfo(state);
+    awareness.setLocalStateField('user', { name: device.name, color: pickCursorColor(device.id) });
+    awareness.on('change', reportCursors);
+    publishCursor();
+    reportCursors();
+  }
+
+  const unbind = () => {
+    textarea.removeEventListener('input', onInput);
+    ['select', 'keyup', 'mouseup', 'focus'].forEach(type => textarea.removeEventListener(type, publishCursor));
+    text.unobserve(onRemoteChange);
+    localEdits.destroy();
+    untrackUndo();
+    if (awareness) {
+      awareness.off('change', reportCursors);
+      awareness.setLocalStateField('cursor', null);
+    }
+  };
+
+  const revertLocalChanges = () => {
+    while (localEdits.undoStack.length > 0) localEdits.undo();
+  };
+
+  return { unbind, revertLocalChanges };
+};
@@ -0,0 +1,79 @@
+// Entry History - Word-level diffs between entry revisions
+// Pure functions only; revisions are stored per entry in state.historyMap (see yjs.js)
+
+// Above this many LCS table cells the diff gets slow; fall back to a coarse diff
+const MAX_DIFF_CELLS = 4000000;
+
+// Words and the whitespace between them, so joining the tokens restores the text exactly
+const tokenize = (text) => (text ? text.split(/(\s+)/).filter((token) => token.length > 0) : []);
+
+// Merge neighbouring parts of the same type into one
+const pushPart = (parts, type, text) => {
+  if (!text) return;
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+// Longest common subsequence over tokens, walked forwards to emit same/removed/added parts
+const diffTokens = (before, after, parts) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint16Array(cols));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      table[i][j] = before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      pushPart(parts, 'same', before[i]);
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      pushPart(parts, 'removed', before[i++]);
+    } else {
+      pushPart(parts, 'added', after[j++]);
+    }
+  }
+  pushPart(parts, 'removed', before.slice(i).join(''));
+  pushPart(parts, 'added', after.slice(j).join(''));
+};
+
+// Word-level diff: [{ type: 'same' | 'added' | 'removed', text }]
+export const diffWords = (previous = '', next = '') => {
+  const before = tokenize(previous);
+  const after = tokenize(next);
+
+  // Shared start and end are kept as-is so the LCS only covers the edited middle
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) start++;
+  let end = 0;
+  while (end < before.length - start && end < after.length - start &&
+    before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+
+  const parts = [];
+  pushPart(parts, 'same', before.slice(0, start).join(''));
+  const middleBefore = before.slice(start, before.length - end);
+  const middleAfter = after.slice(start, after.length - end);
+  if (middleBefore.length * middleAfter.length > MAX_DIFF_CELLS) {
+    pushPart(parts, 'removed', middleBefore.join(''));
+    pushPart(parts, 'added', middleAfter.join(''));
+  } else {
+    diffTokens(middleBefore, middleAfter, parts);
+  }
+  pushPart(parts, 'same', before.slice(before.length - end).join(''));
+  return parts;
+};
+
+// Count changed words for a short "+3 −1" style summary
+export const countDiffWords = (parts) => parts.reduce((counts, part) => {
+  if (part.type === 'same') return counts;
+  const words = part.text.split(/\s+/).filter(Boolean).length;
+  return { ...counts, [part.type]: counts[part.type] + words };
+}, { added: 0, removed: 0 });
@@ -0,0 +1,80 @@
+// Entry Metadata - Optional session details stored on journal entries
+// Pure functions: no state or DOM access
+
+export const ENTRY_METADATA_FIELDS = ['session', 'playDate', 'worldDate', 'location', 'participants'];
+
+const MAX_TEXT_LENGTH = 200;
+const PLAY_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const cleanText = (value) => (typeof value === 'string' ? value.trim().slice(0, MAX_TEXT_LENGTH) : '');
+
+// Accepts a comma-separated string or an array; drops blanks and repeats
+export const parseParticipants = (value) => {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  const seen = new Set();
+  return list
+    .map(cleanText)
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Keep only valid, non-empty fields from form values or stored entries
+export const normalizeEntryMetadata = (raw = {}) => {
+  const metadata = {};
+  if (!raw) return metadata;
+  const session = parseInt(raw.session, 10);
+  if (Number.isFinite(session) && session > 0) metadata.session = session;
+  const playDate = cleanText(raw.playDate);
+  if (PLAY_DATE_PATTERN.test(playDate)) metadata.playDate = playDate;
+  const worldDate = cleanText(raw.worldDate);
+  if (worldDate) metadata.worldDate = worldDate;
+  const location = cleanText(raw.location);
+  if (location) metadata.location = location;
+  const participants = parseParticipants(raw.participants);
+  if (participants.length > 0) metadata.participants = participants;
+  return metadata;
+};
+
+export const hasEntryMetadata = (entry) => Object.keys(normalizeEntryMetadata(entry)).length > 0;
+
+// Short labels for display, in a fixed order
+export const formatEntryMetadata = (entry) => {
+  const metadata = normalizeEntryMetadata(entry);
+  const labels = [];
+  if (metadata.session) labels.push(`Session ${metadata.session}`);
+  if (metadata.playDate) labels.push(`Played ${metadata.playDate}`);
+  if (metadata.worldDate) labels.push(`In-world: ${metadata.worldDate}`);
+  if (metadata.location) labels.push(`Location: ${metadata.location}`);
+  if (metadata.participants) labels.push(`Present: ${metadata.participants.join(', ')}`);
+  return labels;
+};
+
+// Entry text for AI prompts, prefixed with its session details when it has any
+export const describeEntryForAI = (entry) => {
+  const content = (entry && entry.content) || '';
+  const labels = formatEntryMetadata(entry);
+  return labels.length > 0 ? `[${labels.join(' · ')}]\n${content}` : content;
+};
+
+// Latest session number and party, used to prefill the next entry
+export const getEntryMetadataDefaults = (entries = []) => {
+  const sorted = [...entries].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+  const defaults = {};
+  for (const entry of sorted) {
+    const metadata = normalizeEntryMetadata(entry);
+    if (metadata.session) defaults.session = metadata.session;
+    if (metadata.participants) defaults.participants = metadata.participants;
+  }
+  return defaults;
+};
+
+// Session details of the most recent entry that has any
+export const getLatestEntryMetadata = (entries = []) => {
+  const sorted = [...entries].sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+  const latest = sorted.find(hasEntryMetadata);
+  return latest ? normalizeEntryMetadata(latest) : null;
+};
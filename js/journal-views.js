@@ -9,9 +9,14 @@ import {
 // Views must remain pure: no state or service imports
 import { getWordCount } from './utils.js';
 import { createEntryItem } from './components/entry-item.js';
+import { createEntryMetadataFields, readEntryMetadataFields } from './components/entry-metadata-fields.js';
+export { applyEntryMetadataDefaults } from './components/entry-metadata-fields.js';
 export { createEntryForm } from './components/entry-form.js';
 export { renderEntries } from './components/entry-list.js';
 export { renderCharacterSummary } from './components/character-summary.js';
+export { renderRemoteCursors } from './components/remote-cursors.js';
+export { renderSearchResults } from './components/search-results.js';
+export { renderEntryJobState } from './components/entry-item.js';
 
 // createEntryForm now lives in components/entry-form.js
 
@@ -116,8 +121,30 @@ export const createEntryEditForm = (entry, options = {}) => {
   contentTextarea.value = entry.content;
   contentTextarea.required = true;
   
+  // Filled by the logic layer with other devices editing this entry
+  const presence = document.createElement('div');
+  presence.className = 'entry-edit-form__presence';
+  
   contentDiv.appendChild(contentLabel);
   contentDiv.appendChild(contentTextarea);
+  contentDiv.appendChild(presence);
+  
+  const metadataFields = createEntryMetadataFields(entry, `entry-${entry.id}`);
+  
+  // New files for this entry; existing ones are removed from their lightbox
+  const attachmentsDiv = document.createElement('div');
+  attachmentsDiv.className = 'form-field';
+  const attachmentsLabel = document.createElement('label');
+  attachmentsLabel.textContent = 'Add attachments';
+  const attachmentsInput = document.createElement('input');
+  attachmentsInput.type = 'file';
+  attachmentsInput.multiple = true;
+  attachmentsInput.accept = 'image/*,application/pdf';
+  attachmentsInput.className = 'form-input';
+  attachmentsInput.id = `entry-${entry.id}-attachments`;
+  attachmentsLabel.htmlFor = attachmentsInput.id;
+  attachmentsDiv.appendChild(attachmentsLabel);
+  attachmentsDiv.appendChild(attachmentsInput);
   
   const actionsDiv = document.createElement('div');
   actionsDiv.className = 'form-actions';
@@ -141,13 +168,18 @@ export const createEntryEditForm = (entry, options = {}) => {
   form.onsubmit = (e) => {
     e.preventDefault();
     if (options.onSave) {
+      const files = Array.from(attachmentsInput.files || []);
       options.onSave({
-        content: contentTextarea.value.trim()
+        content: contentTextarea.value.trim(),
+        ...readEntryMetadataFields(metadataFields),
+        ...(files.length > 0 ? { files } : {})
       });
     }
   };
   
   form.appendChild(contentDiv);
+  form.appendChild(metadataFields);
+  form.appendChild(attachmentsDiv);
   form.appendChild(actionsDiv);
   
   return form;
@@ -260,6 +292,9 @@ export const renderAIPrompt = (aiPromptElement, aiPromptState, regenerateBtn = n
     case 'loading':
       showAIPromptLoading(aiPromptElement, regenerateBtn);
       break;
+    case 'streaming':
+      showAIPromptStreaming(aiPromptElement, questions);
+      break;
     case 'questions':
       showAIPromptQuestions(aiPromptElement, questions, regenerateBtn);
       break;
@@ -310,6 +345,14 @@ export const showAIPromptLoading = (aiPromptElement, regenerateBtn = null) => {
   }
 };
 
+// Show questions as they arrive; regenerate stays available and replaces them
+export const showAIPromptStreaming = (aiPromptElement, questions) => {
+  if (!aiPromptElement) return;
+  
+  aiPromptElement.className = 'ai-prompt__text is-streaming';
+  aiPromptElement.innerHTML = formatAIPromptText(questions);
+};
+
 // Show questions state
 export const showAIPromptQuestions = (aiPromptElement, questions, regenerateBtn = null) => {
   if (!aiPromptElement) return;
@@ -7,9 +7,15 @@ import {
   addEntry,
   updateEntry,
   deleteEntry,
+  getEntryRevisions,
   onCharacterChange,
   onJournalChange,
+  onCodexChange,
+  onAttachmentsChange,
   onQuestionsChange,
+  onSummariesChange,
+  onAIJobsChange,
+  getAIJob,
   clearSessionQuestions
 } from './yjs.js';
 
@@ -21,16 +27,41 @@ import {
   createEntryForm,
   createEntryEditForm,
   renderAIPrompt,
-  renderCachedJournalContent
+  renderCachedJournalContent,
+  renderRemoteCursors,
+  renderSearchResults,
+  applyEntryMetadataDefaults,
+  renderEntryJobState
 } from './journal-views.js';
 
-import { generateId, isValidEntry, formatDate, getFormData, showNotification } from './utils.js';
-import { PART_SIZE_DEFAULT, recomputeRecentSummary, maybeCloseOpenPart } from './parts.js';
+import { generateId, isValidEntry, formatDate, getFormData, showNotification, debounce, safeParseJSON } from './utils.js';
+import { recomputeRecentSummary, maybeCloseOpenPart } from './parts.js';
 
 import { generateQuestions } from './ai.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
 import { hasContext as hasGoodContext } from './context.js';
-import { clearSummary, summarize } from './summarization.js';
+import { clearSummary, queueMissingEntryTitles, getEntryTitleJobId } from './summarization.js';
+import { startAIQueue } from './ai-queue.js';
 import { isAIEnabled } from './ai.js';
+import { refreshAIProxy } from './ai-request.js';
+import { diffWords } from './entry-history.js';
+import { createEntryHistory } from './components/entry-history.js';
+import { showChoiceModal } from './components/modal.js';
+import { setupUndoShortcuts, runUndoable } from './undo.js';
+import { bindEntryEditor } from './entry-editor.js';
+import { createJournalSearch } from './search.js';
+import { ENTRY_METADATA_FIELDS, normalizeEntryMetadata, getEntryMetadataDefaults } from './entry-metadata.js';
+import { syncCodex, getCodexLinks, getCodexSummaryKey } from './codex-entities.js';
+import { getWikiLinkIndex } from './wiki.js';
+import { addEntryAttachments, addVoiceNotes, getAttachmentItems, openAttachment, cacheServerAttachments } from './attachments.js';
+import { createDictation, isRecordingSupported } from './dictation.js';
+
+// Allow tests to answer the history modal
+let showHistoryModal = showChoiceModal;
+export const setShowHistoryModal = (impl) => {
+  showHistoryModal = typeof impl === 'function' ? impl : showChoiceModal;
+};
 
 // State management
 let entriesContainer = null;
@@ -39,6 +70,11 @@ let entryFormContainer = null;
 let currentState = null;
 let aiPromptText = null;
 let regenerateBtn = null;
+// Live binding of the open edit form, if any
+let activeEditor = null;
+let journalSearch = null;
+// Voice notes recorded for the entry being written
+let dictation = null;
 
 // Initialize Journal page with optimized loading strategy
 export const initJournalPage = async (stateParam = null) => {
@@ -49,6 +85,7 @@ export const initJournalPage = async (stateParam = null) => {
     entryFormContainer = document.getElementById('entry-form-container');
     aiPromptText = document.getElementById('ai-prompt-text');
     regenerateBtn = document.getElementById('regenerate-prompt-btn');
+    stopEditing();
     
     if (!entriesContainer || !entryFormContainer) {
       console.warn('Required journal containers not found');
@@ -70,6 +107,15 @@ export const initJournalPage = async (stateParam = null) => {
     // Initialize Yjs asynchronously (non-blocking)
     const state = stateParam || (await initYjs());
     currentState = state;
+    setupCharacterSwitcher(state);
+    setupSyncIndicator();
+    setupUndoShortcuts(state);
+    setupSearch(state);
+    fillEntryFormDefaults(state);
+    // Learn whether the sync server offers AI (cached on this device for next time)
+    refreshAIProxy(state);
+    // Run queued AI jobs (entry titles, chronicle summaries) and show the queue in the header
+    startAIQueue(state);
     
     // Check if we have real data different from cache
     const entries = getEntries(state);
@@ -86,11 +132,23 @@ export const initJournalPage = async (stateParam = null) => {
     // Set up reactive updates for future changes
     onJournalChange(state, () => {
       renderJournalPage(state);
-      // Trigger background summarization for any entries lacking summary
-      summarizeMissingEntrySummaries(state).catch(() => {});
+      // Queue titles for any entries lacking one
+      queueMissingEntryTitles(state);
+      syncCodex(state).catch(() => {});
       renderAIPromptWithLogic(state);
     });
 
+    // New codex names become links in the entries
+    onCodexChange(state, () => {
+      renderJournalPage(state);
+    });
+
+    // Attachments added on any device show up as thumbnails and are kept for offline use
+    onAttachmentsChange(state, () => {
+      renderJournalPage(state);
+      cacheServerAttachments(state).catch(() => {});
+    });
+
     onCharacterChange(state, () => {
       renderCharacterInfo(state);
       renderAIPromptWithLogic(state);
@@ -99,11 +157,22 @@ export const initJournalPage = async (stateParam = null) => {
     onQuestionsChange(state, () => {
       renderAIPromptWithLogic(state);
     });
+
+    // Titles arrive from the queue, on this device or another
+    onSummariesChange(state, (event) => {
+      updateEntryTitles(state, Array.from(event.keysChanged));
+    });
+
+    onAIJobsChange(state, () => {
+      renderEntryJobStates(state);
+    });
     
     // Set up AI prompt (can be async)
     setupAIPrompt(state);
-    // Kick off background summarization for current entries
-    summarizeMissingEntrySummaries(state).catch(() => {});
+    // Queue titles for current entries
+    queueMissingEntryTitles(state);
+    syncCodex(state).catch(() => {});
+    cacheServerAttachments(state).catch(() => {});
     
     // Save cache on page unload
     window.addEventListener('beforeunload', () => {
@@ -125,12 +194,21 @@ export const renderJournalPage = (stateParam = null) => {
     // Render entries - use module-level element if available, otherwise find it
     const entriesElement = entriesContainer || document.getElementById('entries-container');
     
-    if (entriesElement) {
+    // Re-rendering would replace an open edit form; it refreshes when editing ends
+    if (entriesElement && !activeEditor) {
+      const wiki = getWikiLinkIndex(state);
       renderEntries(entriesElement, entries, {
         onEdit: handleEditEntry,
         onDelete: handleDeleteEntry,
-        getPrecomputedSummary: (entry) => summariesIndex.get(entry.id) || null
+        onHistory: handleEntryHistory,
+        getPrecomputedSummary: (entry) => summariesIndex.get(entry.id) || null,
+        links: getCodexLinks(state),
+        resolveWikiLink: wiki.resolve,
+        getBacklinks: (entry) => wiki.getBacklinks(`entry:${entry.id}`),
+        getAttachments: (entry) => getAttachmentItems(entry.id, state),
+        onOpenAttachment: (attachmentId) => openAttachment(attachmentId, state)
       });
+      renderEntryJobStates(state);
       maybeInjectEntryDebugControls(entriesElement, entries, state);
     }
     
@@ -182,28 +260,29 @@ const maybeInjectEntryDebugControls = (container, entries, state) => {
   });
 };
 
-// Summarize entries that do not yet have a structured summary and update DOM inline
-const summarizeMissingEntrySummaries = async (stateParam = null) => {
-  const state = stateParam || getYjsState();
-  const entries = getEntries(state);
-  for (const entry of entries) {
-    const key = `entry:${entry.id}`;
-    const have = state.summariesMap.get(key);
-    if (have) continue;
-    if (!isAIEnabled()) break;
-    try {
-      const result = await summarize(key, entry.content);
-      // Update any rendered entry element if present
-      const element = document.querySelector(`[data-entry-id="${entry.id}"]`);
-      if (element && result && result.title && result.subtitle) {
-        const titleElement = element.querySelector('.entry-title h3');
-        const subtitleElement = element.querySelector('.entry-subtitle p');
-        if (titleElement) titleElement.textContent = result.title;
-        if (subtitleElement) subtitleElement.textContent = result.subtitle;
-        element.classList.remove('entry--placeholder');
-      }
-    } catch {}
-  }
+// Fill in titles written since the entries were rendered
+const updateEntryTitles = (state, keys) => {
+  keys.filter(key => key.startsWith('entry:')).forEach((key) => {
+    const element = document.querySelector(`[data-entry-id="${key.slice('entry:'.length)}"]`);
+    const parsed = safeParseJSON(state.summariesMap.get(key) || '');
+    const result = parsed.success ? parsed.data : null;
+    if (!element || !result || !result.title || !result.subtitle) return;
+    const titleElement = element.querySelector('.entry-title h3');
+    const subtitleElement = element.querySelector('.entry-subtitle p');
+    if (titleElement) titleElement.textContent = result.title;
+    if (subtitleElement) subtitleElement.textContent = result.subtitle;
+    element.classList.remove('entry--placeholder');
+    renderEntryJobState(element, null);
+  });
+};
+
+// Entries still waiting for a title show what their job is doing
+const renderEntryJobStates = (state) => {
+  const container = entriesContainer || document.getElementById('entries-container');
+  if (!container) return;
+  container.querySelectorAll('[data-entry-id]').forEach((element) => {
+    renderEntryJobState(element, getAIJob(state, getEntryTitleJobId(element.dataset.entryId)));
+  });
 };
 
 // Build a map of entry.id -> precomputed structured summary object or serialized string
@@ -242,9 +321,11 @@ export const setupEntryForm = () => {
   if (!entryFormContainer) return;
   
   const form = createEntryForm({
-    onSubmit: handleAddEntry,
-    onCancel: clearEntryForm
+    onSubmit: (entryData) => handleAddEntry(dictation ? { ...entryData, recordings: dictation.getRecordings() } : entryData),
+    onCancel: clearEntryForm,
+    onRecord: isRecordingSupported() ? () => dictation.toggle() : null
   });
+  dictation = createDictation(form);
   
   entryFormContainer.appendChild(form);
 };
@@ -270,18 +351,25 @@ export const handleAddEntry = (entryData, stateParam = null) => {
       return;
     }
 
-    // Create entry with ID and timestamp
+    // Create entry with ID and timestamp, plus any session details
     const entry = {
       id: generateId(),
       content: trimmedData.content,
-      timestamp: Date.now()
+      timestamp: Date.now(),
+      ...normalizeEntryMetadata(entryData)
     };
 
     addEntry(state, entry);
+    if (entryData.files && entryData.files.length > 0) {
+      addEntryAttachments(entry.id, entryData.files, state);
+    }
+    if (entryData.recordings && entryData.recordings.length > 0) {
+      addVoiceNotes(entry.id, entryData.recordings, state);
+    }
     // Summaries: try closing part if threshold reached, otherwise update recent summary
-    maybeCloseOpenPart(state, PART_SIZE_DEFAULT).then((closed) => {
+    maybeCloseOpenPart(state).then((closed) => {
       if (!closed) {
-        return recomputeRecentSummary(state, PART_SIZE_DEFAULT);
+        return recomputeRecentSummary(state);
       }
     }).catch(() => {});
     clearSessionQuestions(state); // Clear questions when journal data changes
@@ -310,29 +398,103 @@ export const handleEditEntry = (entryId, stateParam = null) => {
     const entryElement = document.querySelector(`[data-entry-id="${entryId}"]`);
     if (!entryElement) return;
     
+    stopEditing();
+    
     // Create edit form
     const editForm = createEntryEditForm(entry, {
-      onSave: (updatedData) => saveEntryEdit(entryId, updatedData, state),
-      onCancel: () => renderJournalPage(state)
+      onSave: (updatedData) => {
+        if (saveEntryEdit(entryId, updatedData, state)) {
+          stopEditing();
+          renderJournalPage(state);
+        }
+      },
+      onCancel: () => {
+        // Typing was shared live; take back only this device's changes
+        if (activeEditor) activeEditor.revertLocalChanges();
+        stopEditing();
+        renderJournalPage(state);
+      }
     });
     
     // Replace entry with edit form
     entryElement.replaceWith(editForm);
     
+    // Bind the textarea to the entry's shared text so concurrent edits merge
+    const presence = editForm.querySelector('.entry-edit-form__presence');
+    activeEditor = bindEntryEditor(editForm.querySelector('textarea'), entryId, {
+      onRemoteCursors: (cursors) => renderRemoteCursors(presence, cursors)
+    }, state);
+    
   } catch (error) {
     console.error('Failed to edit entry:', error);
     showNotification('Failed to edit entry', 'error');
   }
 };
 
-// Save entry edit
+// Search over entries, their AI titles and chronicle parts; the index follows journal changes
+const setupSearch = (state) => {
+  const input = document.getElementById('journal-search');
+  if (!input) return;
+  journalSearch = createJournalSearch(state);
+  if (!input.getAttribute('data-handler-attached')) {
+    input.setAttribute('data-handler-attached', 'true');
+    input.addEventListener('input', debounce(() => handleSearch(input.value), 150));
+    window.addEventListener('hashchange', () => revealEntryFromHash());
+  }
+  revealEntryFromHash();
+};
+
+// Render results for a query; returns them for callers that need the list
+export const handleSearch = (query, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    if (!journalSearch || journalSearch.doc !== state.ydoc || journalSearch.characterId !== state.characterId) {
+      journalSearch = createJournalSearch(state);
+    }
+    const results = journalSearch.search(query);
+    renderSearchResults(document.getElementById('search-results'), results, query);
+    return results;
+  } catch (error) {
+    console.error('Failed to search journal:', error);
+    showNotification('Search failed', 'error');
+    return [];
+  }
+};
+
+// Scroll to an entry (opening the older entries section if needed) and mark it briefly
+export const revealEntry = (entryId) => {
+  const element = document.getElementById(`entry-${entryId}`);
+  if (!element) return false;
+  const collapsed = element.closest('.collapsible__content');
+  if (collapsed && collapsed.style.display === 'none') {
+    const toggle = collapsed.previousElementSibling;
+    if (toggle) toggle.click();
+  }
+  if (typeof element.scrollIntoView === 'function') element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  element.classList.add('entry--highlighted');
+  setTimeout(() => element.classList.remove('entry--highlighted'), 2000);
+  return true;
+};
+
+const revealEntryFromHash = () => {
+  const match = /^#entry-(.+)$/.exec(window.location.hash || '');
+  if (match) revealEntry(decodeURIComponent(match[1]));
+};
+
+// Release the live binding of the open edit form
+const stopEditing = () => {
+  if (activeEditor) activeEditor.unbind();
+  activeEditor = null;
+};
+
+// Save entry edit; returns whether the entry was saved
 export const saveEntryEdit = (entryId, entryData, stateParam = null) => {
   try {
     const state = stateParam || getYjsState();
     
     if (!entryData || !isValidEntry(entryData)) {
       showNotification('Please fill in content', 'warning');
-      return;
+      return false;
     }
 
     // Trim whitespace
@@ -342,22 +504,34 @@ export const saveEntryEdit = (entryId, entryData, stateParam = null) => {
 
     if (!trimmedData.content) {
       showNotification('Please fill in content', 'warning');
-      return;
+      return false;
+    }
+
+    // Session details are only touched when the form sent them; cleared ones are removed
+    if (ENTRY_METADATA_FIELDS.some(field => field in entryData)) {
+      const metadata = normalizeEntryMetadata(entryData);
+      ENTRY_METADATA_FIELDS.forEach((field) => { trimmedData[field] = metadata[field]; });
     }
 
     updateEntry(state, entryId, trimmedData);
+    if (entryData.files && entryData.files.length > 0) {
+      addEntryAttachments(entryId, entryData.files, state);
+    }
     
     // Clear cache when entry content changes
     clearSummary(`entry:${entryId}`);
+    clearSummary(getCodexSummaryKey(entryId));
     // Clear recent (open part) summary so it can refresh; keep stable parts intact
     clearSummary('journal:recent-summary');
     clearSessionQuestions(state); // Clear questions when journal data changes
     
     showNotification('Entry updated successfully!', 'success');
+    return true;
     
   } catch (error) {
     console.error('Failed to save entry edit:', error);
     showNotification('Failed to save entry', 'error');
+    return false;
   }
 };
 
@@ -367,14 +541,13 @@ export const handleDeleteEntry = (entryId, stateParam = null) => {
     const state = stateParam || getYjsState();
     
     if (confirm('Are you sure you want to delete this entry?')) {
-      deleteEntry(state, entryId);
+      runUndoable((s) => deleteEntry(s, entryId), 'Entry deleted successfully!', state);
       
       // Clear cache when entry is deleted
       clearSummary(`entry:${entryId}`);
+      clearSummary(getCodexSummaryKey(entryId));
       clearSummary('journal:recent-summary');
       clearSessionQuestions(state); // Clear questions when journal data changes
-      
-      showNotification('Entry deleted successfully!', 'success');
     }
     
   } catch (error) {
@@ -383,14 +556,77 @@ export const handleDeleteEntry = (entryId, stateParam = null) => {
   }
 };
 
+// Show an entry's revisions, newest first, each diffed against the one before it
+export const handleEntryHistory = async (entryId, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const entry = getEntries(state).find(e => e.id === entryId);
+    if (!entry) {
+      showNotification('Entry not found', 'error');
+      return;
+    }
+
+    const revisions = getEntryRevisions(state, entryId);
+    const items = revisions.map((revision, index) => ({
+      ...revision,
+      diff: diffWords(index > 0 ? revisions[index - 1].content : '', revision.content),
+      isCurrent: index === revisions.length - 1 && revision.content === entry.content
+    })).reverse();
+
+    const choice = await showHistoryModal({
+      title: 'Entry history',
+      message: createEntryHistory(items),
+      options: [{ id: 'close', label: 'Close' }]
+    });
+
+    if (typeof choice === 'string' && choice.startsWith('restore:')) {
+      restoreEntryRevision(entryId, choice.slice('restore:'.length), state);
+    }
+  } catch (error) {
+    console.error('Failed to show entry history:', error);
+    showNotification('Failed to load entry history', 'error');
+  }
+};
+
+// Bring back an earlier version; the restore itself becomes a new revision
+export const restoreEntryRevision = (entryId, revisionId, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const revision = getEntryRevisions(state, entryId).find(r => r.id === revisionId);
+    if (!revision) {
+      showNotification('That version is no longer available', 'error');
+      return;
+    }
+
+    updateEntry(state, entryId, { content: revision.content }, { restoredFrom: revision.id });
+    clearSummary(`entry:${entryId}`);
+    clearSummary(getCodexSummaryKey(entryId));
+    clearSummary('journal:recent-summary');
+    clearSessionQuestions(state);
+
+    showNotification('Earlier version restored', 'success');
+  } catch (error) {
+    console.error('Failed to restore entry version:', error);
+    showNotification('Failed to restore entry version', 'error');
+  }
+};
+
 // Clear entry form
 export const clearEntryForm = () => {
   const form = entryFormContainer?.querySelector('form');
   if (form) {
     form.reset();
+    if (dictation) dictation.reset();
+    if (currentState) fillEntryFormDefaults(currentState);
   }
 };
 
+// Continue the latest session: prefill its number and party in the add form
+const fillEntryFormDefaults = (state) => {
+  const form = entryFormContainer?.querySelector('form');
+  if (form) applyEntryMetadataDefaults(form, getEntryMetadataDefaults(getEntries(state)));
+};
+
 // =============================================================================
 // AI PROMPT FUNCTIONALITY
 // =============================================================================
@@ -433,18 +669,7 @@ const renderAIPromptWithLogic = (stateParam = null) => {
     regenerateBtn.disabled = false;
   }
   
-  // Show loading and generate questions
-  renderAIPrompt(aiPromptText, { type: 'loading' }, regenerateBtn);
-  
-  return generateQuestions(character, entries)
-    .then(questions => {
-      if (questions) {
-        renderAIPrompt(aiPromptText, { type: 'questions', questions }, regenerateBtn);
-      } else {
-        renderAIPrompt(aiPromptText, { type: 'error' }, regenerateBtn);
-      }
-      return questions;
-    })
+  return streamQuestions(character, entries)
     .catch(error => {
       console.error('Failed to render AI prompt:', error);
       renderAIPrompt(aiPromptText, { type: 'error' }, regenerateBtn);
@@ -452,6 +677,37 @@ const renderAIPromptWithLogic = (stateParam = null) => {
     });
 };
 
+// The questions request whose reply the prompt shows. Regenerating aborts it; other renders wait for it.
+let questionsController = null;
+let questionsRequest = null;
+
+// Show loading and generate questions, rendering them as they arrive
+const streamQuestions = (character, entries, forceRegenerate = false) => {
+  if (questionsController && !forceRegenerate) return questionsRequest;
+  if (questionsController) questionsController.abort();
+  renderAIPrompt(aiPromptText, { type: 'loading' }, regenerateBtn);
+  const controller = new AbortController();
+  questionsController = controller;
+  const isCurrent = () => questionsController === controller;
+
+  questionsRequest = generateQuestions(character, entries, forceRegenerate, {
+    signal: controller.signal,
+    onToken: (text) => {
+      if (isCurrent()) renderAIPrompt(aiPromptText, { type: 'streaming', questions: text }, regenerateBtn);
+    }
+  }).then(questions => {
+    if (!isCurrent()) return questions;
+    questionsController = null;
+    if (questions) {
+      renderAIPrompt(aiPromptText, { type: 'questions', questions }, regenerateBtn);
+    } else {
+      renderAIPrompt(aiPromptText, { type: 'error' }, regenerateBtn);
+    }
+    return questions;
+  });
+  return questionsRequest;
+};
+
 // Handle regenerate button click
 const handleRegeneratePrompt = (stateParam = null) => {
   const state = stateParam || getYjsState();
@@ -460,22 +716,14 @@ const handleRegeneratePrompt = (stateParam = null) => {
   
   // Force regeneration when user clicks regenerate
   if (isAIEnabled() && hasGoodContext(character, entries)) {
-    renderAIPrompt(aiPromptText, { type: 'loading' }, regenerateBtn);
+    const request = streamQuestions(character, entries, true); // Force regenerate
     
     // Ensure button remains interactive for consecutive retries
     if (regenerateBtn) {
       regenerateBtn.disabled = false;
     }
     
-    return generateQuestions(character, entries, true) // Force regenerate
-      .then(questions => {
-        if (questions) {
-          renderAIPrompt(aiPromptText, { type: 'questions', questions }, regenerateBtn);
-        } else {
-          renderAIPrompt(aiPromptText, { type: 'error' }, regenerateBtn);
-        }
-        return questions;
-      });
+    return request;
   } else {
     return renderAIPromptWithLogic(state);
   }
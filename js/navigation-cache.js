@@ -2,6 +2,7 @@
 // Preserves UI state across page navigation without affecting persistence speed
 
 import { formatDate } from './utils.js';
+import { normalizeEntryMetadata } from './entry-metadata.js';
 
 // Cache configuration (optimized for better performance)
 const CACHE_KEY = 'dnd-journal-navigation-cache';
@@ -69,11 +70,17 @@ const getEntriesForCache = (yjsState) => {
     const entries = yjsState.journalArray.toArray();
     
     // Cache only essential display data
+    // Live content is in the entry's Y.Text when it has one
+    const textOf = (entry) => {
+      const text = yjsState.entryTextMap && yjsState.entryTextMap.get(entry.id);
+      return text ? text.toString() : entry.content || '';
+    };
     return entries.map(entry => ({
       id: entry.id,
-      content: entry.content || '',
+      content: textOf(entry),
       timestamp: entry.timestamp || Date.now(),
-      formattedDate: formatDate(entry.timestamp || Date.now())
+      formattedDate: formatDate(entry.timestamp || Date.now()),
+      ...normalizeEntryMetadata(entry)
     }));
   } catch (error) {
     console.warn('Failed to extract journal entries for cache:', error);
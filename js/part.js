@@ -1,11 +1,17 @@
 // Part Page - logic only (no side effects on import)
-import { initYjs, getYjsState, getEntries, ensureChronicleStructure, getChroniclePartsMap } from './yjs.js';
+import { initYjs, getYjsState, getEntries, ensureChronicleStructure, getChroniclePartsMap, getAIJob } from './yjs.js';
 import { onJournalChange, onSummariesChange } from './yjs.js';
-import { onChronicleChange } from './yjs.js';
-import { backfillPartsIfMissing, PART_SIZE_DEFAULT } from './parts.js';
+import { onChronicleChange, onCodexChange, onAttachmentsChange, onAIJobsChange } from './yjs.js';
+import { backfillPartsIfMissing, getPartJobId } from './parts.js';
+import { startAIQueue } from './ai-queue.js';
 import { renderPart } from './components/part-views.js';
 import { parseMarkdown } from './utils.js';
 import { getSummary } from './yjs.js';
+import { getCodexLinks } from './codex-entities.js';
+import { getWikiLinkIndex } from './wiki.js';
+import { getAttachmentItems, openAttachment } from './attachments.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
 
 const getQueryParam = (name) => {
   try {
@@ -26,12 +32,14 @@ const computePartData = (state, partIndex, providedEntries = null) => {
   };
   if (!partObj) return fallback;
   const title = partObj.get('title') || `Part ${partIndex}`;
-  const summary = partObj.get('summary') || 'No summary available.';
+  // While its job is queued the page shows the job state instead
+  const job = getAIJob(state, getPartJobId(partIndex));
+  const summary = partObj.get('summary') || (job ? '' : 'No summary available.');
   const ids = (partObj.get('entries') && partObj.get('entries').toArray()) || [];
   const allEntries = Array.isArray(providedEntries) ? providedEntries : getEntries(state);
   const idToEntry = new Map(allEntries.map(e => [e.id, e]));
   const entries = ids.map((id) => idToEntry.get(id)).filter(Boolean);
-  return { title, summary, entries };
+  return { title, summary, entries, job };
 };
 
 export const renderPartPage = (state, partIndex, providedEntries = null) => {
@@ -39,27 +47,38 @@ export const renderPartPage = (state, partIndex, providedEntries = null) => {
   const titleElement = document.getElementById('part-title');
   const summaryElement = document.getElementById('part-summary-content');
   const listElement = document.getElementById('part-entries-list');
+  const backlinksElement = document.getElementById('part-backlinks');
+  const wiki = getWikiLinkIndex(state);
   const options = {
     formatText: (text) => parseMarkdown(text),
     sortOrder: 'asc',
-    getPrecomputedSummary: (entry) => getSummary(state, `entry:${entry.id}`)
+    getPrecomputedSummary: (entry) => getSummary(state, `entry:${entry.id}`),
+    links: getCodexLinks(state),
+    resolveWikiLink: wiki.resolve,
+    getBacklinks: (entry) => wiki.getBacklinks(`entry:${entry.id}`),
+    backlinks: wiki.getBacklinks(`part:${partIndex}`),
+    getAttachments: (entry) => getAttachmentItems(entry.id, state),
+    onOpenAttachment: (attachmentId) => openAttachment(attachmentId, state)
   };
-  renderPart({ titleElement, summaryElement, listElement }, data, options);
+  renderPart({ titleElement, summaryElement, listElement, backlinksElement }, data, options);
 };
 
 export const initPartPage = async (stateParam = null, partIndexParam = null) => {
   const state = stateParam || (await initYjs(), getYjsState());
+  setupCharacterSwitcher(state);
+  setupSyncIndicator();
+  startAIQueue(state);
   const part = partIndexParam != null ? partIndexParam : parseInt(getQueryParam('part') || '0', 10);
   if (!Number.isFinite(part) || part <= 0) return { unsubscribe: () => {} };
 
-  await backfillPartsIfMissing(state, PART_SIZE_DEFAULT);
+  await backfillPartsIfMissing(state);
   renderPartPage(state, part, getEntries(state));
 
   const offFns = [];
   offFns.push(onJournalChange(state, () => {
     const s = getYjsState();
     const entries = getEntries(s);
-    backfillPartsIfMissing(s, PART_SIZE_DEFAULT).then(() => {
+    backfillPartsIfMissing(s).then(() => {
       renderPartPage(s, part, entries);
     }).catch(() => {});
   }));
@@ -67,10 +86,22 @@ export const initPartPage = async (stateParam = null, partIndexParam = null) =>
     const s = getYjsState();
     renderPartPage(s, part, getEntries(s));
   }));
+  offFns.push(onAIJobsChange(state, () => {
+    const s = getYjsState();
+    renderPartPage(s, part, getEntries(s));
+  }));
   offFns.push(onChronicleChange(state, () => {
     const s = getYjsState();
     renderPartPage(s, part, getEntries(s));
   }));
+  offFns.push(onCodexChange(state, () => {
+    const s = getYjsState();
+    renderPartPage(s, part, getEntries(s));
+  }));
+  offFns.push(onAttachmentsChange(state, () => {
+    const s = getYjsState();
+    renderPartPage(s, part, getEntries(s));
+  }));
   const partsMap = getChroniclePartsMap(state);
   const observer = () => {
     const s = getYjsState();
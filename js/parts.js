@@ -1,7 +1,7 @@
 // Parts - Partitioning logic and key helpers for journal parts
-// Focused utilities with no side effects
+// Focused utilities; the only side effect on import is defining the chronicle's AI job types
 
-import { getYjsState, getSummary, setSummary, getEntries } from './yjs.js';
+import { getYjsState, getSummary, setSummary, getEntries, getSummariesMap, getAIJobs, removeAIJob, transactLocalEdit, transactBackground } from './yjs.js';
 import { 
   ensureChronicleStructure,
   getChroniclePartsMap,
@@ -10,30 +10,113 @@ import {
   setChronicleLatestPartIndex,
   setChroniclePartTitle,
   setChroniclePartSummary,
-  setChroniclePartEntries
+  setChroniclePartEntries,
+  getChronicleGrouping,
+  getChronicleBreaks,
+  PART_GROUPING_SESSION
 } from './chronicle-state.js';
 import { summarize } from './summarization.js';
 import { PROMPTS } from './prompts.js';
+import { describeEntryForAI } from './entry-metadata.js';
+import { callAIChat } from './ai-request.js';
+import { defineAIJob, enqueueAIJob } from './ai-queue.js';
+import { safeParseJSON } from './utils.js';
 
 export const PART_SIZE_DEFAULT = 10;
+export const PART_SIZE_MIN = 2;
+export const PART_SIZE_MAX = 50;
 
-// Partition entries into closed parts of size `partSize` and an open remainder
-export const partitionEntries = (entries, partSize = PART_SIZE_DEFAULT) => {
-  const total = Array.isArray(entries) ? entries.length : 0;
-  const numClosedParts = Math.floor(total / partSize);
+const hasBreakAfter = (breakAfter, entry) => Boolean(breakAfter && entry && breakAfter.has(entry.id));
+
+// Partition entries into closed parts of size `partSize` and an open remainder.
+// `breakAfter` (Set of entry IDs) also closes a part right after those entries.
+export const partitionEntries = (entries, partSize = PART_SIZE_DEFAULT, breakAfter = null) => {
+  const closedParts = [];
+  let current = [];
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    current.push(entry);
+    if (current.length >= partSize || hasBreakAfter(breakAfter, entry)) {
+      closedParts.push(current);
+      current = [];
+    }
+  });
+  return { closedParts, openPart: current };
+};
+
+// Partition entries by session number: a part closes when an entry from a later session arrives.
+// Entries without a number belong to the session before them; the last session stays open.
+export const partitionEntriesBySession = (entries, breakAfter = null) => {
+  const closedParts = [];
+  let current = [];
+  let currentSession = null;
+  (Array.isArray(entries) ? entries : []).forEach((entry) => {
+    const session = Number(entry && entry.session) || null;
+    if (current.length > 0 && session && currentSession && session !== currentSession) {
+      closedParts.push(current);
+      current = [];
+    }
+    current.push(entry);
+    if (session) currentSession = session;
+    if (hasBreakAfter(breakAfter, entry)) {
+      closedParts.push(current);
+      current = [];
+    }
+  });
+  return { closedParts, openPart: current };
+};
+
+// Entries per part for this journal
+export const getPartSize = (state) => {
+  const size = Number(ensureChronicleStructure(state).get('partSize'));
+  return Number.isInteger(size) && size >= PART_SIZE_MIN && size <= PART_SIZE_MAX ? size : PART_SIZE_DEFAULT;
+};
+
+export const setPartSize = (state, size) => {
+  const parsed = parseInt(size, 10);
+  if (!Number.isFinite(parsed)) return getPartSize(state);
+  const clamped = Math.min(PART_SIZE_MAX, Math.max(PART_SIZE_MIN, parsed));
+  transactLocalEdit(state, () => ensureChronicleStructure(state).set('partSize', clamped));
+  return clamped;
+};
+
+// Partition with the journal's grouping, part size and break markers
+const partitionBySettings = (state, entries, partSize) => {
+  const breaks = getChronicleBreaks(state);
+  return getChronicleGrouping(state) === PART_GROUPING_SESSION
+    ? partitionEntriesBySession(entries, breaks)
+    : partitionEntries(entries, partSize, breaks);
+};
+
+// Closed parts already in the chronicle keep their entries; entries after them are
+// partitioned by the journal's settings. `partSize` overrides the journal's part size.
+export const getJournalPartition = (state, partSize = null) => {
+  const size = partSize || getPartSize(state);
+  const entries = getEntries(state);
+  const idToEntry = new Map(entries.map(e => [e.id, e]));
+  const latestClosed = ensureChronicleStructure(state).get('latestPartIndex') || 0;
+  const parts = getChroniclePartsMap(state);
   const closedParts = [];
-  for (let i = 0; i < numClosedParts; i++) {
-    const start = i * partSize;
-    const end = start + partSize;
-    closedParts.push(entries.slice(start, end));
+  const assigned = new Set();
+  for (let i = 1; i <= latestClosed; i++) {
+    const partObj = parts.get(String(i));
+    const ids = partObj && partObj.get('entries')
+      ? partObj.get('entries').toArray()
+      : entries.slice((i - 1) * size, i * size).map(e => e.id);
+    ids.forEach(id => assigned.add(id));
+    closedParts.push(ids.map(id => idToEntry.get(id)).filter(Boolean));
   }
-  const openPart = entries.slice(numClosedParts * partSize);
-  return { closedParts, openPart };
+  const remaining = entries.filter(e => !assigned.has(e.id));
+  const rest = partitionBySettings(state, remaining, size);
+  return { closedParts: closedParts.concat(rest.closedParts), openPart: rest.openPart };
 };
 
+// Text sent to the AI for a set of entries, each prefixed with its session details
+const buildFullText = (entries) => entries.map(describeEntryForAI).filter(Boolean).join('\n\n');
+
 // Key helpers
 export const getPartSummaryKey = (partIndex) => `journal:part:${partIndex}`;
 export const getPartEntriesKey = (partIndex) => `journal:part:${partIndex}:entries`;
+export const getPartTitleKey = (partIndex) => `journal:part:${partIndex}:title-gen`;
 export const PARTS_LATEST_KEY = 'journal:parts:latest';
 export const SO_FAR_LATEST_KEY = 'journal:parts:so-far:latest';
 export const RECENT_SUMMARY_KEY = 'journal:recent-summary';
@@ -59,7 +142,7 @@ export const persistPartMembership = (state, partIndex, entryIds) => {
   }
 };
 
-// Build full text for a set of entries by IDs (uses raw content only)
+// Build full text for a set of entries by IDs (raw content with session details)
 export const buildFullTextForEntryIds = (state, entryIds) => {
   const entries = getEntries(state);
   const idToEntry = new Map(entries.map(e => [e.id, e]));
@@ -67,79 +150,113 @@ export const buildFullTextForEntryIds = (state, entryIds) => {
   for (const id of entryIds) {
     const entry = idToEntry.get(id);
     if (entry && entry.content) {
-      parts.push(entry.content);
+      parts.push(describeEntryForAI(entry));
     }
   }
   return parts.join('\n\n');
 };
 
-// Close current open part if it has reached partSize; generate part summary and update indexes
-export const maybeCloseOpenPart = async (state, partSize = PART_SIZE_DEFAULT) => {
+// Part and so-far summaries are background AI jobs (see ai-queue.js): closing parts only queues them,
+// and the chronicle shows the job's state until the summary is written.
+export const getPartJobId = (partIndex) => `part-summary:${partIndex}`;
+export const SO_FAR_JOB_ID = 'so-far';
+export const RECENT_JOB_ID = 'recent-summary';
+
+// Written by earlier versions while a summary was generated; such parts are queued again
+export const LEGACY_PENDING_SUMMARY = 'Generating summary...';
+
+const hasFinishedSummary = (text) => Boolean(text) && text !== LEGACY_PENDING_SUMMARY;
+
+// Part summary (~1000 words) from the full raw text, then a short, evocative title.
+// Each runner writes only while `holdsLease()`, i.e. while no other device has taken the job over.
+const summarizePart = async (state, partIndex, holdsLease) => {
+  // Stored membership, or where the journal's settings would put the part
+  const partEntries = (getJournalPartition(state).closedParts[partIndex - 1] || []).filter(e => e && e.content);
+  if (partEntries.length === 0) return;
+  const fullText = buildFullText(partEntries);
+  const partSummary = await summarize(getPartSummaryKey(partIndex), fullText, 1000, { shouldSave: holdsLease });
+  if (!holdsLease()) return;
+  if (partSummary) transactBackground(state, () => setChroniclePartSummary(state, partIndex, partSummary));
+
+  const title = await summarize(getPartTitleKey(partIndex), PROMPTS.partTitle(fullText), 50, { shouldSave: holdsLease });
+  if (title && typeof title === 'string' && holdsLease()) transactBackground(state, () => setChroniclePartTitle(state, partIndex, title));
+};
+
+// Adventure So Far from every closed part's summary; onProgress streams it to the chronicle
+const summarizeSoFar = async (state, onProgress, holdsLease) => {
+  const parts = getChroniclePartsMap(state);
+  const latest = ensureChronicleStructure(state).get('latestPartIndex') || 0;
+  const allSummaries = [];
+  for (let i = 1; i <= latest; i++) {
+    const p = parts.get(String(i));
+    const s = p && p.get('summary');
+    if (hasFinishedSummary(s)) allSummaries.push(s);
+  }
+  if (allSummaries.length === 0) return;
+  const soFar = await summarize(SO_FAR_LATEST_KEY, allSummaries.join('\n\n'), 1000, { onToken: onProgress, shouldSave: holdsLease });
+  if (soFar && holdsLease()) transactBackground(state, () => setChronicleSoFarSummary(state, soFar));
+};
+
+// Recent Adventures from the open part; empty once the open part is
+const summarizeRecent = async (state, partSize, onProgress, holdsLease) => {
+  const { openPart } = getJournalPartition(state, partSize);
+  const fullText = buildFullText(openPart);
+  if (!fullText.trim()) {
+    transactBackground(state, () => setChronicleRecentSummary(state, ''));
+    return;
+  }
+  const recent = await summarize(RECENT_SUMMARY_KEY, fullText, 1000, { onToken: onProgress, shouldSave: holdsLease });
+  if (recent && holdsLease()) transactBackground(state, () => setChronicleRecentSummary(state, recent));
+};
+
+defineAIJob('part-summary', (state, job, onProgress, holdsLease) => summarizePart(state, job.args.partIndex, holdsLease));
+defineAIJob('so-far', (state, job, onProgress, holdsLease) => summarizeSoFar(state, onProgress, holdsLease));
+defineAIJob('recent-summary', (state, job, onProgress, holdsLease) => summarizeRecent(state, job.args.partSize, onProgress, holdsLease));
+
+const queuePartSummary = (state, partIndex, retry = false) =>
+  enqueueAIJob(state, { id: getPartJobId(partIndex), type: 'part-summary', args: { partIndex }, retry });
+
+// The so-far summary waits for the part summaries queued before it
+const queueSoFarSummary = (state, retry = false) => {
+  const after = getAIJobs(state).filter(job => job.type === 'part-summary').map(job => job.id);
+  return enqueueAIJob(state, { id: SO_FAR_JOB_ID, type: 'so-far', after, retry });
+};
+
+// Close the open part once the journal's settings say it is complete; queue its summary and update indexes
+export const maybeCloseOpenPart = async (state, partSize = null) => {
   const entries = getEntries(state);
   const total = entries.length;
   if (total === 0) return false;
 
-  const expectedClosedParts = Math.floor(total / partSize);
+  const { closedParts } = getJournalPartition(state, partSize);
+  const expectedClosedParts = closedParts.length;
   const latestClosed = ensureChronicleStructure(state).get('latestPartIndex') || 0;
   if (expectedClosedParts <= latestClosed) return false; // nothing new to close
 
   // Close all missing parts up to expectedClosedParts (handles bulk imports)
   for (let partIndex = latestClosed + 1; partIndex <= expectedClosedParts; partIndex++) {
-    const start = (partIndex - 1) * partSize;
-    const end = start + partSize;
-    const partEntries = entries.slice(start, end);
-    const ids = partEntries.map(e => e.id);
-
-    // Persist membership (idempotent)
-    persistPartMembership(state, partIndex, ids);
-
-    // Generate part summary (~1000 words) from full raw text
-    const fullText = partEntries.map(e => e.content).join('\n\n');
-    const partSummaryKey = getPartSummaryKey(partIndex);
-    // Show in-progress state immediately
-    setChroniclePartSummary(state, partIndex, 'Generating summary...');
-    const partSummary = await summarize(partSummaryKey, fullText, 1000).catch(() => '');
-    if (partSummary) setChroniclePartSummary(state, partIndex, partSummary);
-
-    // Generate part title once if missing (short, evocative)
-    const titlePrompt = PROMPTS.partTitle(fullText);
-    const titleKey = `journal:part:${partIndex}:title-gen`;
-    const title = await summarize(titleKey, titlePrompt, 50).catch(() => null);
-    if (title && typeof title === 'string') setChroniclePartTitle(state, partIndex, title);
-
-    // Update latest index
-    setChronicleLatestPartIndex(state, partIndex);
-  }
+    const ids = closedParts[partIndex - 1].map(e => e.id);
 
-  // Recompute so-far latest by concatenating all closed part summaries
-  const parts = getChroniclePartsMap(state);
-  const allSummaries = [];
-  for (let i = 1; i <= expectedClosedParts; i++) {
-    const p = parts.get(String(i));
-    const s = p && p.get('summary');
-    if (s) allSummaries.push(s);
+    transactBackground(state, () => {
+      // Persist membership (idempotent)
+      persistPartMembership(state, partIndex, ids);
+      // No summary until its job has run
+      setChroniclePartSummary(state, partIndex, '');
+      // Update latest index
+      setChronicleLatestPartIndex(state, partIndex);
+    });
+    queuePartSummary(state, partIndex);
   }
-  const combined = allSummaries.join('\n\n');
-  // Show in-progress state for so-far
-  setChronicleSoFarSummary(state, 'Generating summary...');
-  const soFar = await summarize(SO_FAR_LATEST_KEY, combined, 1000).catch(() => '');
-  if (soFar) setChronicleSoFarSummary(state, soFar);
+
+  // Rebuild so-far once the new parts are summarized
+  queueSoFarSummary(state);
 
   return true;
 };
 
-// Recompute recent summary for the current open part
-const defaultRecomputeRecentSummaryImpl = async (state, partSize = PART_SIZE_DEFAULT) => {
-  const entries = getEntries(state);
-  const total = entries.length;
-  const numClosedParts = Math.floor(total / partSize);
-  const openPart = entries.slice(numClosedParts * partSize);
-  const fullText = openPart.map(e => e.content).join('\n\n');
-  // Show in-progress state for recent
-  setChronicleRecentSummary(state, 'Generating summary...');
-  const recent = await summarize(RECENT_SUMMARY_KEY, fullText, 1000).catch(() => '');
-  if (recent) setChronicleRecentSummary(state, recent);
-};
+// Queue the recent summary for the current open part. `retry` re-runs a failed one (explicit requests)
+const defaultRecomputeRecentSummaryImpl = async (state, partSize = null, retry = false) =>
+  enqueueAIJob(state, { id: RECENT_JOB_ID, type: 'recent-summary', args: { partSize }, retry });
 
 export const setRecomputeRecentSummaryImpl = (fn) => {
   if (typeof fn === 'function') {
@@ -149,97 +266,143 @@ export const setRecomputeRecentSummaryImpl = (fn) => {
   }
 };
 
-export const recomputeRecentSummary = async (state, partSize = PART_SIZE_DEFAULT) => {
-  return recomputeRecentSummaryImpl(state, partSize);
+export const recomputeRecentSummary = async (state, partSize = null, retry = false) => {
+  return recomputeRecentSummaryImpl(state, partSize, retry);
 };
 
 let recomputeRecentSummaryImpl = defaultRecomputeRecentSummaryImpl;
 
-// Backfill: ensure part summaries and so-far exist for current entries
-export const backfillPartsIfMissing = async (state, partSize = PART_SIZE_DEFAULT) => {
+// Backfill: ensure every closed part, so-far and recent summary exists or is queued for current entries.
+// Safe to call on every journal change: jobs already in the queue are not added twice.
+export const backfillPartsIfMissing = async (state, partSize = null) => {
   const entries = getEntries(state);
   const total = entries.length;
   if (total === 0) return;
 
   // Determine how many parts should exist
-  const expectedClosedParts = Math.floor(total / partSize);
+  const { closedParts } = getJournalPartition(state, partSize);
+  const expectedClosedParts = closedParts.length;
   const latestClosed = ensureChronicleStructure(state).get('latestPartIndex') || 0;
 
   // Create any missing closed parts first
   let createdAny = false;
   for (let partIndex = latestClosed + 1; partIndex <= expectedClosedParts; partIndex++) {
-    const start = (partIndex - 1) * partSize;
-    const end = start + partSize;
-    const partEntries = entries.slice(start, end);
-    const ids = partEntries.map(e => e.id);
-    persistPartMembership(state, partIndex, ids);
-    const fullText = partEntries.map(e => e.content).join('\n\n');
-    // In-progress state for part summary during backfill
-    setChroniclePartSummary(state, partIndex, 'Generating summary...');
-    const summary = await summarize(getPartSummaryKey(partIndex), fullText, 1000).catch(() => '');
-    if (summary) setChroniclePartSummary(state, partIndex, summary);
-    setChronicleLatestPartIndex(state, partIndex);
+    const ids = closedParts[partIndex - 1].map(e => e.id);
+    transactBackground(state, () => {
+      persistPartMembership(state, partIndex, ids);
+      setChroniclePartSummary(state, partIndex, '');
+      setChronicleLatestPartIndex(state, partIndex);
+    });
     createdAny = true;
   }
 
-  // Ensure so-far latest exists if there are closed parts
-  if (expectedClosedParts > 0) {
-    const parts = getChroniclePartsMap(state);
-    const allSummaries = [];
-    for (let i = 1; i <= expectedClosedParts; i++) {
-      const p = parts.get(String(i));
-      const s = p && p.get('summary');
-      if (s) allSummaries.push(s);
+  // Queue every closed part still without a summary (new ones, and any left behind by earlier versions)
+  const parts = getChroniclePartsMap(state);
+  let queuedAny = false;
+  for (let partIndex = 1; partIndex <= expectedClosedParts; partIndex++) {
+    const part = parts.get(String(partIndex));
+    if (!hasFinishedSummary(part && part.get('summary'))) {
+      queuePartSummary(state, partIndex);
+      queuedAny = true;
     }
-    const combined = allSummaries.join('\n\n');
-    // In-progress state for so-far during backfill
-    setChronicleSoFarSummary(state, 'Generating summary...');
-    const soFar = await summarize(SO_FAR_LATEST_KEY, combined, 1000).catch(() => '');
-    if (soFar) setChronicleSoFarSummary(state, soFar);
   }
 
-  // Ensure recent summary exists for open part
-  await recomputeRecentSummary(state, partSize);
+  // Ensure so-far latest exists if there are closed parts (rebuilt only when parts were added)
+  const soFarMissing = !hasFinishedSummary(ensureChronicleStructure(state).get('soFarSummary'));
+  if (expectedClosedParts > 0 && (createdAny || queuedAny || soFarMissing)) {
+    queueSoFarSummary(state);
+  }
+
+  // Ensure recent summary exists for open part; a cached one is kept until the part changes
+  const { openPart } = getJournalPartition(state, partSize);
+  const recentMissing = !hasFinishedSummary(ensureChronicleStructure(state).get('recentSummary')) || !getSummary(state, RECENT_SUMMARY_KEY);
+  if (openPart.length > 0 && recentMissing) await recomputeRecentSummary(state, partSize);
 };
 
 // Explicitly recompute a closed part summary by index (debug helper)
 export const recomputePartSummary = async (state, partIndex) => {
   if (!Number.isFinite(partIndex) || partIndex <= 0) return;
-  const parts = getChroniclePartsMap(state);
-  const partObj = parts.get(String(partIndex));
-  const entries = getEntries(state);
-  let entryIds = [];
-  if (partObj && partObj.get('entries')) {
-    entryIds = partObj.get('entries').toArray();
-  } else {
-    // Fallback: derive by slicing journal array by part size
-    const start = (partIndex - 1) * PART_SIZE_DEFAULT;
-    entryIds = entries.slice(start, start + PART_SIZE_DEFAULT).map(e => e.id);
-  }
-  const idToEntry = new Map(entries.map(e => [e.id, e]));
-  const fullText = entryIds.map(id => (idToEntry.get(id) || {}).content || '').filter(Boolean).join('\n\n');
-  setChroniclePartSummary(state, partIndex, 'Generating summary...');
-  const result = await summarize(getPartSummaryKey(partIndex), fullText, 1000).catch(() => '');
-  if (result) setChroniclePartSummary(state, partIndex, result);
+  queuePartSummary(state, partIndex, true);
 };
 
 // Explicitly recompute the Adventure So Far summary (debug helper)
 export const recomputeSoFarSummary = async (state) => {
-  const parts = getChroniclePartsMap(state);
   const latest = ensureChronicleStructure(state).get('latestPartIndex') || 0;
   if (!latest || latest <= 0) {
-    setChronicleSoFarSummary(state, '');
+    transactBackground(state, () => setChronicleSoFarSummary(state, ''));
     return;
   }
-  const allSummaries = [];
-  for (let i = 1; i <= latest; i++) {
-    const p = parts.get(String(i));
-    const s = p && p.get('summary');
-    if (s) allSummaries.push(s);
+  queueSoFarSummary(state, true);
+};
+
+
+// Rebuild every part from the journal's current size, grouping and breaks. Parts whose entries
+// did not change keep their title and summary; the others are cleared and generated again.
+// Resolves with the indexes of changed parts and the number of parts removed.
+export const repartitionParts = async (state) => {
+  const { closedParts } = partitionBySettings(state, getEntries(state), getPartSize(state));
+  const parts = getChroniclePartsMap(state);
+  const summaries = getSummariesMap(state);
+  const changed = [];
+  const stale = Array.from(parts.keys()).map(Number).filter(index => index > closedParts.length);
+
+  const apply = () => {
+    closedParts.forEach((partEntries, i) => {
+      const index = i + 1;
+      const ids = partEntries.map(e => e.id);
+      const existing = parts.get(String(index));
+      const current = existing && existing.get('entries') ? existing.get('entries').toArray() : null;
+      if (current && current.join('\n') === ids.join('\n')) return;
+      setChroniclePartEntries(state, index, ids);
+      setChroniclePartTitle(state, index, '');
+      setChroniclePartSummary(state, index, '');
+      changed.push(index);
+    });
+    stale.forEach(index => parts.delete(String(index)));
+    // Cached AI text no longer matches the renumbered parts
+    [...changed, ...stale].forEach((index) => {
+      summaries.delete(getPartSummaryKey(index));
+      summaries.delete(getPartTitleKey(index));
+    });
+    if (changed.length > 0 || stale.length > 0) {
+      summaries.delete(SO_FAR_LATEST_KEY);
+      summaries.delete(RECENT_SUMMARY_KEY);
+      setChronicleSoFarSummary(state, '');
+    }
+    setChronicleLatestPartIndex(state, closedParts.length);
+  };
+  transactBackground(state, apply);
+
+  if (changed.length > 0 || stale.length > 0) {
+    changed.forEach(index => queuePartSummary(state, index, true));
+    stale.forEach(index => removeAIJob(state, getPartJobId(index)));
+    await recomputeSoFarSummary(state);
+    await recomputeRecentSummary(state, null, true);
   }
-  const combined = allSummaries.join('\n\n');
-  setChronicleSoFarSummary(state, 'Generating summary...');
-  const soFar = await summarize(SO_FAR_LATEST_KEY, combined, 1000).catch(() => '');
-  if (soFar) setChronicleSoFarSummary(state, soFar);
+  return { changed, removed: stale.length };
 };
 
+// Ask the AI where the open part's story naturally breaks. Resolves with
+// [{ entryId, reason }] for entries after which a new chapter could start.
+export const suggestPartBreaks = async (state) => {
+  const { openPart } = getJournalPartition(state);
+  if (openPart.length < 2) return [];
+  const prompt = PROMPTS.partBreaks(openPart.map(entry => ({ id: entry.id, text: describeEntryForAI(entry) })));
+  const reply = await callAIChat([{ role: 'user', content: prompt }], {
+    temperature: 0.2,
+    response_format: { type: 'json_object' },
+    purpose: 'part-breaks'
+  });
+  const parsed = safeParseJSON(reply);
+  const proposals = parsed.success && parsed.data && Array.isArray(parsed.data.breaks) ? parsed.data.breaks : [];
+  // Only entries of the open part, once each
+  const known = new Set(openPart.map(e => e.id));
+  const suggestions = new Map();
+  proposals.forEach((item) => {
+    const entryId = String(item && item.after);
+    if (known.has(entryId) && !suggestions.has(entryId)) {
+      suggestions.set(entryId, { entryId, reason: typeof item.reason === 'string' ? item.reason.trim() : '' });
+    }
+  });
+  return Array.from(suggestions.values());
+};
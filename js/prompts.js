@@ -11,6 +11,7 @@ Write each question based on the character's latest campaign events, roleplaying
 – Situations where the character must choose between two roles, beliefs, or alliances
 – Tensions that could change what the character does, not just what they think
 – How recent moments reveal who the character is becoming
+– How the character has changed (a level gained, gear won or lost, goals rewritten) and what those changes cost or promise
 – What action the character might take next — or avoid — and what that says about them
 
 Keep the questions concise, specific, and practical. Think like a novelist writing for a collaborative story: reveal the character through dilemma, decision, and consequence — not abstract emotion alone.`,
@@ -58,5 +59,51 @@ Constraints:
 - Return only the title text
 
 Source text:
-${text}`
+${text}`,
+
+  codexEntities: (text) => `List the named people, places, factions and notable items in this D&D journal entry.
+
+Return your response as a valid JSON object with this exact structure:
+{
+  "entities": [
+    { "type": "npc", "name": "Full name as written", "aliases": ["Other names used"], "description": "One or two sentences" }
+  ]
+}
+
+Rules:
+- type is one of: npc, location, faction, item
+- Only include things that have a proper name in the text; skip the player character's party unless they are named
+- Describe each one only with what the entry says about it. Do not invent details
+- Return an empty list if nothing is named
+- Return only the JSON object
+
+Entry content:
+${text}`,
+
+  partBreaks: (entries) => `These are consecutive entries of a D&D campaign journal. Find the places where one story arc ends and the next begins, so a new chapter could start after that entry.
+
+Return your response as a valid JSON object with this exact structure:
+{
+  "breaks": [{ "after": "entry id", "reason": "one short sentence" }]
+}
+
+Rules:
+- Only use ids from the list below
+- Suggest a break only where the story clearly turns: a quest ends, the party travels somewhere new, or a long rest or time skip happens
+- Return an empty list if there is no clear break
+- Return only the JSON object
+
+Entries:
+${entries.map(entry => `- id: ${entry.id}\n${entry.text}`).join('\n\n')}`,
+
+  chat: {
+    system: `You keep the journal of a Dungeons & Dragons campaign and answer the player's questions about it. Use only the character details and the numbered journal excerpts you are given, and the conversation so far.
+
+Cite the excerpts an answer relies on with their numbers in square brackets, e.g. [2] or [1][3]. If the journal does not say, answer that it does not — never invent names, promises or events. Keep answers short and in plain prose.`,
+
+    user: (sources, question) => `${sources ? `Journal excerpts:\n\n${sources}` : 'No journal excerpts matched this question.'}
+
+Question:
+${question}`
+  }
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+// Room access on the sync server - claim a journal with a passphrase and share it with invite tokens
+import { getYjsState, getSetting, getSyncServerHttpBase, getRoomCredential, setRoomCredential, getSyncProof } from './yjs.js';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+const roomUrl = (room, path = '') =>
+  `${getSyncServerHttpBase()}/sync/room/${encodeURIComponent(room)}${path}`;
+
+const authHeaders = (credential) => (credential ? { 'Authorization': `Bearer ${credential}` } : {});
+
+// Resolve the JSON body, or reject with an Error carrying the HTTP status
+const readResponse = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || `Request failed with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data;
+};
+
+const requireRoom = (state) => {
+  const room = getSetting(state, 'journal-name', '');
+  if (!room) throw new Error('Link a journal name first');
+  return room;
+};
+
+// { exists, protected, access, encrypted } for the linked room. Claimed rooms report { exists: false }
+// unless this device holds a valid credential, so the answer never reveals someone else's room.
+export const checkRoomAccess = async (state = getYjsState()) => {
+  const room = requireRoom(state);
+  const response = await fetch(roomUrl(room, '/status'), { headers: authHeaders(getRoomCredential(state, room)) });
+  const status = await readResponse(response);
+  return {
+    exists: Boolean(status.exists),
+    protected: Boolean(status.protected),
+    access: status.access || null,
+    encrypted: Boolean(status.encrypted)
+  };
+};
+
+// Claim the linked room (or confirm the passphrase of an already claimed one) and remember it on this device.
+// A room that already holds data needs proof that this device synced it, so it is sent along.
+export const claimRoom = async (passphrase, state = getYjsState()) => {
+  const room = requireRoom(state);
+  const value = String(passphrase || '');
+  if (value.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  const response = await fetch(roomUrl(room, '/claim'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ passphrase: value, proof: await getSyncProof(state) })
+  });
+  const result = await readResponse(response);
+  setRoomCredential(state, room, value);
+  return result;
+};
+
+// Create an invite token: 'write' for another player device, 'read' for sharing with the DM
+export const createInviteToken = async (access, label = '', state = getYjsState()) => {
+  const room = requireRoom(state);
+  const response = await fetch(roomUrl(room, '/tokens'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...authHeaders(getRoomCredential(state, room)) },
+    body: JSON.stringify({ access, label })
+  });
+  return readResponse(response);
+};
+
+export const listInviteTokens = async (state = getYjsState()) => {
+  const room = requireRoom(state);
+  const response = await fetch(roomUrl(room, '/tokens'), { headers: authHeaders(getRoomCredential(state, room)) });
+  const { tokens } = await readResponse(response);
+  return Array.isArray(tokens) ? tokens : [];
+};
+
+export const revokeInviteToken = async (id, state = getYjsState()) => {
+  const room = requireRoom(state);
+  const response = await fetch(roomUrl(room, `/tokens/${encodeURIComponent(id)}`), {
+    method: 'DELETE',
+    headers: authHeaders(getRoomCredential(state, room))
+  });
+  if (!response.ok) await readResponse(response);
+  return true;
+};
@@ -0,0 +1,190 @@
+// Search Index - Client-side inverted index with phrase and prefix queries
+// Documents: { id, kind, title, text, href }. The index is rebuilt per page and never stored.
+
+// Letters and digits of any script; apostrophes inside words ("Tharn's") stay part of the word
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+// Words with their character offsets, lowercased for matching
+export const tokenize = (text = '') =>
+  Array.from(String(text).matchAll(WORD_PATTERN), (match) => ({
+    term: match[0].toLowerCase().replace(/’/g, "'"),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+export const createSearchIndex = () => ({
+  documents: new Map(),
+  // term -> Map(documentId -> token positions)
+  postings: new Map()
+});
+
+export const removeDocument = (index, documentId) => {
+  const existing = index.documents.get(documentId);
+  if (!existing) return false;
+  new Set(existing.tokens.map((token) => token.term)).forEach((term) => {
+    const postings = index.postings.get(term);
+    if (!postings) return;
+    postings.delete(documentId);
+    if (postings.size === 0) index.postings.delete(term);
+  });
+  index.documents.delete(documentId);
+  return true;
+};
+
+// Add or replace one document; unchanged documents are left alone
+export const indexDocument = (index, document) => {
+  const existing = index.documents.get(document.id);
+  if (existing && existing.text === document.text && existing.title === document.title && existing.href === document.href) {
+    return false;
+  }
+  removeDocument(index, document.id);
+  const tokens = tokenize(document.text);
+  tokens.forEach((token, position) => {
+    if (!index.postings.has(token.term)) index.postings.set(token.term, new Map());
+    const postings = index.postings.get(token.term);
+    if (!postings.has(document.id)) postings.set(document.id, []);
+    postings.get(document.id).push(position);
+  });
+  index.documents.set(document.id, { ...document, tokens });
+  return true;
+};
+
+// "quoted phrases", prefix* terms and plain terms; every clause must match
+export const parseQuery = (query = '') => {
+  const clauses = [];
+  const phrasePattern = /"([^"]*)"?/g;
+  const rest = String(query).replace(phrasePattern, (match, phrase) => {
+    const terms = tokenize(phrase).map((token) => token.term);
+    if (terms.length > 0) clauses.push({ type: 'phrase', terms });
+    return ' ';
+  });
+  rest.split(/\s+/).filter(Boolean).forEach((word) => {
+    const isPrefix = word.endsWith('*');
+    tokenize(word).forEach((token, position, tokens) => {
+      const type = isPrefix && position === tokens.length - 1 ? 'prefix' : 'term';
+      clauses.push({ type, terms: [token.term] });
+    });
+  });
+  return clauses;
+};
+
+// documentId -> matched token positions, for one clause
+const matchClause = (index, clause) => {
+  const matches = new Map();
+  const add = (documentId, positions) => {
+    matches.set(documentId, [...(matches.get(documentId) || []), ...positions]);
+  };
+
+  if (clause.type === 'term') {
+    (index.postings.get(clause.terms[0]) || new Map()).forEach((positions, documentId) => add(documentId, positions));
+  } else if (clause.type === 'prefix') {
+    index.postings.forEach((postings, term) => {
+      if (term.startsWith(clause.terms[0])) postings.forEach((positions, documentId) => add(documentId, positions));
+    });
+  } else {
+    const [first, ...others] = clause.terms;
+    (index.postings.get(first) || new Map()).forEach((positions, documentId) => {
+      const starts = positions.filter((start) => others.every((term, offset) => {
+        const later = index.postings.get(term);
+        return later && later.has(documentId) && later.get(documentId).includes(start + offset + 1);
+      }));
+      if (starts.length > 0) add(documentId, starts.flatMap((start) => clause.terms.map((term, offset) => start + offset)));
+    });
+  }
+  return matches;
+};
+
+// Text around the first match as [{ text, highlight }] parts, with every match in range highlighted
+export const buildSnippet = (document, positions, radius = 80) => {
+  const ranges = [...new Set(positions)].sort((a, b) => a - b).map((position) => document.tokens[position]);
+  if (ranges.length === 0) return [{ text: document.text.slice(0, radius * 2), highlight: false }];
+  const from = Math.max(0, ranges[0].start - radius);
+  const to = Math.min(document.text.length, ranges[0].end + radius);
+  const parts = [];
+  let cursor = from;
+  ranges.filter((range) => range.start >= from && range.end <= to).forEach((range) => {
+    if (range.start > cursor) parts.push({ text: document.text.slice(cursor, range.start), highlight: false });
+    parts.push({ text: document.text.slice(range.start, range.end), highlight: true });
+    cursor = range.end;
+  });
+  if (cursor < to) parts.push({ text: document.text.slice(cursor, to), highlight: false });
+  if (from > 0) parts[0] = { ...parts[0], text: `…${parts[0].text.replace(/^\S*\s/, '')}` };
+  if (to < document.text.length) {
+    const last = parts[parts.length - 1];
+    parts[parts.length - 1] = last.highlight ? last : { ...last, text: `${last.text.replace(/\s\S*$/, '')}…` };
+    if (last.highlight) parts.push({ text: '…', highlight: false });
+  }
+  return parts.map((part) => ({ ...part, text: part.text.replace(/\s+/g, ' ') }));
+};
+
+// Results ranked by number of matches: [{ id, kind, title, href, score, snippet }]
+export const search = (index, query, { limit = 20 } = {}) => {
+  const clauses = parseQuery(query);
+  if (clauses.length === 0) return [];
+  const perClause = clauses.map((clause) => matchClause(index, clause));
+  const [first, ...others] = perClause;
+  const results = [];
+  first.forEach((positions, documentId) => {
+    if (!others.every((matches) => matches.has(documentId))) return;
+    const allPositions = [...positions, ...others.flatMap((matches) => matches.get(documentId))];
+    const document = index.documents.get(documentId);
+    results.push({
+      id: document.id,
+      kind: document.kind,
+      title: document.title,
+      href: document.href,
+      timestamp: document.timestamp,
+      score: allPositions.length,
+      snippet: buildSnippet(document, allPositions)
+    });
+  });
+  return results
+    .sort((a, b) => b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, limit);
+};
+
+// Words that say nothing about what a question is after
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'again', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'before', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i',
+  'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the', 'their',
+  'them', 'then', 'there', 'they', 'this', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who',
+  'whom', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Shortest word matched as a prefix, so "promise" also finds "promised" and "promises"
+const MIN_PREFIX_LENGTH = 4;
+
+// Documents that share words with a free-form question, unlike `search` which needs every clause to match.
+// Rare words count for more than common ones. Same result shape as `search`.
+export const rank = (index, question, { limit = 5, radius = 80 } = {}) => {
+  const terms = [...new Set(tokenize(question).map((token) => token.term))].filter((term) => !STOP_WORDS.has(term));
+  if (terms.length === 0 || index.documents.size === 0) return [];
+  const scores = new Map();
+  terms.forEach((queryTerm) => {
+    const matches = matchClause(index, { type: queryTerm.length >= MIN_PREFIX_LENGTH ? 'prefix' : 'term', terms: [queryTerm] });
+    if (matches.size === 0) return;
+    const weight = Math.log(1 + index.documents.size / matches.size);
+    matches.forEach((positions, documentId) => {
+      const current = scores.get(documentId) || { score: 0, positions: [] };
+      // Each question word counts once per document, with a little extra for repeats
+      current.score += weight * (1 + Math.log(positions.length));
+      current.positions.push(...positions);
+      scores.set(documentId, current);
+    });
+  });
+  return Array.from(scores, ([documentId, { score, positions }]) => {
+    const document = index.documents.get(documentId);
+    return {
+      id: document.id,
+      kind: document.kind,
+      title: document.title,
+      href: document.href,
+      timestamp: document.timestamp,
+      score,
+      snippet: buildSnippet(document, positions, radius)
+    };
+  })
+    .sort((a, b) => b.score - a.score || (b.timestamp || 0) - (a.timestamp || 0))
+    .slice(0, limit);
+};
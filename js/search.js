@@ -0,0 +1,94 @@
+// Search - Keeps a search index of the active character's journal up to date
+import { getYjsState, getEntries, onJournalChange, onSummariesChange } from './yjs.js';
+import { getChroniclePartsMap } from './chronicle-state.js';
+import { formatDate, safeParseJSON } from './utils.js';
+import { createSearchIndex, indexDocument, removeDocument, search, rank } from './search-index.js';
+
+// Placeholder that earlier versions stored while a part summary was generated; not worth finding
+const PENDING_SUMMARY = 'Generating summary...';
+
+const ENTRY_PREFIX = 'entry:';
+const PART_PREFIX = 'part:';
+
+// AI title and subtitle stored for an entry, as an object or JSON string
+const readEntrySummary = (state, entryId) => {
+  const raw = state.summariesMap.get(`${ENTRY_PREFIX}${entryId}`);
+  if (!raw) return {};
+  if (typeof raw === 'object') return raw;
+  const parsed = safeParseJSON(raw);
+  return parsed.success && parsed.data && typeof parsed.data === 'object' ? parsed.data : {};
+};
+
+// Pure: search document for an entry; title and subtitle are searched along with the text
+export const entryToDocument = (entry, summary = {}) => ({
+  id: `${ENTRY_PREFIX}${entry.id}`,
+  kind: 'entry',
+  title: summary.title || formatDate(entry.timestamp),
+  text: [summary.title, summary.subtitle, entry.content].filter(Boolean).join('\n'),
+  href: `/#entry-${entry.id}`,
+  timestamp: entry.timestamp
+});
+
+// Pure: search document for a chronicle part, or null while it has no summary yet
+export const partToDocument = (index, title, summary) => {
+  const text = [title, summary === PENDING_SUMMARY ? '' : summary].filter(Boolean).join('\n');
+  if (!text) return null;
+  return {
+    id: `${PART_PREFIX}${index}`,
+    kind: 'part',
+    title: title || `Part ${index}`,
+    text,
+    href: `/part.html?part=${index}`
+  };
+};
+
+const syncEntries = (index, state) => {
+  const seen = new Set();
+  getEntries(state).forEach((entry) => {
+    const document = entryToDocument(entry, readEntrySummary(state, entry.id));
+    seen.add(document.id);
+    indexDocument(index, document);
+  });
+  Array.from(index.documents.keys())
+    .filter((id) => id.startsWith(ENTRY_PREFIX) && !seen.has(id))
+    .forEach((id) => removeDocument(index, id));
+};
+
+const syncParts = (index, state) => {
+  const seen = new Set();
+  getChroniclePartsMap(state).forEach((part, key) => {
+    const document = part && part.get ? partToDocument(key, part.get('title'), part.get('summary')) : null;
+    if (!document) return;
+    seen.add(document.id);
+    indexDocument(index, document);
+  });
+  Array.from(index.documents.keys())
+    .filter((id) => id.startsWith(PART_PREFIX) && !seen.has(id))
+    .forEach((id) => removeDocument(index, id));
+};
+
+// Build the index once, then follow changes: only documents whose text changed are re-indexed
+export const createJournalSearch = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const index = createSearchIndex();
+  syncEntries(index, state);
+  syncParts(index, state);
+
+  onJournalChange(state, () => syncEntries(index, state));
+  onSummariesChange(state, (event) => {
+    const changedEntries = Array.from(event.keysChanged || []).filter((key) => key.startsWith(ENTRY_PREFIX));
+    changedEntries.forEach((key) => {
+      const entry = getEntries(state).find((e) => `${ENTRY_PREFIX}${e.id}` === key);
+      if (entry) indexDocument(index, entryToDocument(entry, readEntrySummary(state, entry.id)));
+    });
+  });
+  state.chronicleMap.observeDeep(() => syncParts(index, state));
+
+  return {
+    index,
+    doc: state.ydoc,
+    characterId: state.characterId,
+    search: (query, options) => search(index, query, options),
+    rank: (question, options) => rank(index, question, options)
+  };
+};
@@ -1,5 +1,7 @@
 // Settings Views - Pure Rendering Functions for Settings Page
 import { getFormData, showNotification, getWordCount } from './utils.js';
+import { formatBytes } from './attachment-files.js';
+import { formatCost, getPurposeLabel } from './ai-usage.js';
 import {
   getCachedSettings,
   getFormDataForPage
@@ -34,18 +36,28 @@ export const renderSettingsForm = (formOrSettings, maybeSettings = null, uiEleme
     aiEnabledCheckbox.checked = settingsData['ai-enabled'] === 'true' || settingsData['ai-enabled'] === true;
   }
   
+  // Provider-specific inputs (keys per provider, base URL for OpenAI-compatible servers), speech to text, retrieval and caps
+  ['ai-base-url', 'anthropic-api-key', 'openai-compatible-api-key', 'transcription-base-url', 'transcription-model',
+    'embedding-base-url', 'embedding-model', 'context-token-budget', 'ai-daily-token-cap', 'ai-monthly-token-cap'].forEach((name) => {
+    const input = form.querySelector(`[name="${name}"]`);
+    if (input) input.value = settingsData[name] || '';
+  });
+  
   // Update show AI prompt button state
   const showPromptButton = uiElements.showPromptButton || (typeof document !== 'undefined' ? document.getElementById('show-ai-prompt') : null);
   if (showPromptButton) {
-    const hasApiKey = settingsData['openai-api-key'] && settingsData['openai-api-key'].trim().length > 0;
+    // 'ai-configured' comes from the provider layer; older callers only pass the OpenAI key
+    const hasProvider = 'ai-configured' in settingsData
+      ? Boolean(settingsData['ai-configured'])
+      : Boolean(settingsData['openai-api-key'] && settingsData['openai-api-key'].trim().length > 0);
     const aiEnabled = settingsData['ai-enabled'] === 'true' || settingsData['ai-enabled'] === true;
-    showPromptButton.disabled = !hasApiKey || !aiEnabled;
+    showPromptButton.disabled = !hasProvider || !aiEnabled;
     
     // Update button title to give user feedback about requirements
-    if (!hasApiKey && !aiEnabled) {
-      showPromptButton.title = 'Requires OpenAI API Key and AI Features to be enabled';
-    } else if (!hasApiKey) {
-      showPromptButton.title = 'Requires OpenAI API Key';
+    if (!hasProvider && !aiEnabled) {
+      showPromptButton.title = 'Requires a configured AI provider and AI Features to be enabled';
+    } else if (!hasProvider) {
+      showPromptButton.title = 'Requires a configured AI provider';
     } else if (!aiEnabled) {
       showPromptButton.title = 'Requires AI Features to be enabled';
     } else {
@@ -69,6 +81,206 @@ export const renderSettingsForm = (formOrSettings, maybeSettings = null, uiEleme
   }
 };
 
+// Show the selected AI provider's fields and its model suggestions
+export const renderProviderFields = (form, { providerId, models = [], model = '' }) => {
+  if (!form || typeof form.querySelector !== 'function') return;
+  
+  const providerSelect = form.querySelector('[name="ai-provider"]');
+  if (providerSelect) providerSelect.value = providerId;
+  
+  form.querySelectorAll('[data-provider]').forEach((group) => {
+    group.classList.toggle('is-hidden', group.getAttribute('data-provider') !== providerId);
+  });
+  
+  const modelInput = form.querySelector('[name="ai-model"]');
+  if (modelInput) {
+    modelInput.value = model;
+    modelInput.placeholder = models[0] || '';
+  }
+  
+  const modelOptions = form.querySelector('#ai-model-options');
+  if (modelOptions) {
+    modelOptions.innerHTML = '';
+    models.forEach((name) => {
+      const option = document.createElement('option');
+      option.value = name;
+      modelOptions.appendChild(option);
+    });
+  }
+};
+
+// Describe whether the sync server offers AI and whether this device uses it
+export const renderAIProxyStatus = (statusElement, { advertised = null, hasToken = false, hasJournal = false } = {}) => {
+  if (!statusElement) return;
+  if (!hasJournal) {
+    statusElement.textContent = 'Link a journal name to use AI from the sync server.';
+  } else if (!advertised) {
+    statusElement.textContent = 'The sync server does not offer AI.';
+  } else if (!hasToken) {
+    statusElement.textContent = `The sync server offers AI (${advertised.model || 'default model'}). Enter its access token to use it.`;
+  } else {
+    statusElement.textContent = `Using AI from the sync server (${advertised.model || 'default model'}).`;
+  }
+};
+
+// Attachment storage: usage is { count, inlineBytes, serverBytes, serverFiles, offlineFiles, device }
+export const renderStorageUsage = (listElement, usage) => {
+  if (!listElement || !usage) return;
+  listElement.innerHTML = '';
+  const rows = [
+    ['Attachments', String(usage.count)],
+    ['In the journal', formatBytes(usage.inlineBytes)],
+    ['On the sync server', usage.serverFiles > 0 ? `${formatBytes(usage.serverBytes)} (${usage.offlineFiles} of ${usage.serverFiles} files offline)` : formatBytes(usage.serverBytes)]
+  ];
+  if (usage.device) rows.push(['This device', `${formatBytes(usage.device.usage)} of ${formatBytes(usage.device.quota)}`]);
+  rows.forEach(([term, value]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = value;
+    listElement.appendChild(dt);
+    listElement.appendChild(dd);
+  });
+};
+
+const createUsageTable = (caption, headings, rows) => {
+  const table = document.createElement('table');
+  table.className = 'ai-usage__table';
+  const captionElement = document.createElement('caption');
+  captionElement.textContent = caption;
+  table.appendChild(captionElement);
+  const head = table.createTHead().insertRow();
+  headings.forEach((heading) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = heading;
+    head.appendChild(th);
+  });
+  const body = table.createTBody();
+  rows.forEach((cells) => {
+    const row = body.insertRow();
+    cells.forEach((cell) => { row.insertCell().textContent = cell; });
+  });
+  return table;
+};
+
+// "≈" marks totals that include estimated token counts
+const formatTokens = (totals) => `${totals.estimated ? '≈' : ''}${totals.tokens.toLocaleString()}`;
+const formatTotalsCost = (totals) => (totals.priced ? formatCost(totals.cost) : '—');
+
+const formatUsageDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// AI usage dashboard. summary comes from summarizeUsage; caps are { daily, monthly } tokens, 0 for none.
+export const renderAIUsage = (container, summary, caps = {}) => {
+  if (!container || !summary) return;
+  container.innerHTML = '';
+
+  const totalsList = document.createElement('dl');
+  totalsList.className = 'sync-details';
+  [['Today', summary.today, caps.daily], ['This month', summary.month, caps.monthly]].forEach(([term, totals, cap]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = term;
+    const dd = document.createElement('dd');
+    dd.textContent = `${formatTokens(totals)} tokens in ${totals.requests} calls, ${formatTotalsCost(totals)}`;
+    if (cap) {
+      dd.textContent += ` (cap ${cap.toLocaleString()})`;
+      const meter = document.createElement('progress');
+      meter.className = 'ai-usage__cap';
+      meter.max = cap;
+      meter.value = Math.min(totals.tokens, cap);
+      meter.setAttribute('aria-label', `${term}: ${totals.tokens.toLocaleString()} of ${cap.toLocaleString()} tokens`);
+      dd.appendChild(meter);
+      if (totals.tokens >= cap) {
+        dd.classList.add('ai-usage__capped');
+        dd.appendChild(document.createTextNode(' Cap reached: AI features are paused.'));
+      }
+    }
+    totalsList.appendChild(dt);
+    totalsList.appendChild(dd);
+  });
+  container.appendChild(totalsList);
+
+  if (summary.month.requests === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'form-help';
+    empty.textContent = 'No AI calls this month.';
+    container.appendChild(empty);
+    return;
+  }
+
+  const usageRows = (groups, label) => groups.map(group => [label(group.key), String(group.requests), formatTokens(group), formatTotalsCost(group)]);
+  container.appendChild(createUsageTable('This month by purpose', ['Purpose', 'Calls', 'Tokens', 'Cost'], usageRows(summary.byPurpose, getPurposeLabel)));
+  container.appendChild(createUsageTable('This month by model', ['Model', 'Calls', 'Tokens', 'Cost'], usageRows(summary.byModel, key => key)));
+  container.appendChild(createUsageTable(`Last ${summary.days.length} days`, ['Day', 'Calls', 'Tokens', 'Cost'],
+    summary.days.slice().reverse().map(day => [formatUsageDay(day.day), String(day.requests), formatTokens(day), formatTotalsCost(day)])));
+};
+
+// Describe how the linked journal is protected on the sync server
+export const renderRoomAccessStatus = (statusElement, { hasJournal = false, hasCredential = false, access = null, isProtected = false, rejected = false } = {}) => {
+  if (!statusElement) return;
+  if (!hasJournal) {
+    statusElement.textContent = 'Link a journal name to protect it on the server.';
+  } else if (rejected) {
+    statusElement.textContent = 'The server refused this device. Enter the journal passphrase or an invite token.';
+  } else if (isProtected && access === 'read') {
+    statusElement.textContent = 'Read-only access: changes on this device are not sent to the server.';
+  } else if (isProtected && access === 'write') {
+    statusElement.textContent = 'Protected journal: this device has full access.';
+  } else if (hasCredential) {
+    statusElement.textContent = 'A credential is saved on this device. Protect the journal to require it.';
+  } else {
+    statusElement.textContent = 'This journal is not protected. Enter a passphrase and protect it.';
+  }
+};
+
+// Describe end-to-end encryption for the linked journal on this device
+export const renderEncryptionStatus = (statusElement, { hasJournal = false, hasPassphrase = false, serverEncrypted = false, decryptFailed = false } = {}) => {
+  if (!statusElement) return;
+  if (!hasJournal) {
+    statusElement.textContent = 'End-to-end encryption is off.';
+  } else if (decryptFailed) {
+    statusElement.textContent = 'This device could not decrypt the journal. Check the encryption passphrase.';
+  } else if (hasPassphrase) {
+    statusElement.textContent = 'End-to-end encryption is on. The server only stores encrypted changes.';
+  } else if (serverEncrypted) {
+    statusElement.textContent = 'This journal is end-to-end encrypted. Enter its encryption passphrase to sync.';
+  } else {
+    statusElement.textContent = 'End-to-end encryption is off.';
+  }
+};
+
+// List invite tokens with a revoke button each (token values are never shown again)
+export const renderInviteTokens = (listElement, tokens = []) => {
+  if (!listElement) return;
+  listElement.innerHTML = '';
+  tokens.forEach((token) => {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    const label = token.label ? `${token.label} - ` : '';
+    const created = token.createdAt ? new Date(token.createdAt).toLocaleDateString() : '';
+    text.textContent = `${label}${token.access === 'read' ? 'read-only' : 'full access'}${created ? `, created ${created}` : ''}`;
+    const revoke = document.createElement('button');
+    revoke.type = 'button';
+    revoke.className = 'btn btn-secondary';
+    revoke.textContent = 'Revoke';
+    revoke.setAttribute('data-token-id', token.id);
+    item.appendChild(text);
+    item.appendChild(revoke);
+    listElement.appendChild(item);
+  });
+};
+
+// Show a freshly created token once so it can be copied
+export const renderNewInviteToken = (outputElement, token) => {
+  if (!outputElement) return;
+  outputElement.value = token || '';
+  outputElement.classList.toggle('is-hidden', !token);
+  if (token && typeof outputElement.select === 'function') outputElement.select();
+};
+
 // Update connection status display
 // Backward compatible usage:
 // - renderConnectionStatus(isConnected, serverUrl)
@@ -196,4 +408,58 @@ export const renderCachedSettingsContent = (elements) => {
       connectionStatusElement.innerHTML = '<p>Checking connection status...</p>';
     }
   }
-};
\ No newline at end of file
+};
+// Offer generated content (string or bytes) as a file download
+export const downloadFile = (filename, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Summarize the differences an import would make (used as the import modal body)
+export const createImportPreview = (diff) => {
+  const container = document.createElement('div');
+  container.className = 'import-preview';
+
+  const list = document.createElement('ul');
+  list.className = 'import-preview__list';
+  const addItem = (text) => {
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  };
+
+  diff.characters.forEach((character) => {
+    const name = character.name || 'Unnamed character';
+    const parts = [
+      `${character.newEntries} new`,
+      `${character.changedEntries} changed`,
+      `${character.unchangedEntries} unchanged`
+    ];
+    if (character.localOnlyEntries > 0) parts.push(`${character.localOnlyEntries} only on this device`);
+    addItem(`${name}${character.isNew ? ' (new character)' : ''}: entries ${parts.join(', ')}`);
+    if (character.changedFields.length > 0) {
+      addItem(`${name}: character fields differ (${character.changedFields.join(', ')})`);
+    }
+  });
+  if (diff.changedSettings.length > 0) {
+    addItem(`Settings differ: ${diff.changedSettings.join(', ')}`);
+  }
+  if (diff.removedCharacters.length > 0) {
+    addItem(`Replace removes: ${diff.removedCharacters.map((name) => name || 'Unnamed character').join(', ')}`);
+  }
+
+  const help = document.createElement('p');
+  help.className = 'form-help';
+  help.textContent = 'Merge adds what is missing and keeps your data on conflicts. Replace overwrites the imported characters with the file contents.';
+
+  container.appendChild(list);
+  container.appendChild(help);
+  return container;
+};
@@ -6,17 +6,39 @@ import {
   getSetting,
   onSettingsChange,
   resetYjs,
-  clearLocalYjsPersistence
+  clearLocalYjsPersistence,
+  getRoomCredential,
+  setRoomCredential,
+  getSyncAuthRejection,
+  onSyncAuthRejected,
+  getRoomEncryptionPassphrase,
+  setRoomEncryptionPassphrase,
+  getSyncState,
+  onSyncStateChange,
+  onAttachmentsChange,
+  onAIUsageChange,
+  reconnectSync
 } from './yjs.js';
 
 import {
   renderSettingsForm,
   renderConnectionStatus,
   renderCachedSettingsContent,
-  renderAIPromptPreview
+  renderAIPromptPreview,
+  renderProviderFields,
+  renderAIProxyStatus,
+  renderRoomAccessStatus,
+  renderInviteTokens,
+  renderNewInviteToken,
+  renderEncryptionStatus,
+  renderStorageUsage,
+  renderAIUsage,
+  downloadFile,
+  createImportPreview
 } from './settings-views.js';
 
 import { getFormData, showNotification, isValidRoomName } from './utils.js';
+import { renderSyncIndicator, renderSyncDetails } from './components/sync-status.js';
 import { getSyncServerHttpBase } from './yjs.js';
 import { showChoiceModal as baseShowChoiceModal } from './components/modal.js';
 
@@ -29,14 +51,31 @@ export const setShowChoiceModal = (impl) => {
 import { saveNavigationCache } from './navigation-cache.js';
 
 import { isAIEnabled, getPromptPreview, buildMessages } from './ai.js';
+import { callAIChat, refreshAIProxy, getAIProxy, getAIUsageSummary, getUsageCaps } from './ai-request.js';
+import { MIN_PASSPHRASE_LENGTH, checkRoomAccess, claimRoom, createInviteToken, listInviteTokens, revokeInviteToken } from './room-auth.js';
+import {
+  AI_PROVIDERS,
+  DEFAULT_PROVIDER_ID,
+  getProvider,
+  getAIConfig,
+  getApiKeySetting,
+  getModelSetting,
+  isProviderConfigured
+} from './ai-providers.js';
 
 import { clearAllSummaries } from './summarization.js';
+import { getStorageUsage, cacheServerAttachments } from './attachments.js';
 import { renderVersionFooter } from './version-footer.js';
+import { setupCharacterSwitcher } from './characters.js';
+import { setupSyncIndicator } from './sync-indicator.js';
+import { buildBackup, buildMarkdownBook, buildYjsSnapshot, parseBackup, diffBackup, applyBackup } from './backup.js';
 
 // State management
 let settingsFormElement = null;
 let connectionStatusElement = null;
 let handlersSetup = false;
+// Last answer from the sync server about the linked room: { exists, protected, access, tokens }
+let roomAccess = null;
 
 // Initialize Settings page
 export const initSettingsPage = async (stateParam = null) => {
@@ -58,17 +97,39 @@ export const initSettingsPage = async (stateParam = null) => {
     
     // Initialize Yjs asynchronously (non-blocking)
     const state = stateParam || (await initYjs(), getYjsState());
+    setupCharacterSwitcher(state);
+    setupSyncIndicator();
     
     // Set up reactive updates
     onSettingsChange(state, () => {
       renderSettingsPage();
       // Re-setup form handlers after rendering to ensure buttons exist
       setupFormHandlers();
+      // Caps may have changed
+      renderAIUsageSection(state);
     });
     
     // Replace cached content with fresh data
     renderSettingsPage();
     
+    // Re-render once we know whether the sync server offers AI
+    refreshAIProxy(state).then(() => renderSettingsPage(state));
+    refreshRoomAccess(state);
+    onSyncAuthRejected((room, reason) => {
+      showNotification(reason === 'encryption'
+        ? 'Could not decrypt the journal. Check the encryption passphrase.'
+        : 'The sync server refused this device. Enter the journal passphrase or an invite token.', 'warning');
+      renderSettingsPage(state);
+    });
+    
+    onSyncStateChange(renderSyncSection);
+    
+    renderStorageSection(state);
+    onAttachmentsChange(state, () => renderStorageSection(state));
+    
+    renderAIUsageSection(state);
+    onAIUsageChange(state, () => renderAIUsageSection(state));
+    
     // Set up form handling after initial render (ensures DOM elements exist)
     setupFormHandlers();
     
@@ -86,9 +147,21 @@ export const initSettingsPage = async (stateParam = null) => {
 export const renderSettingsPage = (stateParam = null) => {
   try {
     const state = stateParam || getYjsState();
+    const aiConfig = getAIConfig(state);
     const settings = {
       'openai-api-key': getSetting(state, 'openai-api-key', ''),
+      'anthropic-api-key': getSetting(state, 'anthropic-api-key', ''),
+      'openai-compatible-api-key': getSetting(state, 'openai-compatible-api-key', ''),
+      'ai-base-url': getSetting(state, 'ai-base-url', ''),
+      'transcription-base-url': getSetting(state, 'transcription-base-url', ''),
+      'transcription-model': getSetting(state, 'transcription-model', ''),
+      'embedding-base-url': getSetting(state, 'embedding-base-url', ''),
+      'embedding-model': getSetting(state, 'embedding-model', ''),
+      'context-token-budget': getSetting(state, 'context-token-budget', ''),
+      'ai-daily-token-cap': getSetting(state, 'ai-daily-token-cap', ''),
+      'ai-monthly-token-cap': getSetting(state, 'ai-monthly-token-cap', ''),
       'ai-enabled': getSetting(state, 'ai-enabled', false),
+      'ai-configured': isProviderConfigured(aiConfig) || Boolean(getAIProxy(state)),
       'journal-name': getSetting(state, 'journal-name', '')
     };
     
@@ -97,20 +170,198 @@ export const renderSettingsPage = (stateParam = null) => {
     if (formElement) {
       const showPromptButton = document.getElementById('show-ai-prompt');
       renderSettingsForm(formElement, settings, { showPromptButton });
+      renderProviderSelection(formElement, aiConfig.providerId, state);
+      
+      const proxyTokenInput = formElement.querySelector('[name="ai-proxy-token"]');
+      if (proxyTokenInput) proxyTokenInput.value = state.deviceMap.get('ai-proxy-token') || '';
+      
+      const credentialInput = formElement.querySelector('[name="room-credential"]');
+      if (credentialInput) credentialInput.value = getRoomCredential(state, settings['journal-name']);
+      
+      const encryptionInput = formElement.querySelector('[name="e2e-passphrase"]');
+      if (encryptionInput) encryptionInput.value = getRoomEncryptionPassphrase(state, settings['journal-name']);
     }
     
-    const statusElement = connectionStatusElement || document.getElementById('connection-status');
-    if (statusElement) {
-      const connected = false; // TODO: implement connection status check
-      renderConnectionStatus(statusElement, connected, undefined);
-    }
+    renderRoomAccessStatus(document.getElementById('room-access-status'), {
+      hasJournal: Boolean(settings['journal-name']),
+      hasCredential: Boolean(getRoomCredential(state, settings['journal-name'])),
+      access: roomAccess?.access || null,
+      isProtected: Boolean(roomAccess?.protected),
+      rejected: getSyncAuthRejection() === 'credential'
+    });
+    renderEncryptionStatus(document.getElementById('e2e-status'), {
+      hasJournal: Boolean(settings['journal-name']),
+      hasPassphrase: Boolean(getRoomEncryptionPassphrase(state, settings['journal-name'])),
+      serverEncrypted: Boolean(roomAccess?.encrypted),
+      decryptFailed: getSyncAuthRejection() === 'encryption'
+    });
+    const canInvite = roomAccess?.access === 'write';
+    document.getElementById('room-invites')?.classList.toggle('is-hidden', !canInvite);
+    renderInviteTokens(document.getElementById('invite-token-list'), canInvite ? roomAccess.tokens : []);
+    
+    renderAIProxyStatus(document.getElementById('ai-proxy-status'), {
+      advertised: state.deviceMap.get('ai-proxy') || null,
+      hasToken: Boolean(state.deviceMap.get('ai-proxy-token')),
+      hasJournal: Boolean(getSetting(state, 'journal-name', ''))
+    });
+    
+    renderSyncSection(getSyncState());
   } catch (error) {
     console.error('Failed to render settings page:', error);
   }
 };
 
+// AI usage ledger totals against the caps
+export const renderAIUsageSection = (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    renderAIUsage(document.getElementById('ai-usage'), getAIUsageSummary(state), getUsageCaps(state));
+  } catch (error) {
+    console.error('Failed to render AI usage:', error);
+  }
+};
+
+// Attachment storage totals; resolves once rendered
+export const renderStorageSection = async (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    renderStorageUsage(document.getElementById('storage-usage'), await getStorageUsage(state));
+  } catch (error) {
+    console.error('Failed to render storage usage:', error);
+  }
+};
+
+// Download every server attachment that is not on this device yet
+export const keepAttachmentsOffline = async (stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const cached = await cacheServerAttachments(state);
+    showNotification(cached > 0 ? `${cached} attachments saved for offline use` : 'Nothing new to download', 'success');
+    await renderStorageSection(state);
+  } catch (error) {
+    console.error('Failed to cache attachments:', error);
+    showNotification('Failed to download attachments', 'error');
+  }
+};
+
+// Live connection details; re-rendered on every sync state change without touching the form
+const renderSyncSection = (syncState) => {
+  document.getElementById('sync-status-container')?.classList.toggle('is-hidden', !syncState.room);
+  renderSyncIndicator(document.getElementById('sync-dot'), document.getElementById('sync-text'), syncState);
+  renderSyncDetails(document.getElementById('sync-details'), syncState);
+  
+  const statusElement = connectionStatusElement || document.getElementById('connection-status');
+  if (statusElement) {
+    const connected = syncState.status === 'connected' || syncState.status === 'synced';
+    renderConnectionStatus(statusElement, connected, syncState.room ? getSyncServerHttpBase() : undefined);
+  }
+};
+
+// Manual reconnect, e.g. after the server came back or the network changed
+export const reconnectSyncNow = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (!getSetting(state, 'journal-name', '')) {
+    showNotification('Link a journal name to sync', 'info');
+    return false;
+  }
+  reconnectSync();
+  showNotification('Reconnecting to the sync server...', 'info');
+  return true;
+};
+
+// Ask the sync server how this device may use the linked room, then re-render
+export const refreshRoomAccess = async (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  try {
+    if (!getSetting(state, 'journal-name', '')) {
+      roomAccess = null;
+    } else {
+      const status = await checkRoomAccess(state);
+      const tokens = status.protected && status.access === 'write' ? await listInviteTokens(state) : [];
+      roomAccess = { ...status, tokens };
+    }
+  } catch (error) {
+    console.warn('Could not check room access:', error);
+    roomAccess = null;
+  }
+  renderSettingsPage(state);
+  return roomAccess;
+};
+
+// Claim the linked room with the passphrase in the form
+export const protectJournal = async (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const passphrase = document.getElementById('room-credential')?.value || '';
+  try {
+    await claimRoom(passphrase, state);
+    showNotification('Journal protected. Other devices need the passphrase or an invite token.', 'success');
+    await refreshRoomAccess(state);
+    return true;
+  } catch (error) {
+    console.error('Failed to protect journal:', error);
+    if (error.status === 401) {
+      showNotification('This journal is already protected with a different passphrase', 'error');
+    } else if (error.status === 429) {
+      showNotification('Too many failed attempts. Try again in a few minutes.', 'error');
+    } else {
+      showNotification(error.message || 'Failed to protect journal', 'error');
+    }
+    return false;
+  }
+};
+
+// Create a full access or read-only invite token and show it once
+export const createInvite = async (access, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  try {
+    const label = prompt('Who is this token for? (optional)') || '';
+    const { token } = await createInviteToken(access, label.trim(), state);
+    renderNewInviteToken(document.getElementById('invite-token-output'), token);
+    showNotification('Token created. Copy it now - it will not be shown again.', 'success');
+    await refreshRoomAccess(state);
+    return token;
+  } catch (error) {
+    console.error('Failed to create invite token:', error);
+    showNotification('Failed to create invite token', 'error');
+    return null;
+  }
+};
+
+export const revokeInvite = async (id, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (!confirm('Revoke this token? Devices using it will be disconnected from the journal.')) return false;
+  try {
+    await revokeInviteToken(id, state);
+    showNotification('Token revoked', 'success');
+    await refreshRoomAccess(state);
+    return true;
+  } catch (error) {
+    console.error('Failed to revoke invite token:', error);
+    showNotification('Failed to revoke token', 'error');
+    return false;
+  }
+};
+
+// Show the fields and saved model of one provider
+const renderProviderSelection = (formElement, providerId, state) => {
+  renderProviderFields(formElement, {
+    providerId,
+    models: getProvider(providerId).models,
+    model: getSetting(state, getModelSetting(providerId), '')
+  });
+};
+
 // Set up form event handlers
 const setupFormHandlers = () => {
+  const providerSelect = document.getElementById('ai-provider');
+  if (providerSelect && !providerSelect.hasAttribute('data-handler-attached')) {
+    providerSelect.addEventListener('change', () => {
+      const formElement = settingsFormElement || document.getElementById('settings-form');
+      renderProviderSelection(formElement, providerSelect.value, getYjsState());
+    });
+    providerSelect.setAttribute('data-handler-attached', 'true');
+  }
+  
   // Set up button handlers first (independent of form)
   const testApiButton = document.getElementById('test-api-key');
   if (testApiButton && !testApiButton.hasAttribute('data-handler-attached')) {
@@ -141,6 +392,83 @@ const setupFormHandlers = () => {
     clearSummariesButton.setAttribute('data-handler-attached', 'true');
   }
   
+  [
+    ['export-json', 'json'],
+    ['export-markdown', 'markdown'],
+    ['export-yjs', 'yjs']
+  ].forEach(([id, format]) => {
+    const exportButton = document.getElementById(id);
+    if (exportButton && !exportButton.hasAttribute('data-handler-attached')) {
+      exportButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        exportJournal(format);
+      });
+      exportButton.setAttribute('data-handler-attached', 'true');
+    }
+  });
+
+  const cacheAttachmentsButton = document.getElementById('cache-attachments');
+  if (cacheAttachmentsButton && !cacheAttachmentsButton.hasAttribute('data-handler-attached')) {
+    cacheAttachmentsButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      keepAttachmentsOffline();
+    });
+    cacheAttachmentsButton.setAttribute('data-handler-attached', 'true');
+  }
+
+  const importInput = document.getElementById('import-file');
+  if (importInput && !importInput.hasAttribute('data-handler-attached')) {
+    importInput.addEventListener('change', async () => {
+      const [file] = importInput.files || [];
+      if (file) await importJournalFile(file);
+      importInput.value = '';
+    });
+    importInput.setAttribute('data-handler-attached', 'true');
+  }
+  
+  const reconnectButton = document.getElementById('sync-reconnect');
+  if (reconnectButton && !reconnectButton.hasAttribute('data-handler-attached')) {
+    reconnectButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      reconnectSyncNow();
+    });
+    reconnectButton.setAttribute('data-handler-attached', 'true');
+  }
+  
+  const claimRoomButton = document.getElementById('claim-room');
+  if (claimRoomButton && !claimRoomButton.hasAttribute('data-handler-attached')) {
+    claimRoomButton.addEventListener('click', (e) => {
+      e.preventDefault();
+      protectJournal();
+    });
+    claimRoomButton.setAttribute('data-handler-attached', 'true');
+  }
+  
+  [
+    ['create-write-token', 'write'],
+    ['create-read-token', 'read']
+  ].forEach(([id, access]) => {
+    const inviteButton = document.getElementById(id);
+    if (inviteButton && !inviteButton.hasAttribute('data-handler-attached')) {
+      inviteButton.addEventListener('click', (e) => {
+        e.preventDefault();
+        createInvite(access);
+      });
+      inviteButton.setAttribute('data-handler-attached', 'true');
+    }
+  });
+  
+  const inviteList = document.getElementById('invite-token-list');
+  if (inviteList && !inviteList.hasAttribute('data-handler-attached')) {
+    inviteList.addEventListener('click', (e) => {
+      const revokeButton = e.target.closest('[data-token-id]');
+      if (!revokeButton) return;
+      e.preventDefault();
+      revokeInvite(revokeButton.getAttribute('data-token-id'));
+    });
+    inviteList.setAttribute('data-handler-attached', 'true');
+  }
+  
   const refreshAppButton = document.getElementById('refresh-app');
   const unlinkBtn = document.getElementById('unlink-journal');
   if (unlinkBtn && !unlinkBtn.hasAttribute('data-handler-attached')) {
@@ -232,6 +560,28 @@ const setupFormHandlers = () => {
   }
 };
 
+// Provider choice, model, base URL and non-OpenAI keys; fields missing from the form are left alone
+const readProviderSettings = (formData) => {
+  const text = (key) => String(formData[key] || '').trim();
+  // Speech to text, retrieval and usage caps are set up separately from the chat provider
+  const standalone = Object.fromEntries(['transcription-base-url', 'transcription-model', 'embedding-base-url', 'embedding-model', 'context-token-budget',
+    'ai-daily-token-cap', 'ai-monthly-token-cap']
+    .filter((key) => key in formData)
+    .map((key) => [key, text(key)]));
+  const providerId = formData['ai-provider'];
+  if (!AI_PROVIDERS[providerId]) return standalone;
+  const keySettings = Object.keys(AI_PROVIDERS)
+    .map(getApiKeySetting)
+    .filter((key) => key !== 'openai-api-key' && key in formData);
+  return {
+    'ai-provider': providerId,
+    ...('ai-base-url' in formData ? { 'ai-base-url': text('ai-base-url') } : {}),
+    ...('ai-model' in formData ? { [getModelSetting(providerId)]: text('ai-model') } : {}),
+    ...Object.fromEntries(keySettings.map((key) => [key, text(key)])),
+    ...standalone
+  };
+};
+
 // Save settings to Y.js
 export const saveSettings = (stateParam = null) => {
   try {
@@ -252,18 +602,58 @@ export const saveSettings = (stateParam = null) => {
       return;
     }
     const journalName = journalNameRaw; // already lowercased above
+    const providerSettings = readProviderSettings(formData);
+    
+    // The proxy token is device-only: it never enters the synced settings
+    if ('ai-proxy-token' in formData) {
+      const proxyToken = String(formData['ai-proxy-token'] || '').trim();
+      if (proxyToken) {
+        state.deviceMap.set('ai-proxy-token', proxyToken);
+      } else {
+        state.deviceMap.delete('ai-proxy-token');
+      }
+      refreshAIProxy(state).then(() => renderSettingsPage(state));
+    }
+    
+    // Room credentials are device-only too; store before connecting so the upgrade carries it
+    if (journalName && 'room-credential' in formData) {
+      const credential = String(formData['room-credential'] || '').trim();
+      if (credential !== getRoomCredential(state, journalName)) {
+        setRoomCredential(state, journalName, credential);
+      }
+    }
+    
+    // The encryption passphrase never leaves this device; changing it switches sync mode
+    if (journalName && 'e2e-passphrase' in formData) {
+      const passphrase = String(formData['e2e-passphrase'] || '');
+      const previous = getRoomEncryptionPassphrase(state, journalName);
+      if (passphrase !== previous) {
+        if (passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+          showNotification(`Encryption passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, 'error');
+          return;
+        }
+        if (!previous && !confirm('Encrypt this journal? Every device will need this passphrase. Data already on the server stays unencrypted until removed there.')) {
+          return;
+        }
+        setRoomEncryptionPassphrase(state, journalName, passphrase);
+      }
+    }
     
     const applySettings = (targetState) => {
       setSetting(targetState, 'openai-api-key', apiKey);
+      Object.entries(providerSettings).forEach(([key, value]) => setSetting(targetState, key, value));
       setSetting(targetState, 'ai-enabled', aiEnabled);
       setSetting(targetState, 'journal-name', journalName);
+      refreshRoomAccess(targetState);
       showNotification('Settings saved successfully!', 'success');
     };
 
     const applySettingsLocalOnly = (targetState) => {
       setSetting(targetState, 'openai-api-key', apiKey);
+      Object.entries(providerSettings).forEach(([key, value]) => setSetting(targetState, key, value));
       setSetting(targetState, 'ai-enabled', aiEnabled);
       setSetting(targetState, 'journal-name', '');
+      refreshRoomAccess(targetState);
       showNotification('Settings saved successfully!', 'success');
     };
 
@@ -287,9 +677,15 @@ export const saveSettings = (stateParam = null) => {
         return;
       }
       const statusUrl = `${baseOrigin}/sync/room/${encodeURIComponent(journalName)}/status`;
-      return fetch(statusUrl)
+      const credential = getRoomCredential(state, journalName);
+      return fetch(statusUrl, credential ? { headers: { 'Authorization': `Bearer ${credential}` } } : undefined)
         .then(r => r.ok ? r.json() : { exists: false })
-        .then(async ({ exists }) => {
+        .then(async ({ exists, encrypted }) => {
+          // Connecting without the key would upload this device's journal unencrypted
+          if (encrypted && !getRoomEncryptionPassphrase(state, journalName)) {
+            showNotification('This journal is end-to-end encrypted. Enter its encryption passphrase to link it.', 'warning');
+            return;
+          }
           if (!exists) {
             applySettings(state);
             return;
@@ -340,6 +736,7 @@ export const unlinkJournal = (stateParam = null) => {
     const confirmed = confirm('You will continue locally. Server data remains under this journal name. Proceed?');
     if (!confirmed) return;
     setSetting(state, 'journal-name', '');
+    refreshRoomAccess(state);
     showNotification('Unlinked. You are now working locally only.', 'success');
   } catch (error) {
     console.error('Failed to unlink journal:', error);
@@ -347,64 +744,48 @@ export const unlinkJournal = (stateParam = null) => {
   }
 };
 
-// Test API key
+// Provider configuration as currently entered in the form (saved or not)
+const readFormAIConfig = () => {
+  const value = (id) => (document.getElementById(id)?.value || '').trim();
+  const providerId = AI_PROVIDERS[value('ai-provider')] ? value('ai-provider') : DEFAULT_PROVIDER_ID;
+  const provider = getProvider(providerId);
+  return {
+    providerId,
+    apiKey: value(getApiKeySetting(providerId)),
+    baseUrl: provider.requiresBaseUrl ? value('ai-base-url') : (provider.defaultBaseUrl || ''),
+    model: value('ai-model') || provider.models[0]
+  };
+};
+
+// Test the selected AI provider with a tiny request
 export const testAPIKey = (stateParam = null) => {
-  // Always use current form value for testing
-  const apiKeyInput = document.getElementById('openai-api-key');
-  const apiKey = apiKeyInput ? apiKeyInput.value.trim() : '';
-  
-  if (!apiKey) {
-    showNotification('Please enter an API key first', 'warning');
-    return Promise.resolve();
-  }
+  const config = readFormAIConfig();
+  const provider = getProvider(config.providerId);
   
-  if (!apiKey.startsWith('sk-')) {
-    showNotification('API key should start with "sk-"', 'warning');
+  if (!isProviderConfigured(config)) {
+    showNotification(provider.requiresBaseUrl ? 'Please enter a server URL first' : 'Please enter an API key first', 'warning');
     return Promise.resolve();
   }
   
   // Show testing message
-  showNotification('Testing API key...', 'info');
+  showNotification(`Testing ${provider.label}...`, 'info');
   
-  // Test the API key with a simple request to OpenAI
-  return fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: 'gpt-4o-mini',
-      messages: [{ role: 'user', content: 'Hello' }],
-      max_tokens: 5
+  return callAIChat([{ role: 'user', content: 'Hello' }], { maxTokens: 5, purpose: 'test' }, config)
+    .then(() => {
+      showNotification('AI provider is working!', 'success');
     })
-  })
-  .then(response => {
-    if (response.ok) {
-      showNotification('API key is valid!', 'success');
-    } else if (response.status === 401) {
-      showNotification('API key is invalid or unauthorized', 'error');
-    } else if (response.status === 429) {
-      showNotification('API key is valid but rate limited', 'warning');
-    } else {
-      return response.json()
-        .then(errorData => {
-          const errorMessage = errorData.error?.message || `HTTP ${response.status}`;
-          showNotification(`API key test failed: ${errorMessage}`, 'error');
-        })
-        .catch(() => {
-          showNotification(`API key test failed: HTTP ${response.status}`, 'error');
-        });
-    }
-  })
-  .catch(error => {
-    console.error('Failed to test API key:', error);
-    if (error.name === 'TypeError' && error.message.includes('fetch')) {
-      showNotification('Network error: Could not connect to OpenAI API', 'error');
-    } else {
-      showNotification('Error testing API key', 'error');
-    }
-  });
+    .catch(error => {
+      console.error('Failed to test AI provider:', error);
+      if (error.status === 401 || error.status === 403) {
+        showNotification('API key is invalid or unauthorized', 'error');
+      } else if (error.status === 429) {
+        showNotification('API key is valid but rate limited', 'warning');
+      } else if (error.status) {
+        showNotification(`Provider test failed: ${error.message}`, 'error');
+      } else {
+        showNotification('Network error: Could not reach the AI provider', 'error');
+      }
+    });
 };
 
 // Test connection
@@ -462,12 +843,55 @@ export const clearAllSummariesHandler = () => {
     showNotification('Error clearing summaries', 'error');
   }
 };
+const EXPORT_FORMATS = {
+  json: { extension: 'json', mimeType: 'application/json', build: (state) => JSON.stringify(buildBackup(state), null, 2) },
+  markdown: { extension: 'md', mimeType: 'text/markdown', build: (state) => buildMarkdownBook(buildBackup(state)) },
+  yjs: { extension: 'yjs', mimeType: 'application/octet-stream', build: (state) => buildYjsSnapshot(state) }
+};
 
+// Download the whole journal as JSON, a Markdown book or a Yjs snapshot
+export const exportJournal = (format = 'json', stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const exporter = EXPORT_FORMATS[format];
+    if (!exporter) throw new Error(`Unknown export format: ${format}`);
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`dnd-journal-${date}.${exporter.extension}`, exporter.build(state), exporter.mimeType);
+    showNotification('Journal exported', 'success');
+  } catch (error) {
+    console.error('Failed to export journal:', error);
+    showNotification('Error exporting journal', 'error');
+  }
+};
 
+// Validate an import file, preview the differences and merge or replace on confirmation
+export const importJournalFile = async (file, stateParam = null) => {
+  try {
+    const state = stateParam || getYjsState();
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const isSnapshot = /\.yjs$/i.test(file.name || '');
+    const backup = parseBackup(isSnapshot ? bytes : new TextDecoder().decode(bytes), state.characterId);
+
+    const choice = await showChoiceModal({
+      title: 'Import journal',
+      message: createImportPreview(diffBackup(state, backup)),
+      options: [
+        { id: 'merge', label: 'Merge', type: 'primary' },
+        { id: 'replace', label: 'Replace' },
+        { id: 'cancel', label: 'Cancel' }
+      ]
+    });
+    if (choice !== 'merge' && choice !== 'replace') return false;
 
-
-
-
+    applyBackup(state, backup, choice);
+    showNotification(choice === 'replace' ? 'Journal replaced from file' : 'Journal merged from file', 'success');
+    return true;
+  } catch (error) {
+    console.error('Failed to import journal:', error);
+    showNotification(`Import failed: ${error.message}`, 'error');
+    return false;
+  }
+};
 
 // Initialize when DOM is ready (only in browser environment)
 if (typeof document !== 'undefined') {
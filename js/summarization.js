@@ -1,24 +1,20 @@
 // Summarization - Simple AI summarization with caching
-import { getYjsState, setSummary, getSummary, getSetting } from './yjs.js';
+import { getYjsState, setSummary, getSummary, getEntries } from './yjs.js';
 import { PROMPTS } from './prompts.js';
-import { callOpenAIChat } from './ai-request.js';
+import { callAIChat, isAIAvailable } from './ai-request.js';
+import { defineAIJob, enqueueAIJob } from './ai-queue.js';
 
 
 
 // Check if AI is available
-const isAIEnabled = () => {
-  const state = getYjsState();
-  const apiKey = getSetting(state, 'openai-api-key', '');
-  const enabled = getSetting(state, 'ai-enabled', false);
-  return Boolean(enabled && apiKey);
-};
+const isAIEnabled = () => isAIAvailable(getYjsState());
 
 // Simple AI call function (centralized)
 const callAI = (prompt, options = {}) => {
   const messages = [{ role: 'user', content: prompt }];
   const response_format = options.jsonMode ? { type: 'json_object' } : undefined;
-  return callOpenAIChat(messages, { maxTokens: options.maxTokens || 2500, temperature: options.temperature || 0.3, response_format })
-    .then((data) => data.choices[0].message.content.trim())
+  return callAIChat(messages, { maxTokens: options.maxTokens || 2500, temperature: options.temperature || 0.3, response_format, purpose: options.purpose, onToken: options.onToken })
+    .then((content) => content.trim())
     .then((content) => {
       if (options.jsonMode) {
         try {
@@ -32,9 +28,22 @@ const callAI = (prompt, options = {}) => {
     });
 };
 
-// Summarize content with caching
-export const summarize = (summaryKey, content, maxWords = null) => {
+const ENTRY_TITLE_MAX_TOKENS = 300;
+
+// Ledger label for the chronicle's summaries
+const getAdventureSummaryPurpose = (summaryKey) => {
+  if (summaryKey.startsWith('journal:parts:so-far')) return 'so-far';
+  if (summaryKey === 'journal:recent-summary') return 'recent-summary';
+  return 'part-summary';
+};
+
+// Summarize content with caching. `onToken(textSoFar)` streams a prose summary as it is written;
+// when `shouldSave()` turns false meanwhile (a queue job lost its lease) the result is returned but not cached.
+export const summarize = (summaryKey, content, maxWords = null, { onToken, shouldSave = () => true } = {}) => {
   const state = getYjsState();
+  const save = (value) => {
+    if (shouldSave()) setSummary(state, summaryKey, value);
+  };
   
   // Check cache first
   const existingSummary = getSummary(state, summaryKey);
@@ -52,15 +61,17 @@ export const summarize = (summaryKey, content, maxWords = null) => {
     return Promise.reject(new Error('AI not available - check settings'));
   }
   
-  // Generate prompt with appropriate word count
+  // Generate prompt with appropriate word count. Replies are capped near the words asked for
+  // (about two tokens per word leaves room) and labelled for the usage ledger.
   let prompt;
-  let options = {};
+  let options = { maxTokens: maxWords ? Math.ceil(maxWords * 2) : undefined, onToken };
   
   if (summaryKey.endsWith(':title-gen')) {
     // For title generation keys, `content` is already an instruction prompt
     prompt = content;
     options.maxTokens = Math.min(80, maxWords ? Math.ceil(maxWords * 2) : 80);
     options.temperature = 0.7;
+    options.purpose = 'part-title';
   } else if (summaryKey.startsWith('entry:')) {
     // Short-content safeguard to avoid fabrication
     const text = (content || '').trim();
@@ -69,21 +80,31 @@ export const summarize = (summaryKey, content, maxWords = null) => {
       const fallbackTitle = text.split(/\s+/).slice(0, 12).join(' ');
       const fallbackSubtitle = `In which ${text}`;
       const response = { title: fallbackTitle, subtitle: fallbackSubtitle };
-      setSummary(state, summaryKey, JSON.stringify(response));
+      save(JSON.stringify(response));
       return Promise.resolve(response);
     }
 
     prompt = PROMPTS.summarization.entry(content, maxWords);
     options.jsonMode = true;
     options.temperature = options.temperature ?? 0.9;
+    // A title and a one-line subtitle
+    options.maxTokens = ENTRY_TITLE_MAX_TOKENS;
+    options.purpose = 'entry-title';
+  } else if (summaryKey.startsWith('codex:')) {
+    prompt = PROMPTS.codexEntities(content);
+    options.jsonMode = true;
+    options.temperature = 0.2;
+    options.purpose = 'codex';
   } else if (summaryKey.startsWith('character:')) {
     prompt = PROMPTS.summarization.character(content, maxWords);
+    options.purpose = 'character-summary';
   } else if (
     summaryKey.startsWith('journal:part:') ||
     summaryKey === 'journal:recent-summary' ||
     summaryKey.startsWith('journal:parts:so-far')
   ) {
     prompt = PROMPTS.summarization.adventureSummary(content, maxWords);
+    options.purpose = getAdventureSummaryPurpose(summaryKey);
   } else {
     prompt = `Summarize this content concisely:\n\n${content}`;
   }
@@ -94,14 +115,19 @@ export const summarize = (summaryKey, content, maxWords = null) => {
         // Validate the structure (title + subtitle only)
         if (response && response.title && response.subtitle) {
           const minimal = { title: String(response.title), subtitle: String(response.subtitle) };
-          setSummary(state, summaryKey, JSON.stringify(minimal));
+          save(JSON.stringify(minimal));
           return minimal;
         } else {
           throw new Error('Invalid structured content format');
         }
+      } else if (summaryKey.startsWith('codex:')) {
+        // Entity lists are stored as JSON like entry titles
+        const entities = response && Array.isArray(response.entities) ? response.entities : [];
+        save(JSON.stringify({ entities }));
+        return { entities };
       } else {
         // For non-entry summaries, return as-is
-        setSummary(state, summaryKey, response);
+        save(response);
         return response;
       }
     })
@@ -121,4 +147,24 @@ export const clearSummary = (summaryKey) => {
 export const clearAllSummaries = () => {
   const state = getYjsState();
   state.summariesMap.clear();
-};
\ No newline at end of file
+};
+
+// Entry titles are background AI jobs, one per entry (see ai-queue.js)
+export const getEntryTitleJobId = (entryId) => `entry-title:${entryId}`;
+
+defineAIJob('entry-title', async (state, job, onProgress, holdsLease) => {
+  const entry = getEntries(state).find(e => e.id === job.args.entryId);
+  // Deleted or emptied since it was queued
+  if (!entry || !entry.content || !entry.content.trim()) return;
+  await summarize(`entry:${entry.id}`, entry.content, null, { shouldSave: holdsLease });
+});
+
+// Queue a title for every entry without one; nothing is queued while AI is off
+export const queueMissingEntryTitles = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  if (!isAIAvailable(state)) return;
+  const missing = getEntries(state).filter(entry => entry.content && entry.content.trim() && !getSummary(state, `entry:${entry.id}`));
+  const queue = () => missing.forEach(entry =>
+    enqueueAIJob(state, { id: getEntryTitleJobId(entry.id), type: 'entry-title', args: { entryId: entry.id } }));
+  if (state.ydoc) state.ydoc.transact(queue); else queue();
+};
@@ -0,0 +1,15 @@
+// Sync Indicator - keeps the header status in step with the sync provider
+import { getSyncState, onSyncStateChange } from './yjs.js';
+import { renderSyncStatus } from './components/sync-status.js';
+
+let unsubscribe = null;
+
+// Render #sync-status now and on every sync state change (one subscription per page)
+export const setupSyncIndicator = () => {
+  const container = document.getElementById('sync-status');
+  if (!container) return;
+  if (unsubscribe) unsubscribe();
+  const render = (syncState) => renderSyncStatus(container, syncState);
+  render(getSyncState());
+  unsubscribe = onSyncStateChange(render);
+};
@@ -0,0 +1,72 @@
+// Undo - Keyboard shortcuts and undoable notifications for local edits
+import { getYjsState, startUndoStep, getLatestUndoStep, undoChange, redoChange, getUndoManager } from './yjs.js';
+import { showNotification } from './utils.js';
+
+// Toasts with an Undo action stay a little longer than plain ones
+export const UNDO_NOTIFICATION_DURATION = 8000;
+
+// Text fields keep the browser's own undo for typing
+const isEditableTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable === true;
+};
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z and Ctrl+Y redo
+export const handleUndoShortcut = (event, stateParam = null) => {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey || isEditableTarget(event.target)) return false;
+  const key = String(event.key || '').toLowerCase();
+  const wantsRedo = (key === 'z' && event.shiftKey) || (key === 'y' && !event.shiftKey);
+  if (key !== 'z' && !wantsRedo) return false;
+
+  const state = stateParam || getYjsState();
+  event.preventDefault();
+  if (wantsRedo) {
+    showNotification(redoChange(state) ? 'Redone' : 'Nothing to redo', 'info');
+  } else {
+    showNotification(undoChange(state) ? 'Undone' : 'Nothing to undo', 'info');
+  }
+  return true;
+};
+
+// Start tracking local changes for this page and listen for the shortcuts once per document
+export const setupUndoShortcuts = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  getUndoManager(state);
+  const root = document.documentElement;
+  if (root.getAttribute('data-undo-attached')) return;
+  root.setAttribute('data-undo-attached', 'true');
+  document.addEventListener('keydown', (event) => {
+    try {
+      handleUndoShortcut(event);
+    } catch (error) {
+      console.error('Failed to undo or redo:', error);
+    }
+  });
+};
+
+// Run a destructive change as its own undo step and offer to revert it from the toast
+export const runUndoable = (change, message, stateParam = null) => {
+  const state = stateParam || getYjsState();
+  startUndoStep(state);
+  const result = change(state);
+  startUndoStep(state);
+  const step = getLatestUndoStep(state);
+  if (!step) {
+    showNotification(message, 'success');
+    return result;
+  }
+
+  showNotification(message, 'success', UNDO_NOTIFICATION_DURATION, {
+    label: 'Undo',
+    onClick: () => {
+      // Only revert if the step is still the latest; otherwise a later edit would be undone instead
+      if (getLatestUndoStep(state) !== step) {
+        showNotification('Newer changes were made; use Ctrl+Z to step back', 'warning');
+        return;
+      }
+      undoChange(state);
+    }
+  });
+  return result;
+};
@@ -44,6 +44,19 @@ export const getWordCount = (text) => {
   return text.trim().split(/\s+/).filter(word => word.length > 0).length;
 };
 
+// Rough token count for budgeting: about four characters per token in English
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// Pure function to name a device from its user agent, e.g. "Firefox on Android"
+export const describeUserAgent = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+  const browser = (browsers.find(([token]) => userAgent.includes(token)) || [])[1];
+  const system = (systems.find(([token]) => userAgent.includes(token)) || [])[1];
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || 'Unknown device';
+};
+
 // Pure function to create debounced function
 export const debounce = (fn, delay) => {
   let timeoutId;
@@ -71,142 +84,296 @@ const escapeHtml = (input) => {
     .replace(/'/g, '&#39;');
 };
 
-// Simple markdown parser for basic formatting (safe against HTML injection)
-export const parseMarkdown = (text) => {
+const escapeRegExp = (input) => String(input).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Wrap known names in links, touching only text outside tags, links and code
+const linkNames = (html, links) => {
+  const byName = new Map();
+  links.forEach((link) => {
+    const name = link && typeof link.name === 'string' ? link.name.trim() : '';
+    // Keyed by the escaped form, since that is what appears in the HTML
+    const key = escapeHtml(name).toLowerCase();
+    if (name.length >= 2 && link.href && !byName.has(key)) byName.set(key, link);
+  });
+  if (byName.size === 0) return html;
+
+  // Longest names first so "Sildar Hallwinter" wins over "Sildar"
+  const names = Array.from(byName.keys()).sort((a, b) => b.length - a.length);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}&])(${names.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+  let skipDepth = 0;
+  return html.split(/(<[^>]+>)/).map((part) => {
+    if (part.startsWith('<')) {
+      if (/^<(a|code|pre)[\s>]/i.test(part)) skipDepth += 1;
+      if (/^<\/(a|code|pre)>/i.test(part)) skipDepth = Math.max(0, skipDepth - 1);
+      return part;
+    }
+    if (skipDepth > 0) return part;
+    return part.replace(pattern, (match) => {
+      const link = byName.get(match.toLowerCase());
+      return link ? `<a class="codex-link" href="${escapeHtml(link.href)}">${match}</a>` : match;
+    });
+  }).join('');
+};
+
+const unescapeHtml = (input) => String(input)
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Schemes allowed in Markdown links and images; other URLs are left as plain text
+const SAFE_LINK_SCHEMES = ['http', 'https', 'mailto'];
+const SAFE_IMAGE_SCHEMES = ['http', 'https'];
+
+// Pure function returning the URL if it is relative or uses an allowed scheme, otherwise null
+export const getSafeUrl = (url, schemes = SAFE_LINK_SCHEMES) => {
+  const value = String(url || '').trim();
+  if (!value) return null;
+  // Browsers drop whitespace and control characters inside a scheme ("java\tscript:")
+  const scheme = value.replace(/[\u0000- \u007f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!scheme) return value;
+  return schemes.includes(scheme[1].toLowerCase()) ? value : null;
+};
+
+// Turn `[[target]]` / `[[target|label]]` into links; targets that resolve to nothing are marked broken
+const renderWikiLinks = (html, resolveWikiLink, protect) => html.replace(/\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g, (match, target, label) => {
+  const text = (label || target).trim();
+  const link = resolveWikiLink(unescapeHtml(target.trim()));
+  if (!link) return `${protect(`<span class="wiki-link wiki-link--broken" title="Nothing called ${escapeHtml(unescapeHtml(target.trim()))} yet">`)}${text}${protect('</span>')}`;
+  return `${protect(`<a class="wiki-link" href="${escapeHtml(link.href)}"${link.title ? ` title="${escapeHtml(link.title)}"` : ''}>`)}${text}${protect('</a>')}`;
+});
+
+// Links, images and emphasis within one block. Tags are protected so emphasis cannot reach into URLs.
+const renderInline = (text, protect) => text
+  .replace(/!\[([^\]\n]*)\]\(([^)\s]+)\)/g, (match, alt, url) => {
+    const src = getSafeUrl(unescapeHtml(url), SAFE_IMAGE_SCHEMES);
+    return src ? protect(`<img src="${escapeHtml(src)}" alt="${alt}" loading="lazy">`) : match;
+  })
+  .replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    const href = getSafeUrl(unescapeHtml(url));
+    if (!href) return match;
+    const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `${protect(`<a href="${escapeHtml(href)}"${external}>`)}${label}${protect('</a>')}`;
+  })
+  .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
+  .replace(/\*(.*?)\*/g, '<em>$1</em>'); // Italic
+
+const LIST_ITEM = /^([ \t]*)([-*]|\d+\.)\s+(.*)$/;
+const HORIZONTAL_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const HEADER = /^(#{1,6}) (.*)$/;
+const BLOCKQUOTE = /^ {0,3}&gt; ?(.*)$/;
+const TABLE_DELIMITER = /^[ \t]*\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const TASK = /^\[([ xX])\]\s+(.*)$/;
+
+const isTableStart = (line, next) => line.includes('|') && next !== undefined && next.includes('|') && TABLE_DELIMITER.test(next);
+
+// Cells of a `| a | b |` row; `\|` keeps a literal pipe
+const splitTableRow = (line) => line.trim()
+  .replace(/^\|/, '')
+  .replace(/(?<!\\)\|$/, '')
+  .split(/(?<!\\)\|/)
+  .map(cell => cell.replace(/\\\|/g, '|').trim());
+
+const renderTable = (header, delimiter, rows, inline) => {
+  const aligns = splitTableRow(delimiter).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    return '';
+  });
+  const headers = splitTableRow(header);
+  const renderCell = (tag, cell, i) => `<${tag}${aligns[i] ? ` class="align-${aligns[i]}"` : ''}>${inline(cell || '')}</${tag}>`;
+  const body = rows.map((row) => {
+    const cells = splitTableRow(row);
+    return `<tr>${headers.map((_, i) => renderCell('td', cells[i], i)).join('')}</tr>`;
+  }).join('');
+  return `<table><thead><tr>${headers.map((cell, i) => renderCell('th', cell, i)).join('')}</tr></thead>${body ? `<tbody>${body}</tbody>` : ''}</table>`;
+};
+
+// Nested lists based on indentation, with `[ ]` / `[x]` task items
+const renderList = (lines, inline) => {
+  const listStack = [];
+  const outputParts = [];
+  let openLi = false;
+  let openLiIndent = -1;
+
+  const countIndent = (prefix) => {
+    if (!prefix) return 0;
+    // Treat a tab as two spaces to keep behavior simple and predictable
+    const normalized = prefix.replace(/\t/g, '  ');
+    return normalized.length;
+  };
+
+  const closeLiIfOpen = () => {
+    if (openLi) {
+      outputParts.push('</li>');
+      openLi = false;
+      openLiIndent = -1;
+    }
+  };
+
+  const closeListsUntil = (targetIndent) => {
+    while (listStack.length > 0 && listStack[listStack.length - 1].indent > targetIndent) {
+      closeLiIfOpen();
+      const ctx = listStack.pop();
+      outputParts.push(`</${ctx.type}>`);
+    }
+  };
+
+  const openListIfNeeded = (type, indent) => {
+    const top = listStack[listStack.length - 1];
+    if (!top || top.indent < indent) {
+      outputParts.push(`<${type}>`);
+      listStack.push({ type, indent });
+      return;
+    }
+    if (top.indent === indent && top.type !== type) {
+      // Switch list type at the same indentation level
+      closeLiIfOpen();
+      listStack.pop();
+      outputParts.push(`</${top.type}>`);
+      outputParts.push(`<${type}>`);
+      listStack.push({ type, indent });
+    }
+  };
+
+  lines.forEach((line) => {
+    const match = line.match(LIST_ITEM);
+    const indent = countIndent(match[1] || '');
+    const itemType = /\.$/.test(match[2]) ? 'ol' : 'ul';
+    const content = (match[3] || '').trim();
+
+    // If a new item does not increase indent relative to the open <li>, close it first
+    if (openLi && indent <= openLiIndent) {
+      closeLiIfOpen();
+    }
+
+    // Adjust list stack based on indentation
+    closeListsUntil(indent);
+    openListIfNeeded(itemType, indent);
+
+    // Start a new list item (keep it open to allow nested lists inside)
+    const task = content.match(TASK);
+    outputParts.push(task
+      ? `<li class="task-list-item"><input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> ${inline(task[2])}`
+      : `<li>${inline(content)}`);
+    openLi = true;
+    openLiIndent = indent;
+  });
+
+  closeLiIfOpen();
+  closeListsUntil(-1);
+  return outputParts.join('');
+};
+
+// Block structure line by line: headers, rules, quotes, tables, lists and paragraphs
+const renderBlocks = (text, inline, isBlockPlaceholder) => {
+  const lines = text.split('\n');
+  const blocks = [];
+  let paragraph = [];
+  const flushParagraph = () => {
+    if (paragraph.length > 0) blocks.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+    paragraph = [];
+  };
+  // Consume lines from `start` while they match
+  const takeWhile = (start, test) => {
+    let end = start;
+    while (end < lines.length && test(lines[end])) end++;
+    return lines.slice(start, end);
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+    if (isBlockPlaceholder(line.trim())) {
+      flushParagraph();
+      blocks.push(line.trim());
+      i++;
+      continue;
+    }
+    const header = line.match(HEADER);
+    if (header) {
+      flushParagraph();
+      blocks.push(`<h${header[1].length}>${inline(header[2])}</h${header[1].length}>`);
+      i++;
+      continue;
+    }
+    if (HORIZONTAL_RULE.test(line)) {
+      flushParagraph();
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+    if (BLOCKQUOTE.test(line)) {
+      flushParagraph();
+      const quoted = takeWhile(i, l => BLOCKQUOTE.test(l));
+      blocks.push(`<blockquote>${renderBlocks(quoted.map(l => l.match(BLOCKQUOTE)[1]).join('\n'), inline, isBlockPlaceholder)}</blockquote>`);
+      i += quoted.length;
+      continue;
+    }
+    if (isTableStart(line, lines[i + 1])) {
+      flushParagraph();
+      const rows = takeWhile(i + 2, l => l.includes('|') && l.trim());
+      blocks.push(renderTable(line, lines[i + 1], rows, inline));
+      i += 2 + rows.length;
+      continue;
+    }
+    if (LIST_ITEM.test(line)) {
+      flushParagraph();
+      const items = takeWhile(i, l => LIST_ITEM.test(l) && !HORIZONTAL_RULE.test(l));
+      blocks.push(renderList(items, inline));
+      i += items.length;
+      continue;
+    }
+    paragraph.push(line);
+    i++;
+  }
+  flushParagraph();
+  return blocks.join('');
+};
+
+// Markdown parser for journal text (safe against HTML injection: raw HTML is escaped first,
+// and only tags built here are emitted). Supports headers, emphasis, code spans and fenced code,
+// links and images with safe schemes, blockquotes, GFM tables, task lists, nested lists and rules.
+// options.links: [{ name, href }] turns mentions of those names into links
+// options.resolveWikiLink: target => { href, title } | null enables `[[Name]]` links
+export const parseMarkdown = (text, options = {}) => {
   if (!text) return '';
   
   // Trim whitespace from start and end
-  text = text.trim();
+  text = text.replace(/\u0000/g, '').trim();
   if (!text) return '';
+
+  // Finished HTML fragments wait behind placeholders so later steps cannot alter them
+  const stash = [];
+  const protect = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+  const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(stash[Number(index)]));
+  const isBlockPlaceholder = (line) => /^\u0000\d+\u0000$/.test(line) && stash[Number(line.slice(1, -1))].startsWith('<pre>');
   
   // Escape any raw HTML first
   let result = escapeHtml(text);
-  
-  // Process headers first (before other replacements)
-  result = result
-    .replace(/^### (.*$)/gim, '<h3>$1</h3>')
-    .replace(/^## (.*$)/gim, '<h2>$1</h2>')
-    .replace(/^# (.*$)/gim, '<h1>$1</h1>');
-  
-  // Process inline formatting before list processing
-  result = result
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
-    .replace(/\*(.*?)\*/g, '<em>$1</em>') // Italic
-    .replace(/`(.*?)`/g, '<code>$1</code>'); // Code
-  
-  // Process lists with nesting support based on indentation
-  // Build lists by scanning lines and managing a stack of list contexts
-  {
-    const lines = result.split('\n');
-    const listStack = [];
-    const outputParts = [];
-    let openLi = false;
-    let openLiIndent = -1;
-
-    const countIndent = (prefix) => {
-      if (!prefix) return 0;
-      // Treat a tab as two spaces to keep behavior simple and predictable
-      const normalized = prefix.replace(/\t/g, '  ');
-      return normalized.length;
-    };
-
-    const closeLiIfOpen = () => {
-      if (openLi) {
-        outputParts.push('</li>');
-        openLi = false;
-        openLiIndent = -1;
-      }
-    };
-
-    const closeListsUntil = (targetIndent) => {
-      while (listStack.length > 0 && listStack[listStack.length - 1].indent > targetIndent) {
-        closeLiIfOpen();
-        const ctx = listStack.pop();
-        outputParts.push(`</${ctx.type}>`);
-      }
-    };
-
-    const openListIfNeeded = (type, indent) => {
-      const top = listStack[listStack.length - 1];
-      if (!top || top.indent < indent) {
-        outputParts.push(`<${type}>`);
-        listStack.push({ type, indent });
-        return;
-      }
-      if (top.indent === indent && top.type !== type) {
-        // Switch list type at the same indentation level
-        closeLiIfOpen();
-        listStack.pop();
-        outputParts.push(`</${top.type}>`);
-        outputParts.push(`<${type}>`);
-        listStack.push({ type, indent });
-      }
-    };
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const match = line.match(/^([ \t]*)([-*]|\d+\.)\s+(.*)$/);
-      if (match) {
-        const indent = countIndent(match[1] || '');
-        const marker = match[2];
-        const itemType = /\.$/.test(marker) ? 'ol' : 'ul';
-        const content = (match[3] || '').trim();
-
-        // If a new item does not increase indent relative to the open <li>, close it first
-        if (openLi && indent <= openLiIndent) {
-          closeLiIfOpen();
-        }
 
-        // Adjust list stack based on indentation
-        closeListsUntil(indent);
-        openListIfNeeded(itemType, indent);
-
-        // Start a new list item (keep it open to allow nested lists inside)
-        outputParts.push(`<li>${content}`);
-        openLi = true;
-        openLiIndent = indent;
-        continue;
-      }
-
-      // Non-list line: close any open list structures and output the line as-is
-      if (listStack.length > 0) {
-        closeLiIfOpen();
-        closeListsUntil(-1);
-      }
-      outputParts.push(line + '\n');
-    }
+  // Fenced code blocks keep their content verbatim
+  result = result.replace(/^```([\w-]*)[ \t]*\n([\s\S]*?)^```[ \t]*$/gm, (match, lang, code) =>
+    `\n\n${protect(`<pre><code${lang ? ` class="language-${lang}"` : ''}>${code.replace(/\n$/, '')}</code></pre>`)}\n\n`);
 
-    // Close any remaining open items/lists
-    if (listStack.length > 0) {
-      closeLiIfOpen();
-      closeListsUntil(-1);
-    }
+  // Code spans
+  result = result.replace(/`(.*?)`/g, (match, code) => protect(`<code>${code}</code>`));
 
-    result = outputParts.join('');
+  if (typeof options.resolveWikiLink === 'function') {
+    result = renderWikiLinks(result, options.resolveWikiLink, protect);
+  }
+
+  result = restore(renderBlocks(result, line => renderInline(line, protect), isBlockPlaceholder));
+
+  if (Array.isArray(options.links) && options.links.length > 0) {
+    result = linkNames(result, options.links);
   }
-  
-  // Handle paragraphs and line breaks
-  // Split by double line breaks to identify paragraphs
-  const paragraphs = result.split(/\n\n+/);
-  
-  // Process each paragraph
-  result = paragraphs.map(paragraph => {
-    if (!paragraph.trim()) return '';
-    
-    // If it's already a header or list, don't wrap in paragraph
-    if (paragraph.match(/^<(h[1-6]|ul|ol)/)) {
-      return paragraph;
-    }
-    
-    // Replace single line breaks with <br> tags
-    const withLineBreaks = paragraph.replace(/\n/g, '<br>');
-    
-    // Wrap in paragraph tags
-    return `<p>${withLineBreaks}</p>`;
-  }).join('');
-  
-  // Clean up any empty paragraph tags
-  result = result.replace(/<p><\/p>/g, '');
   
   return result;
 };
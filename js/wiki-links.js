@@ -0,0 +1,80 @@
+// Wiki Links - `[[Name]]`, `[[entry:ID]]` and `[[part:N]]` links between journal pages
+// Pure helpers: callers pass in the entries, parts, characters and codex entities to link against
+
+import { normalizeEntityName, getCodexHref } from './codex-names.js';
+
+// `[[target]]` or `[[target|label]]`, on one line
+export const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+)(?:\|([^[\]\n]+))?\]\]/g;
+
+export const extractWikiLinks = (text) => Array.from(String(text || '').matchAll(WIKI_LINK_PATTERN), match => ({
+  target: match[1].trim(),
+  label: (match[2] || match[1]).trim()
+})).filter(link => link.target);
+
+const entryLink = (entryId, title) => ({ key: `entry:${entryId}`, href: `/#entry-${encodeURIComponent(entryId)}`, title });
+
+const partLink = (part) => ({ key: `part:${part.index}`, href: `/part.html?part=${part.index}`, title: part.title || `Part ${part.index}` });
+
+// Build a resolver: target text -> { key, href, title } or null when nothing matches.
+// Names resolve in order: characters, codex entities, part titles, entry titles.
+export const createWikiResolver = ({ entries = [], entryTitles = new Map(), parts = [], characters = [], activeCharacterId = null, codex = [] } = {}) => {
+  const entryById = new Map(entries.map(entry => [String(entry.id), entry]));
+  const partByIndex = new Map(parts.map(part => [String(part.index), part]));
+  const byName = new Map();
+  const addName = (name, link) => {
+    const key = normalizeEntityName(name);
+    if (key && !byName.has(key)) byName.set(key, link);
+  };
+
+  characters.forEach((character) => {
+    if (!character.name) return;
+    const href = character.id === activeCharacterId ? '/character.html' : `/character.html?character=${encodeURIComponent(character.id)}`;
+    addName(character.name, { key: `character:${character.id}`, href, title: character.name });
+  });
+  codex.forEach((entity) => {
+    const link = { key: `codex:${entity.id}`, href: getCodexHref(entity.id), title: entity.name };
+    [entity.name, ...(entity.aliases || [])].forEach(name => addName(name, link));
+  });
+  parts.forEach((part) => {
+    if (part.title) addName(part.title, partLink(part));
+  });
+  entries.forEach((entry) => {
+    const title = entryTitles.get(entry.id);
+    if (title) addName(title, entryLink(entry.id, title));
+  });
+
+  return (target) => {
+    const text = String(target || '').trim();
+    const prefixed = text.match(/^(entry|part):\s*(.+)$/i);
+    if (prefixed) {
+      const [, kind, id] = prefixed;
+      if (kind.toLowerCase() === 'entry') {
+        return entryById.has(id) ? entryLink(id, entryTitles.get(id) || 'Journal entry') : null;
+      }
+      const part = partByIndex.get(id);
+      return part ? partLink(part) : null;
+    }
+    return byName.get(normalizeEntityName(text)) || null;
+  };
+};
+
+// Which entries link to each page (key -> entry IDs) and which links lead nowhere
+export const collectWikiLinks = (entries, resolve) => {
+  const backlinks = new Map();
+  const broken = [];
+  entries.forEach((entry) => {
+    extractWikiLinks(entry.content).forEach(({ target }) => {
+      const link = resolve(target);
+      if (!link) {
+        broken.push({ entryId: entry.id, target });
+        return;
+      }
+      // An entry linking to itself is not a backlink
+      if (link.key === `entry:${entry.id}`) return;
+      const ids = backlinks.get(link.key) || [];
+      if (!ids.includes(entry.id)) ids.push(entry.id);
+      backlinks.set(link.key, ids);
+    });
+  });
+  return { backlinks, broken };
+};
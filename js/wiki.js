@@ -0,0 +1,58 @@
+// Wiki - Resolve `[[...]]` links against this journal and collect backlinks and broken links
+import { getYjsState, getEntries, getSummary, getCharacters, getActiveCharacterId, getCodexEntities } from './yjs.js';
+import { ensureChronicleStructure, getChroniclePartsMap } from './chronicle-state.js';
+import { createWikiResolver, collectWikiLinks } from './wiki-links.js';
+import { formatDate, safeParseJSON } from './utils.js';
+
+// Generated entry titles (entry ID -> title); entries without one are left out
+export const getEntryTitles = (state, entries = getEntries(state)) => new Map(entries.map((entry) => {
+  const parsed = safeParseJSON(getSummary(state, `entry:${entry.id}`) || '');
+  return [entry.id, parsed.success && parsed.data ? parsed.data.title : ''];
+}).filter(([, title]) => title));
+
+// Names to show for entries in link lists: the title, or the date until there is one
+export const getEntryLabels = (state, entries = getEntries(state)) => {
+  const titles = getEntryTitles(state, entries);
+  return new Map(entries.map(entry => [entry.id, titles.get(entry.id) || formatDate(entry.timestamp)]));
+};
+
+const getClosedParts = (state) => {
+  const latest = ensureChronicleStructure(state).get('latestPartIndex') || 0;
+  const parts = getChroniclePartsMap(state);
+  const items = [];
+  for (let index = 1; index <= latest; index++) {
+    const part = parts.get(String(index));
+    if (part) items.push({ index, title: part.get('title') || '' });
+  }
+  return items;
+};
+
+// Resolver for parseMarkdown's `resolveWikiLink` option
+export const getWikiResolver = (stateParam = null, entries = null) => {
+  const state = stateParam || getYjsState();
+  const list = entries || getEntries(state);
+  return createWikiResolver({
+    entries: list,
+    entryTitles: getEntryTitles(state, list),
+    parts: getClosedParts(state),
+    characters: getCharacters(state),
+    activeCharacterId: getActiveCharacterId(state),
+    codex: getCodexEntities(state)
+  });
+};
+
+// Everything a page needs: the resolver, backlinks by page key and broken links
+export const getWikiLinkIndex = (stateParam = null) => {
+  const state = stateParam || getYjsState();
+  const entries = getEntries(state);
+  const resolve = getWikiResolver(state, entries);
+  const labels = getEntryLabels(state, entries);
+  const { backlinks, broken } = collectWikiLinks(entries, resolve);
+  const toItem = (entryId) => ({ entryId, href: `/#entry-${encodeURIComponent(entryId)}`, label: labels.get(entryId) || 'Journal entry' });
+  return {
+    resolve,
+    // Page keys: `entry:<id>`, `part:<n>`, `codex:<entityId>`, `character:<id>`
+    getBacklinks: (key) => (backlinks.get(key) || []).map(toItem),
+    broken: broken.map(link => ({ ...toItem(link.entryId), target: link.target }))
+  };
+};
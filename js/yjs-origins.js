@@ -0,0 +1,9 @@
+// Yjs Transaction Origins - Who made a change. Undo tracks only the player's own edits on this device;
+// background writes (AI summaries, part bookkeeping, migrations) carry an origin of their own.
+
+export const LOCAL_EDIT_ORIGIN = 'local-edit';
+export const BACKGROUND_ORIGIN = 'background';
+
+// Transactions nest into the outermost one, which decides the origin
+export const transactLocalEdit = (state, apply) => (state.ydoc ? state.ydoc.transact(apply, LOCAL_EDIT_ORIGIN) : apply());
+export const transactBackground = (state, apply) => (state.ydoc ? state.ydoc.transact(apply, BACKGROUND_ORIGIN) : apply());
@@ -9,16 +9,76 @@ export {
   createOrGetChroniclePart,
   setChroniclePartTitle,
   setChroniclePartSummary,
-  setChroniclePartEntries
+  setChroniclePartEntries,
+  getChronicleGrouping,
+  setChronicleGrouping,
+  PART_GROUPING_COUNT,
+  PART_GROUPING_SESSION,
+  getChronicleBreaks,
+  setChronicleBreak
 } from './chronicle-state.js';
+export {
+  CHARACTER_SHEET_LISTS,
+  ensureCharacterSheet,
+  getCharacterSheet,
+  setCharacterSheetValue,
+  addCharacterSheetItem,
+  updateCharacterSheetItem,
+  removeCharacterSheetItem,
+  replaceCharacterSheet
+} from './character-sheet-state.js';
+export {
+  getChatThreads,
+  getChatThread,
+  setChatThread,
+  getChatMessages,
+  addChatMessage,
+  deleteChatThread,
+  replaceChatThread
+} from './chat-state.js';
+export { getAIUsageRecords, addAIUsageRecord } from './ai-usage-state.js';
+export { getAIJobs, getAIJob, setAIJob, removeAIJob, updateAIJob } from './ai-jobs-state.js';
+export { LOCAL_EDIT_ORIGIN, BACKGROUND_ORIGIN, transactLocalEdit, transactBackground } from './yjs-origins.js';
+import { LOCAL_EDIT_ORIGIN, transactLocalEdit, transactBackground } from './yjs-origins.js';
 import { IndexeddbPersistence } from 'y-indexeddb';
 import { WebsocketProvider } from 'y-websocket';
-import { isValidRoomName } from './utils.js';
+import { isValidRoomName, describeUserAgent } from './utils.js';
+import { deriveRoomKey, createEncryptedProvider } from './e2e-sync.js';
+import { bytesToBase64 } from './attachment-files.js';
 
 // Internal Y.js state (private)
 let ydoc = null;
+let deviceDoc = null;
 let provider = null;
 let isInitialized = false;
+let initPromise = null;
+// Why the server or the data refused this device: null, 'credential' or 'encryption'
+let syncAuthRejected = null;
+const syncAuthListeners = new Set();
+// Bumped on every sync setup so a slow key derivation cannot attach a stale provider
+let syncGeneration = 0;
+
+// Observable sync state: 'disconnected' | 'connecting' | 'connected' | 'synced'.
+// room is null when the journal is local only; pendingUpdates counts local changes not yet sent.
+const INITIAL_SYNC_STATE = { status: 'disconnected', room: null, encrypted: false, lastSynced: null, pendingUpdates: 0 };
+let syncState = INITIAL_SYNC_STATE;
+const syncStateListeners = new Set();
+
+// Undo/redo for the active character's local edits, recreated when the character changes
+let undoManager = null;
+let undoScope = null;
+// Origins of the entry editors open on this page (see entry-editor.js); their typing is a local edit too
+const editorOrigins = new Set();
+
+// Close code used by the sync server for a missing or wrong room credential
+export const ROOM_AUTH_CLOSE_CODE = 4401;
+
+// The first character uses the original top-level types so existing journals keep working
+export const DEFAULT_CHARACTER_ID = 'default';
+
+// Name of a per-character shared type: legacy name for the default character, suffixed otherwise
+const getCharacterTypeName = (baseName, characterId) =>
+  characterId === DEFAULT_CHARACTER_ID ? baseName : `${baseName}:${characterId}`;
 // Resolve WS URL from current origin, defaulting to localhost in file://
 const resolveWebSocketUrl = () => {
   try {
@@ -46,61 +106,98 @@ export const getSyncServerHttpBase = () => {
 
 // Reset function for testing
 export const resetYjs = () => {
+  if (undoManager) {
+    undoManager.destroy();
+  }
   if (ydoc) {
     ydoc.destroy();
   }
   if (provider) {
     provider.destroy();
   }
+  if (deviceDoc) {
+    deviceDoc.destroy();
+  }
   
+  undoManager = null;
+  undoScope = null;
   ydoc = null;
+  deviceDoc = null;
   provider = null;
   isInitialized = false;
+  initPromise = null;
+  syncAuthRejected = null;
+  syncGeneration += 1;
+  updateSyncState(INITIAL_SYNC_STATE);
 };
 
+// Handle test environment (or no browser at all) where IndexedDB might not work properly
+const isTestEnvironment = () =>
+  typeof window === 'undefined' ||
+  Boolean(typeof global !== 'undefined' && global.document && global.document.constructor.name === 'Document');
+
+// Resolve once persistence has loaded, or after a timeout so the app can continue
+const waitForPersistence = (persistence, timeoutMs) => new Promise((resolve) => {
+  if (isTestEnvironment()) {
+    // In test environment, resolve immediately to avoid blocking tests
+    resolve();
+    return;
+  }
+  const timeout = setTimeout(() => {
+    console.warn(`IndexedDB persistence initialization timed out after ${timeoutMs / 1000} seconds, continuing anyway`);
+    resolve(); // Don't reject, just continue
+  }, timeoutMs);
+  persistence.once('synced', () => {
+    clearTimeout(timeout);
+    resolve();
+  });
+});
+
 // Initialize Y.js with non-blocking persistence (optimized for performance)
-export const initYjs = async () => {
-  if (isInitialized) return getYjsState(); // Already initialized
-  
-  // Create document
+// Concurrent callers share one initialization
+export const initYjs = () => {
+  if (!initPromise) initPromise = createYjs();
+  return initPromise;
+};
+
+const createYjs = async () => {
+  // Create documents: the shared journal and a small device-only document (never synced)
   ydoc = new Y.Doc();
+  deviceDoc = new Y.Doc();
   
   // Set up persistence but don't block initialization
   const persistence = new IndexeddbPersistence('dnd-journal', ydoc);
+  const devicePersistence = new IndexeddbPersistence('dnd-journal-device', deviceDoc);
+  
+  // Count local changes made while the provider cannot send them
+  ydoc.on('update', (update, origin) => {
+    if (origin === persistence) return;
+    if (provider && origin === provider) {
+      updateSyncState({ lastSynced: Date.now() });
+    } else if (syncState.room) {
+      updateSyncState(syncState.status === 'synced'
+        ? { lastSynced: Date.now() }
+        : { pendingUpdates: syncState.pendingUpdates + 1 });
+    }
+  });
   
   // Mark as initialized immediately to allow app to start
   isInitialized = true;
   
   // Set up persistence loading in background (non-blocking)
-  const persistencePromise = new Promise((resolve, reject) => {
-    const timeout = setTimeout(() => {
-      console.warn('IndexedDB persistence initialization timed out after 10 seconds, continuing anyway');
-      resolve(); // Don't reject, just continue
-    }, 10000); // 10 second timeout
-    
-    // Handle test environment where IndexedDB might not work properly
-    const isTestEnvironment = typeof global !== 'undefined' && global.document && global.document.constructor.name === 'Document';
-    
-    if (isTestEnvironment) {
-      // In test environment, resolve immediately to avoid blocking tests
-      clearTimeout(timeout);
-      resolve();
-      return;
-    }
-    
-    persistence.once('synced', () => {
-      clearTimeout(timeout);
-      resolve();
-    });
-  });
+  const persistencePromise = waitForPersistence(persistence, 10000); // 10 second timeout
   
   // Set up sync from settings after persistence loads (in background)
   persistencePromise.then(() => {
+    migrateAllEntryTexts();
     setupSyncFromSettings();
   }).catch(error => {
     console.warn('Failed to complete persistence setup:', error);
   });
   
+  // Device preferences are tiny; wait for them so the active character is known up front
+  await waitForPersistence(devicePersistence, 2000);
+  
   return getYjsState();
 };
 
@@ -121,15 +218,98 @@ export const getYjsState = () => {
     throw new Error('Y.js not initialized. Call initYjs() first.');
   }
   
-  return {
-    characterMap: ydoc.getMap('character'),
-    journalArray: ydoc.getArray('journal-entries'),
-    settingsMap: ydoc.getMap('settings'),
-    summariesMap: ydoc.getMap('summaries'),
-    questionsMap: ydoc.getMap('session-questions'),
-    chronicleMap: ydoc.getMap('chronicle'),
-    ydoc
-  };
+  const deviceMap = deviceDoc.getMap('device');
+  const characterId = resolveActiveCharacterId(ydoc.getMap('characters'), deviceMap);
+  
+  return getCharacterState(ydoc, characterId, deviceMap);
+};
+
+// State object for one character of any document (the live one, an import or a snapshot)
+export const getCharacterState = (doc, characterId, deviceMap = null) => ({
+  characterId,
+  characterMap: doc.getMap(getCharacterTypeName('character', characterId)),
+  journalArray: doc.getArray(getCharacterTypeName('journal-entries', characterId)),
+  settingsMap: doc.getMap('settings'),
+  summariesMap: doc.getMap(getCharacterTypeName('summaries', characterId)),
+  questionsMap: doc.getMap(getCharacterTypeName('session-questions', characterId)),
+  chronicleMap: doc.getMap(getCharacterTypeName('chronicle', characterId)),
+  historyMap: doc.getMap(getCharacterTypeName('entry-history', characterId)),
+  entryTextMap: doc.getMap(getCharacterTypeName('entry-text', characterId)),
+  codexMap: doc.getMap(getCharacterTypeName('codex', characterId)),
+  attachmentsMap: doc.getMap(getCharacterTypeName('attachments', characterId)),
+  attachmentDataMap: doc.getMap(getCharacterTypeName('attachment-data', characterId)),
+  timelineMap: doc.getMap(getCharacterTypeName('character-timeline', characterId)),
+  chatThreadsMap: doc.getMap(getCharacterTypeName('chat-threads', characterId)),
+  chatMessagesMap: doc.getMap(getCharacterTypeName('chat-messages', characterId)),
+  jobsMap: doc.getMap(getCharacterTypeName('ai-jobs', characterId)),
+  rosterMap: doc.getMap('characters'),
+  // Journal-wide, like settings: every character uses the same provider
+  usageArray: doc.getArray('ai-usage'),
+  deviceMap,
+  ydoc: doc
+});
+
+// Active character is a per-device choice; fall back to the default if it was removed elsewhere
+const resolveActiveCharacterId = (rosterMap, deviceMap) => {
+  const activeId = deviceMap.get('active-character');
+  return activeId && rosterMap.has(activeId) ? activeId : DEFAULT_CHARACTER_ID;
+};
+
+// Merge a change into the sync state and notify subscribers
+const updateSyncState = (patch) => {
+  syncState = { ...syncState, ...patch };
+  syncStateListeners.forEach((callback) => callback(syncState));
+};
+
+// Last successful sync is kept per room on this device so it survives reloads
+const rememberLastSynced = (room) => {
+  const deviceMap = deviceDoc && deviceDoc.getMap('device');
+  if (deviceMap && room && syncState.lastSynced) deviceMap.set(`last-synced:${room}`, syncState.lastSynced);
+};
+
+// Record why this device was refused and tell subscribers
+const rejectSync = (room, reason) => {
+  syncAuthRejected = reason;
+  syncAuthListeners.forEach((callback) => callback(room, reason));
+};
+
+// Logging and credential rejection handling shared by both provider kinds
+const watchProvider = (activeProvider, room) => {
+  activeProvider.on('status', (event) => {
+    console.log('WebSocket provider status:', event.status);
+    if (activeProvider !== provider) return;
+    // 'connected' is only an intermediate step until the first sync completes
+    if (event.status === 'disconnected') rememberLastSynced(room);
+    if (event.status !== 'connected' || syncState.status !== 'synced') {
+      updateSyncState({ status: event.status });
+    }
+  });
+  
+  activeProvider.on('sync', (isSynced) => {
+    if (activeProvider !== provider) return;
+    if (isSynced) {
+      updateSyncState({ status: 'synced', lastSynced: Date.now(), pendingUpdates: 0 });
+      rememberLastSynced(room);
+      // Entries written by clients without Y.Text support may have just arrived
+      migrateAllEntryTexts();
+    } else {
+      updateSyncState({ status: 'connected' });
+    }
+  });
+  
+  activeProvider.on('connection-close', (event, closedProvider) => {
+    console.log('WebSocket connection closed:', event);
+    // The server refused our credential: stop retrying until a new one is entered
+    if (event && event.code === ROOM_AUTH_CLOSE_CODE) {
+      console.warn('Sync server rejected access to room:', room);
+      (closedProvider || activeProvider).disconnect();
+      rejectSync(room, 'credential');
+    }
+  });
+  
+  activeProvider.on('connection-error', (event) => {
+    console.log('WebSocket connection error:', event);
+  });
 };
 
 // Set up sync provider from settings
@@ -140,6 +320,7 @@ const setupSyncFromSettings = () => {
     return;
   }
   
+  const generation = ++syncGeneration;
   try {
     const state = getYjsState();
     const journalName = (getSetting(state, 'journal-name', '') || '').trim();
@@ -164,21 +345,35 @@ const setupSyncFromSettings = () => {
           provider = null;
         }
         
-        console.log('Creating new WebsocketProvider...');
-        provider = new WebsocketProvider(wsUrl, normalizedDocName, ydoc);
+        if (syncState.room !== normalizedDocName) {
+          const lastSynced = deviceDoc.getMap('device').get(`last-synced:${normalizedDocName}`) || null;
+          updateSyncState({ room: normalizedDocName, lastSynced, pendingUpdates: 0 });
+        }
         
-        // Add event listeners for debugging
-        provider.on('status', (event) => {
-          console.log('WebSocket provider status:', event.status);
-        });
+        // Claimed rooms need the passphrase or an invite token, sent as ?auth= on the upgrade
+        const credential = getRoomCredential(state, normalizedDocName);
+        const params = credential ? { auth: credential } : {};
+        syncAuthRejected = null;
         
-        provider.on('connection-close', (event) => {
-          console.log('WebSocket connection closed:', event);
-        });
+        // Encrypted journals derive their key first; the server only ever sees ciphertext
+        const passphrase = getRoomEncryptionPassphrase(state, normalizedDocName);
+        updateSyncState({ status: 'connecting', encrypted: Boolean(passphrase) });
+        if (passphrase) {
+          console.log('Creating end-to-end encrypted provider...');
+          deriveRoomKey(passphrase, normalizedDocName)
+            .then((key) => {
+              if (generation !== syncGeneration || !ydoc) return;
+              provider = createEncryptedProvider({ url: wsUrl, room: normalizedDocName, doc: ydoc, key, params });
+              watchProvider(provider, normalizedDocName);
+              provider.on('decrypt-error', () => rejectSync(normalizedDocName, 'encryption'));
+            })
+            .catch((error) => console.warn('Failed to set up encrypted sync:', error));
+          return;
+        }
         
-        provider.on('connection-error', (event) => {
-          console.log('WebSocket connection error:', event);
-        });
+        console.log('Creating new WebsocketProvider...');
+        provider = new WebsocketProvider(wsUrl, normalizedDocName, ydoc, { params });
+        watchProvider(provider, normalizedDocName);
         
         console.log('WebSocket provider created successfully');
         // Rely on CRDT; no post-sync preference overwrites
@@ -187,6 +382,7 @@ const setupSyncFromSettings = () => {
       }
     } else {
       console.log('No journal name set, skipping sync setup');
+      updateSyncState(INITIAL_SYNC_STATE);
     }
   } catch (error) {
     // Settings not available yet, skip sync setup for now
@@ -194,15 +390,84 @@ const setupSyncFromSettings = () => {
   }
 };
 
-// Reconnect sync provider when settings change
-const reconnectSync = () => {
+// Reconnect sync provider when settings change (also the manual reconnect on the settings page)
+export const reconnectSync = () => {
   if (provider) {
     provider.destroy();
     provider = null;
+    updateSyncState({ status: 'disconnected' });
   }
   setupSyncFromSettings();
 };
 
+// Current sync state: { status, room, encrypted, lastSynced, pendingUpdates }
+export const getSyncState = () => syncState;
+
+// Presence channel of the current plain sync connection (encrypted sync has none)
+export const getAwareness = () => (provider && provider.awareness) || null;
+
+// Subscribe to sync state changes; returns an unsubscribe function
+export const onSyncStateChange = (callback) => {
+  syncStateListeners.add(callback);
+  return () => syncStateListeners.delete(callback);
+};
+
+// True when the last connection was refused: a wrong credential, or data this device cannot decrypt
+export const isSyncAuthRejected = () => syncAuthRejected !== null;
+
+// 'credential', 'encryption' or null
+export const getSyncAuthRejection = () => syncAuthRejected;
+
+// Notify with (room, reason) when this device is refused; returns an unsubscribe function
+export const onSyncAuthRejected = (callback) => {
+  syncAuthListeners.add(callback);
+  return () => syncAuthListeners.delete(callback);
+};
+
+// What this device has synced of the linked room, for claiming a room that already holds data:
+// the encrypted provider's ciphertext hash, or the document's state vector
+export const getSyncProof = async (state) => {
+  if (provider && provider.getSyncProof) return provider.getSyncProof();
+  return state.ydoc ? { stateVector: bytesToBase64(Y.encodeStateVector(state.ydoc)) } : null;
+};
+
+// Room credentials (passphrase or invite token) are device-only and never synced
+const getRoomCredentialKey = (room) => `room-auth:${room}`;
+
+export const getRoomCredential = (state, room) =>
+  (state.deviceMap && room && state.deviceMap.get(getRoomCredentialKey(room))) || '';
+
+export const setRoomCredential = (state, room, credential) => {
+  const value = String(credential || '').trim();
+  if (value) {
+    state.deviceMap.set(getRoomCredentialKey(room), value);
+  } else {
+    state.deviceMap.delete(getRoomCredentialKey(room));
+  }
+  // Only the linked journal's connection uses the credential
+  if (room && room === getSetting(state, 'journal-name', '')) {
+    reconnectSync();
+  }
+};
+
+// A passphrase here switches the room to end-to-end encrypted sync on this device (never synced)
+const getEncryptionKeyName = (room) => `e2e-passphrase:${room}`;
+
+export const getRoomEncryptionPassphrase = (state, room) =>
+  (state.deviceMap && room && state.deviceMap.get(getEncryptionKeyName(room))) || '';
+
+export const setRoomEncryptionPassphrase = (state, room, passphrase) => {
+  const value = String(passphrase || '');
+  if (value) {
+    state.deviceMap.set(getEncryptionKeyName(room), value);
+  } else {
+    state.deviceMap.delete(getEncryptionKeyName(room));
+  }
+  if (room && room === getSetting(state, 'journal-name', '')) {
+    reconnectSync();
+  }
+};
+
 // ============================================================================
 // PURE FUNCTIONAL API - All functions take state as first parameter
 // Following ADR-0002 (Functional Programming Only)
@@ -217,7 +482,7 @@ export const getChronicleMap = (state) => state.chronicleMap;
 
 // Pure character operations
 export const setCharacter = (state, field, value) => {
-  getCharacterMap(state).set(field, value);
+  transactLocalEdit(state, () => getCharacterMap(state).set(field, value));
 };
 
 export const getCharacter = (state, field, defaultValue = '') => {
@@ -234,40 +499,275 @@ export const getCharacterData = (state) => {
     notes: ''
   };
   
+  // The structured sheet is a nested Y.Map; callers get it as plain JSON
   map.forEach((value, key) => {
-    data[key] = value;
+    data[key] = value instanceof Y.AbstractType ? value.toJSON() : value;
   });
   
   return data;
 };
 
+// =============================================================================
+// CHARACTER ROSTER (several characters per journal room)
+// =============================================================================
+
+// List characters in creation order; the default character always comes first
+export const getCharacters = (state) => {
+  const nameOf = (characterId) =>
+    state.ydoc.getMap(getCharacterTypeName('character', characterId)).get('name') || '';
+  const others = Array.from(state.rosterMap.values())
+    .filter(item => item && item.id && item.id !== DEFAULT_CHARACTER_ID)
+    .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+  return [
+    { id: DEFAULT_CHARACTER_ID, name: nameOf(DEFAULT_CHARACTER_ID) },
+    ...others.map(item => ({ id: item.id, name: nameOf(item.id) }))
+  ];
+};
+
+export const getActiveCharacterId = (state) => state.characterId;
+
+// Register a new character and give it a name; returns the new id
+export const addCharacter = (state, characterId, name = '') => {
+  state.ydoc.transact(() => {
+    state.rosterMap.set(characterId, { id: characterId, createdAt: Date.now() });
+    state.ydoc.getMap(getCharacterTypeName('character', characterId)).set('name', name);
+  });
+  return characterId;
+};
+
+// Remember which character this device is working on (not synced)
+export const setActiveCharacter = (state, characterId) => {
+  if (characterId === DEFAULT_CHARACTER_ID) {
+    state.deviceMap.delete('active-character');
+  } else {
+    state.deviceMap.set('active-character', characterId);
+  }
+};
+
+// Remove a character and clear its data (top-level Yjs types cannot be deleted)
+export const removeCharacter = (state, characterId) => {
+  if (characterId === DEFAULT_CHARACTER_ID) return;
+  const { ydoc } = state;
+  ydoc.transact(() => {
+    state.rosterMap.delete(characterId);
+    ydoc.getMap(getCharacterTypeName('character', characterId)).clear();
+    const entries = ydoc.getArray(getCharacterTypeName('journal-entries', characterId));
+    entries.delete(0, entries.length);
+    ydoc.getMap(getCharacterTypeName('summaries', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('session-questions', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('chronicle', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('entry-history', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('entry-text', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('codex', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('attachments', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('attachment-data', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('character-timeline', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('chat-threads', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('chat-messages', characterId)).clear();
+    ydoc.getMap(getCharacterTypeName('ai-jobs', characterId)).clear();
+  });
+  if (state.deviceMap.get('active-character') === characterId) {
+    state.deviceMap.delete('active-character');
+  }
+};
+
+// =============================================================================
+// ENTRY REVISIONS (per-entry history of content changes)
+// =============================================================================
+
+// Revisions older than this are pruned, except the latest; at most this many are kept per entry
+export const HISTORY_MAX_AGE_DAYS = 365;
+export const HISTORY_MAX_REVISIONS = 50;
+
+// Stable id and readable name of this device, used as revision author
+export const getDeviceInfo = (state) => {
+  const deviceMap = state.deviceMap;
+  if (!deviceMap) return { id: 'unknown', name: 'Unknown device' };
+  if (!deviceMap.get('device-id')) {
+    deviceMap.set('device-id', `device-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`);
+  }
+  const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+  return { id: deviceMap.get('device-id'), name: deviceMap.get('device-name') || describeUserAgent(userAgent) };
+};
+
+// Oldest first: [{ id, content, timestamp, device: { id, name }, restoredFrom? }]
+export const getEntryRevisions = (state, entryId) => {
+  const revisions = state.historyMap && state.historyMap.get(entryId);
+  return revisions ? revisions.toArray() : [];
+};
+
+// Each entry gets a Y.Array so concurrent edits from several devices all keep their revision
+const getRevisionArray = (state, entryId) => {
+  let revisions = state.historyMap.get(entryId);
+  if (!revisions) {
+    revisions = new Y.Array();
+    state.historyMap.set(entryId, revisions);
+  }
+  return revisions;
+};
+
+export const recordEntryRevision = (state, entryId, content, extra = {}) => {
+  if (!state.historyMap) return null;
+  const revision = {
+    id: `rev-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    content,
+    timestamp: Date.now(),
+    device: getDeviceInfo(state),
+    ...extra
+  };
+  getRevisionArray(state, entryId).push([revision]);
+  return revision;
+};
+
+// Drop revisions beyond the count limit or older than the age limit; the latest always stays
+export const pruneEntryRevisions = (state, entryId, { maxRevisions = HISTORY_MAX_REVISIONS, maxAgeDays = HISTORY_MAX_AGE_DAYS } = {}, now = Date.now()) => {
+  const revisions = state.historyMap && state.historyMap.get(entryId);
+  if (!revisions || revisions.length <= 1) return 0;
+  const items = revisions.toArray();
+  const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  const firstByCount = Math.max(0, items.length - maxRevisions);
+  const lastIndex = items.length - 1;
+  const removeCount = items.findIndex((revision, index) =>
+    index === lastIndex || (index >= firstByCount && (revision.timestamp || 0) >= cutoff));
+  if (removeCount > 0) revisions.delete(0, removeCount);
+  return removeCount;
+};
+
+// =============================================================================
+// ENTRY TEXT (content as Y.Text so concurrent edits merge character by character)
+// =============================================================================
+
+// Entry objects in the journal array keep the content they were created with for older
+// clients; the Y.Text in entryTextMap is the live content once it exists.
+export const getEntryText = (state, entryId) =>
+  (state.entryTextMap && state.entryTextMap.get(entryId)) || null;
+
+// Create the Y.Text for an entry from its stored content if it has none yet
+export const ensureEntryText = (state, entry) => {
+  const existing = getEntryText(state, entry.id);
+  if (existing || !state.entryTextMap) return existing;
+  const text = new Y.Text();
+  state.entryTextMap.set(entry.id, text);
+  text.insert(0, entry.content || '');
+  return text;
+};
+
+// Give every entry of a character its Y.Text; returns how many were migrated
+export const migrateEntryTexts = (state) => {
+  if (!state.entryTextMap) return 0;
+  const missing = getJournalArray(state).toArray().filter(entry => entry && entry.id && !state.entryTextMap.has(entry.id));
+  if (missing.length === 0) return 0;
+  transactBackground(state, () => {
+    missing.forEach(entry => ensureEntryText(state, entry));
+  });
+  return missing.length;
+};
+
+// Run the migration for every character of the live document
+const migrateAllEntryTexts = () => {
+  if (!ydoc) return;
+  try {
+    const state = getYjsState();
+    getCharacters(state).forEach(({ id }) => migrateEntryTexts(getCharacterState(ydoc, id, state.deviceMap)));
+  } catch (error) {
+    console.warn('Failed to migrate entry texts:', error);
+  }
+};
+
+// Rewrite only the changed middle of the text so edits elsewhere survive the merge
+export const applyTextChange = (text, nextValue, origin = null) => {
+  const current = text.toString();
+  if (current === nextValue) return false;
+  let start = 0;
+  while (start < current.length && start < nextValue.length && current[start] === nextValue[start]) start++;
+  let end = 0;
+  while (end < current.length - start && end < nextValue.length - start &&
+    current[current.length - 1 - end] === nextValue[nextValue.length - 1 - end]) end++;
+  const apply = () => {
+    const removed = current.length - start - end;
+    if (removed > 0) text.delete(start, removed);
+    const inserted = nextValue.slice(start, nextValue.length - end);
+    if (inserted) text.insert(start, inserted);
+  };
+  text.doc ? text.doc.transact(apply, origin) : apply();
+  return true;
+};
+
+// Revision for new content unless the latest one already has it (live edits land before saving)
+const recordContentRevision = (state, storedEntry, content, revisionExtra) => {
+  if (!state.historyMap) return;
+  const revisions = getEntryRevisions(state, storedEntry.id);
+  if (revisions.length > 0 && revisions[revisions.length - 1].content === content) return;
+  // Entries from before revision history get their original text as the first revision
+  if (revisions.length === 0) {
+    if ((storedEntry.content || '') === content) return;
+    recordEntryRevision(state, storedEntry.id, storedEntry.content || '', {
+      timestamp: storedEntry.timestamp,
+      device: { id: 'unknown', name: 'Before history' }
+    });
+  }
+  recordEntryRevision(state, storedEntry.id, content, revisionExtra);
+  pruneEntryRevisions(state, storedEntry.id);
+};
+
 // Pure journal operations
 export const addEntry = (state, entry) => {
-  getJournalArray(state).push([entry]);
+  const apply = () => {
+    getJournalArray(state).push([entry]);
+    if (entry && entry.id) ensureEntryText(state, entry);
+    if (state.historyMap && entry && entry.id) recordEntryRevision(state, entry.id, entry.content || '');
+  };
+  transactLocalEdit(state, apply);
 };
 
-export const updateEntry = (state, entryId, updates) => {
-  const entries = getEntries(state);
-  const index = entries.findIndex(e => e.id === entryId);
+export const updateEntry = (state, entryId, updates, revisionExtra = {}) => {
+  const stored = getJournalArray(state).toArray();
+  const index = stored.findIndex(e => e.id === entryId);
   if (index !== -1) {
-    // Preserve the original timestamp when editing an entry
-    const originalTimestamp = entries[index].timestamp;
-    const updatedEntry = { ...entries[index], ...updates, timestamp: originalTimestamp };
-    getJournalArray(state).delete(index, 1);
-    getJournalArray(state).insert(index, [updatedEntry]);
+    const { content, ...fields } = updates;
+    const apply = () => {
+      // Other fields still replace the whole object; the original timestamp is preserved
+      // and fields set to undefined are removed
+      if (Object.keys(fields).some(key => JSON.stringify(stored[index][key]) !== JSON.stringify(fields[key]))) {
+        const updatedEntry = { ...stored[index], ...fields, timestamp: stored[index].timestamp };
+        Object.keys(updatedEntry).forEach((key) => {
+          if (updatedEntry[key] === undefined) delete updatedEntry[key];
+        });
+        getJournalArray(state).delete(index, 1);
+        getJournalArray(state).insert(index, [updatedEntry]);
+      }
+      if (content === undefined) return;
+      const text = ensureEntryText(state, stored[index]);
+      if (text) applyTextChange(text, content);
+      recordContentRevision(state, stored[index], content, revisionExtra);
+    };
+    transactLocalEdit(state, apply);
   }
 };
 
 export const deleteEntry = (state, entryId) => {
-  const entries = getEntries(state);
+  const entries = getJournalArray(state).toArray();
   const index = entries.findIndex(e => e.id === entryId);
   if (index !== -1) {
-    getJournalArray(state).delete(index, 1);
+    const apply = () => {
+      getJournalArray(state).delete(index, 1);
+      if (state.historyMap) state.historyMap.delete(entryId);
+      if (state.entryTextMap) state.entryTextMap.delete(entryId);
+      // Attachments go with the entry (and come back with it on undo)
+      if (state.attachmentsMap) {
+        getAttachments(state).filter(attachment => attachment.entryId === entryId)
+          .forEach(attachment => deleteAttachment(state, attachment.id));
+      }
+    };
+    transactLocalEdit(state, apply);
   }
 };
 
 export const getEntries = (state) => {
-  return getJournalArray(state).toArray();
+  return getJournalArray(state).toArray().map((entry) => {
+    const text = entry && getEntryText(state, entry.id);
+    return text ? { ...entry, content: text.toString() } : entry;
+  });
 };
 
 // Pure settings operations
@@ -294,12 +794,47 @@ export const getSummary = (state, key) => {
 };
 
 // Pure observer functions
+// Deep, so edits inside the character sheet are reported too
 export const onCharacterChange = (state, callback) => {
-  getCharacterMap(state).observe(callback);
+  getCharacterMap(state).observeDeep((events, transaction) => callback(events, transaction));
 };
 
+// How long typing has to pause before text edits are reported to onJournalChange listeners
+export const TEXT_CHANGE_DELAY_MS = 300;
+
+// Fires for added/removed entries and saved edits right away. Keystrokes, typed into the editor here or
+// arriving from other devices, are reported once typing pauses, so listeners that re-render the journal
+// or queue AI work do not run on every keystroke. Returns a function that stops listening.
 export const onJournalChange = (state, callback) => {
-  getJournalArray(state).observe(callback);
+  const journalArray = getJournalArray(state);
+  let textTimer = null;
+  const onEntries = (event, transaction) => {
+    // The listener sees the latest text now, so a pending text report is not needed
+    clearTimeout(textTimer);
+    textTimer = null;
+    callback(event, transaction);
+  };
+  const onText = (events, transaction) => {
+    if (transaction.changed.has(journalArray)) return;
+    if (transaction.local && !editorOrigins.has(transaction.origin)) {
+      onEntries(events, transaction);
+      return;
+    }
+    clearTimeout(textTimer);
+    textTimer = setTimeout(() => {
+      textTimer = null;
+      callback(events, transaction);
+    }, TEXT_CHANGE_DELAY_MS);
+  };
+  journalArray.observe(onEntries);
+  if (state.entryTextMap) state.entryTextMap.observeDeep(onText);
+  // A report due after the document is gone would reach a page that moved on
+  if (journalArray.doc) journalArray.doc.once('destroy', () => clearTimeout(textTimer));
+  return () => {
+    clearTimeout(textTimer);
+    journalArray.unobserve(onEntries);
+    if (state.entryTextMap) state.entryTextMap.unobserveDeep(onText);
+  };
 };
 
 export const onSettingsChange = (state, callback) => {
@@ -318,8 +853,154 @@ export const onChronicleChange = (state, callback) => {
   getChronicleMap(state).observe(callback);
 };
 
+export const onRosterChange = (state, callback) => {
+  state.rosterMap.observe(callback);
+};
+
+export const onCodexChange = (state, callback) => {
+  state.codexMap.observe(callback);
+};
+
+export const onAttachmentsChange = (state, callback) => {
+  state.attachmentsMap.observe(callback);
+};
+
+export const onCharacterTimelineChange = (state, callback) => {
+  state.timelineMap.observe(callback);
+};
+
+export const onChatChange = (state, callback) => {
+  state.chatThreadsMap.observe(callback);
+  state.chatMessagesMap.observeDeep(callback);
+};
+
+export const onAIUsageChange = (state, callback) => {
+  state.usageArray.observe(callback);
+};
+
+export const onAIJobsChange = (state, callback) => {
+  state.jobsMap.observe(callback);
+};
+
+// =============================================================================
+// CODEX (named NPCs, locations, factions and items)
+// =============================================================================
+
+// Entities are plain objects keyed by id: { id, type, name, aliases, description, mentions, updatedAt }
+export const getCodexEntities = (state) => Array.from(state.codexMap.values());
+
+export const getCodexEntity = (state, entityId) => state.codexMap.get(entityId) || null;
+
+export const setCodexEntity = (state, entity) => {
+  state.codexMap.set(entity.id, { ...entity, updatedAt: Date.now() });
+};
+
+export const deleteCodexEntity = (state, entityId) => {
+  state.codexMap.delete(entityId);
+};
+
+// =============================================================================
+// ATTACHMENTS (photos of maps and handouts on entries)
+// =============================================================================
+
+// Metadata keyed by id: { id, entryId, name, type, size, hash, storage: 'inline' | 'server', thumbnail, createdAt }.
+// Inline files keep their bytes in attachmentDataMap under their SHA-256 hash; server files only the hash.
+export const getAttachments = (state) => Array.from(state.attachmentsMap.values());
+
+export const getAttachment = (state, attachmentId) => state.attachmentsMap.get(attachmentId) || null;
+
+export const setAttachment = (state, attachment, data = null) => {
+  const apply = () => {
+    if (data) state.attachmentDataMap.set(attachment.hash, data);
+    state.attachmentsMap.set(attachment.id, attachment);
+  };
+  transactLocalEdit(state, apply);
+};
+
+export const getAttachmentData = (state, hash) => state.attachmentDataMap.get(hash) || null;
+
+// Bytes are dropped once no attachment refers to them anymore
+export const deleteAttachment = (state, attachmentId) => {
+  const attachment = getAttachment(state, attachmentId);
+  if (!attachment) return;
+  const apply = () => {
+    state.attachmentsMap.delete(attachmentId);
+    const stillUsed = getAttachments(state).some(other => other.hash === attachment.hash);
+    if (!stillUsed) state.attachmentDataMap.delete(attachment.hash);
+  };
+  transactLocalEdit(state, apply);
+};
+
 // Chronicle helpers have been extracted to chronicle-state.js
 
+// =============================================================================
+// CHARACTER TIMELINE (snapshots of the character as it changes)
+// =============================================================================
+
+// Snapshots keyed by id: { id, timestamp, entryId, session, character: { name, race, class, backstory, notes, sheet },
+// device, baseline? }. Oldest first; a baseline (what the character was before the first change) sorts first.
+export const getCharacterSnapshots = (state) => {
+  if (!state.timelineMap) return [];
+  return Array.from(state.timelineMap.values())
+    .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0) || Number(Boolean(b.baseline)) - Number(Boolean(a.baseline)));
+};
+
+export const setCharacterSnapshot = (state, snapshot) => {
+  transactLocalEdit(state, () => state.timelineMap.set(snapshot.id, snapshot));
+};
+
+export const deleteCharacterSnapshot = (state, snapshotId) => {
+  transactLocalEdit(state, () => state.timelineMap.delete(snapshotId));
+};
+
+// =============================================================================
+// UNDO / REDO (local changes only)
+// =============================================================================
+
+// Tracks only the player's edits on this device (LOCAL_EDIT_ORIGIN and typing in an open entry editor).
+// Changes applied by the sync providers or loaded from IndexedDB, AI summaries and migrations carry
+// other origins and are never undone here.
+export const getUndoManager = (state) => {
+  const scope = `${state.characterId}`;
+  if (!undoManager || undoScope !== scope || undoManager.doc !== state.ydoc) {
+    if (undoManager) undoManager.destroy();
+    undoManager = new Y.UndoManager(
+      [state.journalArray, state.entryTextMap, state.characterMap, state.chronicleMap, state.historyMap, state.attachmentsMap, state.attachmentDataMap, state.timelineMap].filter(Boolean),
+      { captureTimeout: 500, trackedOrigins: new Set([LOCAL_EDIT_ORIGIN, ...editorOrigins]) }
+    );
+    undoScope = scope;
+  }
+  return undoManager;
+};
+
+// Make transactions with `origin` undoable until the returned function is called
+export const trackUndoOrigin = (state, origin) => {
+  editorOrigins.add(origin);
+  getUndoManager(state).addTrackedOrigin(origin);
+  return () => {
+    editorOrigins.delete(origin);
+    if (undoManager) undoManager.removeTrackedOrigin(origin);
+  };
+};
+
+// Start a new undo step so the next change is not merged with the previous one
+export const startUndoStep = (state) => {
+  getUndoManager(state).stopCapturing();
+};
+
+// The step the next undo would revert, to check later that nothing came after it
+export const getLatestUndoStep = (state) => {
+  const { undoStack } = getUndoManager(state);
+  return undoStack.length > 0 ? undoStack[undoStack.length - 1] : null;
+};
+
+export const canUndo = (state) => getUndoManager(state).undoStack.length > 0;
+export const canRedo = (state) => getUndoManager(state).redoStack.length > 0;
+
+// Both return whether there was anything to revert
+export const undoChange = (state) => getUndoManager(state).undo() !== null;
+export const redoChange = (state) => getUndoManager(state).redo() !== null;
+
 // =============================================================================
 // SESSION QUESTIONS FUNCTIONS (Radically Simple)
 // =============================================================================
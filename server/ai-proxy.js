@@ -0,0 +1,380 @@
+// D&D Journal - AI proxy
+// Forwards chat, transcription and embedding requests to an OpenAI-compatible API using the server's key,
+// so clients never need to store a provider key in the synced document.
+
+import express from 'express';
+import { createHash, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { clientAddress } from './room-auth.js';
+
+const ROLES = ['system', 'user', 'assistant'];
+const MAX_MESSAGES = 50;
+const MAX_CHARACTERS = 200000;
+const MAX_TOKENS = 4000;
+// OpenAI's limit for one audio file
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+const MAX_EMBEDDING_INPUTS = 64;
+
+// The provider detects the audio format from the file name, so keep a matching extension
+export const audioFileName = (type) => {
+  const subtype = String(type || '').split(';')[0].split('/')[1] || '';
+  const extension = { mpeg: 'mp3', 'x-wav': 'wav', 'x-m4a': 'm4a' }[subtype] || subtype.replace(/[^a-z0-9]/g, '');
+  return `recording.${extension || 'webm'}`;
+};
+
+// Fixed-window request counter per key (room). check() only looks, take() counts a request.
+// Windows that have run out are dropped, so keys seen once do not pile up.
+export const createRateLimiter = ({ limit, windowMs, now = Date.now }) => {
+  const windows = new Map();
+
+  const evictExpired = (current) => {
+    windows.forEach((window, key) => {
+      if (current - window.start >= windowMs) windows.delete(key);
+    });
+  };
+
+  const check = (key) => {
+    const current = now();
+    evictExpired(current);
+    const window = windows.get(key);
+    if (window && window.count >= limit) {
+      return { allowed: false, retryAfterSeconds: Math.ceil((window.start + windowMs - current) / 1000) };
+    }
+    return { allowed: true, retryAfterSeconds: 0 };
+  };
+
+  const take = (key) => {
+    const result = check(key);
+    if (!result.allowed) return result;
+    const window = windows.get(key) || { start: now(), count: 0 };
+    window.count += 1;
+    windows.set(key, window);
+    return result;
+  };
+
+  return {
+    check,
+    take,
+    get size() {
+      return windows.size;
+    }
+  };
+};
+
+// Per-room usage totals, persisted as JSON next to the room data
+export const createUsageLedger = (filePath) => {
+  let totals = {};
+  try {
+    if (filePath && existsSync(filePath)) totals = JSON.parse(readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    console.error('🚨 Could not read AI usage ledger:', error.message);
+  }
+
+  const save = () => {
+    if (!filePath) return;
+    try {
+      mkdirSync(dirname(filePath), { recursive: true });
+      writeFileSync(filePath, JSON.stringify(totals, null, 2));
+    } catch (error) {
+      console.error('🚨 Could not write AI usage ledger:', error.message);
+    }
+  };
+
+  return {
+    record: (room, { purpose = 'other', promptTokens = 0, completionTokens = 0 } = {}) => {
+      const entry = totals[room] || { requests: 0, promptTokens: 0, completionTokens: 0, byPurpose: {} };
+      entry.requests += 1;
+      entry.promptTokens += promptTokens;
+      entry.completionTokens += completionTokens;
+      entry.byPurpose[purpose] = (entry.byPurpose[purpose] || 0) + 1;
+      entry.lastUsedAt = new Date().toISOString();
+      totals[room] = entry;
+      save();
+      return entry;
+    },
+    get: (room) => totals[room] || { requests: 0, promptTokens: 0, completionTokens: 0, byPurpose: {} }
+  };
+};
+
+// Compare secrets without leaking their length or content through timing
+const tokensMatch = (given, expected) => {
+  const digest = (value) => createHash('sha256').update(String(value || '')).digest();
+  return Boolean(given) && timingSafeEqual(digest(given), digest(expected));
+};
+
+const bearerToken = (req) => (req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+
+// Returns an error message, or null when the chat request is acceptable
+export const validateChatRequest = (body, isValidRoomName) => {
+  if (!body || typeof body !== 'object') return 'Request body must be JSON';
+  if (!isValidRoomName(body.room)) return 'Invalid room name';
+  const { messages } = body;
+  if (!Array.isArray(messages) || messages.length === 0 || messages.length > MAX_MESSAGES) {
+    return `messages must be a list of 1 to ${MAX_MESSAGES} items`;
+  }
+  const valid = messages.every((m) => m && ROLES.includes(m.role) && typeof m.content === 'string');
+  if (!valid) return 'Each message needs a role and text content';
+  const characters = messages.reduce((sum, m) => sum + m.content.length, 0);
+  if (characters > MAX_CHARACTERS) return 'Request is too large';
+  return null;
+};
+
+// Returns an error message, or null when the embeddings request is acceptable
+export const validateEmbeddingsRequest = (body, isValidRoomName) => {
+  if (!body || typeof body !== 'object') return 'Request body must be JSON';
+  if (!isValidRoomName(body.room)) return 'Invalid room name';
+  const { input } = body;
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_EMBEDDING_INPUTS) {
+    return `input must be a list of 1 to ${MAX_EMBEDDING_INPUTS} texts`;
+  }
+  if (!input.every((text) => typeof text === 'string' && text.length > 0)) return 'Each input must be non-empty text';
+  const characters = input.reduce((sum, text) => sum + text.length, 0);
+  if (characters > MAX_CHARACTERS) return 'Request is too large';
+  return null;
+};
+
+// The JSON events of a server-sent event stream; `[DONE]` and a line cut off mid-stream are skipped
+const parseStreamEvents = (text) =>
+  text.split(/\r?\n/).flatMap((line) => {
+    if (!line.startsWith('data:')) return [];
+    try {
+      const event = JSON.parse(line.slice(5).trim());
+      return event && typeof event === 'object' ? [event] : [];
+    } catch {
+      return [];
+    }
+  });
+
+// Usage from the last event that reports it (OpenAI sends it in the final chunk when asked to)
+const findStreamUsage = (events) => events.reduce((usage, event) => event.usage || usage, null);
+
+// Rough token count for usage the provider never reported, about four characters per token
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+// Pass the provider's server-sent events through as they arrive, then record the usage they reported.
+// A stream cut short (the client left, the provider dropped) still cost tokens, so the usage is then
+// estimated from `promptText` and the text relayed so far.
+const relayChatStream = async (upstream, res, recordUsage, promptText) => {
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const decoder = new TextDecoder();
+  let text = '';
+  try {
+    for await (const chunk of upstream.body) {
+      text += decoder.decode(chunk, { stream: true });
+      res.write(chunk);
+    }
+  } finally {
+    const events = parseStreamEvents(text);
+    const usage = findStreamUsage(events);
+    if (usage) {
+      recordUsage(usage.prompt_tokens || 0, usage.completion_tokens || 0);
+    } else {
+      const reply = events.map((event) => event.choices?.[0]?.delta?.content || '').join('');
+      recordUsage(estimateTokens(promptText), estimateTokens(reply), true);
+    }
+  }
+  res.end();
+};
+
+// The room's own credential (passphrase or invite token) travels next to the proxy token
+export const ROOM_CREDENTIAL_HEADER = 'x-room-credential';
+
+// Mount /ai/status (public advertisement), /ai/chat, /ai/transcribe, /ai/embeddings and /ai/usage/:room (all authenticated).
+// The proxy is only enabled when both an API key and an access token are configured. Every request also needs
+// access to the room it names (see room-auth.js): write access to use AI, any access to read the room's usage.
+// A limit across all rooms keeps one token holder from spreading calls over made-up room names.
+export const registerAIProxy = (app, config) => {
+  const { apiKey, accessToken, baseUrl, model, isValidRoomName, roomAuth } = config;
+  const transcriptionModel = config.transcriptionModel || 'whisper-1';
+  const embeddingModel = config.embeddingModel || 'text-embedding-3-small';
+  const enabled = Boolean(apiKey && accessToken);
+  const roomRateLimit = createRateLimiter({ limit: config.rateLimit, windowMs: config.rateWindowMs });
+  const globalRateLimit = createRateLimiter({ limit: config.globalRateLimit || config.rateLimit * 10, windowMs: config.rateWindowMs });
+  // A request refused by either limit counts against neither
+  const rateLimit = (room) => {
+    const roomLimit = roomRateLimit.check(room);
+    if (!roomLimit.allowed) return roomLimit;
+    const globalLimit = globalRateLimit.take('*');
+    return globalLimit.allowed ? roomRateLimit.take(room) : globalLimit;
+  };
+  const ledger = createUsageLedger(config.usageFile);
+
+  if (apiKey && !accessToken) {
+    console.warn('⚠️  AI_API_KEY is set without AI_PROXY_TOKEN - AI proxy disabled');
+  }
+
+  const requireAuth = (req, res, next) => {
+    if (!enabled) return res.status(404).json({ error: 'AI proxy is not enabled' });
+    if (!tokensMatch(bearerToken(req), accessToken)) return res.status(401).json({ error: 'Unauthorized' });
+    next();
+  };
+
+  // True when the request's room credential grants `level`; otherwise answers 403
+  const checkRoomAccess = (req, res, room, level = 'write') => {
+    const access = roomAuth.getAccess(room, String(req.headers[ROOM_CREDENTIAL_HEADER] || ''), clientAddress(req));
+    if (access && (level !== 'write' || access === 'write')) return true;
+    res.status(403).json({ error: 'No access to this room' });
+    return false;
+  };
+
+  app.get('/ai/status', (req, res) => {
+    res.json(enabled ? { enabled: true, model, embeddingModel } : { enabled: false });
+  });
+
+  app.post('/ai/chat', express.json({ limit: '1mb' }), requireAuth, async (req, res) => {
+    const error = validateChatRequest(req.body, isValidRoomName);
+    if (error) return res.status(400).json({ error });
+
+    const { room, messages, maxTokens, temperature, response_format: responseFormat, purpose, stream } = req.body;
+    if (!checkRoomAccess(req, res, room)) return;
+    const limit = rateLimit(room);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: 'Rate limit reached for this room' });
+    }
+
+    const upstreamBody = {
+      model,
+      messages,
+      max_tokens: Math.min(Number(maxTokens) || 1000, MAX_TOKENS),
+      temperature: typeof temperature === 'number' ? temperature : 0.7
+    };
+    if (responseFormat && responseFormat.type === 'json_object') upstreamBody.response_format = { type: 'json_object' };
+    if (stream === true) Object.assign(upstreamBody, { stream: true, stream_options: { include_usage: true } });
+    const usagePurpose = typeof purpose === 'string' ? purpose.slice(0, 40) : 'other';
+    const recordUsage = (promptTokens = 0, completionTokens = 0, estimated = false) => {
+      const usage = { purpose: usagePurpose, promptTokens, completionTokens };
+      ledger.record(room, usage);
+      console.log(`🤖 AI chat for room "${room}" (${usage.purpose}): ${usage.promptTokens}+${usage.completionTokens} tokens${estimated ? ' (estimated)' : ''}`);
+      return usage;
+    };
+
+    // A client that goes away mid-reply stops the upstream request too
+    const upstreamAbort = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) upstreamAbort.abort();
+    });
+
+    try {
+      const upstream = await fetch(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(upstreamBody),
+        signal: upstreamAbort.signal
+      });
+      if (!upstream.ok) {
+        const data = await upstream.json().catch(() => ({}));
+        console.error(`🚨 AI upstream error ${upstream.status} for room "${room}"`);
+        return res.status(upstream.status === 429 ? 429 : 502).json({ error: data?.error?.message || 'AI provider error' });
+      }
+
+      if (stream === true && (upstream.headers.get('content-type') || '').includes('text/event-stream')) {
+        return await relayChatStream(upstream, res, recordUsage, messages.map((message) => message.content).join('\n'));
+      }
+
+      const data = await upstream.json().catch(() => ({}));
+      const usage = recordUsage(data.usage?.prompt_tokens || 0, data.usage?.completion_tokens || 0);
+      res.json({
+        content: data.choices?.[0]?.message?.content || '',
+        usage: { prompt_tokens: usage.promptTokens, completion_tokens: usage.completionTokens },
+        model
+      });
+    } catch (err) {
+      if (upstreamAbort.signal.aborted) return;
+      console.error('🚨 AI proxy request failed:', err.message);
+      if (res.headersSent) {
+        res.end(`data: ${JSON.stringify({ error: { message: 'AI provider unreachable' } })}\n\n`);
+      } else {
+        res.status(502).json({ error: 'AI provider unreachable' });
+      }
+    }
+  });
+
+  // Speech to text: the raw audio is the body, the room comes from the query string
+  app.post('/ai/transcribe', requireAuth, express.raw({ type: () => true, limit: MAX_AUDIO_BYTES }), async (req, res) => {
+    const room = String(req.query.room || '').toLowerCase();
+    if (!isValidRoomName(room)) return res.status(400).json({ error: 'Invalid room name' });
+    const audio = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (audio.length === 0) return res.status(400).json({ error: 'Audio is empty' });
+    if (!checkRoomAccess(req, res, room)) return;
+
+    const limit = rateLimit(room);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: 'Rate limit reached for this room' });
+    }
+
+    const type = req.headers['content-type'] || 'application/octet-stream';
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type }), audioFileName(type));
+    form.append('model', transcriptionModel);
+    if (typeof req.query.language === 'string') form.append('language', req.query.language.slice(0, 8));
+
+    try {
+      const upstream = await fetch(`${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: form
+      });
+      const data = await upstream.json().catch(() => ({}));
+      if (!upstream.ok) {
+        console.error(`🚨 AI transcription error ${upstream.status} for room "${room}"`);
+        return res.status(upstream.status === 429 ? 429 : 502).json({ error: data?.error?.message || 'AI provider error' });
+      }
+      ledger.record(room, { purpose: 'transcription' });
+      console.log(`🎙️ Transcribed ${audio.length} bytes for room "${room}"`);
+      res.json({ text: data.text || '', model: transcriptionModel });
+    } catch (err) {
+      console.error('🚨 AI transcription request failed:', err.message);
+      res.status(502).json({ error: 'AI provider unreachable' });
+    }
+  });
+
+  // Vectors for retrieval: one per input text, in input order
+  app.post('/ai/embeddings', express.json({ limit: '1mb' }), requireAuth, async (req, res) => {
+    const error = validateEmbeddingsRequest(req.body, isValidRoomName);
+    if (error) return res.status(400).json({ error });
+
+    const { room, input } = req.body;
+    if (!checkRoomAccess(req, res, room)) return;
+    const limit = rateLimit(room);
+    if (!limit.allowed) {
+      res.set('Retry-After', String(limit.retryAfterSeconds));
+      return res.status(429).json({ error: 'Rate limit reached for this room' });
+    }
+
+    try {
+      const upstream = await fetch(`${baseUrl.replace(/\/+$/, '')}/embeddings`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model: embeddingModel, input })
+      });
+      const data = await upstream.json().catch(() => ({}));
+      if (!upstream.ok) {
+        console.error(`🚨 AI embeddings error ${upstream.status} for room "${room}"`);
+        return res.status(upstream.status === 429 ? 429 : 502).json({ error: data?.error?.message || 'AI provider error' });
+      }
+      const promptTokens = data.usage?.prompt_tokens || 0;
+      ledger.record(room, { purpose: 'embeddings', promptTokens });
+      console.log(`🧭 Embedded ${input.length} texts for room "${room}": ${promptTokens} tokens`);
+      const embeddings = [...(data.data || [])]
+        .sort((a, b) => (a.index || 0) - (b.index || 0))
+        .map((item) => item.embedding);
+      res.json({ embeddings, usage: { prompt_tokens: promptTokens }, model: embeddingModel });
+    } catch (err) {
+      console.error('🚨 AI embeddings request failed:', err.message);
+      res.status(502).json({ error: 'AI provider unreachable' });
+    }
+  });
+
+  app.get('/ai/usage/:room', requireAuth, (req, res) => {
+    const room = req.params.room.toLowerCase();
+    if (!isValidRoomName(room)) return res.status(400).json({ error: 'Invalid room name' });
+    if (!checkRoomAccess(req, res, room, 'read')) return;
+    res.json({ room, ...ledger.get(room) });
+  });
+
+  return { enabled };
+};
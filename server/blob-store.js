@@ -0,0 +1,145 @@
+// D&D Journal - Content-addressed attachment store
+// Large attachments (map photos, handouts) are too big for the Yjs document. Clients upload them
+// here under their SHA-256 hash and keep only the hash in the journal, so the same file is stored once.
+
+import express from 'express';
+import { createHash } from 'crypto';
+import { existsSync, mkdirSync, readdirSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { bearerToken, clientAddress } from './room-auth.js';
+
+export const MAX_BLOB_BYTES = 10 * 1024 * 1024;
+
+// Disk space for attachments: across the server, and per room (a file shared by rooms counts for each)
+export const BLOB_QUOTA_BYTES = 2 * 1024 * 1024 * 1024;
+export const ROOM_BLOB_QUOTA_BYTES = 200 * 1024 * 1024;
+
+export const isBlobHash = (value) => /^[0-9a-f]{64}$/.test(String(value || ''));
+
+export const hashBlob = (data) => createHash('sha256').update(data).digest('hex');
+
+// Files live under <dir>/<first two hex digits>/<hash> to keep directories small.
+// <hash>.rooms lists the rooms that uploaded the file: the store is shared, but a file is only served to its rooms.
+export const createBlobStore = (dir) => {
+  const filePath = (hash) => `${dir}/${hash.slice(0, 2)}/${hash}`;
+
+  const has = (hash) => isBlobHash(hash) && existsSync(filePath(hash));
+
+  const read = (hash) => (has(hash) ? readFileSync(filePath(hash)) : null);
+
+  const getRooms = (hash) => {
+    if (!has(hash) || !existsSync(`${filePath(hash)}.rooms`)) return [];
+    try {
+      return JSON.parse(readFileSync(`${filePath(hash)}.rooms`, 'utf8'));
+    } catch (err) {
+      console.error(`⚠️ Unreadable room list for attachment ${hash.slice(0, 12)}…:`, err.message);
+      return [];
+    }
+  };
+
+  const isOwnedBy = (hash, room) => getRooms(hash).includes(room);
+
+  const addRoom = (hash, room) => {
+    const rooms = getRooms(hash);
+    if (rooms.includes(room)) return;
+    const path = `${filePath(hash)}.rooms`;
+    writeFileSync(`${path}.tmp`, JSON.stringify([...rooms, room]));
+    renameSync(`${path}.tmp`, path);
+  };
+
+  // Bytes stored in total and per room, counted from disk on first use and kept up to date by write
+  let usage = null;
+  const loadUsage = () => {
+    if (usage) return usage;
+    usage = { total: 0, rooms: new Map() };
+    const folders = existsSync(dir) ? readdirSync(dir) : [];
+    folders.forEach((folder) => readdirSync(`${dir}/${folder}`).filter(isBlobHash).forEach((hash) => {
+      const size = statSync(filePath(hash)).size;
+      usage.total += size;
+      getRooms(hash).forEach((room) => usage.rooms.set(room, (usage.rooms.get(room) || 0) + size));
+    }));
+    return usage;
+  };
+
+  const getUsage = (room) => ({ total: loadUsage().total, room: loadUsage().rooms.get(room) || 0 });
+
+  // Stores the data for `room`. Returns false when the data does not match its hash
+  const write = (hash, data, room) => {
+    if (!isBlobHash(hash) || hashBlob(data) !== hash) return false;
+    const current = loadUsage();
+    if (!has(hash)) current.total += data.length;
+    if (!isOwnedBy(hash, room)) current.rooms.set(room, (current.rooms.get(room) || 0) + data.length);
+    if (!has(hash)) {
+      const path = filePath(hash);
+      mkdirSync(`${dir}/${hash.slice(0, 2)}`, { recursive: true });
+      // Write under a temporary name first so readers never see a partial file
+      writeFileSync(`${path}.tmp`, data);
+      renameSync(`${path}.tmp`, path);
+    }
+    addRoom(hash, room);
+    return true;
+  };
+
+  return { has, read, isOwnedBy, getUsage, write };
+};
+
+// Mount GET and PUT /blobs/:roomName/:hash. Reading needs any access to the room, uploading needs write access
+// to a room that is claimed or already holds a journal, so arbitrary room names cannot be used to fill the disk.
+// Files another room uploaded look missing: knowing a hash is not enough, a room has to upload the file itself.
+export const registerBlobStore = (app, {
+  store,
+  roomAuth,
+  isValidRoomName,
+  roomHasData,
+  maxBytes = MAX_BLOB_BYTES,
+  quotaBytes = BLOB_QUOTA_BYTES,
+  roomQuotaBytes = ROOM_BLOB_QUOTA_BYTES
+}) => {
+  const withAccess = (level) => (req, res, next) => {
+    const room = req.params.roomName.toLowerCase();
+    if (!isValidRoomName(room)) return res.status(400).json({ error: 'Invalid room name' });
+    if (!isBlobHash(req.params.hash)) return res.status(400).json({ error: 'Invalid attachment hash' });
+    const access = roomAuth.getAccess(room, bearerToken(req), clientAddress(req));
+    if (!access || (level === 'write' && access !== 'write')) return res.status(401).json({ error: 'Unauthorized' });
+    req.room = room;
+    next();
+  };
+
+  app.get('/blobs/:roomName/:hash', withAccess('read'), (req, res) => {
+    const data = store.isOwnedBy(req.params.hash, req.room) ? store.read(req.params.hash) : null;
+    if (!data) return res.status(404).json({ error: 'Attachment not found' });
+    // The URL names the content, so it never changes
+    res.set('Cache-Control', 'private, max-age=31536000, immutable');
+    res.type('application/octet-stream').send(data);
+  });
+
+  const withJournal = (req, res, next) => {
+    if (roomAuth.isClaimed(req.room) || roomHasData(req.room)) return next();
+    res.status(404).json({ error: 'Journal not found. Sync it before uploading attachments.' });
+  };
+
+  app.put('/blobs/:roomName/:hash', withAccess('write'), withJournal, express.raw({ type: () => true, limit: maxBytes }), (req, res) => {
+    const { hash } = req.params;
+    if (store.isOwnedBy(hash, req.room)) return res.json({ hash, stored: false });
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (data.length === 0) return res.status(400).json({ error: 'Attachment is empty' });
+    const existed = store.has(hash);
+    const usage = store.getUsage(req.room);
+    if (usage.room + data.length > roomQuotaBytes) {
+      return res.status(507).json({ error: 'This journal has used all of its attachment storage on the server' });
+    }
+    if (!existed && usage.total + data.length > quotaBytes) {
+      console.log(`⚠️ Attachment storage is full, refused ${data.length} bytes for room "${req.room}"`);
+      return res.status(507).json({ error: 'The server has no attachment storage left' });
+    }
+    if (!store.write(hash, data, req.room)) return res.status(400).json({ error: 'Attachment does not match its hash' });
+    if (existed) return res.json({ hash, stored: false });
+    console.log(`📎 Stored attachment ${hash.slice(0, 12)}… (${data.length} bytes) for room "${req.room}"`);
+    res.status(201).json({ hash, stored: true });
+  });
+
+  // express.raw rejects bodies over the limit before the handler runs
+  app.use('/blobs', (err, req, res, next) => {
+    if (err && err.type === 'entity.too.large') return res.status(413).json({ error: `Attachments are limited to ${maxBytes} bytes` });
+    next(err);
+  });
+};
@@ -0,0 +1,103 @@
+// D&D Journal - End-to-end encrypted rooms
+// Clients encrypt Yjs updates before sending them. The server cannot read them, so instead of
+// a Yjs document it keeps an append-only log of ciphertext per room and relays new entries.
+
+import { createHash } from 'crypto';
+import { appendFileSync, existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+
+// Base64 of IV + AES-GCM ciphertext; generous for a whole-journal snapshot
+export const MAX_UPDATE_LENGTH = 8 * 1024 * 1024;
+
+const isCiphertext = (data) =>
+  typeof data === 'string' && data.length > 0 && data.length <= MAX_UPDATE_LENGTH && /^[A-Za-z0-9+/]+={0,2}$/.test(data);
+
+// One file per room, one base64 ciphertext per line.
+// A log's base is the hash of its first entry; every compaction starts a new one.
+export const createEncryptedRoomStore = (dir) => {
+  const cache = new Map();
+  const bases = new Map();
+  const filePath = (room) => `${dir}/${room}.log`;
+
+  const read = (room) => {
+    if (!cache.has(room)) {
+      const lines = existsSync(filePath(room)) ? readFileSync(filePath(room), 'utf8').split('\n').filter(Boolean) : [];
+      cache.set(room, lines);
+    }
+    return cache.get(room);
+  };
+
+  // Checked for arbitrary room names, so avoid caching rooms that were never written
+  const exists = (room) => (cache.has(room) ? cache.get(room).length > 0 : existsSync(filePath(room)));
+
+  const append = (room, data) => {
+    const entries = read(room);
+    mkdirSync(dir, { recursive: true });
+    appendFileSync(filePath(room), `${data}\n`);
+    entries.push(data);
+  };
+
+  const getBase = (room) => {
+    const entries = read(room);
+    if (entries.length === 0) return '';
+    if (!bases.has(room)) bases.set(room, createHash('sha256').update(entries[0]).digest('hex'));
+    return bases.get(room);
+  };
+
+  // Replace the first `replaces` entries with one snapshot; entries that arrived since are kept.
+  // `base` is the log the snapshot was made from: once another device compacted it, or when it has
+  // fewer entries than the snapshot claims to replace, the snapshot is refused (null) so no update is lost.
+  const compact = (room, snapshot, replaces, base) => {
+    const entries = read(room);
+    const count = Number(replaces);
+    if (base !== getBase(room) || !Number.isInteger(count) || count < 1 || count > entries.length) return null;
+    const next = [snapshot, ...entries.slice(count)];
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(filePath(room), `${next.join('\n')}\n`);
+    cache.set(room, next);
+    bases.delete(room);
+    return next.length;
+  };
+
+  return { read, exists, append, compact, getBase };
+};
+
+// Relay for one connection. Messages are JSON: { type: 'history' | 'update' | 'compact', ... };
+// history carries the log's base, which a compact must send back.
+// `peers` maps room -> Set of sockets; read-only connections receive but cannot write.
+export const handleEncryptedConnection = (ws, { room, access, store, peers }) => {
+  if (!peers.has(room)) peers.set(room, new Set());
+  const roomPeers = peers.get(room);
+  roomPeers.add(ws);
+
+  ws.send(JSON.stringify({ type: 'history', updates: store.read(room), base: store.getBase(room) }));
+
+  ws.on('message', (raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (access !== 'write' || !message || !isCiphertext(message.data)) return;
+
+    if (message.type === 'update') {
+      store.append(room, message.data);
+      const payload = JSON.stringify({ type: 'update', data: message.data });
+      roomPeers.forEach((peer) => {
+        if (peer !== ws && peer.readyState === 1) peer.send(payload);
+      });
+    } else if (message.type === 'compact') {
+      const size = store.compact(room, message.data, message.replaces, message.base);
+      if (size === null) {
+        console.log(`🗜️  Skipped an outdated compaction of encrypted room "${room}"`);
+      } else {
+        console.log(`🗜️  Compacted encrypted room "${room}" to ${size} entries`);
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    roomPeers.delete(ws);
+    if (roomPeers.size === 0) peers.delete(room);
+  });
+};
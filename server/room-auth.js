@@ -0,0 +1,254 @@
+// D&D Journal - Room access control
+// Rooms are open until claimed with a passphrase. Claimed rooms accept the passphrase
+// or an invite token; invite tokens grant either write or read-only access.
+// Wrong credentials are counted per room and client address, and too many lock the client out for a while.
+
+import express from 'express';
+import { createHash, randomBytes, scryptSync, timingSafeEqual } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+const ACCESS_LEVELS = ['write', 'read'];
+
+const sha256 = (value) => createHash('sha256').update(String(value)).digest('hex');
+
+const hashPassphrase = (passphrase, salt) => scryptSync(String(passphrase), salt, 32).toString('hex');
+
+const safeEqualHex = (a, b) => {
+  const left = Buffer.from(a || '', 'hex');
+  const right = Buffer.from(b || '', 'hex');
+  return left.length === right.length && left.length > 0 && timingSafeEqual(left, right);
+};
+
+export const MAX_FAILED_ATTEMPTS = 10;
+export const ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+// Failed attempts per key within a window; a key with `limit` failures is locked out until its window ends.
+// Expired windows are dropped so the map only holds recent failures.
+export const createAttemptLimiter = ({ limit = MAX_FAILED_ATTEMPTS, windowMs = ATTEMPT_WINDOW_MS, now = () => Date.now() } = {}) => {
+  const failures = new Map();
+
+  const evictExpired = () => {
+    const time = now();
+    failures.forEach((entry, key) => {
+      if (entry.resetAt <= time) failures.delete(key);
+    });
+  };
+
+  return {
+    isLockedOut: (key) => {
+      evictExpired();
+      return (failures.get(key)?.count || 0) >= limit;
+    },
+    fail: (key) => {
+      evictExpired();
+      const entry = failures.get(key) || { count: 0, resetAt: now() + windowMs };
+      entry.count += 1;
+      failures.set(key, entry);
+    },
+    get size() {
+      return failures.size;
+    }
+  };
+};
+
+// The address a request came from, as seen through the usual reverse proxies
+export const clientAddress = (req) =>
+  req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
+  req.headers['x-real-ip'] ||
+  req.headers['cf-connecting-ip'] ||
+  req.socket?.remoteAddress ||
+  '';
+
+// Persistent store of claimed rooms: { [room]: { salt, passphraseHash, tokens: [...] } }.
+// Methods taking a `client` (its address) count wrong credentials and refuse locked-out clients.
+export const createRoomAuthStore = (filePath, { attempts = createAttemptLimiter() } = {}) => {
+  let rooms = {};
+  try {
+    if (filePath && existsSync(filePath)) rooms = JSON.parse(readFileSync(filePath, 'utf8')) || {};
+  } catch (error) {
+    console.error('🚨 Could not read room auth store:', error.message);
+  }
+
+  const save = () => {
+    if (!filePath) return;
+    mkdirSync(dirname(filePath), { recursive: true });
+    writeFileSync(filePath, JSON.stringify(rooms, null, 2));
+  };
+
+  const isClaimed = (room) => Boolean(rooms[room]);
+
+  const attemptKey = (room, client) => `${room} ${client}`;
+
+  const isLockedOut = (room, client) => attempts.isLockedOut(attemptKey(room, client));
+
+  const recordFailure = (room, client) => attempts.fail(attemptKey(room, client));
+
+  const checkCredential = (entry, credential) => {
+    const tokenHash = sha256(credential);
+    const token = entry.tokens.find((t) => safeEqualHex(t.hash, tokenHash));
+    if (token) return { access: token.access, tokenId: token.id };
+    return safeEqualHex(entry.passphraseHash, hashPassphrase(credential, entry.salt)) ? { access: 'write', tokenId: null } : null;
+  };
+
+  // { access: 'write' | 'read', tokenId } for a valid credential (tokenId is null for the passphrase
+  // and in unclaimed rooms, which are open), null otherwise
+  const resolveCredential = (room, credential, client = null) => {
+    const entry = rooms[room];
+    if (!entry) return { access: 'write', tokenId: null };
+    if (!credential) return null;
+    if (client !== null && isLockedOut(room, client)) return null;
+    const resolved = checkCredential(entry, credential);
+    if (!resolved && client !== null) recordFailure(room, client);
+    return resolved;
+  };
+
+  // 'write' or 'read' for a valid credential, null otherwise. Unclaimed rooms are open.
+  const getAccess = (room, credential, client = null) => resolveCredential(room, credential, client)?.access || null;
+
+  // Returns true when the room is now claimed with this passphrase
+  const claim = (room, passphrase, client = null) => {
+    if (rooms[room]) return getAccess(room, passphrase, client) === 'write';
+    const salt = randomBytes(16).toString('hex');
+    rooms[room] = { salt, passphraseHash: hashPassphrase(passphrase, salt), tokens: [], claimedAt: new Date().toISOString() };
+    save();
+    return true;
+  };
+
+  const createToken = (room, access, label = '') => {
+    const token = randomBytes(24).toString('base64url');
+    const record = {
+      id: randomBytes(6).toString('hex'),
+      hash: sha256(token),
+      access,
+      label: String(label).slice(0, 60),
+      createdAt: new Date().toISOString()
+    };
+    rooms[room].tokens.push(record);
+    save();
+    return { id: record.id, token, access, label: record.label, createdAt: record.createdAt };
+  };
+
+  const listTokens = (room) =>
+    (rooms[room]?.tokens || []).map(({ id, access, label, createdAt }) => ({ id, access, label, createdAt }));
+
+  const revokeToken = (room, id) => {
+    const entry = rooms[room];
+    if (!entry) return false;
+    const before = entry.tokens.length;
+    entry.tokens = entry.tokens.filter((t) => t.id !== id);
+    if (entry.tokens.length === before) return false;
+    save();
+    return true;
+  };
+
+  return { isClaimed, isLockedOut, recordFailure, resolveCredential, getAccess, claim, createToken, listTokens, revokeToken };
+};
+
+export const bearerToken = (req) => (req.headers.authorization || '').replace(/^Bearer\s+/i, '').trim();
+
+// Room name and credential from a WebSocket URL such as /my-room?auth=...
+// End-to-end encrypted rooms use /e2e/my-room and are flagged as encrypted.
+export const parseConnectionUrl = (rawUrl) => {
+  const url = new URL(rawUrl || '/', 'http://localhost');
+  const segments = url.pathname.split('/').slice(1);
+  const encrypted = segments[0] === 'e2e';
+  return {
+    room: decodeURIComponent((encrypted ? segments[1] : segments[0]) || '').toLowerCase(),
+    credential: url.searchParams.get('auth') || '',
+    encrypted
+  };
+};
+
+// y-websocket sync messages: [0 = sync, 0 = step1 | 1 = step2 | 2 = update, ...]. Step 2 and updates write.
+export const isWriteMessage = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  return bytes[0] === 0 && (bytes[1] === 1 || bytes[1] === 2);
+};
+
+// Drop incoming document writes on a read-only connection (reads and awareness still pass)
+export const makeReadOnly = (ws) => {
+  const emit = ws.emit.bind(ws);
+  ws.emit = (event, ...args) => (event === 'message' && isWriteMessage(args[0]) ? false : emit(event, ...args));
+  return ws;
+};
+
+// Mount room status, claim and invite token endpoints.
+// A room that already holds data can only be claimed by a device that shows it has synced that data
+// (`verifySyncProof(room, proof)`) or by the operator's `adminToken`, so knowing a room's name is not enough.
+// `onTokenRevoked(room, id)` lets the server disconnect the devices that joined with a revoked token.
+export const registerRoomAuth = (app, {
+  store,
+  isValidRoomName,
+  roomHasData,
+  roomIsEncrypted = () => false,
+  verifySyncProof = () => false,
+  adminToken = '',
+  onTokenRevoked = () => {}
+}) => {
+  const withRoom = (req, res, next) => {
+    const room = req.params.roomName.toLowerCase();
+    if (!isValidRoomName(room)) return res.status(400).json({ error: 'Invalid room name' });
+    req.room = room;
+    req.client = clientAddress(req);
+    if (store.isClaimed(room) && store.isLockedOut(room, req.client)) {
+      return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+    }
+    next();
+  };
+
+  const requireWrite = (req, res, next) => {
+    if (!store.isClaimed(req.room) || store.getAccess(req.room, bearerToken(req), req.client) !== 'write') {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+
+  const isOperator = (req) => Boolean(adminToken) && safeEqualHex(sha256(bearerToken(req)), sha256(adminToken));
+
+  // Only a caller holding a claimed room's credential learns anything about it; unclaimed rooms
+  // never report whether they exist. `encrypted` is kept so a device does not upload a plaintext copy.
+  app.get('/sync/room/:roomName/status', withRoom, (req, res) => {
+    const { room } = req;
+    if (store.isClaimed(room)) {
+      const access = store.getAccess(room, bearerToken(req), req.client);
+      if (!access) return res.json({ exists: false });
+      return res.json({ exists: roomHasData(room), protected: true, access, ...(roomIsEncrypted(room) ? { encrypted: true } : {}) });
+    }
+    res.json(roomIsEncrypted(room) ? { exists: false, encrypted: true } : { exists: false });
+  });
+
+  app.post('/sync/room/:roomName/claim', withRoom, express.json(), (req, res) => {
+    const passphrase = String(req.body?.passphrase || '');
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return res.status(400).json({ error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` });
+    }
+    if (!store.isClaimed(req.room) && roomHasData(req.room) && !isOperator(req)) {
+      if (store.isLockedOut(req.room, req.client)) return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+      if (!verifySyncProof(req.room, req.body?.proof)) {
+        store.recordFailure(req.room, req.client);
+        return res.status(403).json({ error: 'Sync this journal on this device before protecting it' });
+      }
+    }
+    if (!store.claim(req.room, passphrase, req.client)) return res.status(401).json({ error: 'Unauthorized' });
+    console.log(`🔒 Room claimed or passphrase confirmed: ${req.room}`);
+    res.json({ access: 'write' });
+  });
+
+  app.get('/sync/room/:roomName/tokens', withRoom, requireWrite, (req, res) => {
+    res.json({ tokens: store.listTokens(req.room) });
+  });
+
+  app.post('/sync/room/:roomName/tokens', withRoom, requireWrite, express.json(), (req, res) => {
+    const access = req.body?.access;
+    if (!ACCESS_LEVELS.includes(access)) return res.status(400).json({ error: 'access must be "write" or "read"' });
+    res.status(201).json(store.createToken(req.room, access, req.body?.label || ''));
+  });
+
+  app.delete('/sync/room/:roomName/tokens/:id', withRoom, requireWrite, (req, res) => {
+    if (!store.revokeToken(req.room, req.params.id)) return res.status(404).json({ error: 'Token not found' });
+    onTokenRevoked(req.room, req.params.id);
+    res.sendStatus(204);
+  });
+};
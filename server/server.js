@@ -5,17 +5,47 @@
 
 import express from 'express';
 import { WebSocketServer } from 'ws';
-import { setupWSConnection } from 'y-websocket/bin/utils';
+import { setupWSConnection, docs } from 'y-websocket/bin/utils';
 import { LeveldbPersistence } from 'y-leveldb';
+import { createRequire } from 'module';
+import { createHash } from 'crypto';
 import { existsSync, readdirSync } from 'fs';
+import { registerAIProxy } from './ai-proxy.js';
+import { createRoomAuthStore, registerRoomAuth, parseConnectionUrl, makeReadOnly, clientAddress } from './room-auth.js';
+import { createEncryptedRoomStore, handleEncryptedConnection } from './encrypted-relay.js';
+import { createBlobStore, registerBlobStore, MAX_BLOB_BYTES, BLOB_QUOTA_BYTES, ROOM_BLOB_QUOTA_BYTES } from './blob-store.js';
+
+// The same Yjs build y-websocket loads, so its documents can be inspected
+const Y = createRequire(import.meta.url)('yjs');
 
 const isValidRoomName = (input) => /^[\p{Ll}\p{Nd}-]+$/u.test((input || '').toString());
 
 const PORT = process.env.PORT || process.argv[2] || 1234;
 const HOST = process.env.HOST || process.argv[3] || '0.0.0.0';
 const DATA_DIR = process.env.DATA_DIR || './data';
+const BLOB_MAX_BYTES = Number(process.env.BLOB_MAX_BYTES) || MAX_BLOB_BYTES;
+const BLOB_QUOTA = Number(process.env.BLOB_QUOTA_BYTES) || BLOB_QUOTA_BYTES;
+const BLOB_ROOM_QUOTA = Number(process.env.BLOB_ROOM_QUOTA_BYTES) || ROOM_BLOB_QUOTA_BYTES;
+// Lets the operator claim a room that already holds data on behalf of its players
+const ROOM_ADMIN_TOKEN = process.env.ROOM_ADMIN_TOKEN || '';
+
+// AI proxy config: the provider key stays on the server, clients authenticate with the access token
+const AI_CONFIG = {
+  apiKey: process.env.AI_API_KEY || '',
+  accessToken: process.env.AI_PROXY_TOKEN || '',
+  baseUrl: process.env.AI_BASE_URL || 'https://api.openai.com/v1',
+  model: process.env.AI_MODEL || 'gpt-4o-mini',
+  transcriptionModel: process.env.AI_TRANSCRIPTION_MODEL || 'whisper-1',
+  embeddingModel: process.env.AI_EMBEDDING_MODEL || 'text-embedding-3-small',
+  rateLimit: Number(process.env.AI_RATE_LIMIT) || 60,
+  // Across all rooms; defaults to ten rooms' worth
+  globalRateLimit: Number(process.env.AI_GLOBAL_RATE_LIMIT) || 0,
+  rateWindowMs: Number(process.env.AI_RATE_WINDOW_MS) || 60 * 60 * 1000,
+  usageFile: `${DATA_DIR}/ai-usage.json`,
+  isValidRoomName
+};
 
-console.log(`🚀 D&D Journal Server starting on ${HOST}:${PORT}`);
+console.log(`🚀 Starting on ${HOST}:${PORT}`);
 console.log(`📁 Data directory: ${DATA_DIR}`);
 console.log(`📁 Data directory exists: ${existsSync(DATA_DIR)}`);
 console.log(`🕐 Server started at: ${new Date().toISOString()}`);
@@ -26,8 +56,8 @@ const app = express();
 // CORS middleware
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Room-Credential');
   
   if (req.method === 'OPTIONS') {
     res.sendStatus(204);
@@ -36,24 +66,97 @@ app.use((req, res, next) => {
   next();
 });
 
-// Room status endpoint
-app.get('/sync/room/:roomName/status', (req, res) => {
-  const roomName = req.params.roomName.toLowerCase();
-  
-  if (!isValidRoomName(roomName)) {
-    return res.status(400).json({ error: 'Invalid room name' });
-  }
-  
+// Room access: passphrases and invite tokens for claimed rooms
+const roomAuth = createRoomAuthStore(`${DATA_DIR}/room-auth.json`);
+
+// End-to-end encrypted rooms: only ciphertext is stored, outside the LevelDB room folders
+const encryptedRooms = createEncryptedRoomStore(`${DATA_DIR}/e2e`);
+const encryptedPeers = new Map();
+
+// A room's live document, while any device is connected to it
+const getLiveDoc = (roomName) => docs.get(roomName) || null;
+
+const roomHasData = (roomName) => {
   const roomPath = `${DATA_DIR}/${roomName}`;
-  const exists = existsSync(roomPath) && readdirSync(roomPath).length > 0;
-  
-  console.log(`📊 Room status check: ${roomName} - exists: ${exists}`);
-  res.json({ exists });
+  const liveDoc = getLiveDoc(roomName);
+  return (existsSync(roomPath) && readdirSync(roomPath).length > 0) ||
+    encryptedRooms.exists(roomName) ||
+    Boolean(liveDoc && liveDoc.store.clients.size > 0);
+};
+
+// Evidence that a device claiming a room holds its data: for encrypted rooms the hash of a stored
+// ciphertext entry, otherwise a state vector covering everything the live document has seen
+const verifySyncProof = (roomName, proof) => {
+  if (!proof || typeof proof !== 'object') return false;
+  if (encryptedRooms.exists(roomName)) {
+    const hash = String(proof.ciphertextHash || '');
+    return /^[0-9a-f]{64}$/.test(hash) &&
+      encryptedRooms.read(roomName).some((entry) => createHash('sha256').update(entry).digest('hex') === hash);
+  }
+  const liveDoc = getLiveDoc(roomName);
+  if (!liveDoc || typeof proof.stateVector !== 'string') return false;
+  try {
+    const claimed = Y.decodeStateVector(Buffer.from(proof.stateVector, 'base64'));
+    const current = Y.encodeStateVector(liveDoc);
+    return Array.from(Y.decodeStateVector(current)).every(([client, clock]) => (claimed.get(client) || 0) >= clock);
+  } catch {
+    return false;
+  }
+};
+
+// Open sockets per room with the invite token they joined with, so revoking a token disconnects them
+const roomConnections = new Map();
+
+const trackConnection = (ws, room, tokenId) => {
+  if (!roomConnections.has(room)) roomConnections.set(room, new Set());
+  const connection = { ws, tokenId };
+  roomConnections.get(room).add(connection);
+  ws.on('close', () => {
+    const connections = roomConnections.get(room);
+    if (!connections) return;
+    connections.delete(connection);
+    if (connections.size === 0) roomConnections.delete(room);
+  });
+};
+
+const disconnectToken = (room, tokenId) => {
+  (roomConnections.get(room) || []).forEach((connection) => {
+    if (connection.tokenId !== tokenId) return;
+    console.log(`🔒 Closing connection to room "${room}" that used a revoked token`);
+    connection.ws.close(4401, 'Token revoked');
+  });
+};
+
+// Room status, claim and token endpoints
+registerRoomAuth(app, {
+  store: roomAuth,
+  isValidRoomName,
+  roomHasData,
+  roomIsEncrypted: encryptedRooms.exists,
+  verifySyncProof,
+  adminToken: ROOM_ADMIN_TOKEN,
+  onTokenRevoked: disconnectToken
+});
+
+// Attachments too large for the Yjs document, stored once per content hash
+registerBlobStore(app, {
+  store: createBlobStore(`${DATA_DIR}/blobs`),
+  roomAuth,
+  isValidRoomName,
+  roomHasData,
+  maxBytes: BLOB_MAX_BYTES,
+  quotaBytes: BLOB_QUOTA,
+  roomQuotaBytes: BLOB_ROOM_QUOTA
 });
 
+// AI proxy endpoints (/ai/status, /ai/chat, /ai/transcribe, /ai/usage/:room)
+const aiProxy = registerAIProxy(app, { ...AI_CONFIG, roomAuth });
+console.log(`🤖 AI proxy: ${aiProxy.enabled ? `enabled (${AI_CONFIG.model})` : 'disabled'}`);
+
 // Start HTTP server
+// The banner comes once the port is open: startup scripts and tests wait for it
 const server = app.listen(Number(PORT), HOST, () => {
-  console.log(`✅ HTTP server running at http://${HOST}:${PORT}`);
+  console.log(`✅ D&D Journal Server: HTTP server running at http://${HOST}:${PORT}`);
   console.log(`🔌 WebSocket server ready at ws://${HOST}:${PORT}/ws`);
 });
 
@@ -66,10 +169,7 @@ wss.on('error', (error) => {
 
 wss.on('connection', (ws, req) => {
   // Get client info for logging
-  const clientIP = req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
-                   req.headers['x-real-ip'] ||
-                   req.headers['cf-connecting-ip'] ||
-                   req.socket.remoteAddress;
+  const clientIP = clientAddress(req);
   const userAgent = req.headers['user-agent'] || 'Unknown';
   
   // Strip /ws prefix to get clean room name
@@ -78,13 +178,40 @@ wss.on('connection', (ws, req) => {
     req.url = req.url.replace('/ws/', '/');
   }
   
-  // Extract room name from URL
-  const roomName = req.url?.split('/')[1] || 'unknown';
+  // Extract room name and credential from URL (never log the credential)
+  const { room: roomName, credential, encrypted } = parseConnectionUrl(req.url);
   
   console.log(`🔌 WebSocket connection from ${clientIP}`);
   console.log(`   User-Agent: ${userAgent.substring(0, 80)}${userAgent.length > 80 ? '...' : ''}`);
-  console.log(`   Original URL: ${originalUrl} → Normalized: ${req.url}`);
-  console.log(`   Target room: "${roomName}"`);
+  console.log(`   Original URL: ${originalUrl.split('?')[0]} → Normalized: ${req.url.split('?')[0]}`);
+  console.log(`   Target room: "${roomName || 'unknown'}"`);
+  
+  // Claimed rooms need the passphrase or an invite token; read-only tokens cannot write
+  const resolved = roomAuth.resolveCredential(roomName, credential, clientIP);
+  if (!resolved) {
+    console.log(`🔒 Unauthorized connection to room "${roomName}" from ${clientIP}`);
+    ws.close(4401, 'Unauthorized');
+    return;
+  }
+  const { access, tokenId } = resolved;
+  if (tokenId) trackConnection(ws, roomName, tokenId);
+  
+  if (encrypted) {
+    if (!isValidRoomName(roomName)) {
+      console.log(`❌ Invalid room name rejected: "${roomName}" from ${clientIP}`);
+      ws.close(1008, 'Invalid room name');
+      return;
+    }
+    console.log(`🔐 End-to-end encrypted connection to room "${roomName}" (${access})`);
+    handleEncryptedConnection(ws, { room: roomName, access, store: encryptedRooms, peers: encryptedPeers });
+    ws.on('close', () => console.log(`🔌 WebSocket disconnected: ${clientIP} from encrypted room "${roomName}"`));
+    return;
+  }
+  
+  if (access === 'read') {
+    console.log(`👀 Read-only connection to room "${roomName}"`);
+    makeReadOnly(ws);
+  }
 
   setupWSConnection(ws, req, {
     getYDoc: (docName) => {
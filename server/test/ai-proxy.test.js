@@ -0,0 +1,320 @@
+import { expect } from 'chai';
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { existsSync, rmSync, readFileSync } from 'fs';
+
+import { createRateLimiter, createUsageLedger, validateChatRequest, audioFileName } from '../ai-proxy.js';
+
+const isValidRoomName = (input) => /^[\p{Ll}\p{Nd}-]+$/u.test((input || '').toString());
+
+describe('AI proxy helpers', function() {
+  it('should limit requests per room within a window', function() {
+    let now = 0;
+    const limit = createRateLimiter({ limit: 2, windowMs: 1000, now: () => now });
+
+    expect(limit.take('a').allowed).to.be.true;
+    expect(limit.take('a').allowed).to.be.true;
+    expect(limit.take('b').allowed).to.be.true;
+    const blocked = limit.take('a');
+    expect(blocked.allowed).to.be.false;
+    expect(blocked.retryAfterSeconds).to.equal(1);
+
+    now = 1000;
+    expect(limit.take('a').allowed).to.be.true;
+  });
+
+  it('should check a limit without counting and drop windows that ran out', function() {
+    let now = 0;
+    const limit = createRateLimiter({ limit: 1, windowMs: 1000, now: () => now });
+
+    expect(limit.check('a').allowed).to.be.true;
+    expect(limit.check('a').allowed).to.be.true;
+    expect(limit.take('a').allowed).to.be.true;
+    expect(limit.check('a').allowed).to.be.false;
+    limit.take('b');
+    expect(limit.size).to.equal(2);
+
+    now = 1500;
+    expect(limit.check('c').allowed).to.be.true;
+    expect(limit.size).to.equal(0);
+  });
+
+  it('should validate chat requests', function() {
+    const ok = { room: 'table', messages: [{ role: 'user', content: 'Hi' }] };
+    expect(validateChatRequest(ok, isValidRoomName)).to.be.null;
+    expect(validateChatRequest({ ...ok, room: 'Bad Room' }, isValidRoomName)).to.equal('Invalid room name');
+    expect(validateChatRequest({ ...ok, messages: [] }, isValidRoomName)).to.include('messages');
+    expect(validateChatRequest({ ...ok, messages: [{ role: 'tool', content: 'x' }] }, isValidRoomName)).to.include('role');
+  });
+
+  it('should name uploaded audio after its format', function() {
+    expect(audioFileName('audio/webm;codecs=opus')).to.equal('recording.webm');
+    expect(audioFileName('audio/mpeg')).to.equal('recording.mp3');
+    expect(audioFileName('')).to.equal('recording.webm');
+  });
+
+  it('should total usage per room and persist it', function() {
+    const file = './test-usage/ai-usage.json';
+    rmSync('./test-usage', { recursive: true, force: true });
+    try {
+      const ledger = createUsageLedger(file);
+      ledger.record('table', { purpose: 'summary', promptTokens: 10, completionTokens: 5 });
+      ledger.record('table', { purpose: 'questions', promptTokens: 1, completionTokens: 2 });
+
+      const reloaded = createUsageLedger(file).get('table');
+      expect(reloaded).to.include({ requests: 2, promptTokens: 11, completionTokens: 7 });
+      expect(reloaded.byPurpose).to.deep.equal({ summary: 1, questions: 1 });
+    } finally {
+      rmSync('./test-usage', { recursive: true, force: true });
+    }
+  });
+});
+
+describe('AI proxy endpoints', function() {
+  const PORT = 9998;
+  const UPSTREAM_PORT = 9997;
+  const DATA_DIR = './test-data-ai';
+  const base = `http://localhost:${PORT}`;
+  let serverProcess;
+  let upstream;
+  let upstreamRequests = [];
+  let transcriptionRequests = [];
+  let embeddingRequests = [];
+
+  before(function(done) {
+    rmSync(DATA_DIR, { recursive: true, force: true });
+
+    // Fake OpenAI-compatible provider
+    upstream = createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url.endsWith('/audio/transcriptions')) {
+          transcriptionRequests.push({ headers: req.headers, body });
+          res.end(JSON.stringify({ text: 'We met the baron at dawn.' }));
+          return;
+        }
+        if (req.url.endsWith('/embeddings')) {
+          const parsed = JSON.parse(body);
+          embeddingRequests.push({ headers: req.headers, body: parsed });
+          // Out of order, as the API allows
+          res.end(JSON.stringify({
+            data: parsed.input.map((text, index) => ({ index, embedding: [text.length, index] })).reverse(),
+            usage: { prompt_tokens: 7 }
+          }));
+          return;
+        }
+        const parsed = JSON.parse(body);
+        upstreamRequests.push({ headers: req.headers, body: parsed });
+        if (parsed.stream && parsed.messages[0].content === 'Hang up') {
+          // Sends part of a reply and never finishes
+          res.setHeader('Content-Type', 'text/event-stream');
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Half a reply' } }] })}\n\n`);
+          return;
+        }
+        if (parsed.stream) {
+          res.setHeader('Content-Type', 'text/event-stream');
+          ['Streamed ', 'reply'].forEach((content) => res.write(`data: ${JSON.stringify({ choices: [{ delta: { content } }] })}\n\n`));
+          res.write(`data: ${JSON.stringify({ choices: [], usage: { prompt_tokens: 9, completion_tokens: 2 } })}\n\n`);
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+        res.end(JSON.stringify({
+          choices: [{ message: { content: 'Proxied reply' } }],
+          usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }));
+      });
+    });
+
+    upstream.listen(UPSTREAM_PORT, () => {
+      let isDone = false;
+      serverProcess = spawn('node', ['server.js', PORT], {
+        stdio: 'pipe',
+        env: {
+          ...process.env,
+          DATA_DIR,
+          AI_API_KEY: 'server-key',
+          AI_PROXY_TOKEN: 'table-secret',
+          AI_BASE_URL: `http://localhost:${UPSTREAM_PORT}/v1`,
+          AI_RATE_LIMIT: '2',
+          AI_GLOBAL_RATE_LIMIT: '12'
+        }
+      });
+      serverProcess.stdout.on('data', (data) => {
+        if (!isDone && data.toString().includes('HTTP server running')) {
+          isDone = true;
+          done();
+        }
+      });
+      setTimeout(() => {
+        if (!isDone) {
+          isDone = true;
+          done(new Error('Server failed to start'));
+        }
+      }, 5000);
+    });
+  });
+
+  after(function(done) {
+    // Wait for the server to exit so the next suite starts on a quiet machine
+    serverProcess.once('exit', () => {
+      rmSync(DATA_DIR, { recursive: true, force: true });
+      upstream.close(() => done());
+    });
+    serverProcess.kill();
+  });
+
+  const chat = (token, room = 'table', headers = {}) => fetch(`${base}/ai/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+    body: JSON.stringify({ room, messages: [{ role: 'user', content: 'Hello' }], purpose: 'summary', maxTokens: 50 })
+  });
+
+  it('should advertise the proxy without revealing the key', async function() {
+    const response = await fetch(`${base}/ai/status`);
+    const info = await response.json();
+    expect(info).to.deep.equal({ enabled: true, model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small' });
+  });
+
+  it('should reject requests without the access token', async function() {
+    expect((await chat(null)).status).to.equal(401);
+    expect((await chat('wrong')).status).to.equal(401);
+    expect(upstreamRequests).to.have.length(0);
+  });
+
+  it('should forward requests with the server key and record usage', async function() {
+    const response = await chat('table-secret');
+    const data = await response.json();
+
+    expect(response.status).to.equal(200);
+    expect(data.content).to.equal('Proxied reply');
+    expect(upstreamRequests[0].headers.authorization).to.equal('Bearer server-key');
+    expect(upstreamRequests[0].body).to.include({ model: 'gpt-4o-mini', max_tokens: 50 });
+
+    const usage = await (await fetch(`${base}/ai/usage/table`, { headers: { Authorization: 'Bearer table-secret' } })).json();
+    expect(usage).to.include({ requests: 1, promptTokens: 12, completionTokens: 3 });
+    expect(JSON.parse(readFileSync(`${DATA_DIR}/ai-usage.json`, 'utf8')).table.requests).to.equal(1);
+  });
+
+  it('should rate limit each room separately', async function() {
+    expect((await chat('table-secret')).status).to.equal(200);
+    const limited = await chat('table-secret');
+    expect(limited.status).to.equal(429);
+    expect(limited.headers.get('retry-after')).to.match(/^\d+$/);
+
+    expect((await chat('table-secret', 'other-table')).status).to.equal(200);
+  });
+
+  it('should relay streamed replies and record the usage they report', async function() {
+    const response = await fetch(`${base}/ai/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer table-secret' },
+      body: JSON.stringify({ room: 'stream-table', messages: [{ role: 'user', content: 'Hello' }], purpose: 'questions', stream: true })
+    });
+
+    expect(response.status).to.equal(200);
+    expect(response.headers.get('content-type')).to.match(/^text\/event-stream/);
+    const body = await response.text();
+    expect(body).to.include('"content":"Streamed "').and.include('data: [DONE]');
+    expect(upstreamRequests[upstreamRequests.length - 1].body).to.include({ stream: true });
+    expect(upstreamRequests[upstreamRequests.length - 1].body.stream_options).to.deep.equal({ include_usage: true });
+
+    const usage = await (await fetch(`${base}/ai/usage/stream-table`, { headers: { Authorization: 'Bearer table-secret' } })).json();
+    expect(usage).to.include({ requests: 1, promptTokens: 9, completionTokens: 2 });
+    expect(usage.byPurpose).to.deep.equal({ questions: 1 });
+  });
+
+  it('should estimate the usage of a stream the client left early', async function() {
+    const controller = new AbortController();
+    const response = await fetch(`${base}/ai/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer table-secret' },
+      body: JSON.stringify({ room: 'gone-table', messages: [{ role: 'user', content: 'Hang up' }], purpose: 'so-far', stream: true }),
+      signal: controller.signal
+    });
+    const reader = response.body.getReader();
+    await reader.read();
+    controller.abort();
+
+    let usage = null;
+    for (let i = 0; i < 50 && !(usage && usage.requests); i++) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      usage = await (await fetch(`${base}/ai/usage/gone-table`, { headers: { Authorization: 'Bearer table-secret' } })).json();
+    }
+    // 'Hang up' and 'Half a reply' at about four characters per token
+    expect(usage).to.include({ requests: 1, promptTokens: 2, completionTokens: 3 });
+    expect(usage.byPurpose).to.deep.equal({ 'so-far': 1 });
+  });
+
+  it('should forward audio for transcription as a multipart upload', async function() {
+    const transcribe = (token) => fetch(`${base}/ai/transcribe?room=voice-table`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'audio/ogg', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: new Uint8Array([1, 2, 3, 4])
+    });
+    expect((await transcribe(null)).status).to.equal(401);
+
+    const response = await transcribe('table-secret');
+    expect(response.status).to.equal(200);
+    expect(await response.json()).to.deep.equal({ text: 'We met the baron at dawn.', model: 'whisper-1' });
+    expect(transcriptionRequests[0].headers.authorization).to.equal('Bearer server-key');
+    expect(transcriptionRequests[0].headers['content-type']).to.match(/^multipart\/form-data/);
+    expect(transcriptionRequests[0].body).to.include('filename="recording.ogg"').and.include('whisper-1');
+
+    const usage = await (await fetch(`${base}/ai/usage/voice-table`, { headers: { Authorization: 'Bearer table-secret' } })).json();
+    expect(usage.byPurpose).to.deep.equal({ transcription: 1 });
+  });
+
+  it('should forward embedding requests in input order and record their tokens', async function() {
+    const embed = (token, input) => fetch(`${base}/ai/embeddings`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify({ room: 'index-table', input })
+    });
+    expect((await embed(null, ['Harbor'])).status).to.equal(401);
+    expect((await embed('table-secret', [])).status).to.equal(400);
+    expect((await embed('table-secret', ['Harbor', 42])).status).to.equal(400);
+
+    const response = await embed('table-secret', ['Harbor', 'The baron']);
+    expect(response.status).to.equal(200);
+    expect(await response.json()).to.deep.equal({
+      embeddings: [[6, 0], [9, 1]],
+      usage: { prompt_tokens: 7 },
+      model: 'text-embedding-3-small'
+    });
+    expect(embeddingRequests[0].headers.authorization).to.equal('Bearer server-key');
+    expect(embeddingRequests[0].body).to.deep.equal({ model: 'text-embedding-3-small', input: ['Harbor', 'The baron'] });
+
+    const usage = await (await fetch(`${base}/ai/usage/index-table`, { headers: { Authorization: 'Bearer table-secret' } })).json();
+    expect(usage).to.include({ requests: 1, promptTokens: 7 });
+    expect(usage.byPurpose).to.deep.equal({ embeddings: 1 });
+  });
+
+  it('should only serve claimed rooms to holders of their credential', async function() {
+    const claim = await fetch(`${base}/sync/room/guarded-table/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ passphrase: 'our secret table' })
+    });
+    expect(claim.status).to.equal(200);
+
+    const sent = upstreamRequests.length;
+    expect((await chat('table-secret', 'guarded-table')).status).to.equal(403);
+    expect((await chat('table-secret', 'guarded-table', { 'X-Room-Credential': 'wrong passphrase' })).status).to.equal(403);
+    expect(upstreamRequests).to.have.length(sent);
+    expect((await chat('table-secret', 'guarded-table', { 'X-Room-Credential': 'our secret table' })).status).to.equal(200);
+
+    const usage = (headers) => fetch(`${base}/ai/usage/guarded-table`, { headers: { Authorization: 'Bearer table-secret', ...headers } });
+    expect((await usage({})).status).to.equal(403);
+    expect(await (await usage({ 'X-Room-Credential': 'our secret table' })).json()).to.include({ requests: 1 });
+  });
+
+  it('should limit requests across rooms so made-up room names do not add up', async function() {
+    let status = 200;
+    for (let i = 0; i < 12 && status === 200; i++) {
+      status = (await chat('table-secret', `made-up-${i}`)).status;
+    }
+    expect(status).to.equal(429);
+  });
+});
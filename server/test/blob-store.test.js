@@ -0,0 +1,176 @@
+import { expect } from 'chai';
+import { spawn } from 'child_process';
+import { mkdirSync, rmSync, writeFileSync } from 'fs';
+
+import { createBlobStore, hashBlob, isBlobHash } from '../blob-store.js';
+
+describe('Blob store helpers', function() {
+  const DIR = './test-blobs';
+
+  afterEach(function() {
+    rmSync(DIR, { recursive: true, force: true });
+  });
+
+  it('should store data under its hash and refuse mismatches', function() {
+    const store = createBlobStore(DIR);
+    const data = Buffer.from('map of the Triboar Trail');
+    const hash = hashBlob(data);
+
+    expect(isBlobHash(hash)).to.be.true;
+    expect(store.write(hash, Buffer.from('something else'))).to.be.false;
+    expect(store.has(hash)).to.be.false;
+
+    expect(store.write(hash, data, 'table')).to.be.true;
+    expect(createBlobStore(DIR).read(hash).toString()).to.equal('map of the Triboar Trail');
+    expect(store.read('../../etc/passwd')).to.be.null;
+  });
+
+  it('should remember which rooms uploaded a file', function() {
+    const store = createBlobStore(DIR);
+    const data = Buffer.from('the baron\'s seal');
+    const hash = hashBlob(data);
+
+    store.write(hash, data, 'table');
+    expect(store.isOwnedBy(hash, 'table')).to.be.true;
+    expect(store.isOwnedBy(hash, 'other-table')).to.be.false;
+
+    store.write(hash, data, 'other-table');
+    expect(createBlobStore(DIR).isOwnedBy(hash, 'other-table')).to.be.true;
+    expect(store.isOwnedBy(hashBlob('never uploaded'), 'table')).to.be.false;
+  });
+
+  it('should count stored bytes in total and per room', function() {
+    const store = createBlobStore(DIR);
+    const seal = Buffer.from('the baron\'s seal');
+    const map = Buffer.from('map');
+    expect(store.getUsage('table')).to.deep.equal({ total: 0, room: 0 });
+
+    store.write(hashBlob(seal), seal, 'table');
+    store.write(hashBlob(seal), seal, 'other-table');
+    store.write(hashBlob(map), map, 'table');
+    expect(store.getUsage('table')).to.deep.equal({ total: 19, room: 19 });
+    expect(createBlobStore(DIR).getUsage('other-table')).to.deep.equal({ total: 19, room: 16 });
+  });
+});
+
+describe('Blob store endpoints', function() {
+  const PORT = 9994;
+  const DATA_DIR = './test-data-blobs';
+  const base = `http://localhost:${PORT}`;
+  const data = Buffer.from('a handout from the innkeeper');
+  const hash = hashBlob(data);
+  let serverProcess;
+
+  before(function(done) {
+    rmSync(DATA_DIR, { recursive: true, force: true });
+    // Journals that already hold data, as if a device had synced them
+    ['open-table', 'nosy-table', 'hoard-table', 'late-table'].forEach((room) => {
+      mkdirSync(`${DATA_DIR}/${room}`, { recursive: true });
+      writeFileSync(`${DATA_DIR}/${room}/CURRENT`, 'MANIFEST-000001\n');
+    });
+    let isDone = false;
+    serverProcess = spawn('node', ['server.js', PORT], {
+      stdio: 'pipe',
+      env: { ...process.env, DATA_DIR, BLOB_MAX_BYTES: '64', BLOB_ROOM_QUOTA_BYTES: '100', BLOB_QUOTA_BYTES: '150' }
+    });
+    serverProcess.stdout.on('data', (chunk) => {
+      if (!isDone && chunk.toString().includes('HTTP server running')) {
+        isDone = true;
+        done();
+      }
+    });
+    setTimeout(() => {
+      if (!isDone) {
+        isDone = true;
+        done(new Error('Server failed to start'));
+      }
+    }, 5000);
+  });
+
+  after(function(done) {
+    serverProcess.once('exit', () => {
+      rmSync(DATA_DIR, { recursive: true, force: true });
+      done();
+    });
+    serverProcess.kill();
+  });
+
+  const put = (path, body, token) => fetch(`${base}${path}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/octet-stream', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body
+  });
+
+  it('should store an upload once and serve it back', async function() {
+    expect((await put(`/blobs/open-table/${hash}`, data)).status).to.equal(201);
+    expect(await (await put(`/blobs/open-table/${hash}`, data)).json()).to.deep.equal({ hash, stored: false });
+
+    const response = await fetch(`${base}/blobs/open-table/${hash}`);
+    expect(response.status).to.equal(200);
+    expect(response.headers.get('cache-control')).to.include('immutable');
+    expect(Buffer.from(await response.arrayBuffer()).toString()).to.equal('a handout from the innkeeper');
+  });
+
+  it('should not serve a file to rooms that did not upload it', async function() {
+    expect((await fetch(`${base}/blobs/nosy-table/${hash}`)).status).to.equal(404);
+    // Uploading without the file does not make it theirs
+    expect((await put(`/blobs/nosy-table/${hash}`, Buffer.alloc(0))).status).to.equal(400);
+    expect((await fetch(`${base}/blobs/nosy-table/${hash}`)).status).to.equal(404);
+
+    expect(await (await put(`/blobs/nosy-table/${hash}`, data)).json()).to.deep.equal({ hash, stored: false });
+    expect((await fetch(`${base}/blobs/nosy-table/${hash}`)).status).to.equal(200);
+  });
+
+  it('should reject bad hashes, mismatched data and oversized uploads', async function() {
+    expect((await put('/blobs/open-table/not-a-hash', data)).status).to.equal(400);
+    expect((await put(`/blobs/open-table/${hashBlob('other')}`, data)).status).to.equal(400);
+    const big = Buffer.alloc(100, 1);
+    expect((await put(`/blobs/open-table/${hashBlob(big)}`, big)).status).to.equal(413);
+    expect((await fetch(`${base}/blobs/open-table/${hashBlob('never uploaded')}`)).status).to.equal(404);
+  });
+
+  it('should follow the access rules of claimed rooms', async function() {
+    await fetch(`${base}/sync/room/guarded-table/claim`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ passphrase: 'our secret table' })
+    });
+    expect((await put(`/blobs/guarded-table/${hash}`, data)).status).to.equal(401);
+    expect((await fetch(`${base}/blobs/guarded-table/${hash}`)).status).to.equal(401);
+
+    const tokenResponse = await fetch(`${base}/sync/room/guarded-table/tokens`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer our secret table' },
+      body: JSON.stringify({ access: 'read' })
+    });
+    const { token } = await tokenResponse.json();
+    expect((await put(`/blobs/guarded-table/${hash}`, data, token)).status).to.equal(401);
+    const read = () => fetch(`${base}/blobs/guarded-table/${hash}`, { headers: { Authorization: `Bearer ${token}` } });
+    // Uploaded by other rooms only, so not this room's to read
+    expect((await read()).status).to.equal(404);
+
+    expect((await put(`/blobs/guarded-table/${hash}`, data, 'our secret table')).status).to.equal(200);
+    expect((await read()).status).to.equal(200);
+  });
+
+  it('should only take uploads for journals that exist', async function() {
+    expect((await put(`/blobs/empty-table/${hash}`, data)).status).to.equal(404);
+    expect((await fetch(`${base}/blobs/empty-table/${hash}`)).status).to.equal(404);
+  });
+
+  it('should refuse uploads beyond the room and server quotas', async function() {
+    const handout = (fill) => Buffer.alloc(60, fill);
+    expect((await put(`/blobs/hoard-table/${hashBlob(handout(1))}`, handout(1))).status).to.equal(201);
+    const overRoom = await put(`/blobs/hoard-table/${hashBlob(handout(2))}`, handout(2));
+    expect(overRoom.status).to.equal(507);
+    expect((await overRoom.json()).error).to.include('This journal');
+
+    // 28 + 60 bytes are stored, so another 64 would pass the server's 150
+    const last = Buffer.alloc(64, 3);
+    const overServer = await put(`/blobs/late-table/${hashBlob(last)}`, last);
+    expect(overServer.status).to.equal(507);
+    expect((await overServer.json()).error).to.include('server');
+    // Files already on the server take no more space
+    expect((await put(`/blobs/late-table/${hashBlob(handout(1))}`, handout(1))).status).to.equal(200);
+  });
+});
@@ -0,0 +1,176 @@
+import { expect } from 'chai';
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { existsSync, readFileSync, rmSync } from 'fs';
+import { createHash } from 'crypto';
+
+import { createEncryptedRoomStore } from '../encrypted-relay.js';
+
+describe('Encrypted room store', function() {
+  const DIR = './test-e2e-store';
+
+  afterEach(function() {
+    rmSync(DIR, { recursive: true, force: true });
+  });
+
+  it('should append and reload ciphertext per room', function() {
+    const store = createEncryptedRoomStore(DIR);
+    expect(store.exists('table')).to.be.false;
+    store.append('table', 'AAAA');
+    store.append('table', 'BBBB');
+
+    const reloaded = createEncryptedRoomStore(DIR);
+    expect(reloaded.read('table')).to.deep.equal(['AAAA', 'BBBB']);
+    expect(reloaded.exists('other')).to.be.false;
+  });
+
+  it('should compact only the entries the snapshot replaces', function() {
+    const store = createEncryptedRoomStore(DIR);
+    ['AAAA', 'BBBB', 'CCCC'].forEach((data) => store.append('table', data));
+    expect(store.compact('table', 'SNAP', 2, store.getBase('table'))).to.equal(2);
+
+    expect(createEncryptedRoomStore(DIR).read('table')).to.deep.equal(['SNAP', 'CCCC']);
+  });
+
+  it('should refuse a snapshot of a log that was compacted or is shorter than it claims', function() {
+    const store = createEncryptedRoomStore(DIR);
+    ['AAAA', 'BBBB', 'CCCC'].forEach((data) => store.append('table', data));
+    const base = store.getBase('table');
+    expect(store.compact('table', 'SNAP', 4, base)).to.be.null;
+    expect(store.compact('table', 'SNAP', 3, base)).to.equal(1);
+    store.append('table', 'DDDD');
+    store.append('table', 'EEEE');
+
+    expect(store.compact('table', 'LATE', 3, base)).to.be.null;
+    expect(createEncryptedRoomStore(DIR).read('table')).to.deep.equal(['SNAP', 'DDDD', 'EEEE']);
+  });
+});
+
+describe('Encrypted room relay', function() {
+  const PORT = 9995;
+  const DATA_DIR = './test-data-e2e';
+  const base = `http://localhost:${PORT}`;
+  let serverProcess;
+
+  before(function(done) {
+    rmSync(DATA_DIR, { recursive: true, force: true });
+    let isDone = false;
+    serverProcess = spawn('node', ['server.js', PORT], { stdio: 'pipe', env: { ...process.env, DATA_DIR } });
+    serverProcess.stdout.on('data', (data) => {
+      if (!isDone && data.toString().includes('HTTP server running')) {
+        isDone = true;
+        done();
+      }
+    });
+    setTimeout(() => {
+      if (!isDone) {
+        isDone = true;
+        done(new Error('Server failed to start'));
+      }
+    }, 5000);
+  });
+
+  after(function(done) {
+    serverProcess.once('exit', () => {
+      rmSync(DATA_DIR, { recursive: true, force: true });
+      done();
+    });
+    serverProcess.kill();
+  });
+
+  // Resolves with the socket and its first (history) message; later messages are collected in `messages`
+  const join = (room, query = '') => new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws/e2e/${room}${query}`);
+    const messages = [];
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      if (message.type === 'history') {
+        resolve({ ws, history: message.updates, base: message.base, messages });
+      } else {
+        messages.push(message);
+      }
+    });
+    ws.on('error', reject);
+  });
+
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  it('should store ciphertext and relay it to other devices', async function() {
+    const first = await join('sealed-room');
+    const second = await join('sealed-room');
+    expect(first.history).to.deep.equal([]);
+
+    first.ws.send(JSON.stringify({ type: 'update', data: 'c2VhbGVk' }));
+    await wait(200);
+    expect(second.messages).to.deep.equal([{ type: 'update', data: 'c2VhbGVk' }]);
+    expect(first.messages).to.deep.equal([]);
+
+    const third = await join('sealed-room');
+    expect(third.history).to.deep.equal(['c2VhbGVk']);
+    [first, second, third].forEach(({ ws }) => ws.close());
+
+    expect(readFileSync(`${DATA_DIR}/e2e/sealed-room.log`, 'utf8')).to.equal('c2VhbGVk\n');
+    expect(existsSync(`${DATA_DIR}/sealed-room`)).to.be.false;
+  });
+
+  it('should ignore anything that is not ciphertext', async function() {
+    const client = await join('sealed-room');
+    client.ws.send(JSON.stringify({ type: 'update', data: '<plain text>' }));
+    client.ws.send('not json');
+    await wait(200);
+    client.ws.close();
+
+    expect((await join('sealed-room')).history).to.deep.equal(['c2VhbGVk']);
+  });
+
+  it('should flag encrypted rooms in the status endpoint without revealing that they exist', async function() {
+    const status = await (await fetch(`${base}/sync/room/sealed-room/status`)).json();
+    expect(status).to.deep.equal({ exists: false, encrypted: true });
+  });
+
+  it('should not let read-only tokens write to encrypted rooms', async function() {
+    const post = (path, body, token) => fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+      body: JSON.stringify(body)
+    });
+    // Claiming a room with data takes the hash of a stored entry, which only devices that synced it have
+    expect((await post('/sync/room/sealed-room/claim', { passphrase: 'our secret table' })).status).to.equal(403);
+    const ciphertextHash = createHash('sha256').update('c2VhbGVk').digest('hex');
+    expect((await post('/sync/room/sealed-room/claim', { passphrase: 'our secret table', proof: { ciphertextHash } })).status).to.equal(200);
+    const { token } = await (await post('/sync/room/sealed-room/tokens', { access: 'read' }, 'our secret table')).json();
+
+    const reader = await join('sealed-room', `?auth=${token}`);
+    reader.ws.send(JSON.stringify({ type: 'update', data: 'cmVhZGVy' }));
+    await wait(200);
+    reader.ws.close();
+
+    const owner = await join('sealed-room', `?auth=${encodeURIComponent('our secret table')}`);
+    expect(owner.history).to.deep.equal(['c2VhbGVk']);
+    owner.ws.close();
+  });
+
+  it('should keep updates sent after a compaction when another device compacts the same history', async function() {
+    const writer = await join('busy-log');
+    ['QUFBQQ==', 'QkJCQg==', 'Q0NDQw=='].forEach((data) => writer.ws.send(JSON.stringify({ type: 'update', data })));
+    await wait(200);
+
+    const first = await join('busy-log');
+    const second = await join('busy-log');
+    expect(second.base).to.equal(first.base).and.to.be.a('string').that.is.not.empty;
+
+    first.ws.send(JSON.stringify({ type: 'compact', data: 'Rklyc3Q=', replaces: 3, base: first.base }));
+    await wait(200);
+    writer.ws.send(JSON.stringify({ type: 'update', data: 'TGF0ZQ==' }));
+    writer.ws.send(JSON.stringify({ type: 'update', data: 'TGF0ZXI=' }));
+    await wait(200);
+    second.ws.send(JSON.stringify({ type: 'compact', data: 'U2Vjb25k', replaces: 3, base: second.base }));
+    await wait(200);
+    [writer, first, second].forEach(({ ws }) => ws.close());
+
+    const after = await join('busy-log');
+    expect(after.history).to.deep.equal(['Rklyc3Q=', 'TGF0ZQ==', 'TGF0ZXI=']);
+    expect(after.base).to.not.equal(first.base);
+    after.ws.close();
+  });
+});
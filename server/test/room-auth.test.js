@@ -0,0 +1,242 @@
+import { expect } from 'chai';
+import WebSocket from 'ws';
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { rmSync } from 'fs';
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+
+import { createRoomAuthStore, createAttemptLimiter, parseConnectionUrl, isWriteMessage, makeReadOnly } from '../room-auth.js';
+
+describe('Room auth helpers', function() {
+  const FILE = './test-room-auth/room-auth.json';
+
+  afterEach(function() {
+    rmSync('./test-room-auth', { recursive: true, force: true });
+  });
+
+  it('should leave unclaimed rooms open and protect claimed ones', function() {
+    const store = createRoomAuthStore(FILE);
+    expect(store.getAccess('table', '')).to.equal('write');
+
+    expect(store.claim('table', 'correct horse')).to.be.true;
+    expect(store.getAccess('table', '')).to.be.null;
+    expect(store.getAccess('table', 'wrong guess')).to.be.null;
+    expect(store.getAccess('table', 'correct horse')).to.equal('write');
+    expect(store.claim('table', 'another passphrase')).to.be.false;
+  });
+
+  it('should lock a client out of a room after repeated wrong credentials', function() {
+    let now = 0;
+    const store = createRoomAuthStore(FILE, { attempts: createAttemptLimiter({ limit: 2, windowMs: 1000, now: () => now }) });
+    store.claim('table', 'correct horse');
+
+    expect(store.getAccess('table', 'guess one', '10.0.0.9')).to.be.null;
+    expect(store.getAccess('table', 'guess two', '10.0.0.9')).to.be.null;
+    expect(store.getAccess('table', 'correct horse', '10.0.0.9')).to.be.null;
+    // Other addresses are not affected
+    expect(store.getAccess('table', 'correct horse', '10.0.0.7')).to.equal('write');
+
+    now = 1000;
+    expect(store.getAccess('table', 'correct horse', '10.0.0.9')).to.equal('write');
+  });
+
+  it('should forget failed attempts once their window is over', function() {
+    let now = 0;
+    const attempts = createAttemptLimiter({ limit: 5, windowMs: 1000, now: () => now });
+    attempts.fail('table 10.0.0.1');
+    attempts.fail('table 10.0.0.2');
+    expect(attempts.size).to.equal(2);
+    now = 1000;
+    attempts.fail('table 10.0.0.3');
+    expect(attempts.size).to.equal(1);
+  });
+
+  it('should issue, persist and revoke invite tokens', function() {
+    const store = createRoomAuthStore(FILE);
+    store.claim('table', 'correct horse');
+    const dm = store.createToken('table', 'read', 'DM');
+
+    const reloaded = createRoomAuthStore(FILE);
+    expect(reloaded.getAccess('table', dm.token)).to.equal('read');
+    expect(reloaded.listTokens('table')).to.deep.equal([{ id: dm.id, access: 'read', label: 'DM', createdAt: dm.createdAt }]);
+    expect(JSON.stringify(reloaded.listTokens('table'))).to.not.include(dm.token);
+
+    expect(reloaded.revokeToken('table', dm.id)).to.be.true;
+    expect(reloaded.getAccess('table', dm.token)).to.be.null;
+  });
+
+  it('should parse room and credential from connection URLs', function() {
+    expect(parseConnectionUrl('/My-Room?auth=abc')).to.deep.equal({ room: 'my-room', credential: 'abc', encrypted: false });
+    expect(parseConnectionUrl('/?room=x')).to.deep.equal({ room: '', credential: '', encrypted: false });
+    expect(parseConnectionUrl('/e2e/my-room')).to.deep.equal({ room: 'my-room', credential: '', encrypted: true });
+  });
+
+  it('should drop only document writes on read-only connections', function() {
+    const ws = makeReadOnly(new EventEmitter());
+    const received = [];
+    ws.on('message', (data) => received.push(Array.from(data)));
+
+    ws.emit('message', new Uint8Array([0, 0, 1]));  // sync step 1 (read)
+    ws.emit('message', new Uint8Array([0, 1, 1]));  // sync step 2 (write)
+    ws.emit('message', new Uint8Array([0, 2, 1]));  // update (write)
+    ws.emit('message', new Uint8Array([1, 5]));     // awareness
+
+    expect(received).to.deep.equal([[0, 0, 1], [1, 5]]);
+    expect(isWriteMessage(new Uint8Array([0, 2]))).to.be.true;
+  });
+});
+
+describe('Room auth endpoints', function() {
+  const PORT = 9996;
+  const DATA_DIR = './test-data-auth';
+  const base = `http://localhost:${PORT}`;
+  let serverProcess;
+
+  before(function(done) {
+    rmSync(DATA_DIR, { recursive: true, force: true });
+    let isDone = false;
+    serverProcess = spawn('node', ['server.js', PORT], { stdio: 'pipe', env: { ...process.env, DATA_DIR, ROOM_ADMIN_TOKEN: 'operator-secret' } });
+    serverProcess.stdout.on('data', (data) => {
+      if (!isDone && data.toString().includes('HTTP server running')) {
+        isDone = true;
+        done();
+      }
+    });
+    setTimeout(() => {
+      if (!isDone) {
+        isDone = true;
+        done(new Error('Server failed to start'));
+      }
+    }, 5000);
+  });
+
+  after(function(done) {
+    serverProcess.once('exit', () => {
+      rmSync(DATA_DIR, { recursive: true, force: true });
+      done();
+    });
+    serverProcess.kill();
+  });
+
+  const post = (path, body, token) => fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: JSON.stringify(body)
+  });
+
+  // Rejected connections are closed right after the handshake, so give the server a moment
+  const connect = (query = '') => new Promise((resolve) => {
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws/guarded-room${query}`);
+    ws.on('open', () => setTimeout(() => { resolve('open'); ws.close(); }, 200));
+    ws.on('close', (code) => resolve(code));
+    ws.on('error', () => resolve('error'));
+  });
+
+  it('should claim a room and reject short passphrases', async function() {
+    expect((await post('/sync/room/guarded-room/claim', { passphrase: 'short' })).status).to.equal(400);
+    expect((await post('/sync/room/guarded-room/claim', { passphrase: 'our secret table' })).status).to.equal(200);
+    expect((await post('/sync/room/guarded-room/claim', { passphrase: 'someone else' })).status).to.equal(401);
+  });
+
+  it('should not reveal claimed rooms in the status endpoint', async function() {
+    const anonymous = await (await fetch(`${base}/sync/room/guarded-room/status`)).json();
+    const missing = await (await fetch(`${base}/sync/room/never-created/status`)).json();
+    expect(anonymous).to.deep.equal(missing);
+
+    const owner = await (await fetch(`${base}/sync/room/guarded-room/status`, {
+      headers: { Authorization: 'Bearer our secret table' }
+    })).json();
+    expect(owner).to.include({ protected: true, access: 'write' });
+  });
+
+  it('should check credentials during the WebSocket upgrade', async function() {
+    expect(await connect()).to.equal(4401);
+    expect(await connect('?auth=nope')).to.equal(4401);
+    expect(await connect(`?auth=${encodeURIComponent('our secret table')}`)).to.equal('open');
+  });
+
+  it('should let the passphrase holder create read-only invite tokens', async function() {
+    expect((await post('/sync/room/guarded-room/tokens', { access: 'read' })).status).to.equal(401);
+
+    const response = await post('/sync/room/guarded-room/tokens', { access: 'read', label: 'DM' }, 'our secret table');
+    const { token, access } = await response.json();
+    expect(response.status).to.equal(201);
+    expect(access).to.equal('read');
+
+    expect(await connect(`?auth=${token}`)).to.equal('open');
+    // Read-only tokens cannot mint new tokens
+    expect((await post('/sync/room/guarded-room/tokens', { access: 'write' }, token)).status).to.equal(401);
+  });
+
+  it('should disconnect devices that joined with a revoked token', async function() {
+    const { id, token } = await (await post('/sync/room/guarded-room/tokens', { access: 'write', label: 'Lost phone' }, 'our secret table')).json();
+    const ws = new WebSocket(`ws://localhost:${PORT}/ws/guarded-room?auth=${token}`);
+    await new Promise((resolve) => ws.on('open', resolve));
+    const closed = new Promise((resolve) => ws.on('close', (code) => resolve(code)));
+
+    const revoked = await fetch(`${base}/sync/room/guarded-room/tokens/${id}`, {
+      method: 'DELETE',
+      headers: { Authorization: 'Bearer our secret table' }
+    });
+    expect(revoked.status).to.equal(204);
+    expect(await closed).to.equal(4401);
+    expect(await connect(`?auth=${token}`)).to.equal(4401);
+  });
+
+  it('should lock out clients that keep guessing', async function() {
+    await post('/sync/room/locked-room/claim', { passphrase: 'our secret table' });
+    for (let i = 0; i < 10; i++) {
+      expect((await post('/sync/room/locked-room/claim', { passphrase: `guess number ${i}` })).status).to.equal(401);
+    }
+    expect((await post('/sync/room/locked-room/claim', { passphrase: 'our secret table' })).status).to.equal(429);
+    expect((await fetch(`${base}/sync/room/locked-room/status`, { headers: { Authorization: 'Bearer our secret table' } })).status).to.equal(429);
+  });
+
+  describe('rooms that already hold data', function() {
+    let doc;
+    let provider;
+
+    before(function(done) {
+      doc = new Y.Doc();
+      doc.getArray('journal').push([{ id: 'e1', content: 'We found the lost mine.' }]);
+      provider = new WebsocketProvider(`ws://localhost:${PORT}/ws`, 'busy-room', doc, { WebSocketPolyfill: WebSocket });
+      provider.on('sync', (synced) => {
+        if (synced) setTimeout(done, 100);
+      });
+    });
+
+    after(function() {
+      provider.destroy();
+      doc.destroy();
+    });
+
+    const stateVector = (ydoc) => Buffer.from(Y.encodeStateVector(ydoc)).toString('base64');
+
+    it('should not tell anyone that an unclaimed room exists', async function() {
+      const status = await (await fetch(`${base}/sync/room/busy-room/status`)).json();
+      expect(status).to.deep.equal({ exists: false });
+    });
+
+    it('should only let devices that synced the room claim it', async function() {
+      expect((await post('/sync/room/busy-room/claim', { passphrase: 'name guessers' })).status).to.equal(403);
+      const stranger = new Y.Doc();
+      expect((await post('/sync/room/busy-room/claim', { passphrase: 'name guessers', proof: { stateVector: stateVector(stranger) } })).status).to.equal(403);
+
+      const response = await post('/sync/room/busy-room/claim', { passphrase: 'the real party', proof: { stateVector: stateVector(doc) } });
+      expect(response.status).to.equal(200);
+    });
+
+    it('should let the operator claim a room on behalf of its players', async function() {
+      doc.getArray('journal').push([{ id: 'e2', content: 'Another room, same mine.' }]);
+      const other = new WebsocketProvider(`ws://localhost:${PORT}/ws`, 'busy-room-two', doc, { WebSocketPolyfill: WebSocket });
+      await new Promise((resolve) => other.on('sync', (synced) => synced && setTimeout(resolve, 100)));
+      try {
+        expect((await post('/sync/room/busy-room-two/claim', { passphrase: 'the real party' })).status).to.equal(403);
+        expect((await post('/sync/room/busy-room-two/claim', { passphrase: 'the real party' }, 'operator-secret')).status).to.equal(200);
+      } finally {
+        other.destroy();
+      }
+    });
+  });
+});
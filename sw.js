@@ -14,6 +14,9 @@ const getVersionFromUrl = () => {
 
 const CACHE_VERSION = getVersionFromUrl();
 const CACHE_NAME = `app-cache-${CACHE_VERSION}`;
+// Entry attachments stored on the sync server (see js/attachment-files.js). Their URLs name
+// their content, so this cache survives app updates.
+const ATTACHMENT_CACHE = 'journal-attachments';
 
 // Precache only first-party app shell assets. Third-party (e.g., Google Fonts) are not precached.
 const PRECACHE_ASSETS = [
@@ -21,6 +24,8 @@ const PRECACHE_ASSETS = [
 	'/index.html',
 	'/chronicle.html',
 	'/part.html',
+	'/codex.html',
+	'/chat.html',
 	'/character.html',
 	'/settings.html',
 	'/manifest.json',
@@ -30,13 +35,35 @@ const PRECACHE_ASSETS = [
 	'/css/components/tabs.css',
 	'/css/components/ai-prompt.css',
 	'/css/components/character-form.css',
+	'/css/components/character-sheet.css',
+	'/css/components/character-timeline.css',
+	'/css/components/chat.css',
 	'/css/components/settings.css',
 	'/css/components/sync-status.css',
 	// JS entry points and core modules
 	'/js/journal.js',
 	'/js/chronicle.js',
 	'/js/part.js',
+	'/js/codex.js',
+	'/js/wiki.js',
+	'/js/wiki-links.js',
+	'/js/attachments.js',
+	'/js/attachment-files.js',
+	'/js/dictation.js',
+	'/js/chat.js',
+	'/js/chat-state.js',
+	'/js/ai-usage-state.js',
+	'/js/ai-usage.js',
+	'/js/ai-jobs.js',
+	'/js/ai-jobs-state.js',
+	'/js/yjs-origins.js',
+	'/js/ai-queue.js',
+	'/js/chat-prompt.js',
 	'/js/character.js',
+	'/js/character-sheet.js',
+	'/js/character-sheet-state.js',
+	'/js/character-changes.js',
+	'/js/character-timeline.js',
 	'/js/settings.js',
 	'/js/journal-views.js',
 	'/js/character-views.js',
@@ -45,6 +72,7 @@ const PRECACHE_ASSETS = [
 	'/js/ai.js',
 	'/js/summarization.js',
 	'/js/context.js',
+	'/js/embeddings.js',
 	'/js/yjs.js',
 	'/js/version.js'
 ];
@@ -62,7 +90,7 @@ self.addEventListener('activate', (event) => {
 		caches.keys().then((keys) =>
 			Promise.all(
 				keys
-					.filter((key) => key !== CACHE_NAME)
+					.filter((key) => key !== CACHE_NAME && key !== ATTACHMENT_CACHE)
 					.map((key) => caches.delete(key))
 			)
 		)
@@ -107,6 +135,22 @@ self.addEventListener('fetch', (event) => {
 		return;
 	}
 
+	// Attachments: cache-first, and kept for offline use once fetched
+	if (isSameOrigin(request) && new URL(request.url).pathname.startsWith('/blobs/')) {
+		event.respondWith(
+			caches.open(ATTACHMENT_CACHE).then((cache) =>
+				cache.match(request).then((cached) => {
+					if (cached) return cached;
+					return fetch(request).then((response) => {
+						if (response.ok) cache.put(request, response.clone());
+						return response;
+					});
+				})
+			)
+		);
+		return;
+	}
+
 	// Static assets: prefer fresh JS/CSS (network-first), cache-first for others
 	if (isSameOrigin(request)) {
 		const destination = request.destination;
@@ -0,0 +1,267 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import { enqueueAIJob, runAIJobs, retryFailedAIJobs, defineAIJob } from '../js/ai-queue.js';
+import { maybeCloseOpenPart, getPartJobId, SO_FAR_JOB_ID, RECENT_JOB_ID, backfillPartsIfMissing } from '../js/parts.js';
+import { queueMissingEntryTitles, getEntryTitleJobId } from '../js/summarization.js';
+import { getNextWakeUp, getRetryDelay, JOB_LEASE_MS, RETRY_BASE_MS, RETRY_MAX_MS, MAX_ATTEMPTS } from '../js/ai-jobs.js';
+import { renderAIJobsStatus } from '../js/components/ai-jobs-status.js';
+import { renderSoFar } from '../js/chronicle-views.js';
+
+describe('AI Jobs', function() {
+  let state;
+  const originalFetch = global.fetch;
+
+  const rateLimited = (retryAfter = null) => {
+    global.fetch = async () => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: { get: (name) => (name === 'Retry-After' ? retryAfter : null) },
+      json: async () => ({ error: { message: 'Rate limit reached' } })
+    });
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="ai-jobs-status"></div><div id="so-far-content"></div></body></html>', { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    YjsModule.setSetting(state, 'ai-provider', 'mock');
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    YjsModule.resetYjs();
+  });
+
+  describe('queue', function() {
+    it('should keep one job per result and skip jobs another device holds', async function() {
+      const runs = [];
+      defineAIJob('test-job', async (s, job) => { runs.push(job.id); });
+
+      enqueueAIJob(state, { id: 'test:1', type: 'test-job' });
+      enqueueAIJob(state, { id: 'test:1', type: 'test-job' });
+      YjsModule.setAIJob(state, {
+        ...YjsModule.getAIJob(state, 'test:1'),
+        id: 'test:2',
+        createdAt: 0,
+        status: 'running',
+        lease: { owner: 'device-other', until: Date.now() + JOB_LEASE_MS }
+      });
+      expect(YjsModule.getAIJobs(state)).to.have.length(2);
+
+      expect(await runAIJobs(state)).to.equal(1);
+      expect(runs).to.deep.equal(['test:1']);
+      expect(YjsModule.getAIJobs(state).map(job => job.id)).to.deep.equal(['test:2']);
+      expect(getNextWakeUp(YjsModule.getAIJobs(state))).to.equal(YjsModule.getAIJob(state, 'test:2').lease.until);
+
+      // The other device went away mid-job: its lease runs out and this device takes over
+      YjsModule.setAIJob(state, { ...YjsModule.getAIJob(state, 'test:2'), lease: { owner: 'device-other', until: Date.now() - 1 } });
+      await runAIJobs(state);
+      expect(runs).to.deep.equal(['test:1', 'test:2']);
+      expect(YjsModule.getAIJobs(state)).to.deep.equal([]);
+    });
+
+    it('should renew the lease while a job streams', async function() {
+      let renewedUntil = null;
+      defineAIJob('test-stream', async (s, job, onProgress) => {
+        // Most of the lease has gone by, e.g. in a long stream
+        YjsModule.setAIJob(state, { ...YjsModule.getAIJob(state, job.id), lease: { ...job.lease, until: Date.now() + 1000 } });
+        onProgress('Once upon');
+        renewedUntil = YjsModule.getAIJob(state, job.id).lease.until;
+      });
+      enqueueAIJob(state, { id: 'test:stream', type: 'test-stream' });
+
+      const before = Date.now();
+      await runAIJobs(state);
+      expect(renewedUntil).to.be.at.least(before + JOB_LEASE_MS);
+    });
+
+    it('should not write the result of a job another device took over', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'openai');
+      YjsModule.setSetting(state, 'openai-api-key', 'sk-test');
+      YjsModule.addEntry(state, { id: 'e1', content: 'The lighthouse keeper swore he saw the drowned ship return.', timestamp: 1 });
+      queueMissingEntryTitles(state);
+      const jobId = getEntryTitleJobId('e1');
+      global.fetch = async () => {
+        // This device's lease ran out mid-request and another device claimed the job
+        YjsModule.setAIJob(state, { ...YjsModule.getAIJob(state, jobId), lease: { owner: 'device-other', until: Date.now() + JOB_LEASE_MS } });
+        return { ok: true, status: 200, json: async () => ({ choices: [{ message: { content: '{"title":"Late","subtitle":"In which it is too late"}' } }] }) };
+      };
+
+      await runAIJobs(state);
+      expect(YjsModule.getSummary(state, 'entry:e1')).to.not.be.ok;
+      expect(YjsModule.getAIJob(state, jobId).lease.owner).to.equal('device-other');
+    });
+
+    it('should wait while AI is off', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'We met the ferryman at dusk and paid him in old coins.', timestamp: 1 });
+      queueMissingEntryTitles(state);
+      YjsModule.setSetting(state, 'ai-enabled', false);
+      queueMissingEntryTitles(state);
+      expect(await runAIJobs(state)).to.equal(0);
+      expect(YjsModule.getAIJobs(state).map(job => job.id)).to.deep.equal([getEntryTitleJobId('e1')]);
+
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      await runAIJobs(state);
+      expect(YjsModule.getAIJobs(state)).to.deep.equal([]);
+      expect(JSON.parse(YjsModule.getSummary(state, 'entry:e1')).title).to.equal('We met the ferryman at dusk');
+    });
+  });
+
+  describe('retries', function() {
+    it('should back off on rate limits and fail on other errors until retried', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'openai');
+      YjsModule.setSetting(state, 'openai-api-key', 'sk-test');
+      YjsModule.addEntry(state, { id: 'e1', content: 'The bridge collapsed behind us as the goblins gave chase.', timestamp: 1 });
+      queueMissingEntryTitles(state);
+      const jobId = getEntryTitleJobId('e1');
+
+      rateLimited();
+      const before = Date.now();
+      await runAIJobs(state);
+      let job = YjsModule.getAIJob(state, jobId);
+      expect(job).to.include({ status: 'retrying', attempts: 1, lease: null });
+      expect(job.error).to.include('429');
+      expect(job.runAfter).to.be.at.least(before + RETRY_BASE_MS);
+      // Not due yet, so a second pass leaves it alone
+      expect(await runAIJobs(state)).to.equal(0);
+
+      rateLimited('120');
+      YjsModule.setAIJob(state, { ...job, runAfter: 0 });
+      await runAIJobs(state);
+      job = YjsModule.getAIJob(state, jobId);
+      expect(job.attempts).to.equal(2);
+      expect(job.runAfter - job.updatedAt).to.equal(120 * 1000);
+
+      expect(getRetryDelay(1)).to.equal(RETRY_BASE_MS);
+      expect(getRetryDelay(3)).to.equal(4 * RETRY_BASE_MS);
+      expect(getRetryDelay(20)).to.equal(RETRY_MAX_MS);
+
+      // Out of attempts
+      YjsModule.setAIJob(state, { ...job, attempts: MAX_ATTEMPTS - 1, runAfter: 0 });
+      await runAIJobs(state);
+      expect(YjsModule.getAIJob(state, jobId).status).to.equal('failed');
+
+      // Failed jobs are not queued again by the page, only by an explicit retry
+      queueMissingEntryTitles(state);
+      expect(YjsModule.getAIJob(state, jobId).status).to.equal('failed');
+      global.fetch = async () => ({ ok: true, status: 200, json: async () => ({ choices: [{ message: { content: '{"title":"The Bridge","subtitle":"In which it falls"}' } }] }) });
+      retryFailedAIJobs(state);
+      expect(YjsModule.getAIJob(state, jobId)).to.include({ status: 'queued', attempts: 0 });
+      await runAIJobs(state);
+      expect(YjsModule.getAIJob(state, jobId)).to.equal(null);
+      expect(JSON.parse(YjsModule.getSummary(state, 'entry:e1')).title).to.equal('The Bridge');
+    });
+
+    it('should fail at once on errors a retry would not fix', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'openai');
+      YjsModule.setSetting(state, 'openai-api-key', 'sk-test');
+      YjsModule.addEntry(state, { id: 'e1', content: 'A quiet night at the inn, with songs and too much ale.', timestamp: 1 });
+      global.fetch = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({}) });
+      queueMissingEntryTitles(state);
+      await runAIJobs(state);
+      expect(YjsModule.getAIJob(state, getEntryTitleJobId('e1'))).to.include({ status: 'failed', attempts: 1 });
+    });
+  });
+
+  describe('chronicle', function() {
+    it('should queue part summaries when a part closes and write them from the queue', async function() {
+      for (let i = 1; i <= 3; i++) {
+        YjsModule.addEntry(state, { id: `e${i}`, content: `Day ${i} of the march through the Mistwood.`, timestamp: i });
+      }
+      expect(await maybeCloseOpenPart(state, 2)).to.equal(true);
+
+      const part = YjsModule.getChroniclePartsMap(state).get('1');
+      expect(part.get('summary')).to.equal('');
+      expect(YjsModule.getAIJobs(state).map(job => job.id)).to.have.members([getPartJobId(1), SO_FAR_JOB_ID]);
+      expect(YjsModule.getAIJob(state, SO_FAR_JOB_ID).after).to.deep.equal([getPartJobId(1)]);
+
+      // Nothing is queued twice when every page backfills on each change
+      await backfillPartsIfMissing(state, 2);
+      await backfillPartsIfMissing(state, 2);
+      expect(YjsModule.getAIJobs(state).map(job => job.id)).to.have.members([getPartJobId(1), SO_FAR_JOB_ID, RECENT_JOB_ID]);
+
+      expect(await runAIJobs(state)).to.equal(3);
+      expect(part.get('summary')).to.include('march through the Mistwood');
+      expect(part.get('title')).to.be.a('string').and.not.equal('');
+      expect(YjsModule.ensureChronicleStructure(state).get('soFarSummary')).to.include('march through the Mistwood');
+      expect(YjsModule.ensureChronicleStructure(state).get('recentSummary')).to.include('Day 3 of the march');
+      expect(YjsModule.getAIJobs(state)).to.deep.equal([]);
+    });
+
+    it('should queue again parts left with the old placeholder', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'We left the city.', timestamp: 1 });
+      YjsModule.addEntry(state, { id: 'e2', content: 'We reached the coast.', timestamp: 2 });
+      YjsModule.setChroniclePartEntries(state, 1, ['e1', 'e2']);
+      YjsModule.setChroniclePartSummary(state, 1, 'Generating summary...');
+      YjsModule.setChronicleLatestPartIndex(state, 1);
+
+      await backfillPartsIfMissing(state, 2);
+      expect(YjsModule.getAIJob(state, getPartJobId(1))).to.include({ status: 'queued' });
+    });
+  });
+
+  describe('status', function() {
+    it('should show the queue in the header and job states in place of summaries', function() {
+      const now = Date.now();
+      const jobs = [
+        { id: 'so-far', type: 'so-far', status: 'queued', after: ['part-summary:1'], createdAt: 1 },
+        { id: 'part-summary:1', type: 'part-summary', args: { partIndex: 1 }, status: 'retrying', runAfter: now + 60000, createdAt: 2 },
+        { id: 'entry-title:e1', type: 'entry-title', args: { entryId: 'e1' }, status: 'failed', error: 'HTTP 401: Unauthorized', createdAt: 3 }
+      ];
+      let retried = false;
+      const container = document.getElementById('ai-jobs-status');
+      renderAIJobsStatus(container, jobs, { now, onRetry: () => { retried = true; } });
+
+      expect(container.classList.contains('is-hidden')).to.equal(false);
+      expect(container.textContent).to.include('AI: 1 queued · 1 retrying at').and.include('1 failed');
+      expect(container.title).to.include('Part 1 summary: Rate limited, retrying at');
+      expect(container.title).to.include('Entry title: Failed: HTTP 401: Unauthorized');
+      container.querySelector('.ai-jobs-status__retry').click();
+      expect(retried).to.equal(true);
+
+      renderAIJobsStatus(container, []);
+      expect(container.classList.contains('is-hidden')).to.equal(true);
+
+      const soFar = document.getElementById('so-far-content');
+      renderSoFar(soFar, '', jobs[0]);
+      expect(soFar.textContent).to.equal('Queued, waiting for earlier summaries');
+      renderSoFar(soFar, 'The story so far.', null);
+      expect(soFar.querySelector('.ai-job-state')).to.equal(null);
+      expect(soFar.textContent).to.include('The story so far.');
+    });
+
+    it('should show summaries stuck behind a failed one and run them once it is retried', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'openai');
+      YjsModule.setSetting(state, 'openai-api-key', 'sk-test');
+      global.fetch = async () => ({ ok: false, status: 401, statusText: 'Unauthorized', json: async () => ({}) });
+      for (let i = 1; i <= 3; i++) {
+        YjsModule.addEntry(state, { id: `e${i}`, content: `Day ${i} on the road to Phandalin, with wolves at night.`, timestamp: i });
+      }
+      await maybeCloseOpenPart(state, 2);
+      await runAIJobs(state);
+
+      const jobs = YjsModule.getAIJobs(state).filter(job => job.type !== 'entry-title');
+      expect(YjsModule.getAIJob(state, getPartJobId(1)).status).to.equal('failed');
+      const container = document.getElementById('ai-jobs-status');
+      renderAIJobsStatus(container, jobs, { onRetry: () => {} });
+      expect(container.textContent).to.include('1 failed · 1 blocked');
+      expect(container.title).to.include('Adventure so far: Waiting on Part 1 summary, which failed');
+      const soFar = document.getElementById('so-far-content');
+      renderSoFar(soFar, '', YjsModule.getAIJob(state, SO_FAR_JOB_ID), jobs);
+      expect(soFar.querySelector('.ai-job-state--blocked').textContent).to.equal('Waiting on Part 1 summary, which failed');
+
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      retryFailedAIJobs(state);
+      await runAIJobs(state);
+      expect(YjsModule.getAIJob(state, SO_FAR_JOB_ID)).to.equal(null);
+      expect(YjsModule.ensureChronicleStructure(state).get('soFarSummary')).to.be.a('string').that.is.not.empty;
+    });
+  });
+});
@@ -0,0 +1,303 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Providers from '../js/ai-providers.js';
+import { callAIChat, isAIAvailable, refreshAIProxy, getAIProxy } from '../js/ai-request.js';
+import { summarize } from '../js/summarization.js';
+import { generateQuestions } from '../js/ai.js';
+import * as Settings from '../js/settings.js';
+
+describe('AI Providers', function() {
+  let state;
+  let originalFetch;
+  let requests;
+
+  const respondWith = (payload, status = 200) => {
+    global.fetch = async (url, init) => {
+      requests.push({ url, init, body: init && init.body ? JSON.parse(init.body) : null });
+      return { ok: status < 400, status, statusText: 'Status', json: async () => payload };
+    };
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    originalFetch = global.fetch;
+    requests = [];
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    YjsModule.resetYjs();
+  });
+
+  describe('getAIConfig', function() {
+    it('should default to OpenAI with the legacy key setting', function() {
+      YjsModule.setSetting(state, 'openai-api-key', 'sk-abc');
+      const config = Providers.getAIConfig(state);
+
+      expect(config).to.deep.equal({
+        providerId: 'openai',
+        apiKey: 'sk-abc',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini'
+      });
+      expect(Providers.isProviderConfigured(config)).to.be.true;
+    });
+
+    it('should use per-provider models and the base URL for compatible servers', function() {
+      YjsModule.setSetting(state, 'ai-provider', 'openai-compatible');
+      YjsModule.setSetting(state, Providers.getModelSetting('openai-compatible'), 'phi3');
+      YjsModule.setSetting(state, Providers.getModelSetting('openai'), 'gpt-4o');
+
+      expect(Providers.isProviderConfigured(Providers.getAIConfig(state))).to.be.false;
+      YjsModule.setSetting(state, 'ai-base-url', 'http://pi.local:8080/v1');
+
+      const config = Providers.getAIConfig(state);
+      expect(config.model).to.equal('phi3');
+      expect(config.apiKey).to.equal('');
+      expect(Providers.isProviderConfigured(config)).to.be.true;
+    });
+
+    it('should fall back to OpenAI for unknown providers', function() {
+      YjsModule.setSetting(state, 'ai-provider', 'nonsense');
+      expect(Providers.getAIConfig(state).providerId).to.equal('openai');
+    });
+  });
+
+  describe('requestChat', function() {
+    it('should call an OpenAI-compatible server without a key', async function() {
+      respondWith({ choices: [{ message: { content: 'Hi there' } }] });
+      const text = await Providers.requestChat(
+        { providerId: 'openai-compatible', apiKey: '', baseUrl: 'http://localhost:11434/v1/', model: 'llama3.2' },
+        [{ role: 'user', content: 'Hello' }],
+        { maxTokens: 5 }
+      );
+
+      expect(text).to.equal('Hi there');
+      expect(requests[0].url).to.equal('http://localhost:11434/v1/chat/completions');
+      expect(requests[0].init.headers).to.not.have.property('Authorization');
+      expect(requests[0].body).to.include({ model: 'llama3.2', max_tokens: 5 });
+    });
+
+    it('should move system prompts into the Anthropic messages body', async function() {
+      respondWith({ content: [{ type: 'text', text: '{"title":"A"' }, { type: 'text', text: ',"subtitle":"B"}' }] });
+      const text = await Providers.requestChat(
+        { providerId: 'anthropic', apiKey: 'key', baseUrl: 'https://api.anthropic.com/v1', model: 'claude-3-5-haiku-latest' },
+        [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hello' }],
+        { response_format: { type: 'json_object' }, temperature: 1.2 }
+      );
+
+      expect(JSON.parse(text)).to.deep.equal({ title: 'A', subtitle: 'B' });
+      expect(requests[0].url).to.equal('https://api.anthropic.com/v1/messages');
+      expect(requests[0].init.headers['x-api-key']).to.equal('key');
+      expect(requests[0].body.messages).to.deep.equal([{ role: 'user', content: 'Hello' }]);
+      expect(requests[0].body.system).to.include('Be brief.').and.to.include('JSON');
+      expect(requests[0].body.temperature).to.equal(1);
+    });
+
+    it('should reject with the HTTP status', async function() {
+      respondWith({ error: { message: 'bad key' } }, 401);
+      try {
+        await Providers.requestChat({ providerId: 'openai', apiKey: 'x', baseUrl: 'https://api.openai.com/v1', model: 'm' }, []);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(401);
+        expect(error.message).to.equal('HTTP 401: bad key');
+      }
+    });
+
+    it('should answer deterministically from the mock provider without fetching', async function() {
+      global.fetch = () => { throw new Error('fetch should not be called'); };
+      const messages = [{ role: 'user', content: 'Summarize:\n\nEntry content:\nThe party reached the old mill at dusk' }];
+      const first = await Providers.requestChat({ providerId: 'mock' }, messages, { response_format: { type: 'json_object' } });
+      const second = await Providers.requestChat({ providerId: 'mock' }, messages, { response_format: { type: 'json_object' } });
+
+      expect(first).to.equal(second);
+      expect(JSON.parse(first).title).to.equal('The party reached the old mill');
+    });
+  });
+
+  describe('callers', function() {
+    beforeEach(function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+    });
+
+    it('should treat AI as available with the mock provider and no key', function() {
+      expect(isAIAvailable(state)).to.be.true;
+    });
+
+    it('should summarize entries, part titles and questions through the provider', async function() {
+      const entry = await summarize('entry:m1', 'We crossed the frozen river and lost a mule to the ice');
+      expect(entry.title).to.equal('We crossed the frozen river and');
+
+      const title = await summarize('journal:part:1:title-gen', 'Generate a title.\n\nSource text:\nWinter on the road');
+      expect(title).to.equal('Winter on the road');
+
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      YjsModule.setCharacter(state, 'backstory', 'A ranger of the north with a long and secret history');
+      const questions = await generateQuestions();
+      expect(questions).to.match(/^1\. /);
+    });
+
+    it('should allow overriding the configuration per call', async function() {
+      respondWith({ choices: [{ message: { content: 'pong' } }] });
+      const text = await callAIChat([{ role: 'user', content: 'ping' }], {}, {
+        providerId: 'openai-compatible', apiKey: '', baseUrl: 'http://pi:8080/v1', model: 'phi3'
+      });
+      expect(text).to.equal('pong');
+    });
+  });
+
+  describe('sync server proxy', function() {
+    beforeEach(function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'journal-name', 'our-table');
+    });
+
+    it('should cache the advertisement and use the proxy once a token is set', async function() {
+      respondWith({ enabled: true, model: 'gpt-4o-mini' });
+      await refreshAIProxy(state);
+      expect(state.deviceMap.get('ai-proxy').model).to.equal('gpt-4o-mini');
+      expect(isAIAvailable(state)).to.be.false;
+
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      expect(isAIAvailable(state)).to.be.true;
+
+      requests = [];
+      respondWith({ content: 'From the server' });
+      const text = await callAIChat([{ role: 'user', content: 'Hi' }], { purpose: 'questions' });
+
+      expect(text).to.equal('From the server');
+      expect(requests[0].url).to.match(/\/ai\/chat$/);
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer secret');
+      expect(requests[0].body).to.include({ room: 'our-table', purpose: 'questions' });
+    });
+
+    it('should send the journal credential so the server can check the room', async function() {
+      state.deviceMap.set('ai-proxy', { base: 'http://localhost:1234', model: 'm' });
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      respondWith({ content: 'From the server' });
+      await callAIChat([{ role: 'user', content: 'Hi' }]);
+      expect(requests[0].init.headers).to.not.have.property('X-Room-Credential');
+
+      YjsModule.setRoomCredential(state, 'our-table', 'our secret table');
+      await callAIChat([{ role: 'user', content: 'Hi' }]);
+      expect(requests[1].init.headers['X-Room-Credential']).to.equal('our secret table');
+    });
+
+    it('should not use the proxy without a journal name or when not advertised', async function() {
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      respondWith({ enabled: false });
+      await refreshAIProxy(state);
+      expect(getAIProxy(state)).to.be.null;
+
+      YjsModule.setSetting(state, 'journal-name', '');
+      state.deviceMap.set('ai-proxy', { base: 'http://localhost:1234', model: 'm' });
+      expect(getAIProxy(state)).to.be.null;
+    });
+
+    it('should forget a proxy that the server no longer offers', async function() {
+      state.deviceMap.set('ai-proxy', { base: 'http://localhost:1234', model: 'm' });
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      respondWith({ error: 'AI proxy is not enabled' }, 404);
+
+      try {
+        await callAIChat([{ role: 'user', content: 'Hi' }]);
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.status).to.equal(404);
+      }
+      expect(state.deviceMap.get('ai-proxy')).to.be.undefined;
+    });
+  });
+
+  describe('settings', function() {
+    beforeEach(function() {
+      const dom = new JSDOM(`
+        <!DOCTYPE html>
+        <html>
+          <body>
+            <form id="settings-form">
+              <select id="ai-provider" name="ai-provider">
+                <option value="openai">OpenAI</option>
+                <option value="openai-compatible">Compatible</option>
+                <option value="anthropic">Anthropic</option>
+                <option value="mock">Mock</option>
+              </select>
+              <div data-provider="openai"><input id="openai-api-key" name="openai-api-key" /></div>
+              <div data-provider="openai-compatible">
+                <input id="ai-base-url" name="ai-base-url" />
+                <input id="openai-compatible-api-key" name="openai-compatible-api-key" />
+              </div>
+              <div data-provider="anthropic"><input id="anthropic-api-key" name="anthropic-api-key" /></div>
+              <input id="ai-model" name="ai-model" list="ai-model-options" />
+              <datalist id="ai-model-options"></datalist>
+              <input id="ai-proxy-token" name="ai-proxy-token" />
+              <input id="ai-enabled" name="ai-enabled" type="checkbox" />
+              <input id="journal-name" name="journal-name" />
+            </form>
+            <p id="ai-proxy-status"></p>
+          </body>
+        </html>
+      `);
+      global.window = dom.window;
+      global.document = dom.window.document;
+    });
+
+    it('should show only the selected provider fields and its models', function() {
+      YjsModule.setSetting(state, 'ai-provider', 'anthropic');
+      Settings.renderSettingsPage(state);
+
+      const visible = Array.from(document.querySelectorAll('[data-provider]'))
+        .filter(group => !group.classList.contains('is-hidden'))
+        .map(group => group.getAttribute('data-provider'));
+      expect(visible).to.deep.equal(['anthropic']);
+      expect(document.getElementById('ai-model').placeholder).to.equal('claude-3-5-haiku-latest');
+      expect(document.querySelectorAll('#ai-model-options option')).to.have.length(2);
+    });
+
+    it('should save provider, base URL and model per provider', function() {
+      Settings.renderSettingsPage(state);
+      document.getElementById('ai-provider').value = 'openai-compatible';
+      document.getElementById('ai-base-url').value = ' http://pi.local:8080/v1 ';
+      document.getElementById('ai-model').value = 'phi3';
+      Settings.saveSettings(state);
+
+      expect(YjsModule.getSetting(state, 'ai-provider')).to.equal('openai-compatible');
+      expect(YjsModule.getSetting(state, 'ai-base-url')).to.equal('http://pi.local:8080/v1');
+      expect(YjsModule.getSetting(state, Providers.getModelSetting('openai-compatible'))).to.equal('phi3');
+      expect(YjsModule.getSetting(state, Providers.getModelSetting('openai'), '')).to.equal('');
+    });
+
+    it('should keep the proxy token on this device only', function() {
+      Settings.renderSettingsPage(state);
+      document.getElementById('ai-proxy-token').value = ' secret ';
+      Settings.saveSettings(state);
+
+      expect(state.deviceMap.get('ai-proxy-token')).to.equal('secret');
+      expect(YjsModule.getSetting(state, 'ai-proxy-token', null)).to.be.null;
+      expect(document.getElementById('ai-proxy-status').textContent).to.include('journal name');
+    });
+
+    it('should test the selected provider without requiring an sk- prefix', async function() {
+      respondWith({ choices: [{ message: { content: 'ok' } }] });
+      document.getElementById('ai-provider').value = 'openai-compatible';
+      document.getElementById('ai-base-url').value = 'http://pi.local:8080/v1';
+
+      await Settings.testAPIKey(state);
+
+      expect(requests).to.have.length(1);
+      expect(requests[0].url).to.equal('http://pi.local:8080/v1/chat/completions');
+      expect(requests[0].body.max_tokens).to.equal(5);
+    });
+  });
+});
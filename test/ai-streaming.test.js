@@ -0,0 +1,191 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import { callAIChat, isAbortError } from '../js/ai-request.js';
+import { generateQuestions } from '../js/ai.js';
+import { defineAIJob, enqueueAIJob, runAIJobs, onAIJobProgress } from '../js/ai-queue.js';
+import { maybeCloseOpenPart, SO_FAR_JOB_ID } from '../js/parts.js';
+import { renderAIPrompt } from '../js/journal-views.js';
+import { renderStreamingSummary } from '../js/chronicle-views.js';
+
+describe('AI Streaming', function() {
+  let state;
+  let requests;
+  const originalFetch = global.fetch;
+  const messages = [{ role: 'user', content: 'Ask me about the last session.' }];
+
+  // Server-sent events split at awkward places, as the network delivers them
+  const streamWith = (events, { contentType = 'text/event-stream', hang = false } = {}) => {
+    global.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      const text = events.map(event => `data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`).join('');
+      const encoded = new TextEncoder().encode(text);
+      const body = new ReadableStream({
+        start(controller) {
+          for (let i = 0; i < encoded.length; i += 7) controller.enqueue(encoded.slice(i, i + 7));
+          if (!hang) controller.close();
+          init.signal.addEventListener('abort', () => controller.error(init.signal.reason));
+        }
+      });
+      return { ok: true, status: 200, headers: new Headers({ 'Content-Type': contentType }), body };
+    };
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="ai-prompt-text"></div><div id="so-far-content"></div></body></html>', { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    requests = [];
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    YjsModule.setSetting(state, 'ai-provider', 'openai');
+    YjsModule.setSetting(state, 'openai-api-key', 'sk-test');
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    YjsModule.resetYjs();
+  });
+
+  describe('providers', function() {
+    it('should stream OpenAI replies and record the usage they report', async function() {
+      streamWith([
+        { choices: [{ delta: { content: '1. Who ' } }] },
+        { choices: [{ delta: { content: 'paid the ferryman?' } }] },
+        { choices: [], usage: { prompt_tokens: 40, completion_tokens: 6 }, model: 'gpt-4o-mini' },
+        '[DONE]'
+      ]);
+      const seen = [];
+      const reply = await callAIChat(messages, { purpose: 'questions', onToken: text => seen.push(text) });
+
+      expect(reply).to.equal('1. Who paid the ferryman?');
+      expect(seen).to.deep.equal(['1. Who ', '1. Who paid the ferryman?']);
+      expect(requests[0].body).to.include({ stream: true });
+      expect(requests[0].body.stream_options).to.deep.equal({ include_usage: true });
+      expect(YjsModule.getAIUsageRecords(state)[0]).to.include({ promptTokens: 40, completionTokens: 6, estimated: false });
+    });
+
+    it('should stream Anthropic replies', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'anthropic');
+      YjsModule.setSetting(state, 'anthropic-api-key', 'sk-ant');
+      streamWith([
+        { type: 'message_start', message: { model: 'claude-3-5-haiku-latest', usage: { input_tokens: 30 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'The bridge ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'fell.' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+        { type: 'message_stop' }
+      ]);
+      const seen = [];
+      expect(await callAIChat(messages, { onToken: text => seen.push(text) })).to.equal('The bridge fell.');
+      expect(seen).to.deep.equal(['The bridge ', 'The bridge fell.']);
+      expect(requests[0].body).to.include({ stream: true });
+      expect(YjsModule.getAIUsageRecords(state)[0]).to.include({ promptTokens: 30, completionTokens: 4 });
+    });
+
+    it('should take a whole reply from servers that do not stream', async function() {
+      global.fetch = async () => ({
+        ok: true,
+        status: 200,
+        headers: new Headers({ 'Content-Type': 'application/json' }),
+        json: async () => ({ choices: [{ message: { content: 'All at once' } }] })
+      });
+      const seen = [];
+      expect(await callAIChat(messages, { onToken: text => seen.push(text) })).to.equal('All at once');
+      expect(seen).to.deep.equal(['All at once']);
+    });
+
+    it('should stream mock replies word by word', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      YjsModule.addEntry(state, { id: 'e1', content: 'We crossed the river at night and lost a mule to the current.', timestamp: 1 });
+      const seen = [];
+      const questions = await generateQuestions({ name: 'Aria', backstory: 'A ranger from the north.' }, YjsModule.getEntries(state), true, { onToken: text => seen.push(text) });
+
+      expect(seen.length).to.be.greaterThan(3);
+      expect(seen[seen.length - 1].trim()).to.equal(questions);
+      expect(questions).to.include('1. What did your character want most');
+    });
+  });
+
+  describe('cancellation', function() {
+    it('should abort in-flight requests when the page is left and keep what was paid for', async function() {
+      streamWith([{ choices: [{ delta: { content: 'The story so far: ' } }] }], { hang: true });
+      const seen = [];
+      const reply = callAIChat(messages, { purpose: 'so-far', onToken: text => seen.push(text) });
+      while (seen.length === 0) await new Promise(resolve => setTimeout(resolve, 1));
+
+      window.dispatchEvent(new window.Event('pagehide'));
+      let error = null;
+      try {
+        await reply;
+      } catch (err) {
+        error = err;
+      }
+      expect(isAbortError(error)).to.equal(true);
+      expect(YjsModule.getAIUsageRecords(state)[0]).to.include({ purpose: 'so-far', estimated: true });
+    });
+
+    it('should abort when the caller asks', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      const controller = new AbortController();
+      controller.abort();
+      let error = null;
+      try {
+        await callAIChat(messages, { signal: controller.signal, onToken: () => {} });
+      } catch (err) {
+        error = err;
+      }
+      expect(isAbortError(error)).to.equal(true);
+    });
+
+    it('should put a job cut off by leaving the page back in the queue', async function() {
+      defineAIJob('test-abort', async () => {
+        throw new DOMException('The page was left', 'AbortError');
+      });
+      enqueueAIJob(state, { id: 'test:abort', type: 'test-abort' });
+
+      expect(await runAIJobs(state)).to.equal(0);
+      expect(YjsModule.getAIJob(state, 'test:abort')).to.include({ status: 'queued', attempts: 0, lease: null, error: '' });
+    });
+  });
+
+  describe('rendering', function() {
+    it('should stream the adventure so far to listeners on this device', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      for (let i = 1; i <= 3; i++) {
+        YjsModule.addEntry(state, { id: `e${i}`, content: `Day ${i} of the march through the Mistwood.`, timestamp: i });
+      }
+      await maybeCloseOpenPart(state, 2);
+      const seen = [];
+      const stop = onAIJobProgress(SO_FAR_JOB_ID, text => seen.push(text));
+      const stopBroken = onAIJobProgress(SO_FAR_JOB_ID, () => { throw new Error('Page is gone'); });
+      await runAIJobs(state);
+      stop();
+      stopBroken();
+
+      const soFar = YjsModule.ensureChronicleStructure(state).get('soFarSummary');
+      expect(seen.length).to.be.greaterThan(2);
+      expect(seen[seen.length - 2]).to.equal(soFar);
+      expect(seen[seen.length - 1]).to.equal(null);
+      expect(YjsModule.getAIJobs(state)).to.deep.equal([]);
+    });
+
+    it('should show partial text in the prompt and the chronicle', function() {
+      const prompt = document.getElementById('ai-prompt-text');
+      const regenerate = document.createElement('button');
+      renderAIPrompt(prompt, { type: 'loading' }, regenerate);
+      expect(regenerate.disabled).to.equal(true);
+      renderAIPrompt(prompt, { type: 'streaming', questions: '1. Who paid' }, regenerate);
+      expect(prompt.className).to.include('is-streaming');
+      expect(prompt.innerHTML).to.include('<strong>1. </strong>Who paid');
+
+      const soFar = document.getElementById('so-far-content');
+      renderStreamingSummary(soFar, 'The party **marched**', { id: 'so-far', status: 'running', lease: { owner: 'me', until: Date.now() + 60000 } });
+      expect(soFar.querySelector('.ai-job-state').textContent).to.equal('Generating…');
+      expect(soFar.querySelector('.chronicle-streaming strong').textContent).to.equal('marched');
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import { callAIChat, callEmbeddings, getAIUsageSummary } from '../js/ai-request.js';
+import { summarize } from '../js/summarization.js';
+import { summarizeUsage, getRemainingTokens, getRecordCost, formatCost, USAGE_DAYS } from '../js/ai-usage.js';
+import { renderAIUsage } from '../js/settings-views.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const record = (overrides = {}) => ({
+  id: `usage-${Math.random()}`,
+  timestamp: Date.now(),
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  purpose: 'chat',
+  promptTokens: 1000,
+  completionTokens: 500,
+  estimated: false,
+  ...overrides
+});
+
+describe('AI Usage', function() {
+  let state;
+  let requests;
+  const originalFetch = global.fetch;
+
+  const respondWith = (payload) => {
+    global.fetch = async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return { ok: true, status: 200, json: async () => payload };
+    };
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="ai-usage"></div></body></html>', { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    requests = [];
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    YjsModule.setSetting(state, 'openai-api-key', 'sk-abc');
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    YjsModule.resetYjs();
+  });
+
+  describe('totals', function() {
+    it('should total today and this month by purpose and model, with list-price costs', function() {
+      const now = new Date(2026, 9, 19, 12).getTime();
+      const summary = summarizeUsage([
+        record({ timestamp: now, purpose: 'entry-title', model: 'gpt-4o-mini-2024-07-18' }),
+        record({ timestamp: now - 2 * DAY, purpose: 'part-summary', promptTokens: 8000, completionTokens: 2000 }),
+        record({ timestamp: now - DAY, purpose: 'questions', model: 'llama3.2', estimated: true }),
+        record({ timestamp: new Date(2026, 8, 30).getTime(), purpose: 'so-far' })
+      ], now);
+
+      expect(summary.today).to.include({ requests: 1, tokens: 1500, priced: true, estimated: false });
+      expect(summary.month).to.include({ requests: 3, promptTokens: 10000, completionTokens: 3000, estimated: true });
+      expect(summary.byPurpose.map(group => group.key)).to.deep.equal(['part-summary', 'entry-title', 'questions']);
+      expect(summary.byModel.find(group => group.key === 'llama3.2')).to.include({ priced: false, cost: 0 });
+      expect(summary.days).to.have.length(USAGE_DAYS);
+      expect(summary.days[USAGE_DAYS - 1]).to.include({ requests: 1 });
+
+      expect(getRecordCost(record({ promptTokens: 1e6, completionTokens: 1e6 }))).to.be.closeTo(0.75, 1e-9);
+      expect(getRecordCost(record({ model: 'llama3.2' }))).to.equal(null);
+      expect(formatCost(0.004)).to.equal('<$0.01');
+      expect(getRemainingTokens(summary, { daily: 1000, monthly: 100000 })).to.deep.equal({ remaining: 0, cap: 'daily' });
+      expect(getRemainingTokens(summary, {})).to.deep.equal({ remaining: Infinity, cap: null });
+    });
+
+    it('should drop records older than last month when recording', function() {
+      const now = new Date(2026, 9, 19).getTime();
+      YjsModule.addAIUsageRecord(state, record({ id: 'old', timestamp: new Date(2026, 7, 31).getTime() }));
+      YjsModule.addAIUsageRecord(state, record({ id: 'last-month', timestamp: new Date(2026, 8, 2).getTime() }));
+      YjsModule.addAIUsageRecord(state, record({ id: 'today', timestamp: now }));
+      expect(YjsModule.getAIUsageRecords(state).map(item => item.id)).to.deep.equal(['last-month', 'today']);
+    });
+  });
+
+  describe('ledger', function() {
+    it('should record the tokens, model and purpose the provider reports', async function() {
+      respondWith({ model: 'gpt-4o-mini-2024-07-18', choices: [{ message: { content: 'Hi' } }], usage: { prompt_tokens: 21, completion_tokens: 4 } });
+      await callAIChat([{ role: 'user', content: 'Hello' }], { purpose: 'questions' });
+
+      const [entry] = YjsModule.getAIUsageRecords(state);
+      expect(entry).to.include({
+        provider: 'openai',
+        model: 'gpt-4o-mini-2024-07-18',
+        purpose: 'questions',
+        promptTokens: 21,
+        completionTokens: 4,
+        estimated: false
+      });
+    });
+
+    it('should estimate counts the provider does not report and label summaries by purpose', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      await summarize('journal:parts:so-far:latest', 'The party crossed the marsh and found the sunken temple.', 1000);
+      await callEmbeddings(['The sunken temple']);
+
+      const records = YjsModule.getAIUsageRecords(state);
+      expect(records.map(item => item.purpose)).to.deep.equal(['so-far', 'embeddings']);
+      expect(records[0]).to.include({ provider: 'mock', model: 'mock', estimated: true });
+      expect(records[0].promptTokens).to.be.greaterThan(0);
+      expect(getAIUsageSummary(state).month.requests).to.equal(2);
+    });
+
+    it('should ask for replies sized to the summary instead of the provider maximum', async function() {
+      respondWith({ choices: [{ message: { content: 'A title' } }] });
+      await summarize('journal:part:1:title-gen', 'Name this part.', 50);
+      await summarize('journal:part:1', 'The party crossed the marsh.', 1000);
+      expect(requests.map(request => request.body.max_tokens)).to.deep.equal([80, 2000]);
+    });
+  });
+
+  describe('caps', function() {
+    it('should stop calls once a cap is used up', async function() {
+      YjsModule.setSetting(state, 'ai-daily-token-cap', '1000');
+      YjsModule.addAIUsageRecord(state, record({ promptTokens: 900, completionTokens: 100 }));
+      respondWith({ choices: [{ message: { content: 'Hi' } }] });
+
+      try {
+        await callAIChat([{ role: 'user', content: 'Hello' }], { purpose: 'chat' });
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.code).to.equal('ai-usage-cap');
+        expect(error.message).to.include('daily');
+      }
+      expect(requests).to.have.length(0);
+    });
+
+    it('should shorten replies to what is left of the tightest cap', async function() {
+      YjsModule.setSetting(state, 'ai-daily-token-cap', '100000');
+      YjsModule.setSetting(state, 'ai-monthly-token-cap', '2000');
+      YjsModule.addAIUsageRecord(state, record({ promptTokens: 1000, completionTokens: 500 }));
+      respondWith({ choices: [{ message: { content: 'Hi' } }] });
+
+      // 2000 - 1500 used - 2 tokens of prompt
+      await callAIChat([{ role: 'user', content: 'Hello' }], { maxTokens: 2500 });
+      expect(requests[0].body.max_tokens).to.equal(498);
+    });
+  });
+
+  describe('dashboard', function() {
+    it('should show totals against the caps and break the month down', function() {
+      const now = Date.now();
+      const summary = summarizeUsage([
+        record({ timestamp: now, purpose: 'part-summary', promptTokens: 40000, completionTokens: 10000 }),
+        record({ timestamp: now, purpose: 'questions', model: 'llama3.2', estimated: true })
+      ], now);
+      const container = document.getElementById('ai-usage');
+      renderAIUsage(container, summary, { daily: 50000, monthly: 0 });
+
+      const values = Array.from(container.querySelectorAll('dd'));
+      expect(values[0].textContent).to.include('≈51,500 tokens in 2 calls').and.include('Cap reached');
+      expect(values[0].querySelector('progress').max).to.equal(50000);
+      expect(values[1].querySelector('progress')).to.be.null;
+      const purposes = Array.from(container.querySelectorAll('table')[0].tBodies[0].rows, row => row.cells[0].textContent);
+      expect(purposes).to.deep.equal(['Part summaries', 'Session questions']);
+      const models = container.querySelectorAll('table')[1].tBodies[0].rows;
+      expect(models[1].cells[3].textContent).to.equal('—');
+
+      renderAIUsage(container, summarizeUsage([], now), {});
+      expect(container.textContent).to.include('No AI calls this month.');
+    });
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import * as Attachments from '../js/attachments.js';
+import { chooseAttachmentStorage, summarizeAttachmentStorage, formatBytes, INLINE_MAX_BYTES, ATTACHMENT_MAX_BYTES } from '../js/attachment-files.js';
+import { buildBackup, parseBackup, applyBackup } from '../js/backup.js';
+import { renderStorageUsage } from '../js/settings-views.js';
+
+const waitFor = async (check, timeoutMs = 1000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Attachments', function() {
+  let state;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="entries-container"></div>
+          <div id="entry-form-container"></div>
+          <dl id="storage-usage"></dl>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.FormData = dom.window.FormData;
+    originalFetch = global.fetch;
+    requests = [];
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    YjsModule.addEntry(state, { id: 'e1', content: 'We found a map in the cellar.', timestamp: 1 });
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    global.fetch = originalFetch;
+    delete global.caches;
+    Attachments.setShowLightbox(null);
+    Attachments.setThumbnailMaker(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('limits', function() {
+    it('should keep small files inline and send large ones to a plain sync server', function() {
+      expect(chooseAttachmentStorage(1000, {})).to.deep.equal({ storage: 'inline' });
+      expect(chooseAttachmentStorage(INLINE_MAX_BYTES + 1, { room: 'table' })).to.deep.equal({ storage: 'server' });
+      expect(chooseAttachmentStorage(INLINE_MAX_BYTES + 1, {}).error).to.include('linked journal');
+      expect(chooseAttachmentStorage(INLINE_MAX_BYTES + 1, { room: 'table', encrypted: true }).error).to.include('encrypted');
+      expect(chooseAttachmentStorage(ATTACHMENT_MAX_BYTES + 1, { room: 'table' }).error).to.include('10.0 MB');
+      expect(chooseAttachmentStorage(0, {}).error).to.include('empty');
+    });
+
+    it('should total storage once per stored file', function() {
+      const totals = summarizeAttachmentStorage([
+        { storage: 'inline', hash: 'a', size: 100 },
+        { storage: 'inline', hash: 'a', size: 100 },
+        { storage: 'server', hash: 'b', size: 2048 }
+      ]);
+      expect(totals).to.deep.equal({ count: 3, inlineBytes: 100, serverBytes: 2048 });
+      expect(formatBytes(2048)).to.equal('2 KB');
+    });
+  });
+
+  describe('storing files', function() {
+    it('should store small files in the journal under their hash', async function() {
+      Attachments.setThumbnailMaker(async () => 'data:image/jpeg;base64,thumb');
+      const file = new File([new Uint8Array([1, 2, 3])], 'map.png', { type: 'image/png' });
+      const attachment = await Attachments.addEntryAttachment('e1', file, state);
+
+      expect(attachment).to.include({ entryId: 'e1', name: 'map.png', size: 3, storage: 'inline', thumbnail: 'data:image/jpeg;base64,thumb' });
+      expect(attachment.hash).to.equal('039058c6f2c0cb492c533b0a4d14ef77cc0f78abccced5287d84a1a2011cfb81');
+      expect(Array.from(YjsModule.getAttachmentData(state, attachment.hash))).to.deep.equal([1, 2, 3]);
+      expect(Attachments.getAttachmentItems('e1', state)[0]).to.include({ name: 'map.png', isImage: true });
+    });
+
+    it('should upload large files to the sync server with the room credential', async function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      YjsModule.setRoomCredential(state, 'red-owl', 'our secret table');
+      global.fetch = async (url, init = {}) => {
+        requests.push({ url, init });
+        return { ok: true, status: 201, json: async () => ({ stored: true }) };
+      };
+
+      const file = new File([new Uint8Array(INLINE_MAX_BYTES + 10)], 'handout.pdf', { type: 'application/pdf' });
+      const attachment = await Attachments.addEntryAttachment('e1', file, state);
+
+      expect(attachment.storage).to.equal('server');
+      expect(YjsModule.getAttachmentData(state, attachment.hash)).to.be.null;
+      expect(requests[0].url).to.equal(`http://localhost/blobs/red-owl/${attachment.hash}`);
+      expect(requests[0].init.method).to.equal('PUT');
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer our secret table');
+    });
+
+    it('should refuse large files for journals that are not on a server', async function() {
+      const file = new File([new Uint8Array(INLINE_MAX_BYTES + 10)], 'big.png', { type: 'image/png' });
+      const added = await Attachments.addEntryAttachments('e1', [file], state);
+      expect(added).to.deep.equal([]);
+      expect(YjsModule.getAttachments(state)).to.deep.equal([]);
+      expect(document.querySelector('.notification').textContent).to.include('big.png');
+    });
+  });
+
+  describe('journal page', function() {
+    it('should show thumbnails and attach files from a new entry', async function() {
+      Journal.handleAddEntry({ content: 'The innkeeper gave us a letter.', files: [new File(['Dear adventurers'], 'letter.txt', { type: 'text/plain' })] }, state);
+      await waitFor(() => YjsModule.getAttachments(state).length === 1);
+      Journal.renderJournalPage(state);
+
+      const [attachment] = YjsModule.getAttachments(state);
+      const thumb = document.querySelector(`#entry-${attachment.entryId} .attachment-list .attachment-thumb`);
+      expect(thumb.dataset.attachmentId).to.equal(attachment.id);
+      expect(thumb.textContent).to.equal('letter.txt');
+    });
+
+    it('should open a lightbox that can remove the attachment, undoably', async function() {
+      await Attachments.addEntryAttachment('e1', new File([new Uint8Array([9])], 'map.png', { type: 'image/png' }), state);
+      Journal.renderJournalPage(state);
+      let shown = null;
+      Attachments.setShowLightbox(async (options) => { shown = options; return 'remove'; });
+
+      const thumb = document.querySelector('#entry-e1 .attachment-thumb');
+      expect(thumb.querySelector('img')).to.not.be.null;
+      thumb.click();
+      await waitFor(() => YjsModule.getAttachments(state).length === 0);
+
+      expect(shown.title).to.equal('map.png');
+      expect(shown.message.querySelector('.attachment-preview__image')).to.not.be.null;
+      Journal.renderJournalPage(state);
+      expect(document.querySelector('#entry-e1 .attachment-list')).to.be.null;
+      expect(YjsModule.undoChange(state)).to.be.true;
+      expect(YjsModule.getAttachments(state)).to.have.length(1);
+    });
+
+    it('should remove attachments with their entry', async function() {
+      const attachment = await Attachments.addEntryAttachment('e1', new File(['x'], 'note.txt', { type: 'text/plain' }), state);
+      YjsModule.deleteEntry(state, 'e1');
+      expect(YjsModule.getAttachments(state)).to.deep.equal([]);
+      expect(YjsModule.getAttachmentData(state, attachment.hash)).to.be.null;
+    });
+  });
+
+  describe('offline and storage', function() {
+    const createCache = () => {
+      const stored = new Map();
+      return {
+        stored,
+        match: async (url) => stored.get(String(url)) || undefined,
+        put: async (url, response) => { stored.set(String(url), response); }
+      };
+    };
+
+    it('should keep server files in the attachment cache and report usage', async function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      const cache = createCache();
+      global.caches = { open: async () => cache };
+      YjsModule.setAttachment(state, { id: 'a1', entryId: 'e1', name: 'map.jpg', type: 'image/jpeg', size: 500000, hash: 'f'.repeat(64), storage: 'server' });
+      YjsModule.setAttachment(state, { id: 'a2', entryId: 'e1', name: 'note.txt', type: 'text/plain', size: 4, hash: 'abc' }, new Uint8Array([1, 2, 3, 4]));
+      global.fetch = async (url) => {
+        requests.push(url);
+        return new Response('jpeg bytes');
+      };
+
+      expect(await Attachments.cacheServerAttachments(state)).to.equal(1);
+      expect(await Attachments.cacheServerAttachments(state)).to.equal(0);
+      expect(requests).to.deep.equal([`http://localhost/blobs/red-owl/${'f'.repeat(64)}`]);
+
+      const usage = await Attachments.getStorageUsage(state);
+      expect(usage).to.include({ count: 2, inlineBytes: 4, serverBytes: 500000, serverFiles: 1, offlineFiles: 1 });
+      renderStorageUsage(document.getElementById('storage-usage'), usage);
+      expect(document.getElementById('storage-usage').textContent).to.include('488 KB (1 of 1 files offline)');
+    });
+
+    it('should carry inline files through a JSON backup', async function() {
+      const attachment = await Attachments.addEntryAttachment('e1', new File([new Uint8Array([7, 8])], 'rune.png', { type: 'image/png' }), state);
+      const backup = parseBackup(JSON.stringify(buildBackup(state)));
+
+      YjsModule.resetYjs();
+      const restored = await YjsModule.initYjs();
+      applyBackup(restored, backup, 'replace');
+      expect(YjsModule.getAttachment(restored, attachment.id)).to.include({ name: 'rune.png', entryId: 'e1' });
+      expect(Array.from(YjsModule.getAttachmentData(restored, attachment.hash))).to.deep.equal([7, 8]);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+import { readFileSync } from 'fs';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Backup from '../js/backup.js';
+import * as Settings from '../js/settings.js';
+import { getChroniclePartsMap, setChroniclePartEntries, setChronicleSoFarSummary } from '../js/chronicle-state.js';
+
+describe('Backup', function() {
+  let state;
+
+  const addSampleJournal = () => {
+    YjsModule.setCharacter(state, 'name', 'Aragorn');
+    YjsModule.setCharacter(state, 'class', 'Ranger');
+    YjsModule.addEntry(state, { id: 'e2', content: 'Second day', timestamp: 2000 });
+    YjsModule.addEntry(state, { id: 'e1', content: 'First day', timestamp: 1000 });
+    YjsModule.setSummary(state, 'entry:e1', JSON.stringify({ title: 'Arrival', subtitle: 'At Bree' }));
+    YjsModule.setSetting(state, 'openai-api-key', 'sk-secret');
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    setChronicleSoFarSummary(state, 'The story so far.');
+    setChroniclePartEntries(state, 1, ['e1', 'e2']);
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    Settings.setShowChoiceModal(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('export', function() {
+    it('should build a versioned JSON backup without the API key', function() {
+      addSampleJournal();
+      const backup = Backup.buildBackup(state);
+
+      expect(backup.format).to.equal(Backup.BACKUP_FORMAT);
+      expect(backup.version).to.equal(Backup.BACKUP_VERSION);
+      expect(backup.settings).to.deep.equal({ 'ai-enabled': true });
+      expect(backup.characters).to.have.length(1);
+      expect(backup.characters[0].character.name).to.equal('Aragorn');
+      expect(backup.characters[0].entries.map(e => e.id)).to.deep.equal(['e2', 'e1']);
+      expect(backup.characters[0].chronicle.parts['1'].entries).to.deep.equal(['e1', 'e2']);
+      expect(JSON.stringify(backup)).to.not.include('sk-secret');
+    });
+
+    it('should include every character in the roster', function() {
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      const backup = Backup.buildBackup(state);
+      expect(backup.characters.map(c => c.id)).to.deep.equal(['default', 'gimli-id']);
+    });
+
+    it('should build a Markdown book ordered by timestamp', function() {
+      addSampleJournal();
+      const markdown = Backup.buildMarkdownBook(Backup.buildBackup(state));
+
+      expect(markdown).to.match(/^# Aragorn/);
+      expect(markdown).to.include('_Ranger_');
+      expect(markdown).to.include('## The Adventure So Far');
+      expect(markdown).to.include('### Arrival');
+      expect(markdown.indexOf('First day')).to.be.lessThan(markdown.indexOf('Second day'));
+    });
+
+    it('should build a Yjs snapshot without the API key', function() {
+      addSampleJournal();
+      const snapshot = Backup.buildYjsSnapshot(state);
+
+      const doc = new Y.Doc();
+      Y.applyUpdate(doc, snapshot);
+      expect(doc.getMap('settings').get('openai-api-key')).to.be.undefined;
+      expect(doc.getArray('journal-entries').length).to.equal(2);
+      expect(YjsModule.getSetting(state, 'openai-api-key')).to.equal('sk-secret');
+    });
+  });
+
+  describe('parseBackup', function() {
+    it('should accept the mock journal entries file', function() {
+      const text = readFileSync(new URL('../mock-journal-entries.json', import.meta.url), 'utf8');
+      const backup = Backup.parseBackup(text, 'default');
+      const raw = JSON.parse(text).entries;
+
+      expect(backup.complete).to.be.false;
+      expect(backup.characters[0].id).to.equal('default');
+      expect(backup.characters[0].entries).to.have.length(raw.length);
+      expect(backup.characters[0].entries[0].timestamp).to.equal(Date.parse(raw[0].timestamp));
+      expect(backup.characters[0].entries[0]).to.not.have.property('summary');
+    });
+
+    it('should keep inline titles as entry summaries', function() {
+      const backup = Backup.parseBackup(JSON.stringify({
+        entries: [{ id: 'x', title: 'Dawn', subtitle: '', content: 'Text', timestamp: '2025-01-01T00:00:00.000Z' }]
+      }));
+      expect(JSON.parse(backup.characters[0].summaries['entry:x']).title).to.equal('Dawn');
+    });
+
+    it('should round-trip a JSON export', function() {
+      addSampleJournal();
+      const backup = Backup.parseBackup(JSON.stringify(Backup.buildBackup(state)));
+      expect(backup.complete).to.be.true;
+      expect(backup.characters[0].entries).to.have.length(2);
+    });
+
+    it('should parse a Yjs snapshot', function() {
+      addSampleJournal();
+      const backup = Backup.parseBackup(Backup.buildYjsSnapshot(state));
+      expect(backup.complete).to.be.true;
+      expect(backup.characters[0].character.name).to.equal('Aragorn');
+    });
+
+    it('should reject invalid files with a clear message', function() {
+      expect(() => Backup.parseBackup('not json')).to.throw('File is not valid JSON');
+      expect(() => Backup.parseBackup('{"hello":1}')).to.throw('Unrecognized backup file');
+      expect(() => Backup.parseBackup(JSON.stringify({ format: Backup.BACKUP_FORMAT, version: 99, characters: [] })))
+        .to.throw('Unsupported backup version');
+      expect(() => Backup.parseBackup('[{"content":""}]')).to.throw('Entry 1 has no content');
+      expect(() => Backup.parseBackup('[{"content":"x","timestamp":"soon"}]')).to.throw('invalid timestamp');
+      expect(() => Backup.parseBackup(new Uint8Array([1, 2, 3]))).to.throw();
+    });
+  });
+
+  describe('diffBackup and applyBackup', function() {
+    const incoming = () => Backup.parseBackup(JSON.stringify({
+      format: Backup.BACKUP_FORMAT,
+      version: 1,
+      settings: { 'ai-enabled': false, 'journal-name': 'other-room', 'openai-api-key': 'sk-other' },
+      characters: [{
+        id: 'default',
+        character: { name: 'Strider' },
+        entries: [
+          { id: 'e1', content: 'First day, revised', timestamp: 1000 },
+          { id: 'e3', content: 'Third day', timestamp: 3000 }
+        ],
+        summaries: {},
+        chronicle: { parts: {}, latestPartIndex: 0 }
+      }]
+    }));
+
+    it('should describe new, changed and unchanged data', function() {
+      addSampleJournal();
+      const diff = Backup.diffBackup(state, incoming());
+
+      expect(diff.characters[0]).to.include({ newEntries: 1, changedEntries: 1, unchangedEntries: 0, localOnlyEntries: 1 });
+      expect(diff.characters[0].changedFields).to.deep.equal(['name']);
+      expect(diff.changedSettings).to.deep.equal(['ai-enabled']);
+    });
+
+    it('should merge by adding missing data and keeping local conflicts', function() {
+      addSampleJournal();
+      Backup.applyBackup(state, incoming(), 'merge');
+
+      const entries = YjsModule.getEntries(state);
+      expect(entries.map(e => e.id)).to.deep.equal(['e2', 'e1', 'e3']);
+      expect(entries.find(e => e.id === 'e1').content).to.equal('First day');
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aragorn');
+      expect(YjsModule.getSetting(state, 'ai-enabled')).to.equal(true);
+    });
+
+    it('should replace the journal but keep protected settings', function() {
+      addSampleJournal();
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      Backup.applyBackup(state, incoming(), 'replace');
+
+      expect(YjsModule.getEntries(state).map(e => e.content)).to.deep.equal(['First day, revised', 'Third day']);
+      expect(YjsModule.getCharacterData(state).name).to.equal('Strider');
+      expect(YjsModule.getCharacterData(state).class).to.equal('');
+      expect(YjsModule.getSummary(state, 'entry:e1')).to.be.null;
+      expect(getChroniclePartsMap(state).size).to.equal(0);
+      expect(YjsModule.getCharacters(state)).to.have.length(1);
+      expect(YjsModule.getSetting(state, 'ai-enabled')).to.equal(false);
+      expect(YjsModule.getSetting(state, 'openai-api-key')).to.equal('sk-secret');
+      expect(YjsModule.getSetting(state, 'journal-name', '')).to.equal('');
+    });
+
+    it('should restore another character from a full backup', function() {
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      YjsModule.addEntry(YjsModule.getCharacterState(state.ydoc, 'gimli-id'), { id: 'g1', content: 'Axes', timestamp: 1 });
+      const backup = Backup.parseBackup(JSON.stringify(Backup.buildBackup(state)));
+
+      YjsModule.removeCharacter(state, 'gimli-id');
+      Backup.applyBackup(state, backup, 'merge');
+
+      const gimli = YjsModule.getCharacterState(state.ydoc, 'gimli-id');
+      expect(YjsModule.getCharacters(state).map(c => c.name)).to.include('Gimli');
+      expect(YjsModule.getEntries(gimli)).to.have.length(1);
+    });
+  });
+
+  describe('importJournalFile', function() {
+    const fileFrom = (name, text) => ({
+      name,
+      arrayBuffer: async () => new TextEncoder().encode(text).buffer
+    });
+
+    it('should merge after the preview is confirmed', async function() {
+      let previewShown = false;
+      Settings.setShowChoiceModal(async ({ message }) => {
+        previewShown = message.textContent.includes('2 new');
+        return 'merge';
+      });
+
+      const imported = await Settings.importJournalFile(fileFrom('entries.json', JSON.stringify({
+        entries: [
+          { id: 'a', content: 'One', timestamp: '2025-09-01T08:30:00.000Z' },
+          { id: 'b', content: 'Two', timestamp: '2025-09-02T08:30:00.000Z' }
+        ]
+      })), state);
+
+      expect(imported).to.be.true;
+      expect(previewShown).to.be.true;
+      expect(YjsModule.getEntries(state)).to.have.length(2);
+    });
+
+    it('should leave the journal untouched when cancelled or invalid', async function() {
+      Settings.setShowChoiceModal(async () => 'cancel');
+      expect(await Settings.importJournalFile(fileFrom('a.json', '[{"content":"x","timestamp":1}]'), state)).to.be.false;
+      expect(await Settings.importJournalFile(fileFrom('b.json', 'garbage'), state)).to.be.false;
+      expect(YjsModule.getEntries(state)).to.have.length(0);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Character from '../js/character.js';
+import { computeCharacterSheet, summarizeCharacterSheet, parseSheetInput, hasCharacterSheetData } from '../js/character-sheet.js';
+import { buildContext } from '../js/context.js';
+import { buildBackup, parseBackup, applyBackup, buildMarkdownBook } from '../js/backup.js';
+
+const FIGHTER = {
+  level: 5,
+  armorClass: 18,
+  speed: 30,
+  gold: 25,
+  hp: { current: 31, max: 44 },
+  abilities: { str: 16, dex: 12, con: 14, int: 8, wis: 13, cha: 10 },
+  proficiencies: { 'save:str': true, 'save:con': true, athletics: true, perception: true },
+  inventory: [{ id: 'i1', name: 'Longsword', quantity: 1, equipped: true }, { id: 'i2', name: 'Torch', quantity: 5 }]
+};
+
+describe('Character Sheet', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="character-sheet"></div>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    YjsModule.resetYjs();
+  });
+
+  describe('rules', function() {
+    it('should derive modifiers, proficiency, saves and skills', function() {
+      const sheet = computeCharacterSheet({ ...FIGHTER, spellcastingAbility: 'wis' });
+      const str = sheet.abilities.find(a => a.id === 'str');
+
+      expect(sheet.proficiencyBonus).to.equal(3);
+      expect(str).to.include({ score: 16, modifier: 3, saveProficient: true, save: 6 });
+      expect(sheet.abilities.find(a => a.id === 'int').modifier).to.equal(-1);
+      expect(sheet.skills.find(s => s.id === 'athletics')).to.include({ proficient: true, bonus: 6 });
+      expect(sheet.skills.find(s => s.id === 'stealth')).to.include({ proficient: false, bonus: 1 });
+      expect(sheet.passivePerception).to.equal(14);
+      expect(sheet).to.include({ initiative: 1, spellSaveDC: 12, spellAttackBonus: 4 });
+    });
+
+    it('should parse edited fields within 5e bounds', function() {
+      expect(parseSheetInput(['abilities', 'str'], '35')).to.equal(30);
+      expect(parseSheetInput(['level'], '')).to.be.null;
+      expect(parseSheetInput(['proficiencies', 'stealth'], false)).to.be.null;
+      expect(parseSheetInput(['spellcastingAbility'], 'luck')).to.be.null;
+      expect(hasCharacterSheetData({ hp: {}, abilities: {}, inventory: [] })).to.be.false;
+    });
+
+    it('should summarize what the character can do', function() {
+      expect(summarizeCharacterSheet({ hp: {}, inventory: [] })).to.equal('');
+      const summary = summarizeCharacterSheet(FIGHTER);
+
+      expect(summary).to.include('Level 5 (proficiency +3) · HP 31/44 · AC 18 · Speed 30 ft · Initiative +1');
+      expect(summary).to.include('STR 16 (+3), DEX 12 (+1), CON 14 (+2), INT 8 (-1)');
+      expect(summary).to.include('Saving throw proficiencies: STR +6, CON +5');
+      expect(summary).to.include('Skill proficiencies: Athletics +6, Perception +4; Passive Perception 14');
+      expect(summary).to.include('Inventory: Longsword (equipped), Torch ×5, 25 gp');
+    });
+  });
+
+  describe('storage', function() {
+    it('should keep the sheet in nested Yjs types that merge edits from two devices', function() {
+      YjsModule.setCharacterSheetValue(state, ['abilities', 'str'], 16);
+      const sheetMap = state.characterMap.get('sheet');
+      expect(sheetMap).to.be.instanceOf(Y.Map);
+      expect(sheetMap.get('abilities')).to.be.instanceOf(Y.Map);
+      expect(sheetMap.get('inventory')).to.be.instanceOf(Y.Array);
+
+      // A second device starts from the same document and edits other fields at the same time
+      const other = new Y.Doc();
+      Y.applyUpdate(other, Y.encodeStateAsUpdate(state.ydoc));
+      const otherState = YjsModule.getCharacterState(other, state.characterId);
+      YjsModule.setCharacterSheetValue(otherState, ['abilities', 'dex'], 14);
+      YjsModule.addCharacterSheetItem(otherState, 'inventory', { id: 'i1', name: 'Rope', quantity: 1 });
+      YjsModule.setCharacterSheetValue(state, ['hp', 'max'], 12);
+      Y.applyUpdate(state.ydoc, Y.encodeStateAsUpdate(other));
+
+      expect(YjsModule.getCharacterSheet(state)).to.deep.include({
+        abilities: { str: 16, dex: 14 },
+        hp: { max: 12 },
+        inventory: [{ id: 'i1', name: 'Rope', quantity: 1 }]
+      });
+      expect(YjsModule.getCharacterData(state).sheet.abilities).to.deep.equal({ str: 16, dex: 14 });
+    });
+
+    it('should report sheet edits to character observers', function() {
+      YjsModule.setCharacterSheetValue(state, ['level'], 2);
+      let calls = 0;
+      YjsModule.onCharacterChange(state, () => { calls++; });
+      YjsModule.setCharacterSheetValue(state, ['hp', 'current'], 9);
+      expect(calls).to.equal(1);
+    });
+
+    it('should carry the sheet through a backup and the Markdown book', async function() {
+      YjsModule.replaceCharacterSheet(state, FIGHTER);
+      const backup = parseBackup(JSON.stringify(buildBackup(state)));
+      expect(buildMarkdownBook(backup)).to.include('## Character Sheet').and.include('- Inventory: Longsword (equipped)');
+
+      YjsModule.resetYjs();
+      const restored = await YjsModule.initYjs();
+      applyBackup(restored, backup, 'replace');
+      expect(restored.characterMap.get('sheet').get('hp')).to.be.instanceOf(Y.Map);
+      expect(YjsModule.getCharacterSheet(restored).inventory).to.have.length(2);
+    });
+
+    it('should tell the AI about the sheet in the context', async function() {
+      const context = await buildContext({ name: 'Brenna', class: 'Fighter', sheet: FIGHTER }, []);
+      expect(context).to.include('Character Sheet:\nLevel 5 (proficiency +3)');
+      expect(context).to.include('Skill proficiencies: Athletics +6');
+    });
+  });
+
+  describe('character page', function() {
+    const change = (element, value) => {
+      if (element.type === 'checkbox') {
+        element.checked = value;
+      } else {
+        element.value = value;
+      }
+      element.dispatchEvent(new window.Event('change', { bubbles: true }));
+    };
+
+    it('should edit abilities and proficiencies and show the derived bonuses', function() {
+      Character.renderCharacterPage(state);
+      const sheet = document.getElementById('character-sheet');
+
+      change(sheet.querySelector('[data-path="abilities.dex"]'), '16');
+      change(sheet.querySelector('[data-path="proficiencies.stealth"]'), true);
+      expect(YjsModule.getCharacterSheet(state).abilities.dex).to.equal(16);
+      expect(YjsModule.getCharacterSheet(state).proficiencies).to.deep.equal({ stealth: true });
+
+      Character.renderCharacterPage(state);
+      const stealth = sheet.querySelector('[data-path="proficiencies.stealth"]').closest('li');
+      expect(stealth.querySelector('.character-sheet__modifier').textContent).to.equal('+5');
+      expect(sheet.querySelector('[data-ability="dex"] .character-sheet__modifier').textContent).to.equal('+3');
+    });
+
+    it('should add, rename and undoably remove inventory items', function() {
+      Character.renderCharacterPage(state);
+      const form = document.querySelector('#character-sheet form[data-list="inventory"]');
+      form.querySelector('[name="name"]').value = 'Healing potion';
+      form.querySelector('[name="quantity"]').value = '2';
+      form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+
+      const [item] = YjsModule.getCharacterSheet(state).inventory;
+      expect(item).to.include({ name: 'Healing potion', quantity: 2, equipped: false });
+
+      Character.renderCharacterPage(state);
+      const row = document.querySelector(`#character-sheet [data-item-id="${item.id}"]`);
+      change(row.querySelector('[data-item-field="quantity"]'), '1');
+      expect(YjsModule.getCharacterSheet(state).inventory[0].quantity).to.equal(1);
+
+      row.querySelector('[data-action="remove-item"]').click();
+      expect(YjsModule.getCharacterSheet(state).inventory).to.deep.equal([]);
+      expect(YjsModule.undoChange(state)).to.be.true;
+      expect(YjsModule.getCharacterSheet(state).inventory[0].name).to.equal('Healing potion');
+    });
+  });
+});
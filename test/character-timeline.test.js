@@ -0,0 +1,216 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Character from '../js/character.js';
+import { diffCharacters, describeCharacterChange, isLevelUp } from '../js/character-changes.js';
+import {
+  recordCharacterSnapshot,
+  getCharacterTimeline,
+  compareCharacterSnapshots,
+  formatRecentCharacterChanges,
+  CURRENT_CHARACTER_ID
+} from '../js/character-timeline.js';
+import { buildContext } from '../js/context.js';
+import { buildBackup, parseBackup, applyBackup } from '../js/backup.js';
+
+const BEFORE = {
+  name: 'Brenna',
+  class: 'Fighter',
+  notes: 'Wants to find her brother.',
+  sheet: {
+    level: 4,
+    hp: { current: 20, max: 36 },
+    abilities: { str: 16 },
+    proficiencies: { athletics: true },
+    inventory: [{ id: 'i1', name: 'Longsword', quantity: 1 }, { id: 'i2', name: 'Torch', quantity: 5 }]
+  }
+};
+
+const AFTER = {
+  name: 'Brenna',
+  class: 'Fighter',
+  notes: 'Wants to find her brother. Swore an oath to the Harpers.',
+  sheet: {
+    level: 5,
+    hp: { current: 4, max: 44 },
+    abilities: { str: 16 },
+    proficiencies: { athletics: true, stealth: true },
+    inventory: [{ id: 'i1', name: 'Longsword', quantity: 1 }, { id: 'i2', name: 'Torch', quantity: 2 }, { id: 'i3', name: 'Shield', quantity: 1 }]
+  }
+};
+
+describe('Character Timeline', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <form id="character-form">
+            <input name="name"><input name="race"><input name="class">
+            <textarea name="backstory"></textarea><textarea name="notes"></textarea>
+          </form>
+          <div id="character-sheet"></div>
+          <section id="character-timeline"></section>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    YjsModule.resetYjs();
+  });
+
+  const setCharacter = (character) => {
+    Object.entries(character).forEach(([field, value]) => {
+      if (field === 'sheet') {
+        YjsModule.replaceCharacterSheet(state, value);
+      } else {
+        YjsModule.setCharacter(state, field, value);
+      }
+    });
+  };
+
+  const addEntry = (id, session) => {
+    YjsModule.addEntry(state, { id, title: id, content: `Entry ${id}`, timestamp: Date.now(), ...(session ? { session } : {}) });
+  };
+
+  describe('changes', function() {
+    it('should list level ups, gear, proficiencies and new goals but not current HP', function() {
+      const changes = diffCharacters(BEFORE, AFTER);
+      const descriptions = changes.map(describeCharacterChange);
+
+      expect(isLevelUp(changes)).to.be.true;
+      expect(descriptions).to.deep.equal([
+        'Level 4 → 5',
+        'Max HP 36 → 44',
+        'Now proficient in Stealth',
+        'Torch ×5 → ×2',
+        'Gained Shield',
+        'Notes updated: “Swore an oath to the Harpers.”'
+      ]);
+      expect(diffCharacters(BEFORE, { ...BEFORE, sheet: { ...BEFORE.sheet, hp: { current: 1, max: 36 } } })).to.deep.equal([]);
+    });
+  });
+
+  describe('snapshots', function() {
+    it('should keep a baseline and link each change to the latest entry and session', function() {
+      setCharacter(BEFORE);
+      addEntry('e1', 3);
+      const previous = YjsModule.getCharacterData(state);
+      setCharacter(AFTER);
+
+      const snapshot = recordCharacterSnapshot(previous, state);
+      expect(snapshot).to.include({ entryId: 'e1', session: 3 });
+
+      const timeline = getCharacterTimeline(state);
+      expect(timeline.map(item => item.label)).to.deep.equal(['Session 3', 'Before the timeline']);
+      expect(timeline[0]).to.include({ levelUp: true, href: '/#entry-e1' });
+      expect(timeline[0].changes).to.include('Gained Shield');
+    });
+
+    it('should fold edits before the next entry into one snapshot and drop it when they are undone', function() {
+      setCharacter(BEFORE);
+      addEntry('e1', 3);
+      let previous = YjsModule.getCharacterData(state);
+      YjsModule.setCharacterSheetValue(state, ['level'], 5);
+      recordCharacterSnapshot(previous, state);
+      previous = YjsModule.getCharacterData(state);
+      YjsModule.setCharacter(state, 'race', 'Dwarf');
+      recordCharacterSnapshot(previous, state);
+
+      expect(getCharacterTimeline(state)).to.have.length(2);
+      expect(getCharacterTimeline(state)[0].changes).to.deep.equal(['Race Dwarf', 'Level 4 → 5']);
+
+      addEntry('e2', 4);
+      previous = YjsModule.getCharacterData(state);
+      YjsModule.setCharacterSheetValue(state, ['hp', 'current'], 3);
+      expect(recordCharacterSnapshot(previous, state)).to.be.null;
+      YjsModule.setCharacterSheetValue(state, ['gold'], 100);
+      recordCharacterSnapshot(previous, state);
+      YjsModule.setCharacterSheetValue(state, ['gold'], null);
+      recordCharacterSnapshot(previous, state);
+
+      expect(getCharacterTimeline(state).map(item => item.label)).to.deep.equal(['Session 3', 'Before the timeline']);
+    });
+
+    it('should compare the character as of a session with now and tell the AI what changed', async function() {
+      setCharacter(BEFORE);
+      addEntry('e1', 3);
+      const previous = YjsModule.getCharacterData(state);
+      setCharacter(AFTER);
+      recordCharacterSnapshot(previous, state);
+      const [, baseline] = getCharacterTimeline(state);
+
+      const comparison = compareCharacterSnapshots(baseline.id, CURRENT_CHARACTER_ID, state);
+      expect(comparison.from[0]).to.equal('Brenna - Fighter');
+      expect(comparison.from[1]).to.include('Level 4');
+      expect(comparison.to[1]).to.include('Level 5');
+      expect(comparison.changes).to.include('Now proficient in Stealth');
+      expect(compareCharacterSnapshots('missing', CURRENT_CHARACTER_ID, state)).to.be.null;
+
+      expect(formatRecentCharacterChanges(state)).to.match(/^- Session 3: Level 4 → 5; /);
+      const context = await buildContext(YjsModule.getCharacterData(state), []);
+      expect(context).to.include('Character Changes:\n- Session 3: Level 4 → 5');
+    });
+
+    it('should carry the timeline through a backup', async function() {
+      setCharacter(BEFORE);
+      const previous = YjsModule.getCharacterData(state);
+      YjsModule.setCharacterSheetValue(state, ['level'], 5);
+      recordCharacterSnapshot(previous, state);
+      const backup = parseBackup(JSON.stringify(buildBackup(state)));
+
+      YjsModule.resetYjs();
+      const restored = await YjsModule.initYjs();
+      applyBackup(restored, backup, 'replace');
+      expect(getCharacterTimeline(restored)).to.have.length(2);
+    });
+  });
+
+  describe('character page', function() {
+    it('should record a snapshot when the character is saved and undo it with the edit', function() {
+      setCharacter(BEFORE);
+      addEntry('e1', 2);
+      Character.renderCharacterPage(state);
+      document.querySelector('#character-form [name="class"]').value = 'Fighter / Rogue';
+      Character.saveCharacterData(state);
+      Character.renderCharacterPage(state);
+
+      const items = document.querySelectorAll('#character-timeline .character-timeline__item');
+      expect(items).to.have.length(2);
+      expect(items[0].textContent).to.include('Session 2').and.include('Class Fighter → Fighter / Rogue');
+
+      expect(YjsModule.undoChange(state)).to.be.true;
+      expect(YjsModule.getCharacterData(state).class).to.equal('Fighter');
+      expect(getCharacterTimeline(state)).to.deep.equal([]);
+    });
+
+    it('should record sheet edits and compare the chosen snapshots', function() {
+      setCharacter(BEFORE);
+      Character.renderCharacterPage(state);
+      const level = document.querySelector('#character-sheet [data-path="level"]');
+      level.value = '5';
+      level.dispatchEvent(new window.Event('change', { bubbles: true }));
+      Character.renderCharacterPage(state);
+
+      const timeline = document.getElementById('character-timeline');
+      const [from, to] = timeline.querySelectorAll('[data-compare]');
+      expect(from.value).to.equal(getCharacterTimeline(state)[1].id);
+      expect(to.value).to.equal(CURRENT_CHARACTER_ID);
+      expect(timeline.querySelector('.character-timeline__compare').textContent).to.include('Level 4 → 5');
+
+      from.value = CURRENT_CHARACTER_ID;
+      from.dispatchEvent(new window.Event('change', { bubbles: true }));
+      expect(document.querySelector('#character-timeline .character-timeline__compare').textContent).to.include('No differences.');
+    });
+  });
+});
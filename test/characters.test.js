@@ -0,0 +1,127 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Characters from '../js/characters.js';
+import { createCharacterSwitcher, NEW_CHARACTER_OPTION } from '../js/components/character-switcher.js';
+
+describe('Characters', function() {
+  let state;
+  let reloads;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <header class="tabs"><div class="tabs__container"><nav class="tabs__nav"></nav></div></header>
+        </body>
+      </html>
+    `);
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.confirm = () => true;
+
+    reloads = 0;
+    Characters.setReloadPage(() => { reloads++; });
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    Characters.setReloadPage(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('createCharacterSwitcher', function() {
+    it('should list characters plus a new character option', function() {
+      const select = createCharacterSwitcher([
+        { id: 'default', name: 'Aragorn' },
+        { id: 'b', name: '' }
+      ], 'b');
+
+      const labels = Array.from(select.options).map(option => option.textContent);
+      expect(labels).to.deep.equal(['Aragorn', 'Unnamed character 2', '+ New character']);
+      expect(select.value).to.equal('b');
+    });
+
+    it('should call onCreate and keep the active selection for the new option', function() {
+      let created = false;
+      const select = createCharacterSwitcher([{ id: 'default', name: 'Aragorn' }], 'default', {
+        onCreate: () => { created = true; }
+      });
+      select.value = NEW_CHARACTER_OPTION;
+      select.dispatchEvent(new window.Event('change'));
+
+      expect(created).to.be.true;
+      expect(select.value).to.equal('default');
+    });
+  });
+
+  describe('setupCharacterSwitcher', function() {
+    it('should render the switcher into the tabs header', function() {
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      Characters.setupCharacterSwitcher(state);
+
+      const select = document.querySelector('.tabs__container .tabs__switcher');
+      expect(select).to.exist;
+      expect(select.options[0].textContent).to.equal('Aragorn');
+    });
+
+    it('should re-render when a character is added elsewhere', function() {
+      Characters.setupCharacterSwitcher(state);
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+
+      const select = document.querySelector('.tabs__switcher');
+      expect(select.options).to.have.length(3);
+      expect(document.querySelectorAll('.tabs__switcher')).to.have.length(1);
+    });
+
+    it('should do nothing without a header', function() {
+      document.body.innerHTML = '';
+      expect(() => Characters.setupCharacterSwitcher(state)).to.not.throw();
+    });
+  });
+
+  describe('handlers', function() {
+    it('should switch the active character and reload', function() {
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      Characters.handleSwitchCharacter('gimli-id', state);
+
+      expect(YjsModule.getActiveCharacterId(YjsModule.getYjsState())).to.equal('gimli-id');
+      expect(reloads).to.equal(1);
+    });
+
+    it('should create a named character and make it active', function() {
+      global.prompt = () => '  Legolas ';
+      Characters.handleCreateCharacter(state);
+
+      const current = YjsModule.getYjsState();
+      expect(YjsModule.getCharacterData(current).name).to.equal('Legolas');
+      expect(YjsModule.getCharacters(current)).to.have.length(2);
+      expect(reloads).to.equal(1);
+    });
+
+    it('should not create a character when the prompt is cancelled', function() {
+      global.prompt = () => null;
+      Characters.handleCreateCharacter(state);
+
+      expect(YjsModule.getCharacters(state)).to.have.length(1);
+      expect(reloads).to.equal(0);
+    });
+
+    it('should delete the active character but never the default one', function() {
+      Characters.handleDeleteCharacter(state);
+      expect(reloads).to.equal(0);
+
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      YjsModule.setActiveCharacter(state, 'gimli-id');
+      Characters.handleDeleteCharacter(YjsModule.getYjsState());
+
+      expect(YjsModule.getCharacters(YjsModule.getYjsState())).to.have.length(1);
+      expect(reloads).to.equal(1);
+    });
+  });
+});
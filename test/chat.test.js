@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+
+import * as YjsModule from '../js/yjs.js';
+import { askJournal, renderChatPage, submitQuestion } from '../js/chat.js';
+import { buildChatMessages, splitCitations, getCitedSources, getThreadTitle, CHAT_HISTORY_LIMIT } from '../js/chat-prompt.js';
+import { buildBackup, parseBackup, applyBackup } from '../js/backup.js';
+
+const SOURCES = [
+  { n: 1, id: 'entry:e1', kind: 'entry', title: 'The docks', href: '/#entry-e1', excerpt: 'We promised the harbormaster.' },
+  { n: 2, id: 'part:1', kind: 'part', title: 'Part 1', href: '/part.html?part=1', excerpt: 'Arrival in Saltmarsh.' }
+];
+
+describe('Chat', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <p id="chat-status"></p>
+          <nav id="chat-threads"></nav>
+          <div id="chat-messages"></div>
+          <form id="chat-form"><textarea name="question"></textarea><button type="submit">Ask</button></form>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    YjsModule.setSetting(state, 'ai-provider', 'mock');
+    YjsModule.addEntry(state, { id: 'e1', content: 'We promised the harbormaster Elsa to clear the smugglers from pier nine.', timestamp: Date.now() - 2000 });
+    YjsModule.addEntry(state, { id: 'e2', content: 'The party rested at the inn and sold the gems.', timestamp: Date.now() - 1000 });
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    YjsModule.resetYjs();
+  });
+
+  describe('prompt', function() {
+    it('should send the context, recent turns and numbered excerpts', function() {
+      const history = Array.from({ length: CHAT_HISTORY_LIMIT + 2 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'user', content: `Turn ${i}` }));
+      const messages = buildChatMessages({ context: 'Character: Brenna', history, sources: SOURCES, question: 'What did we promise?' });
+
+      expect(messages[0].role).to.equal('system');
+      expect(messages[0].content).to.include('Character: Brenna');
+      expect(messages).to.have.length(CHAT_HISTORY_LIMIT + 2);
+      expect(messages[1].content).to.equal('Turn 2');
+      expect(messages[messages.length - 1].content).to.include('[1] Entry: The docks\nWe promised the harbormaster.')
+        .and.include('[2] Chronicle part: Part 1').and.include('Question:\nWhat did we promise?');
+    });
+
+    it('should find the citations in an answer', function() {
+      expect(splitCitations('Elsa [1][2], twice [1, 2].')).to.deep.equal([
+        { text: 'Elsa ' }, { citation: 1 }, { citation: 2 }, { text: ', twice ' }, { citation: 1 }, { citation: 2 }, { text: '.' }
+      ]);
+      expect(getCitedSources('Only [2] and [7].', SOURCES)).to.deep.equal([
+        { n: 2, id: 'part:1', kind: 'part', title: 'Part 1', href: '/part.html?part=1' }
+      ]);
+      expect(getThreadTitle(`  ${'word '.repeat(30)}`)).to.have.length(60);
+    });
+  });
+
+  describe('conversations', function() {
+    it('should answer from the matching entry and cite it', async function() {
+      const { threadId, message } = await askJournal('What did we promise the harbormaster?', null, state);
+
+      expect(message.content).to.include('[1]');
+      expect(message.sources).to.deep.equal([{ n: 1, id: 'entry:e1', kind: 'entry', title: message.sources[0].title, href: '/#entry-e1' }]);
+      expect(YjsModule.getChatThread(state, threadId).title).to.equal('What did we promise the harbormaster?');
+      expect(YjsModule.getChatMessages(state, threadId).map(m => m.role)).to.deep.equal(['user', 'assistant']);
+
+      await askJournal('And the gems?', threadId, state);
+      expect(YjsModule.getChatMessages(state, threadId)).to.have.length(4);
+      expect(YjsModule.getChatThreads(state)).to.have.length(1);
+    });
+
+    it('should keep questions asked on two devices in the same thread', async function() {
+      const { threadId } = await askJournal('What did we promise the harbormaster?', null, state);
+      const other = new Y.Doc();
+      Y.applyUpdate(other, Y.encodeStateAsUpdate(state.ydoc));
+      const otherState = YjsModule.getCharacterState(other, state.characterId);
+
+      YjsModule.addChatMessage(otherState, threadId, { id: 'm-other', role: 'user', content: 'Who is Elsa?', timestamp: Date.now() });
+      YjsModule.addChatMessage(state, threadId, { id: 'm-here', role: 'user', content: 'Where is pier nine?', timestamp: Date.now() });
+      Y.applyUpdate(state.ydoc, Y.encodeStateAsUpdate(other));
+
+      expect(YjsModule.getChatMessages(state, threadId).map(m => m.id)).to.include.members(['m-other', 'm-here']);
+    });
+
+    it('should carry conversations through a backup', async function() {
+      const { threadId } = await askJournal('What did we promise the harbormaster?', null, state);
+      const backup = parseBackup(JSON.stringify(buildBackup(state)));
+
+      YjsModule.resetYjs();
+      const restored = await YjsModule.initYjs();
+      applyBackup(restored, backup, 'replace');
+      expect(YjsModule.getChatMessages(restored, threadId)).to.have.length(2);
+      expect(YjsModule.getChatThread(restored, threadId).title).to.equal('What did we promise the harbormaster?');
+    });
+  });
+
+  describe('page', function() {
+    it('should ask from the form and link citations to the entry', async function() {
+      document.querySelector('#chat-form [name="question"]').value = 'What did we promise the harbormaster?';
+      await submitQuestion(state);
+
+      const messages = document.querySelectorAll('#chat-messages .chat-message');
+      expect(messages).to.have.length(2);
+      expect(messages[0].classList.contains('chat-message--user')).to.be.true;
+      expect(messages[1].querySelector('a.chat-citation').getAttribute('href')).to.equal('/#entry-e1');
+      expect(document.querySelectorAll('#chat-threads .chat-threads__item--active')).to.have.length(1);
+      expect(document.querySelector('#chat-form [name="question"]').value).to.equal('');
+    });
+
+    it('should ask to enable AI when it is off', function() {
+      YjsModule.setSetting(state, 'ai-enabled', false);
+      renderChatPage(state);
+      expect(document.getElementById('chat-status').textContent).to.include('Enable AI');
+      expect(document.querySelector('#chat-form [type="submit"]').disabled).to.be.true;
+    });
+  });
+});
@@ -103,3 +103,22 @@ describe('Chronicle Page', function() {
   });
 });
 
+
+describe('Chronicle Views', function() {
+  it('should list open part entries with break controls and mark suggestions', async function() {
+    const { renderOpenPartEntries } = await import('../js/chronicle-views.js');
+    const container = document.createElement('div');
+    const ended = [];
+    renderOpenPartEntries(container, [
+      { id: 'a', content: 'We left town.', timestamp: Date.now() },
+      { id: 'b', content: 'The dragon slept.', timestamp: Date.now() }
+    ], { suggestions: new Map([['a', 'The party leaves Phandalin.']]), onEndPart: (id) => ended.push(id) });
+
+    const items = container.querySelectorAll('.open-part-entries__item');
+    expect(items).to.have.length(2);
+    expect(items[0].classList.contains('open-part-entries__item--suggested')).to.equal(true);
+    expect(items[0].querySelector('.open-part-entries__reason').textContent).to.equal('Suggested break: The party leaves Phandalin.');
+    items[1].querySelector('.open-part-entries__break').click();
+    expect(ended).to.deep.equal(['b']);
+  });
+});
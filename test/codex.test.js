@@ -0,0 +1,205 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import {
+  normalizeEntityName,
+  getEntityId,
+  parseExtractedEntities,
+  mergeEntryEntities,
+  syncCodex,
+  mergeCodexEntities,
+  updateCodexDescription,
+  getCodexLinks,
+  getCodexSummaryKey
+} from '../js/codex-entities.js';
+import { saveEntryEdit } from '../js/journal.js';
+import { parseMarkdown } from '../js/utils.js';
+import { createEntryItem } from '../js/components/entry-item.js';
+import { renderCodexList } from '../js/components/codex-list.js';
+
+describe('Codex', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body><div id="codex-list"></div></body></html>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    YjsModule.resetYjs();
+  });
+
+  describe('names', function() {
+    it('should compare names without articles, accents, punctuation or case', function() {
+      expect(normalizeEntityName('The Lords\' Alliance')).to.equal('lords alliance');
+      expect(normalizeEntityName('  Phandálin ')).to.equal('phandalin');
+      expect(getEntityId('location', 'Wave Echo Cave')).to.equal('location:wave-echo-cave');
+    });
+
+    it('should keep only named entities of known types', function() {
+      const entities = parseExtractedEntities(JSON.stringify({
+        entities: [
+          { type: 'npc', name: 'Sildar', aliases: ['sildar', 'Sir Sildar'] },
+          { type: 'monster', name: 'Klarg' },
+          { type: 'npc', name: '  ' },
+          { type: 'npc', name: 'SILDAR' }
+        ]
+      }));
+      expect(entities.map(e => [e.type, e.name, e.aliases])).to.deep.equal([
+        ['npc', 'Sildar', ['Sir Sildar']],
+        ['npc', 'Klarg', []]
+      ]);
+      expect(parseExtractedEntities('not json')).to.deep.equal([]);
+    });
+  });
+
+  describe('merging', function() {
+    it('should merge duplicates across entries and keep the first description', function() {
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'Sildar', aliases: [], description: 'A knight.' }]);
+      mergeEntryEntities(state, 'e2', [{ type: 'npc', name: 'Sildar Hallwinter', aliases: [], description: 'Someone else.' }]);
+      mergeEntryEntities(state, 'e3', [{ type: 'location', name: 'the Phandalin', aliases: [], description: '' }]);
+      mergeEntryEntities(state, 'e4', [{ type: 'location', name: 'Phandalin', aliases: [], description: 'A town.' }]);
+
+      const entities = YjsModule.getCodexEntities(state);
+      expect(entities).to.have.length(2);
+      const sildar = YjsModule.getCodexEntity(state, 'npc:sildar');
+      expect(sildar).to.include({ name: 'Sildar Hallwinter', description: 'A knight.' });
+      expect(sildar.aliases).to.deep.equal(['Sildar']);
+      expect(sildar.mentions).to.deep.equal(['e1', 'e2']);
+      expect(YjsModule.getCodexEntity(state, 'location:phandalin').description).to.equal('A town.');
+    });
+
+    it('should replace an entry\'s mentions and drop entities nobody mentions', function() {
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'Gundren', aliases: [], description: '' }]);
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'Nezznar', aliases: [], description: '' }]);
+      expect(YjsModule.getCodexEntities(state).map(e => e.name)).to.deep.equal(['Nezznar']);
+    });
+
+    it('should mark extracted entities as background writes and merges as the player\'s', function() {
+      const origins = [];
+      state.ydoc.on('afterTransaction', (transaction) => origins.push(transaction.origin));
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'Gundren', aliases: [], description: '' }]);
+      mergeEntryEntities(state, 'e2', [{ type: 'npc', name: 'Sildar', aliases: [], description: '' }]);
+      mergeCodexEntities(state, 'npc:sildar', 'npc:gundren');
+      expect(origins).to.deep.equal([YjsModule.BACKGROUND_ORIGIN, YjsModule.BACKGROUND_ORIGIN, YjsModule.LOCAL_EDIT_ORIGIN]);
+    });
+
+    it('should fold one entity into another and keep hand-written descriptions', function() {
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'The Black Spider', aliases: [], description: '' }]);
+      mergeEntryEntities(state, 'e2', [{ type: 'npc', name: 'Nezznar', aliases: [], description: '' }]);
+      expect(mergeCodexEntities(state, 'npc:black-spider', 'npc:nezznar')).to.be.true;
+      expect(updateCodexDescription(state, 'npc:nezznar', 'Drow wizard.')).to.be.true;
+
+      // A later mention of the old name lands on the merged entity
+      mergeEntryEntities(state, 'e3', [{ type: 'npc', name: 'Black Spider', aliases: [], description: 'Villain.' }]);
+      const [entity] = YjsModule.getCodexEntities(state);
+      expect(YjsModule.getCodexEntities(state)).to.have.length(1);
+      expect(entity).to.include({ name: 'Nezznar', description: 'Drow wizard.' });
+      expect(entity.mentions).to.deep.equal(['e2', 'e1', 'e3']);
+    });
+  });
+
+  describe('extraction', function() {
+    beforeEach(function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+    });
+
+    it('should scan each entry once and again after it is edited', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Today we met Sildar Hallwinter on the road.', timestamp: 1 });
+      YjsModule.addEntry(state, { id: 'e2', content: 'Later, we escorted Sildar Hallwinter to town.', timestamp: 2 });
+      expect(await syncCodex(state)).to.equal(2);
+      expect(await syncCodex(state)).to.equal(0);
+      expect(YjsModule.getCodexEntity(state, 'npc:sildar-hallwinter').mentions).to.deep.equal(['e1', 'e2']);
+
+      saveEntryEdit('e2', { content: 'Later, we found Gundren Rockseeker.' }, state);
+      expect(YjsModule.getSummary(state, getCodexSummaryKey('e2'))).to.not.be.ok;
+      expect(await syncCodex(state)).to.equal(1);
+      expect(YjsModule.getCodexEntity(state, 'npc:sildar-hallwinter').mentions).to.deep.equal(['e1']);
+      expect(YjsModule.getCodexEntity(state, 'npc:gundren-rockseeker').mentions).to.deep.equal(['e2']);
+    });
+
+    it('should forget mentions of deleted entries', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Today we met Sildar Hallwinter.', timestamp: 1 });
+      await syncCodex(state);
+      YjsModule.deleteEntry(state, 'e1');
+      await syncCodex(state);
+      expect(YjsModule.getCodexEntities(state)).to.deep.equal([]);
+    });
+
+    it('should not scan without AI', async function() {
+      YjsModule.setSetting(state, 'ai-enabled', false);
+      YjsModule.addEntry(state, { id: 'e1', content: 'Today we met Sildar Hallwinter.', timestamp: 1 });
+      expect(await syncCodex(state)).to.equal(0);
+    });
+  });
+
+  describe('links', function() {
+    it('should link names in rendered Markdown but not inside tags or links', function() {
+      const links = [
+        { name: 'Sildar', href: '/codex.html#npc%3Asildar' },
+        { name: 'Sildar Hallwinter', href: '/codex.html#npc%3Asildar' },
+        { name: 'strong', href: '/codex.html#item%3Astrong' }
+      ];
+      const html = parseMarkdown('**Sildar Hallwinter** thanked us. Sildarion left. sildar waved.', { links });
+      expect(html).to.include('<strong><a class="codex-link" href="/codex.html#npc%3Asildar">Sildar Hallwinter</a></strong> thanked us. Sildarion left. <a class="codex-link" href="/codex.html#npc%3Asildar">sildar</a> waved.');
+      expect(html).to.not.include('<a class="codex-link" href="/codex.html#item%3Astrong">');
+      expect(parseMarkdown('No names', {})).to.equal(parseMarkdown('No names'));
+    });
+
+    it('should link codex names in entries', function() {
+      mergeEntryEntities(state, 'e1', [{ type: 'location', name: 'Cragmaw Castle', aliases: ['the castle'], description: '' }]);
+      const links = getCodexLinks(state);
+      expect(links).to.deep.equal([
+        { name: 'Cragmaw Castle', href: '/codex.html#location%3Acragmaw-castle' },
+        { name: 'the castle', href: '/codex.html#location%3Acragmaw-castle' }
+      ]);
+      const item = createEntryItem({ id: 'e1', content: 'We stormed Cragmaw Castle.', timestamp: 1 }, null, null, null, null, { links });
+      expect(item.querySelector('.entry-content a.codex-link').getAttribute('href')).to.equal('/codex.html#location%3Acragmaw-castle');
+    });
+  });
+
+  describe('view', function() {
+    it('should group entities by type and filter by name or alias', function() {
+      const container = document.getElementById('codex-list');
+      const entities = [
+        { id: 'npc:sildar', type: 'npc', name: 'Sildar', aliases: ['Sir Sildar'], description: '<b>Knight</b>', mentions: ['e1'] },
+        { id: 'location:phandalin', type: 'location', name: 'Phandalin', aliases: [], description: '', mentions: [] }
+      ];
+      renderCodexList(container, entities, { entryLabels: new Map([['e1', 'The First Day']]) });
+      expect(Array.from(container.querySelectorAll('h3')).map(h => h.textContent)).to.deep.equal(['NPCs', 'Locations']);
+      const sildar = container.querySelector('[id="npc:sildar"]');
+      expect(sildar.querySelector('.codex-entity__description').textContent).to.equal('<b>Knight</b>');
+      expect(sildar.querySelector('.codex-entity__mentions a').getAttribute('href')).to.equal('/#entry-e1');
+
+      renderCodexList(container, entities, { filter: 'sir' });
+      expect(container.querySelectorAll('.codex-entity')).to.have.length(1);
+    });
+
+    it('should report saved descriptions and merges', function() {
+      const container = document.getElementById('codex-list');
+      const calls = [];
+      const entities = [
+        { id: 'npc:a', type: 'npc', name: 'Aldo', aliases: [], description: '', mentions: [] },
+        { id: 'npc:b', type: 'npc', name: 'Bree', aliases: [], description: '', mentions: [] }
+      ];
+      renderCodexList(container, entities, {
+        onSaveDescription: (id, text) => calls.push(['save', id, text]),
+        onMerge: (source, target) => calls.push(['merge', source, target])
+      });
+      const aldo = container.querySelector('[id="npc:a"]');
+      aldo.querySelector('textarea').value = 'A smith.';
+      aldo.querySelector('form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+      const select = aldo.querySelector('select');
+      select.value = 'npc:b';
+      select.dispatchEvent(new window.Event('change'));
+      expect(calls).to.deep.equal([['save', 'npc:a', 'A smith.'], ['merge', 'npc:a', 'npc:b']]);
+    });
+  });
+});
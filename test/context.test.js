@@ -186,5 +186,17 @@ describe('Context Module', function() {
       expect(ctx).to.include('Backstory (Summary):');
       expect(ctx).to.include('Notes (Summary):');
     });
+
+    it('should use the active character when no data is passed', async function() {
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      YjsModule.setActiveCharacter(state, 'gimli-id');
+
+      const context = await buildContext();
+
+      expect(context).to.include('Gimli');
+      expect(context).to.not.include('Aragorn');
+      expect(context).to.include('No journal entries yet');
+    });
   });
 });
\ No newline at end of file
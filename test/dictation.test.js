@@ -0,0 +1,195 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import * as Attachments from '../js/attachments.js';
+import * as Dictation from '../js/dictation.js';
+import { getTranscriptionConfig, requestTranscription } from '../js/ai-providers.js';
+import { callTranscription, isTranscriptionAvailable } from '../js/ai-request.js';
+import { createEntryForm } from '../js/components/entry-form.js';
+
+// Other suites leave JSDOM's FormData in place, which does not accept Node's Blobs
+const NodeFormData = globalThis.FormData;
+
+const waitFor = async (check, timeoutMs = 1000) => {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+// MediaRecorder stand-in that hands over one clip when stopped
+const createFakeRecorder = (bytes = [1, 2, 3, 4]) => {
+  const recorder = new EventTarget();
+  recorder.mimeType = 'audio/webm';
+  recorder.start = () => {};
+  recorder.stop = () => {
+    recorder.dispatchEvent(Object.assign(new Event('dataavailable'), { data: new Blob([new Uint8Array(bytes)], { type: 'audio/webm' }) }));
+    recorder.dispatchEvent(new Event('stop'));
+  };
+  return recorder;
+};
+
+describe('Dictation', function() {
+  let state;
+  let originalFetch;
+  let requests;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="entries-container"></div>
+          <div id="entry-form-container"></div>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.FormData = NodeFormData;
+    originalFetch = global.fetch;
+    requests = [];
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    global.fetch = originalFetch;
+    Dictation.setRecorderFactory(null);
+    Attachments.setShowLightbox(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('transcription providers', function() {
+    it('should post the clip as a multipart upload with the model and a name hint', async function() {
+      global.fetch = async (url, init) => {
+        requests.push({ url, init });
+        return { ok: true, status: 200, json: async () => ({ text: ' We met Sildar. ' }) };
+      };
+      const config = { providerId: 'openai', apiKey: 'sk-abc', baseUrl: 'https://api.openai.com/v1/', model: 'whisper-1' };
+      const text = await requestTranscription(config, new Blob(['clip'], { type: 'audio/ogg' }), { prompt: 'Sildar' });
+
+      expect(text).to.equal('We met Sildar.');
+      expect(requests[0].url).to.equal('https://api.openai.com/v1/audio/transcriptions');
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer sk-abc');
+      const form = requests[0].init.body;
+      expect(form.get('model')).to.equal('whisper-1');
+      expect(form.get('prompt')).to.equal('Sildar');
+      expect(form.get('file').name).to.equal('recording.ogg');
+    });
+
+    it('should prefer a local Whisper server, then the sync server, over the chat provider', async function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'anthropic');
+      expect(isTranscriptionAvailable(state)).to.be.false;
+      try {
+        await requestTranscription(getTranscriptionConfig(state), new Blob(['x']));
+        expect.fail('Should have thrown');
+      } catch (error) {
+        expect(error.message).to.include('Whisper-compatible');
+      }
+
+      YjsModule.setSetting(state, 'journal-name', 'our-table');
+      state.deviceMap.set('ai-proxy', { base: 'http://sync.local', model: 'gpt-4o-mini' });
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      global.fetch = async (url, init) => {
+        requests.push({ url, init });
+        return { ok: true, status: 200, json: async () => ({ text: 'From the table' }) };
+      };
+      expect(isTranscriptionAvailable(state)).to.be.true;
+      expect(await callTranscription(new Blob(['clip'], { type: 'audio/webm' }), { language: 'en' })).to.equal('From the table');
+      expect(requests[0].url).to.equal('http://sync.local/ai/transcribe?room=our-table&language=en');
+      expect(requests[0].init.headers).to.include({ 'Content-Type': 'audio/webm', Authorization: 'Bearer secret' });
+
+      YjsModule.setSetting(state, 'transcription-base-url', 'http://localhost:8000/v1');
+      expect(getTranscriptionConfig(state)).to.deep.equal({ providerId: 'openai-compatible', apiKey: '', baseUrl: 'http://localhost:8000/v1', model: 'whisper-1' });
+      await callTranscription(new Blob(['clip'], { type: 'audio/webm' }));
+      expect(requests[1].url).to.equal('http://localhost:8000/v1/audio/transcriptions');
+      expect(requests[1].init.headers).to.deep.equal({});
+    });
+  });
+
+  describe('recording on the entry form', function() {
+    it('should only offer the record button where the page can record', function() {
+      expect(createEntryForm().querySelector('#entry-record')).to.be.null;
+      const form = createEntryForm({ onRecord: () => {} });
+      expect(form.querySelector('#entry-record').textContent).to.equal('Record voice note');
+      expect(form.querySelector('#entry-dictation-status').classList.contains('is-hidden')).to.be.true;
+    });
+
+    it('should transcribe a recording into the notes and attach it with its transcript', async function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      YjsModule.setCodexEntity(state, { id: 'c1', type: 'npc', name: 'Sildar Hallwinter' });
+      let recorder = null;
+      Dictation.setRecorderFactory(async () => { recorder = createFakeRecorder(); return recorder; });
+      expect(Dictation.getTranscriptionPrompt(state)).to.equal('Sildar Hallwinter');
+
+      const form = createEntryForm({ onRecord: () => dictation.toggle() });
+      const dictation = Dictation.createDictation(form, state);
+      form.querySelector('textarea').value = 'We reached Phandalin.';
+      form.querySelector('#entry-record').click();
+      await waitFor(() => dictation.isRecording());
+      expect(form.querySelector('#entry-record').getAttribute('aria-pressed')).to.equal('true');
+
+      form.querySelector('#entry-record').click();
+      await waitFor(() => dictation.getRecordings()[0]?.transcript);
+      const [recording] = dictation.getRecordings();
+      expect(recording.file.name).to.match(/^voice-note-[\d-]+\.webm$/);
+      expect(form.querySelector('textarea').value).to.equal(`We reached Phandalin.\n\n${recording.transcript}`);
+      expect(form.querySelector('#entry-dictation-status').textContent).to.include('check it before saving');
+
+      Journal.handleAddEntry({ content: form.querySelector('textarea').value, recordings: dictation.getRecordings() }, state);
+      await waitFor(() => YjsModule.getAttachments(state).some(a => a.transcript));
+      const [attachment] = YjsModule.getAttachments(state);
+      expect(attachment).to.include({ name: recording.file.name, type: 'audio/webm', transcript: recording.transcript });
+      expect(YjsModule.getEntries(state)[0].content).to.include('Mock transcript of voice-note-');
+    });
+
+    it('should keep the recording without a transcript when AI is off', async function() {
+      Dictation.setRecorderFactory(async () => createFakeRecorder());
+      const form = createEntryForm({ onRecord: () => {} });
+      const dictation = Dictation.createDictation(form, state);
+
+      await dictation.toggle();
+      dictation.toggle();
+      await waitFor(() => dictation.getRecordings().length === 1);
+      expect(dictation.getRecordings()[0].transcript).to.equal('');
+      expect(form.querySelector('textarea').value).to.equal('');
+      expect(form.querySelector('#entry-dictation-status').textContent).to.include('Enable AI');
+
+      dictation.reset();
+      expect(dictation.getRecordings()).to.deep.equal([]);
+    });
+  });
+
+  describe('voice notes in the lightbox', function() {
+    it('should transcribe an attached voice note into its entry and refresh the summary', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Session notes.', timestamp: 1 });
+      YjsModule.setSummary(state, 'entry:e1', { content: 'Old summary' });
+      const attachment = await Attachments.addEntryAttachment('e1', new File([new Uint8Array([5, 6, 7])], 'note.webm', { type: 'audio/webm' }), state);
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      let shown = null;
+      Attachments.setShowLightbox(async (options) => { shown = options; return 'transcribe'; });
+
+      await Attachments.openAttachment(attachment.id, state);
+
+      expect(shown.options.map(option => option.id)).to.deep.equal(['remove', 'transcribe', 'close']);
+      expect(shown.message.querySelector('audio.attachment-preview__audio')).to.not.be.null;
+      const transcript = 'Mock transcript of note.webm (3 bytes).';
+      expect(YjsModule.getAttachment(state, attachment.id).transcript).to.equal(transcript);
+      expect(YjsModule.getEntries(state)[0].content).to.equal(`Session notes.\n\n${transcript}`);
+      expect(YjsModule.getSummary(state, 'entry:e1')).to.be.null;
+
+      await Attachments.openAttachment(attachment.id, state);
+      expect(shown.options.map(option => option.id)).to.deep.equal(['remove', 'close']);
+      expect(shown.message.querySelector('.attachment-preview__transcript').textContent).to.equal(transcript);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, before, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+
+import * as YjsModule from '../js/yjs.js';
+import { deriveRoomKey, encryptUpdate, decryptUpdate, createEncryptedProvider } from '../js/e2e-sync.js';
+import * as Settings from '../js/settings.js';
+
+// Poll until the check passes (key derivation and decryption are async)
+const until = async (check) => {
+  for (let i = 0; i < 200 && !check(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (text) => new Uint8Array(Buffer.from(text, 'base64'));
+
+describe('End-to-end Encrypted Sync', function() {
+  let key;
+
+  before(async function() {
+    key = await deriveRoomKey('our secret table', 'red-owl');
+  });
+
+  describe('encryption', function() {
+    it('should round-trip updates and hide their content', async function() {
+      const doc = new Y.Doc();
+      doc.getArray('journal-entries').push(['The dragon sleeps under Greywater']);
+      const update = Y.encodeStateAsUpdate(doc);
+
+      const ciphertext = await encryptUpdate(key, update);
+      expect(Buffer.from(ciphertext).toString('latin1')).to.not.include('Greywater');
+      expect(Array.from(await decryptUpdate(key, ciphertext))).to.deep.equal(Array.from(update));
+    });
+
+    it('should reject a key from another passphrase or room', async function() {
+      const ciphertext = await encryptUpdate(key, new Uint8Array([1, 2, 3]));
+      const otherRoom = await deriveRoomKey('our secret table', 'blue-owl');
+
+      let error = null;
+      try {
+        await decryptUpdate(otherRoom, ciphertext);
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.not.be.null;
+    });
+  });
+
+  describe('provider', function() {
+    let sockets;
+
+    const FakeSocket = function(url) {
+      const socket = { url, readyState: 1, sent: [], send: (data) => socket.sent.push(JSON.parse(data)), close: () => {} };
+      sockets.push(socket);
+      return socket;
+    };
+
+    const receive = (socket, message) => socket.onmessage({ data: JSON.stringify(message) });
+
+    beforeEach(function() {
+      sockets = [];
+    });
+
+    it('should load encrypted history and upload only what the server lacks', async function() {
+      const remote = new Y.Doc();
+      remote.getArray('journal-entries').push(['from another device']);
+      const doc = new Y.Doc();
+      doc.getArray('journal-entries').push(['written offline']);
+
+      const provider = createEncryptedProvider({ url: 'ws://localhost:1234/ws', room: 'red-owl', doc, key, params: { auth: 'tok' }, WebSocketImpl: FakeSocket });
+      expect(sockets[0].url).to.equal('ws://localhost:1234/ws/e2e/red-owl?auth=tok');
+
+      const history = toBase64(await encryptUpdate(key, Y.encodeStateAsUpdate(remote)));
+      receive(sockets[0], { type: 'history', updates: [history] });
+      await until(() => sockets[0].sent.length > 0);
+
+      expect(doc.getArray('journal-entries').toArray()).to.have.members(['from another device', 'written offline']);
+      const uploaded = new Y.Doc();
+      Y.applyUpdate(uploaded, await decryptUpdate(key, fromBase64(sockets[0].sent[0].data)));
+      expect(uploaded.getArray('journal-entries').toArray()).to.deep.equal(['written offline']);
+
+      // The hash of the latest stored entry proves this device synced the room
+      const proof = await provider.getSyncProof();
+      const expected = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(sockets[0].sent[0].data)));
+      expect(proof.ciphertextHash).to.equal(Array.from(expected, (byte) => byte.toString(16).padStart(2, '0')).join(''));
+      provider.destroy();
+    });
+
+    it('should encrypt local edits and apply remote ones once synced', async function() {
+      const doc = new Y.Doc();
+      const provider = createEncryptedProvider({ url: 'ws://localhost:1234/ws', room: 'red-owl', doc, key, WebSocketImpl: FakeSocket });
+      receive(sockets[0], { type: 'history', updates: [] });
+      await until(() => provider.synced);
+
+      doc.getMap('character').set('name', 'Aria');
+      await until(() => sockets[0].sent.length > 0);
+      expect(sockets[0].sent[0].type).to.equal('update');
+      expect(sockets[0].sent[0].data).to.not.include('Aria');
+
+      const remote = new Y.Doc();
+      remote.getMap('character').set('race', 'Elf');
+      receive(sockets[0], { type: 'update', data: toBase64(await encryptUpdate(key, Y.encodeStateAsUpdate(remote))) });
+      await until(() => doc.getMap('character').get('race'));
+
+      expect(doc.getMap('character').get('race')).to.equal('Elf');
+      // Remote changes are not echoed back
+      expect(sockets[0].sent).to.have.length(1);
+      provider.destroy();
+    });
+
+    it('should stop when the data cannot be decrypted', async function() {
+      const wrongKey = await deriveRoomKey('wrong passphrase', 'red-owl');
+      const doc = new Y.Doc();
+      const errors = [];
+      const provider = createEncryptedProvider({ url: 'ws://localhost:1234/ws', room: 'red-owl', doc, key: wrongKey, WebSocketImpl: FakeSocket });
+      provider.on('decrypt-error', (error) => errors.push(error));
+
+      receive(sockets[0], { type: 'history', updates: [toBase64(await encryptUpdate(key, new Uint8Array([0, 0])))] });
+      await until(() => errors.length > 0);
+
+      expect(errors).to.have.length(1);
+      expect(provider.synced).to.be.false;
+      expect(sockets[0].sent).to.have.length(0);
+      provider.destroy();
+    });
+  });
+
+  describe('journal sync', function() {
+    let state;
+    let originalWebSocket;
+    let originalConfirm;
+    let sockets;
+
+    beforeEach(async function() {
+      const dom = new JSDOM(`
+        <!DOCTYPE html>
+        <html>
+          <body>
+            <form id="settings-form">
+              <input id="journal-name" name="journal-name" />
+              <input id="e2e-passphrase" name="e2e-passphrase" />
+            </form>
+            <p id="e2e-status"></p>
+          </body>
+        </html>
+      `);
+      global.window = dom.window;
+      global.document = dom.window.document;
+      originalConfirm = global.confirm;
+      global.confirm = () => true;
+
+      sockets = [];
+      originalWebSocket = global.WebSocket;
+      global.WebSocket = function CapturingWebSocket(url) {
+        const socket = { url, readyState: 0, send: () => {}, close: () => {} };
+        sockets.push(socket);
+        return socket;
+      };
+
+      YjsModule.resetYjs();
+      state = await YjsModule.initYjs();
+      await Settings.initSettingsPage(state);
+    });
+
+    afterEach(function() {
+      global.WebSocket = originalWebSocket;
+      global.confirm = originalConfirm;
+      YjsModule.resetYjs();
+    });
+
+    it('should switch the journal to the encrypted channel when a passphrase is saved', async function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      expect(sockets[sockets.length - 1].url).to.not.include('/e2e/');
+
+      document.getElementById('journal-name').value = 'red-owl';
+      document.getElementById('e2e-passphrase').value = 'our secret table';
+      Settings.saveSettings(state);
+
+      expect(YjsModule.getRoomEncryptionPassphrase(state, 'red-owl')).to.equal('our secret table');
+      expect(YjsModule.getSetting(state, 'e2e-passphrase', null)).to.be.null;
+      await until(() => sockets[sockets.length - 1].url.includes('/e2e/'));
+      expect(sockets[sockets.length - 1].url).to.include('/ws/e2e/red-owl');
+      expect(document.getElementById('e2e-status').textContent).to.include('encryption is on');
+    });
+
+    it('should refuse short encryption passphrases', function() {
+      document.getElementById('journal-name').value = 'red-owl';
+      document.getElementById('e2e-passphrase').value = 'short';
+      Settings.saveSettings(state);
+
+      expect(YjsModule.getRoomEncryptionPassphrase(state, 'red-owl')).to.equal('');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import { setPartSize } from '../js/parts.js';
+import { buildContext } from '../js/context.js';
+import { callEmbeddings, isEmbeddingAvailable } from '../js/ai-request.js';
+import { mockEmbedding, getEmbeddingConfig } from '../js/ai-providers.js';
+import {
+  syncEmbeddings,
+  getRelevantPassages,
+  findRelevantItems,
+  cosineSimilarity,
+  EMBEDDING_PREFIX
+} from '../js/embeddings.js';
+import { estimateTokens } from '../js/utils.js';
+
+const getEmbeddingKeys = (state) => Array.from(state.summariesMap.keys()).filter(key => key.startsWith(EMBEDDING_PREFIX));
+
+describe('Embeddings', function() {
+  let state;
+  let requests;
+  const originalFetch = global.fetch;
+
+  // Local OpenAI-compatible server that answers out of order, as the API allows
+  const stubEmbeddingServer = () => {
+    global.fetch = async (url, init) => {
+      const body = JSON.parse(init.body);
+      requests.push({ url, body });
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ data: body.input.map((text, index) => ({ index, embedding: mockEmbedding(text) })).reverse() })
+      };
+    };
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    requests = [];
+    YjsModule.setSetting(state, 'ai-enabled', true);
+    YjsModule.setSetting(state, 'ai-provider', 'mock');
+    const now = Date.now();
+    [
+      'The smugglers of pier nine hid crates of black powder under the harbor.',
+      'We bought rope, lanterns and rations at the market.',
+      'Elsa the harbormaster paid us in silver for the map.',
+      'A long road north through the rain to the monastery.',
+      'Black powder crates again: the smugglers are back at pier nine.'
+    ].forEach((content, i) => YjsModule.addEntry(state, { id: `e${i + 1}`, content, timestamp: now - (5 - i) * 1000 }));
+    // Parts of two entries, so e5 is the open part
+    setPartSize(state, 2);
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    YjsModule.resetYjs();
+  });
+
+  describe('ranking', function() {
+    it('should point texts that share words the same way', function() {
+      const powder = mockEmbedding('black powder crates');
+      expect(cosineSimilarity(powder, mockEmbedding('Crates: black powder.'))).to.be.closeTo(1, 1e-9);
+      expect(cosineSimilarity(powder, mockEmbedding('rope and lanterns'))).to.be.below(0.5);
+    });
+
+    it('should return the best matches that fit the budget, never the query itself', function() {
+      const items = [
+        { id: 'q', kind: 'entry', text: 'black powder', vector: [1, 0] },
+        { id: 'close-but-long', kind: 'entry', text: 'x'.repeat(400), vector: [0.9, 0.1] },
+        { id: 'close', kind: 'entry', text: 'powder', vector: [0.8, 0.2] },
+        { id: 'far', kind: 'part', text: 'rope', vector: [0, 1] }
+      ];
+      expect(findRelevantItems(items, ['q'], { budget: 50 }).map(item => item.id)).to.deep.equal(['close', 'far']);
+      expect(findRelevantItems(items, ['q'], { budget: 200, limit: 2 }).map(item => item.id)).to.deep.equal(['close-but-long', 'close']);
+      expect(findRelevantItems(items, ['missing'], { budget: 200 })).to.deep.equal([]);
+      expect(estimateTokens('x'.repeat(400))).to.equal(100);
+    });
+  });
+
+  describe('cache', function() {
+    it('should embed each text once, keyed by its hash, and drop vectors for replaced text', async function() {
+      YjsModule.setSetting(state, 'embedding-base-url', 'http://localhost:11434/v1');
+      YjsModule.setSetting(state, 'embedding-model', 'nomic-embed-text');
+      stubEmbeddingServer();
+
+      const items = await syncEmbeddings(state);
+      expect(requests).to.have.length(1);
+      expect(requests[0].url).to.equal('http://localhost:11434/v1/embeddings');
+      expect(requests[0].body.model).to.equal('nomic-embed-text');
+      expect(requests[0].body.input).to.have.length(5);
+      expect(getEmbeddingKeys(state)).to.have.length(5);
+      expect(getEmbeddingKeys(state)[0]).to.match(/^embedding:[0-9a-f]{64}$/);
+      // Vectors come back in input order and survive the Float32 round trip
+      expect(cosineSimilarity(items[0].vector, mockEmbedding(items[0].text))).to.be.closeTo(1, 1e-6);
+
+      await syncEmbeddings(state);
+      expect(requests).to.have.length(1);
+
+      YjsModule.updateEntry(state, 'e2', { content: 'We bought rope and a mule at the market.' });
+      await syncEmbeddings(state);
+      expect(requests).to.have.length(2);
+      expect(requests[1].body.input).to.deep.equal(['We bought rope and a mule at the market.']);
+      expect(getEmbeddingKeys(state)).to.have.length(5);
+    });
+
+    it('should route through a local server, then the sync server, then the provider', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'anthropic');
+      YjsModule.setSetting(state, 'anthropic-api-key', 'sk-ant');
+      expect(isEmbeddingAvailable(state)).to.be.false;
+
+      YjsModule.setSetting(state, 'journal-name', 'our-table');
+      state.deviceMap.set('ai-proxy', { base: 'http://sync.local', model: 'gpt-4o-mini', embeddingModel: 'text-embedding-3-small' });
+      state.deviceMap.set('ai-proxy-token', 'secret');
+      global.fetch = async (url, init) => {
+        requests.push({ url, init });
+        return { ok: true, status: 200, json: async () => ({ embeddings: [[1, 0]], model: 'text-embedding-3-small' }) };
+      };
+      expect(isEmbeddingAvailable(state)).to.be.true;
+      expect(await callEmbeddings(['Harbor'])).to.deep.equal([[1, 0]]);
+      expect(requests[0].url).to.equal('http://sync.local/ai/embeddings');
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer secret');
+      expect(JSON.parse(requests[0].init.body)).to.deep.equal({ room: 'our-table', input: ['Harbor'] });
+
+      YjsModule.setSetting(state, 'embedding-base-url', 'http://localhost:11434/v1');
+      expect(getEmbeddingConfig(state)).to.deep.equal({
+        providerId: 'openai-compatible', apiKey: '', baseUrl: 'http://localhost:11434/v1', model: 'text-embedding-3-small'
+      });
+      stubEmbeddingServer();
+      await callEmbeddings(['Harbor']);
+      expect(requests[1].url).to.equal('http://localhost:11434/v1/embeddings');
+    });
+  });
+
+  describe('context', function() {
+    it('should find the earlier entries related to the open part', async function() {
+      const passages = await getRelevantPassages(state);
+      expect(passages[0].id).to.equal('e1');
+      expect(passages.map(item => item.id)).to.not.include('e5');
+    });
+
+    it('should add the related passages to the AI context within the budget', async function() {
+      const context = await buildContext();
+      expect(context).to.include('Relevant Earlier Moments:\nThe smugglers of pier nine hid crates of black powder under the harbor.');
+
+      YjsModule.setSetting(state, 'context-token-budget', '0');
+      expect(await buildContext()).to.not.include('Relevant Earlier Moments');
+      expect(getEmbeddingKeys(state).length).to.be.greaterThan(0);
+    });
+
+    it('should leave retrieval out when no provider can embed', async function() {
+      YjsModule.setSetting(state, 'ai-provider', 'anthropic');
+      expect(await getRelevantPassages(state)).to.deep.equal([]);
+      expect(getEmbeddingKeys(state)).to.deep.equal([]);
+    });
+  });
+});
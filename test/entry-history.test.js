@@ -0,0 +1,138 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import { diffWords, countDiffWords } from '../js/entry-history.js';
+import { createEntryHistory } from '../js/components/entry-history.js';
+import { describeUserAgent } from '../js/utils.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Entry History', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="entries-container"></div>
+        </body>
+      </html>
+    `);
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    Journal.setShowHistoryModal(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('revisions', function() {
+    it('should record the device, time and content of each change', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'We met the baron.', timestamp: Date.now() });
+      YjsModule.updateEntry(state, 'e1', { content: 'We met the old baron.' });
+      YjsModule.updateEntry(state, 'e1', { content: 'We met the old baron.' });
+
+      const revisions = YjsModule.getEntryRevisions(state, 'e1');
+      expect(revisions.map(r => r.content)).to.deep.equal(['We met the baron.', 'We met the old baron.']);
+      expect(revisions[1].timestamp).to.be.a('number');
+      expect(revisions[1].device.id).to.equal(state.deviceMap.get('device-id'));
+      expect(revisions[1].device.name).to.be.a('string');
+    });
+
+    it('should seed the previous text for entries written before history existed', function() {
+      const written = Date.now() - DAY;
+      YjsModule.getJournalArray(state).push([{ id: 'old', content: 'First draft', timestamp: written }]);
+      YjsModule.updateEntry(state, 'old', { content: 'Second draft' });
+
+      const revisions = YjsModule.getEntryRevisions(state, 'old');
+      expect(revisions.map(r => r.content)).to.deep.equal(['First draft', 'Second draft']);
+      expect(revisions[0].timestamp).to.equal(written);
+    });
+
+    it('should drop the history with the entry', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Gone soon', timestamp: Date.now() });
+      YjsModule.deleteEntry(state, 'e1');
+      expect(YjsModule.getEntryRevisions(state, 'e1')).to.deep.equal([]);
+    });
+
+    it('should prune by count and by age but keep the latest revision', function() {
+      const now = Date.now();
+      YjsModule.addEntry(state, { id: 'e1', content: 'v0', timestamp: now });
+      for (let i = 1; i <= 5; i++) YjsModule.updateEntry(state, 'e1', { content: `v${i}` });
+
+      YjsModule.pruneEntryRevisions(state, 'e1', { maxRevisions: 3 });
+      expect(YjsModule.getEntryRevisions(state, 'e1').map(r => r.content)).to.deep.equal(['v3', 'v4', 'v5']);
+
+      YjsModule.pruneEntryRevisions(state, 'e1', { maxAgeDays: 30 }, now + 60 * DAY);
+      expect(YjsModule.getEntryRevisions(state, 'e1').map(r => r.content)).to.deep.equal(['v5']);
+    });
+  });
+
+  describe('diff', function() {
+    it('should mark added and removed words', function() {
+      const parts = diffWords('The orc fled north.', 'The wounded orc fled south.');
+      expect(parts.map(p => p.text).join('')).to.not.be.empty;
+      expect(parts.filter(p => p.type !== 'removed').map(p => p.text).join('')).to.equal('The wounded orc fled south.');
+      expect(parts.filter(p => p.type !== 'added').map(p => p.text).join('')).to.equal('The orc fled north.');
+      expect(countDiffWords(parts)).to.deep.equal({ added: 2, removed: 1 });
+    });
+
+    it('should treat the first revision as all added', function() {
+      expect(diffWords('', 'New entry')).to.deep.equal([{ type: 'added', text: 'New entry' }]);
+    });
+
+    it('should name devices from their user agent', function() {
+      expect(describeUserAgent('Mozilla/5.0 (Android 14; Mobile; rv:128.0) Gecko/20100101 Firefox/128.0')).to.equal('Firefox on Android');
+      expect(describeUserAgent('')).to.equal('Unknown device');
+    });
+  });
+
+  describe('history view', function() {
+    it('should list revisions with diffs and restore buttons for old ones', function() {
+      const list = createEntryHistory([
+        { id: 'r2', timestamp: 2000, device: { name: 'Chrome on macOS' }, diff: diffWords('a', 'a b'), isCurrent: true },
+        { id: 'r1', timestamp: 1000, device: { name: 'Firefox on Android' }, diff: diffWords('', 'a'), isCurrent: false }
+      ]);
+
+      const items = list.querySelectorAll('.entry-history__revision');
+      expect(items).to.have.length(2);
+      expect(items[0].querySelector('.entry-history__meta').textContent).to.include('Chrome on macOS (current)');
+      expect(items[0].querySelector('ins').textContent).to.equal(' b');
+      expect(items[0].querySelector('[data-modal-choice]')).to.be.null;
+      expect(items[1].querySelector('[data-modal-choice]').dataset.modalChoice).to.equal('restore:r1');
+    });
+
+    it('should restore an earlier version from the entry history', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Original text', timestamp: Date.now() });
+      YjsModule.updateEntry(state, 'e1', { content: 'Edited text' });
+      const original = YjsModule.getEntryRevisions(state, 'e1')[0];
+
+      let shown = null;
+      Journal.setShowHistoryModal(async (options) => {
+        shown = options.message;
+        return `restore:${original.id}`;
+      });
+      await Journal.handleEntryHistory('e1', state);
+
+      expect(shown.querySelectorAll('.entry-history__revision')).to.have.length(2);
+      expect(YjsModule.getEntries(state)[0].content).to.equal('Original text');
+      const revisions = YjsModule.getEntryRevisions(state, 'e1');
+      expect(revisions).to.have.length(3);
+      expect(revisions[2].restoredFrom).to.equal(original.id);
+    });
+
+    it('should offer a history button on entries', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Text', timestamp: Date.now() });
+      Journal.renderJournalPage(state);
+      expect(document.querySelector('[data-entry-id="e1"] .icon-button[title="History"]')).to.not.be.null;
+    });
+  });
+});
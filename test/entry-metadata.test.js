@@ -0,0 +1,170 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import {
+  normalizeEntryMetadata,
+  formatEntryMetadata,
+  describeEntryForAI,
+  getEntryMetadataDefaults
+} from '../js/entry-metadata.js';
+import { partitionEntriesBySession, getJournalPartition, maybeCloseOpenPart, buildFullTextForEntryIds } from '../js/parts.js';
+import { buildContext } from '../js/context.js';
+import { createEntryItem } from '../js/components/entry-item.js';
+import { createEntryForm } from '../js/components/entry-form.js';
+
+describe('Entry Metadata', function() {
+  let state;
+  let originalFormData;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="entries-container"></div>
+          <div id="entry-form-container"></div>
+        </body>
+      </html>
+    `);
+    global.window = dom.window;
+    global.document = dom.window.document;
+    // The forms read their values with the DOM's FormData
+    originalFormData = global.FormData;
+    global.FormData = dom.window.FormData;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    global.FormData = originalFormData;
+    YjsModule.resetYjs();
+  });
+
+  describe('pure helpers', function() {
+    it('should keep only valid, non-empty fields', function() {
+      expect(normalizeEntryMetadata({
+        session: '12',
+        playDate: '2026-10-01',
+        worldDate: '  3rd of Mirtul ',
+        location: '',
+        participants: 'Ana, Bo , ana,,'
+      })).to.deep.equal({ session: 12, playDate: '2026-10-01', worldDate: '3rd of Mirtul', participants: ['Ana', 'Bo'] });
+      expect(normalizeEntryMetadata({ session: '-1', playDate: 'yesterday' })).to.deep.equal({});
+    });
+
+    it('should label the details and prefix them to the AI text', function() {
+      const entry = { content: 'We reached the keep.', session: 3, location: 'Phandalin', participants: ['Ana', 'Bo'] };
+      expect(formatEntryMetadata(entry)).to.deep.equal(['Session 3', 'Location: Phandalin', 'Present: Ana, Bo']);
+      expect(describeEntryForAI(entry)).to.equal('[Session 3 · Location: Phandalin · Present: Ana, Bo]\nWe reached the keep.');
+      expect(describeEntryForAI({ content: 'Plain' })).to.equal('Plain');
+    });
+
+    it('should take the latest session number and party as defaults', function() {
+      const entries = [
+        { id: 'b', timestamp: 2, session: 4, participants: ['Ana'] },
+        { id: 'a', timestamp: 1, session: 3, participants: ['Ana', 'Bo'] },
+        { id: 'c', timestamp: 3 }
+      ];
+      expect(getEntryMetadataDefaults(entries)).to.deep.equal({ session: 4, participants: ['Ana'] });
+    });
+
+    it('should group consecutive entries by session and keep the last one open', function() {
+      const entries = [
+        { id: '1', session: 1 }, { id: '2' }, { id: '3', session: 2 }, { id: '4', session: 2 }, { id: '5', session: 3 }
+      ];
+      const { closedParts, openPart } = partitionEntriesBySession(entries);
+      expect(closedParts.map(part => part.map(e => e.id))).to.deep.equal([['1', '2'], ['3', '4']]);
+      expect(openPart.map(e => e.id)).to.deep.equal(['5']);
+    });
+  });
+
+  describe('journal', function() {
+    it('should store session details from the add form and show them', async function() {
+      await Journal.initJournalPage(state);
+      const form = document.querySelector('#entry-form');
+      form.querySelector('textarea[name="content"]').value = 'The goblins ambushed us.';
+      form.querySelector('input[name="session"]').value = '7';
+      form.querySelector('input[name="location"]').value = 'Triboar Trail';
+      form.querySelector('input[name="participants"]').value = 'Ana, Bo';
+      form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+
+      const [entry] = YjsModule.getEntries(state);
+      expect(entry).to.include({ session: 7, location: 'Triboar Trail' });
+      expect(entry.participants).to.deep.equal(['Ana', 'Bo']);
+
+      // The next entry continues the same session with the same party
+      expect(form.querySelector('input[name="session"]').value).to.equal('7');
+      expect(form.querySelector('input[name="participants"]').value).to.equal('Ana, Bo');
+      expect(form.querySelector('input[name="location"]').value).to.equal('');
+
+      const meta = document.querySelector(`#entry-${entry.id} .entry-session-meta`);
+      expect(meta.textContent).to.include('Session 7');
+      expect(meta.textContent).to.include('Location: Triboar Trail');
+    });
+
+    it('should update and clear session details when editing', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Text', timestamp: Date.now(), session: 2, location: 'Neverwinter' });
+      expect(Journal.saveEntryEdit('e1', { content: 'Text', session: '3', location: '', participants: '', playDate: '', worldDate: '' }, state)).to.be.true;
+
+      const [entry] = YjsModule.getEntries(state);
+      expect(entry.session).to.equal(3);
+      expect(entry).to.not.have.property('location');
+    });
+
+    it('should leave details alone when only content is saved', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Text', timestamp: Date.now(), session: 2 });
+      Journal.saveEntryEdit('e1', { content: 'New text' }, state);
+      expect(YjsModule.getEntries(state)[0]).to.include({ content: 'New text', session: 2 });
+    });
+
+    it('should escape details in the entry view', function() {
+      const item = createEntryItem({ id: 'x', content: 'c', timestamp: Date.now(), location: '<img src=x>' }, null, null);
+      expect(item.querySelector('.entry-session-meta img')).to.be.null;
+      expect(item.querySelector('.entry-session-meta').textContent).to.equal('Location: <img src=x>');
+    });
+
+    it('should offer the session details in a collapsed block', function() {
+      const form = createEntryForm();
+      expect(form.querySelector('details.entry-metadata-fields')).to.not.be.null;
+      expect(form.querySelectorAll('.entry-metadata-fields input')).to.have.length(5);
+    });
+  });
+
+  describe('AI context and chronicle', function() {
+    it('should include session details in part text and the context', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Met the wizard.', timestamp: 1, session: 1, worldDate: 'Hammer 1' });
+      expect(buildFullTextForEntryIds(state, ['e1'])).to.equal('[Session 1 · In-world: Hammer 1]\nMet the wizard.');
+
+      const context = await buildContext({ name: 'Ana' }, YjsModule.getEntries(state));
+      expect(context).to.include('Latest Session: Session 1 · In-world: Hammer 1');
+    });
+
+    it('should close parts at session boundaries when grouping by session', async function() {
+      YjsModule.setChronicleGrouping(state, YjsModule.PART_GROUPING_SESSION);
+      YjsModule.addEntry(state, { id: 'a', content: 'One', timestamp: 1, session: 1 });
+      YjsModule.addEntry(state, { id: 'b', content: 'Two', timestamp: 2, session: 1 });
+      expect(getJournalPartition(state).closedParts).to.have.length(0);
+
+      YjsModule.addEntry(state, { id: 'c', content: 'Three', timestamp: 3, session: 2 });
+      expect(await maybeCloseOpenPart(state)).to.be.true;
+
+      const part = YjsModule.getChroniclePartsMap(state).get('1');
+      expect(part.get('entries').toArray()).to.deep.equal(['a', 'b']);
+      expect(getJournalPartition(state).openPart.map(e => e.id)).to.deep.equal(['c']);
+    });
+
+    it('should keep closed parts when switching back to counting entries', function() {
+      YjsModule.setChroniclePartEntries(state, 1, ['a']);
+      YjsModule.setChronicleLatestPartIndex(state, 1);
+      YjsModule.addEntry(state, { id: 'a', content: 'One', timestamp: 1 });
+      YjsModule.addEntry(state, { id: 'b', content: 'Two', timestamp: 2 });
+      const { closedParts, openPart } = getJournalPartition(state, 10);
+      expect(closedParts.map(part => part.map(e => e.id))).to.deep.equal([['a']]);
+      expect(openPart.map(e => e.id)).to.deep.equal(['b']);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+
+import * as YjsModule from '../js/yjs.js';
+import { bindEntryEditor, transformIndex, getLineAndColumn, pickCursorColor, CURSOR_COLOR_COUNT } from '../js/entry-editor.js';
+import { renderRemoteCursors } from '../js/components/remote-cursors.js';
+
+// Exchange all updates between two documents, as a sync server would
+const syncDocs = (a, b) => {
+  Y.applyUpdate(b, Y.encodeStateAsUpdate(a, Y.encodeStateVector(b)), 'remote');
+  Y.applyUpdate(a, Y.encodeStateAsUpdate(b, Y.encodeStateVector(a)), 'remote');
+};
+
+const typeInto = (textarea, value) => {
+  textarea.value = value;
+  textarea.dispatchEvent(new window.Event('input'));
+};
+
+describe('Entry Text', function() {
+  describe('storage', function() {
+    it('should merge concurrent edits of the same entry', function() {
+      const docA = new Y.Doc();
+      const docB = new Y.Doc();
+      const a = YjsModule.getCharacterState(docA, YjsModule.DEFAULT_CHARACTER_ID);
+      const b = YjsModule.getCharacterState(docB, YjsModule.DEFAULT_CHARACTER_ID);
+      YjsModule.addEntry(a, { id: 'e1', content: 'We reached the gate.', timestamp: 1000 });
+      syncDocs(docA, docB);
+
+      YjsModule.updateEntry(a, 'e1', { content: 'At dusk we reached the gate.' });
+      YjsModule.updateEntry(b, 'e1', { content: 'We reached the iron gate.' });
+      syncDocs(docA, docB);
+
+      expect(YjsModule.getEntries(a)[0].content).to.equal('At dusk we reached the iron gate.');
+      expect(YjsModule.getEntries(b)).to.deep.equal(YjsModule.getEntries(a));
+      expect(YjsModule.getEntries(a)).to.have.length(1);
+    });
+
+    it('should migrate entries stored as plain objects', function() {
+      const doc = new Y.Doc();
+      const state = YjsModule.getCharacterState(doc, YjsModule.DEFAULT_CHARACTER_ID);
+      state.journalArray.push([{ id: 'old', content: 'Written before Y.Text', timestamp: 1000 }]);
+
+      expect(YjsModule.migrateEntryTexts(state)).to.equal(1);
+      expect(YjsModule.getEntryText(state, 'old').toString()).to.equal('Written before Y.Text');
+      expect(YjsModule.migrateEntryTexts(state)).to.equal(0);
+
+      YjsModule.getEntryText(state, 'old').insert(0, 'Edited: ');
+      expect(YjsModule.getEntries(state)[0]).to.include({ id: 'old', content: 'Edited: Written before Y.Text', timestamp: 1000 });
+    });
+
+    it('should keep the text when other fields change', function() {
+      const doc = new Y.Doc();
+      const state = YjsModule.getCharacterState(doc, YjsModule.DEFAULT_CHARACTER_ID);
+      YjsModule.addEntry(state, { id: 'e1', content: 'Original', timestamp: 1000 });
+      YjsModule.updateEntry(state, 'e1', { content: 'Changed' });
+      YjsModule.updateEntry(state, 'e1', { title: 'A title' });
+
+      expect(YjsModule.getEntries(state)[0]).to.include({ content: 'Changed', title: 'A title', timestamp: 1000 });
+    });
+  });
+
+  describe('editor binding', function() {
+    let state;
+    let textarea;
+    let sockets;
+    let originalWebSocket;
+
+    beforeEach(async function() {
+      const dom = new JSDOM('<!DOCTYPE html><html><body><textarea id="editor"></textarea><div id="presence"></div></body></html>');
+      global.window = dom.window;
+      global.document = dom.window.document;
+
+      sockets = [];
+      originalWebSocket = global.WebSocket;
+      global.WebSocket = function CapturingWebSocket(url) {
+        const socket = { url, readyState: 0, send: () => {}, close: () => {} };
+        sockets.push(socket);
+        return socket;
+      };
+
+      YjsModule.resetYjs();
+      state = await YjsModule.initYjs();
+      YjsModule.addEntry(state, { id: 'e1', content: 'The tower fell.', timestamp: Date.now() });
+      textarea = document.getElementById('editor');
+    });
+
+    afterEach(function() {
+      global.WebSocket = originalWebSocket;
+      YjsModule.resetYjs();
+    });
+
+    it('should write typing through and show remote edits without moving the caret', function() {
+      const { unbind } = bindEntryEditor(textarea, 'e1', {}, state);
+      expect(textarea.value).to.equal('The tower fell.');
+
+      typeInto(textarea, 'The old tower fell.');
+      expect(YjsModule.getEntries(state)[0].content).to.equal('The old tower fell.');
+
+      textarea.setSelectionRange(8, 8);
+      YjsModule.getEntryText(state, 'e1').insert(0, 'Then ');
+      expect(textarea.value).to.equal('Then The old tower fell.');
+      expect(textarea.selectionStart).to.equal(13);
+
+      unbind();
+      YjsModule.getEntryText(state, 'e1').insert(0, '!');
+      expect(textarea.value).to.equal('Then The old tower fell.');
+    });
+
+    it('should revert only this device\'s changes on cancel', function() {
+      const { revertLocalChanges, unbind } = bindEntryEditor(textarea, 'e1', {}, state);
+      typeInto(textarea, 'The tower fell down.');
+      const text = YjsModule.getEntryText(state, 'e1');
+      state.ydoc.transact(() => text.insert(0, 'Sadly, '), 'remote');
+
+      revertLocalChanges();
+      unbind();
+      expect(text.toString()).to.equal('Sadly, The tower fell.');
+    });
+
+    it('should undo an edit typed into the editor and saved', function() {
+      const { unbind } = bindEntryEditor(textarea, 'e1', {}, state);
+      typeInto(textarea, 'The old tower fell at dawn.');
+      YjsModule.updateEntry(state, 'e1', { content: textarea.value });
+      unbind();
+      expect(YjsModule.getEntries(state)[0].content).to.equal('The old tower fell at dawn.');
+
+      expect(YjsModule.undoChange(state)).to.equal(true);
+      expect(YjsModule.getEntries(state)[0].content).to.equal('The tower fell.');
+    });
+
+    it('should report where other devices are editing', function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      const seen = [];
+      const { unbind } = bindEntryEditor(textarea, 'e1', { onRemoteCursors: (cursors) => seen.push(cursors) }, state);
+
+      const awareness = YjsModule.getAwareness();
+      expect(awareness.getLocalState().cursor.entryId).to.equal('e1');
+
+      // Another device with its caret after "The tower"
+      const remote = new awarenessProtocol.Awareness(new Y.Doc());
+      const head = Y.relativePositionToJSON(Y.createRelativePositionFromTypeIndex(YjsModule.getEntryText(state, 'e1'), 9));
+      remote.setLocalState({ user: { name: 'Firefox on Android', color: 1 }, cursor: { entryId: 'e1', anchor: head, head } });
+      awarenessProtocol.applyAwarenessUpdate(awareness, awarenessProtocol.encodeAwarenessUpdate(remote, [remote.clientID]), 'remote');
+
+      const latest = seen[seen.length - 1];
+      expect(latest).to.have.length(1);
+      expect(latest[0]).to.include({ name: 'Firefox on Android', color: 1, index: 9, line: 1, column: 10 });
+
+      renderRemoteCursors(document.getElementById('presence'), latest);
+      const chip = document.querySelector('#presence .remote-cursor');
+      expect(chip.textContent).to.equal('Firefox on Android · line 1');
+      expect(chip.classList.contains('remote-cursor--1')).to.be.true;
+      expect(chip.getAttribute('style')).to.be.null;
+
+      unbind();
+      expect(awareness.getLocalState().cursor).to.be.null;
+      remote.destroy();
+    });
+  });
+
+  describe('helpers', function() {
+    it('should move indexes through remote inserts and deletes', function() {
+      expect(transformIndex(5, [{ insert: 'abc' }])).to.equal(8);
+      expect(transformIndex(5, [{ retain: 6 }, { insert: 'abc' }])).to.equal(5);
+      expect(transformIndex(5, [{ retain: 2 }, { delete: 10 }])).to.equal(2);
+      expect(getLineAndColumn('ab\ncd', 4)).to.deep.equal({ line: 2, column: 2 });
+    });
+
+    it('should pick the same palette colour for a device every time', function() {
+      const color = pickCursorColor('device-1');
+      expect(color).to.be.within(0, CURSOR_COLOR_COUNT - 1);
+      expect(pickCursorColor('device-1')).to.equal(color);
+    });
+  });
+});
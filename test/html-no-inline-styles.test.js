@@ -14,7 +14,7 @@ const readTextFile = (relativePath) => {
 };
 
 describe('Top-level HTML has no inline styles', function() {
-  const htmlFiles = ['index.html', 'settings.html', 'chronicle.html', 'character.html', 'part.html'];
+  const htmlFiles = ['index.html', 'settings.html', 'chronicle.html', 'character.html', 'part.html', 'codex.html', 'chat.html'];
   htmlFiles.forEach(function(rel) {
     if (!fs.existsSync(path.resolve(repoRoot, rel))) return;
     it(`${rel} contains no inline style attributes`, function() {
@@ -30,5 +30,19 @@ describe('Markdown sanitization', function() {
     expect(html).to.not.match(/<\s*img/i);
     expect(html).to.not.match(/<\s*script/i);
   });
+
+  it('keeps quotes and markup in link parts escaped', function() {
+    const input = '[<b>x</b>](https://example.com/"onmouseover="alert(1)) ![a" onerror="x](https://example.com/i.png)';
+    const html = Utils.parseMarkdown(input);
+    expect(html).to.include('href="https://example.com/&quot;onmouseover=&quot;alert(1"');
+    expect(html).to.include('alt="a&quot; onerror=&quot;x"');
+    expect(html).to.not.match(/<\s*b\s*>/i);
+    expect(html).to.not.match(/\sonerror="/i);
+  });
+
+  it('does not link unsafe schemes in any case', function() {
+    const html = Utils.parseMarkdown('[a](JAVASCRIPT:alert(1)) [b](vbscript:x) [c](file:///etc/passwd)');
+    expect(html).to.not.match(/<a\s/i);
+  });
 });
 
@@ -34,6 +34,19 @@ describe('Modal Component', function() {
     expect(result).to.equal('b');
   });
 
+  it('should resolve with choices placed inside the message', async function() {
+    const message = document.createElement('div');
+    const restore = document.createElement('button');
+    restore.dataset.modalChoice = 'restore:r1';
+    message.appendChild(restore);
+    global.Node = window.Node;
+
+    const promise = showChoiceModal({ title: 'History', message });
+    document.querySelector('.modal-body [data-modal-choice]').click();
+    expect(await promise).to.equal('restore:r1');
+    expect(document.querySelector('.modal-overlay')).to.be.null;
+  });
+
   it('should resolve cancel on Escape key', async function() {
     const promise = showChoiceModal({ title: 'Test', message: 'Esc to cancel' });
     const evt = new window.KeyboardEvent('keydown', { key: 'Escape' });
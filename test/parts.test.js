@@ -1,8 +1,25 @@
-import { describe, it } from 'mocha';
+import { describe, it, beforeEach, afterEach } from 'mocha';
 import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
 
-import { partitionEntries, PART_SIZE_DEFAULT, SO_FAR_LATEST_KEY, RECENT_SUMMARY_KEY, persistPartMembership, recomputeRecentSummary, maybeCloseOpenPart, setRecomputeRecentSummaryImpl } from '../js/parts.js';
-import { initYjs, getYjsState, addEntry, setSetting, ensureChronicleStructure, getChroniclePartsMap } from '../js/yjs.js';
+import {
+  partitionEntries,
+  partitionEntriesBySession,
+  PART_SIZE_DEFAULT,
+  PART_SIZE_MAX,
+  SO_FAR_LATEST_KEY,
+  RECENT_SUMMARY_KEY,
+  persistPartMembership,
+  recomputeRecentSummary,
+  maybeCloseOpenPart,
+  setRecomputeRecentSummaryImpl,
+  getPartSize,
+  setPartSize,
+  getJournalPartition,
+  repartitionParts,
+  suggestPartBreaks
+} from '../js/parts.js';
+import { initYjs, resetYjs, getYjsState, addEntry, setSetting, ensureChronicleStructure, getChroniclePartsMap, setChronicleBreak, setChroniclePartTitle } from '../js/yjs.js';
 import { summarize, clearAllSummaries } from '../js/summarization.js';
 
 describe('parts helpers', function() {
@@ -91,3 +108,80 @@ describe('parts helpers', function() {
   });
 });
 
+
+describe('part boundaries', function() {
+  let state;
+
+  const makeEntries = (n, prefix = 'e') => Array.from({ length: n }, (_, i) => ({ id: `${prefix}${i + 1}`, content: `entry ${i + 1}`, timestamp: i + 1 }));
+  const ids = (parts) => parts.map(part => part.map(e => e.id));
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+    resetYjs();
+    state = await initYjs();
+  });
+
+  afterEach(function() {
+    resetYjs();
+  });
+
+  it('should close parts after break markers as well as at the part size', function() {
+    const entries = makeEntries(7);
+    const { closedParts, openPart } = partitionEntries(entries, 3, new Set(['e2']));
+    expect(ids(closedParts)).to.deep.equal([['e1', 'e2'], ['e3', 'e4', 'e5']]);
+    expect(openPart.map(e => e.id)).to.deep.equal(['e6', 'e7']);
+
+    const bySession = partitionEntriesBySession([{ id: 'a', session: 1 }, { id: 'b', session: 1 }, { id: 'c', session: 1 }], new Set(['a']));
+    expect(ids(bySession.closedParts)).to.deep.equal([['a']]);
+  });
+
+  it('should keep the part size per journal within limits', function() {
+    expect(getPartSize(state)).to.equal(PART_SIZE_DEFAULT);
+    expect(setPartSize(state, '4')).to.equal(4);
+    expect(setPartSize(state, 500)).to.equal(PART_SIZE_MAX);
+    expect(setPartSize(state, 'abc')).to.equal(PART_SIZE_MAX);
+
+    setPartSize(state, 3);
+    makeEntries(4).forEach(entry => addEntry(state, entry));
+    expect(ids(getJournalPartition(state).closedParts)).to.deep.equal([['e1', 'e2', 'e3']]);
+  });
+
+  it('should close the open part at a break marker', async function() {
+    makeEntries(3).forEach(entry => addEntry(state, entry));
+    setChronicleBreak(state, 'e2', true);
+    expect(await maybeCloseOpenPart(state)).to.equal(true);
+    expect(getChroniclePartsMap(state).get('1').get('entries').toArray()).to.deep.equal(['e1', 'e2']);
+    expect(getJournalPartition(state).openPart.map(e => e.id)).to.deep.equal(['e3']);
+  });
+
+  it('should re-partition closed parts and keep unchanged ones', async function() {
+    makeEntries(6).forEach(entry => addEntry(state, entry));
+    setPartSize(state, 2);
+    await maybeCloseOpenPart(state);
+    setChroniclePartTitle(state, 1, 'The Beginning');
+    expect(ensureChronicleStructure(state).get('latestPartIndex')).to.equal(3);
+
+    // Part 1 stays as it is; the rest merge into one part of four
+    setPartSize(state, 4);
+    setChronicleBreak(state, 'e2', true);
+    const { changed, removed } = await repartitionParts(state);
+
+    const parts = getChroniclePartsMap(state);
+    expect(changed).to.deep.equal([2]);
+    expect(removed).to.equal(1);
+    expect(ensureChronicleStructure(state).get('latestPartIndex')).to.equal(2);
+    expect(parts.get('1').get('title')).to.equal('The Beginning');
+    expect(parts.get('2').get('entries').toArray()).to.deep.equal(['e3', 'e4', 'e5', 'e6']);
+    expect(parts.has('3')).to.equal(false);
+  });
+
+  it('should ask the AI for breaks inside the open part only', async function() {
+    setSetting(state, 'ai-enabled', true);
+    setSetting(state, 'ai-provider', 'mock');
+    makeEntries(4).forEach(entry => addEntry(state, entry));
+    const suggestions = await suggestPartBreaks(state);
+    expect(suggestions).to.deep.equal([{ entryId: 'e2', reason: 'Mock break halfway through.' }]);
+  });
+});
@@ -0,0 +1,225 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import { checkRoomAccess, claimRoom, createInviteToken, revokeInviteToken } from '../js/room-auth.js';
+import { renderRoomAccessStatus, renderInviteTokens } from '../js/settings-views.js';
+import * as Settings from '../js/settings.js';
+
+describe('Room Access', function() {
+  let state;
+  let originalFetch;
+  let originalWebSocket;
+  let requests;
+
+  const respondWith = (payload, status = 200) => {
+    global.fetch = async (url, init = {}) => {
+      requests.push({ url, init, body: init.body ? JSON.parse(init.body) : null });
+      return { ok: status < 400, status, json: async () => payload };
+    };
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    originalFetch = global.fetch;
+    originalWebSocket = global.WebSocket;
+    requests = [];
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    global.fetch = originalFetch;
+    global.WebSocket = originalWebSocket;
+    YjsModule.resetYjs();
+  });
+
+  describe('server requests', function() {
+    beforeEach(function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+    });
+
+    it('should claim the linked room and keep the passphrase on this device', async function() {
+      respondWith({ access: 'write' });
+      await claimRoom('our secret table', state);
+
+      expect(requests[0].url).to.equal('http://localhost:1234/sync/room/red-owl/claim');
+      // A room that already holds data is only claimed by a device that synced it
+      expect(requests[0].body.passphrase).to.equal('our secret table');
+      expect(requests[0].body.proof.stateVector).to.be.a('string');
+      expect(YjsModule.getRoomCredential(state, 'red-owl')).to.equal('our secret table');
+      expect(YjsModule.getSetting(state, 'room-auth:red-owl', null)).to.be.null;
+    });
+
+    it('should refuse short passphrases without contacting the server', async function() {
+      respondWith({});
+      let error = null;
+      try {
+        await claimRoom('short', state);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include('at least 8');
+      expect(requests).to.have.length(0);
+    });
+
+    it('should send the saved credential when checking access and managing tokens', async function() {
+      YjsModule.setRoomCredential(state, 'red-owl', 'our secret table');
+      respondWith({ exists: true, protected: true, access: 'write' });
+
+      expect(await checkRoomAccess(state)).to.deep.equal({ exists: true, protected: true, access: 'write', encrypted: false });
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer our secret table');
+
+      respondWith({ id: 'abc', token: 'tok', access: 'read', label: 'DM' });
+      await createInviteToken('read', 'DM', state);
+      expect(requests[1].init.method).to.equal('POST');
+      expect(requests[1].body).to.deep.equal({ access: 'read', label: 'DM' });
+
+      await revokeInviteToken('abc', state);
+      expect(requests[2].url).to.equal('http://localhost:1234/sync/room/red-owl/tokens/abc');
+      expect(requests[2].init.method).to.equal('DELETE');
+    });
+
+    it('should reject with the HTTP status', async function() {
+      respondWith({ error: 'Unauthorized' }, 401);
+      let error = null;
+      try {
+        await createInviteToken('write', '', state);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.status).to.equal(401);
+    });
+  });
+
+  describe('sync connection', function() {
+    let sockets;
+
+    beforeEach(function() {
+      sockets = [];
+      global.WebSocket = class CapturingWebSocket {
+        constructor(url) {
+          this.url = url;
+          this.readyState = 0;
+          sockets.push(this);
+        }
+        send() {}
+        close() {}
+      };
+    });
+
+    it('should pass the credential on the WebSocket upgrade', function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      expect(sockets[0].url).to.not.include('auth=');
+
+      YjsModule.setRoomCredential(state, 'red-owl', 'our secret table');
+      expect(sockets[sockets.length - 1].url).to.include('/red-owl?auth=our%20secret%20table');
+    });
+
+    it('should stop reconnecting and notify when the server refuses the credential', function() {
+      const rejected = [];
+      const unsubscribe = YjsModule.onSyncAuthRejected((room) => rejected.push(room));
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+
+      const socket = sockets[sockets.length - 1];
+      socket.onclose({ code: YjsModule.ROOM_AUTH_CLOSE_CODE, reason: 'Unauthorized' });
+      unsubscribe();
+
+      expect(YjsModule.isSyncAuthRejected()).to.be.true;
+      expect(rejected).to.deep.equal(['red-owl']);
+    });
+  });
+
+  describe('views', function() {
+    it('should describe read-only, protected and rejected access', function() {
+      const status = document.createElement('p');
+
+      renderRoomAccessStatus(status, { hasJournal: true, isProtected: true, access: 'read' });
+      expect(status.textContent).to.include('Read-only');
+
+      renderRoomAccessStatus(status, { hasJournal: true });
+      expect(status.textContent).to.include('not protected');
+
+      renderRoomAccessStatus(status, { hasJournal: true, rejected: true });
+      expect(status.textContent).to.include('refused');
+    });
+
+    it('should list invite tokens with revoke buttons', function() {
+      const list = document.createElement('ul');
+      renderInviteTokens(list, [
+        { id: 'a1', access: 'read', label: 'DM', createdAt: '2026-10-19T10:00:00.000Z' },
+        { id: 'b2', access: 'write', label: '' }
+      ]);
+
+      const items = list.querySelectorAll('li');
+      expect(items).to.have.length(2);
+      expect(items[0].textContent).to.include('DM - read-only');
+      expect(items[1].querySelector('[data-token-id]').getAttribute('data-token-id')).to.equal('b2');
+    });
+  });
+
+  describe('settings', function() {
+    beforeEach(async function() {
+      const dom = new JSDOM(`
+        <!DOCTYPE html>
+        <html>
+          <body>
+            <form id="settings-form">
+              <input id="journal-name" name="journal-name" />
+              <input id="room-credential" name="room-credential" />
+            </form>
+            <p id="room-access-status"></p>
+            <div id="room-invites" class="is-hidden">
+              <input id="invite-token-output" class="is-hidden" />
+              <ul id="invite-token-list"></ul>
+            </div>
+          </body>
+        </html>
+      `);
+      global.window = dom.window;
+      global.document = dom.window.document;
+      // Point the settings module at this form
+      await Settings.initSettingsPage(state);
+      requests = [];
+    });
+
+    it('should keep the room credential on this device only', function() {
+      respondWith({ exists: false });
+      Settings.renderSettingsPage(state);
+      document.getElementById('journal-name').value = 'red-owl';
+      document.getElementById('room-credential').value = ' invite-token ';
+      Settings.saveSettings(state);
+
+      expect(YjsModule.getRoomCredential(state, 'red-owl')).to.equal('invite-token');
+      expect(YjsModule.getSetting(state, 'room-credential', null)).to.be.null;
+      expect(requests[0].init.headers.Authorization).to.equal('Bearer invite-token');
+    });
+
+    it('should show invite controls only with full access', async function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      YjsModule.setRoomCredential(state, 'red-owl', 'our secret table');
+
+      global.fetch = async (url) => {
+        requests.push({ url });
+        const payload = url.endsWith('/tokens')
+          ? { tokens: [{ id: 'a1', access: 'read', label: 'DM' }] }
+          : { exists: true, protected: true, access: 'write' };
+        return { ok: true, status: 200, json: async () => payload };
+      };
+      await Settings.refreshRoomAccess(state);
+
+      expect(document.getElementById('room-invites').classList.contains('is-hidden')).to.be.false;
+      expect(document.querySelectorAll('#invite-token-list li')).to.have.length(1);
+      expect(document.getElementById('room-access-status').textContent).to.include('full access');
+
+      respondWith({ exists: true, protected: true, access: 'read' });
+      await Settings.refreshRoomAccess(state);
+      expect(document.getElementById('room-invites').classList.contains('is-hidden')).to.be.true;
+    });
+  });
+});
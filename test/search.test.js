@@ -0,0 +1,153 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import { setChroniclePartTitle, setChroniclePartSummary } from '../js/chronicle-state.js';
+import { createSearchIndex, indexDocument, removeDocument, search, parseQuery, rank } from '../js/search-index.js';
+import { createJournalSearch } from '../js/search.js';
+import { renderSearchResults } from '../js/components/search-results.js';
+
+const snippetText = (result) => result.snippet.map((part) => part.text).join('');
+const highlights = (result) => result.snippet.filter((part) => part.highlight).map((part) => part.text);
+
+describe('Search', function() {
+  describe('index', function() {
+    let index;
+
+    beforeEach(function() {
+      index = createSearchIndex();
+      indexDocument(index, { id: 'a', kind: 'entry', title: 'A', text: 'We met Tharn, the old baron of Greywater.' });
+      indexDocument(index, { id: 'b', kind: 'entry', title: 'B', text: 'The baron was old news by then.' });
+    });
+
+    it('should parse phrases, prefixes and plain terms', function() {
+      expect(parseQuery('"Old Baron" grey* tharn')).to.deep.equal([
+        { type: 'phrase', terms: ['old', 'baron'] },
+        { type: 'prefix', terms: ['grey'] },
+        { type: 'term', terms: ['tharn'] }
+      ]);
+    });
+
+    it('should require every term and rank by matches', function() {
+      expect(search(index, 'baron').map((r) => r.id)).to.have.members(['a', 'b']);
+      expect(search(index, 'baron tharn').map((r) => r.id)).to.deep.equal(['a']);
+      expect(search(index, 'dragon')).to.deep.equal([]);
+    });
+
+    it('should match phrases only in order', function() {
+      expect(search(index, '"old baron"').map((r) => r.id)).to.deep.equal(['a']);
+      expect(highlights(search(index, '"old baron"')[0])).to.deep.equal(['old', 'baron']);
+    });
+
+    it('should match prefixes', function() {
+      const [result] = search(index, 'grey*');
+      expect(result.id).to.equal('a');
+      expect(highlights(result)).to.deep.equal(['Greywater']);
+    });
+
+    it('should update and remove documents', function() {
+      indexDocument(index, { id: 'b', kind: 'entry', title: 'B', text: 'Nothing about nobles.' });
+      expect(search(index, 'baron').map((r) => r.id)).to.deep.equal(['a']);
+      removeDocument(index, 'a');
+      expect(search(index, 'baron')).to.deep.equal([]);
+      expect(index.postings.has('tharn')).to.be.false;
+    });
+
+    it('should rank documents for a free-form question by the rare words they share', function() {
+      indexDocument(index, { id: 'c', kind: 'entry', title: 'C', text: 'We promised Tharn we would find his daughter.' });
+      expect(rank(index, 'What did we promise the old baron Tharn?').map((r) => r.id)).to.deep.equal(['a', 'c', 'b']);
+      expect(rank(index, 'what did we do')).to.deep.equal([]);
+    });
+
+    it('should cut long texts into a snippet around the match', function() {
+      const long = `${'Filler words before. '.repeat(20)}The lich waits below. ${'More filler after. '.repeat(20)}`;
+      indexDocument(index, { id: 'c', kind: 'entry', title: 'C', text: long });
+      const text = snippetText(search(index, 'lich')[0]);
+      expect(text.startsWith('…')).to.be.true;
+      expect(text.endsWith('…')).to.be.true;
+      expect(text.length).to.be.lessThan(200);
+    });
+  });
+
+  describe('journal', function() {
+    let state;
+
+    beforeEach(async function() {
+      const dom = new JSDOM(`
+        <!DOCTYPE html>
+        <html>
+          <body>
+            <input type="search" id="journal-search" />
+            <div id="search-results" class="is-hidden"></div>
+            <div id="entries-container"></div>
+            <div id="entry-form-container"></div>
+          </body>
+        </html>
+      `, { url: 'http://localhost/' });
+      global.window = dom.window;
+      global.document = dom.window.document;
+
+      YjsModule.resetYjs();
+      state = await YjsModule.initYjs();
+    });
+
+    afterEach(function() {
+      YjsModule.resetYjs();
+    });
+
+    it('should index entries, AI titles and chronicle parts', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Bargained with the ferryman.', timestamp: 1000 });
+      YjsModule.setSummary(state, 'entry:e1', JSON.stringify({ title: 'The Crossing', subtitle: 'In which coins change hands' }));
+      setChroniclePartTitle(state, 2, 'Rivers of Night');
+      setChroniclePartSummary(state, 2, 'The party crossed the black river.');
+
+      const journalSearch = createJournalSearch(state);
+      expect(journalSearch.search('crossing').map((r) => r.id)).to.deep.equal(['entry:e1']);
+      expect(journalSearch.search('river*').map((r) => [r.id, r.href])).to.deep.equal([['part:2', '/part.html?part=2']]);
+      expect(journalSearch.search('ferryman')[0]).to.include({ title: 'The Crossing', href: '/#entry-e1' });
+    });
+
+    it('should follow later changes', function() {
+      const journalSearch = createJournalSearch(state);
+      YjsModule.addEntry(state, { id: 'e1', content: 'A quiet night.', timestamp: 1000 });
+      expect(journalSearch.search('quiet')).to.have.length(1);
+
+      YjsModule.updateEntry(state, 'e1', { content: 'A stormy night.' });
+      expect(journalSearch.search('quiet')).to.have.length(0);
+      expect(journalSearch.search('stormy')).to.have.length(1);
+
+      YjsModule.setSummary(state, 'entry:e1', JSON.stringify({ title: 'Thunder', subtitle: 'Rain' }));
+      expect(journalSearch.search('thunder')).to.have.length(1);
+
+      setChroniclePartSummary(state, 1, 'Generating summary...');
+      expect(journalSearch.search('generating')).to.have.length(0);
+
+      YjsModule.deleteEntry(state, 'e1');
+      expect(journalSearch.search('stormy')).to.have.length(0);
+    });
+
+    it('should render results with highlighted snippets and links', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'We met the baron.', timestamp: 1000 });
+      Journal.initJournalPage(state);
+
+      const results = Journal.handleSearch('baron', state);
+      expect(results).to.have.length(1);
+      const container = document.getElementById('search-results');
+      expect(container.classList.contains('is-hidden')).to.be.false;
+      expect(container.querySelector('.search-result__title').getAttribute('href')).to.equal('/#entry-e1');
+      expect(container.querySelector('mark').textContent).to.equal('baron');
+
+      renderSearchResults(container, [], '');
+      expect(container.classList.contains('is-hidden')).to.be.true;
+    });
+
+    it('should reveal an entry linked from the results', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Found me.', timestamp: 1000 });
+      Journal.initJournalPage(state);
+      expect(Journal.revealEntry('e1')).to.be.true;
+      expect(document.getElementById('entry-e1').classList.contains('entry--highlighted')).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+import * as encoding from 'lib0/encoding';
+import * as syncProtocol from 'y-protocols/sync';
+
+import * as YjsModule from '../js/yjs.js';
+import { describeSyncState, renderSyncStatus, renderSyncDetails } from '../js/components/sync-status.js';
+import { setupSyncIndicator } from '../js/sync-indicator.js';
+import * as Settings from '../js/settings.js';
+
+describe('Sync Status', function() {
+  let state;
+  let sockets;
+  let originalWebSocket;
+
+  const latestSocket = () => sockets[sockets.length - 1];
+
+  // The server's answer to the client's first sync message
+  const serverSyncStep2 = () => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, 0);
+    syncProtocol.writeSyncStep2(encoder, new Y.Doc());
+    return encoding.toUint8Array(encoder).buffer;
+  };
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <header class="tabs"><div class="tabs__container"><div class="sync-status is-hidden" id="sync-status"></div></div></header>
+        </body>
+      </html>
+    `);
+    global.window = dom.window;
+    global.document = dom.window.document;
+
+    sockets = [];
+    originalWebSocket = global.WebSocket;
+    global.WebSocket = function CapturingWebSocket(url) {
+      const socket = { url, readyState: 0, send: () => {}, close: () => {} };
+      sockets.push(socket);
+      return socket;
+    };
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    global.WebSocket = originalWebSocket;
+    YjsModule.resetYjs();
+  });
+
+  describe('sync state', function() {
+    it('should be local only without a journal name', function() {
+      expect(YjsModule.getSyncState()).to.include({ status: 'disconnected', room: null, pendingUpdates: 0 });
+    });
+
+    it('should follow the provider from connecting to synced', function() {
+      const seen = [];
+      const unsubscribe = YjsModule.onSyncStateChange((syncState) => seen.push(syncState.status));
+
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      expect(YjsModule.getSyncState()).to.include({ status: 'connecting', room: 'red-owl', encrypted: false });
+
+      latestSocket().onopen();
+      expect(YjsModule.getSyncState().status).to.equal('connected');
+
+      latestSocket().onmessage({ data: serverSyncStep2() });
+      unsubscribe();
+
+      const { status, lastSynced } = YjsModule.getSyncState();
+      expect(status).to.equal('synced');
+      expect(lastSynced).to.be.a('number');
+      expect(state.deviceMap.get('last-synced:red-owl')).to.equal(lastSynced);
+      expect(seen).to.include.members(['connecting', 'connected', 'synced']);
+    });
+
+    it('should count local changes until the next sync', function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      YjsModule.addEntry(state, { id: 'e1', content: 'Offline note', timestamp: Date.now() });
+      YjsModule.addEntry(state, { id: 'e2', content: 'Another', timestamp: Date.now() });
+      expect(YjsModule.getSyncState().pendingUpdates).to.equal(2);
+
+      latestSocket().onopen();
+      latestSocket().onmessage({ data: serverSyncStep2() });
+      expect(YjsModule.getSyncState().pendingUpdates).to.equal(0);
+    });
+
+    it('should report disconnects and reconnect on request', function() {
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      latestSocket().onopen();
+      latestSocket().onmessage({ data: serverSyncStep2() });
+      latestSocket().onclose({ code: 1006 });
+      expect(YjsModule.getSyncState().status).to.equal('disconnected');
+
+      const before = sockets.length;
+      YjsModule.reconnectSync();
+      expect(sockets.length).to.equal(before + 1);
+      expect(YjsModule.getSyncState().status).to.equal('connecting');
+    });
+  });
+
+  describe('views', function() {
+    it('should describe each state', function() {
+      expect(describeSyncState({ room: null })).to.deep.equal({ label: 'Local only', tone: 'local-only' });
+      expect(describeSyncState({ room: 'r', status: 'synced' })).to.deep.equal({ label: 'Synced', tone: 'connected' });
+      expect(describeSyncState({ room: 'r', status: 'disconnected', pendingUpdates: 3 }).label).to.equal('Offline · 3 unsynced changes');
+      expect(describeSyncState({ room: 'r', status: 'connecting', pendingUpdates: 1 }).label).to.equal('Connecting… · 1 unsynced change');
+    });
+
+    it('should build the indicator inside an empty container', function() {
+      const container = document.getElementById('sync-status');
+      renderSyncStatus(container, { room: 'r', status: 'synced', lastSynced: Date.now() });
+
+      expect(container.classList.contains('is-hidden')).to.be.false;
+      expect(container.querySelector('.sync-dot').className).to.equal('sync-dot connected');
+      expect(container.querySelector('.sync-text').textContent).to.equal('Synced');
+      expect(container.title).to.include('Last synced');
+    });
+
+    it('should list details only for synced journals', function() {
+      const list = document.createElement('dl');
+      renderSyncDetails(list, { room: null });
+      expect(list.children).to.have.length(0);
+
+      renderSyncDetails(list, { room: 'red-owl', encrypted: true, lastSynced: null, pendingUpdates: 2 });
+      const values = Array.from(list.querySelectorAll('dd')).map((dd) => dd.textContent);
+      expect(values).to.deep.equal(['red-owl', 'End-to-end', 'Never', '2']);
+    });
+  });
+
+  describe('pages', function() {
+    it('should keep the header indicator up to date', function() {
+      setupSyncIndicator();
+      const text = () => document.querySelector('#sync-status .sync-text').textContent;
+      expect(text()).to.equal('Local only');
+
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      expect(text()).to.equal('Connecting…');
+    });
+
+    it('should show details and reconnect from the settings page', async function() {
+      const dom = new JSDOM(`
+        <!DOCTYPE html>
+        <html>
+          <body>
+            <form id="settings-form"><input id="journal-name" name="journal-name" /></form>
+            <div class="is-hidden" id="sync-status-container">
+              <span class="sync-dot" id="sync-dot"></span>
+              <span id="sync-text"></span>
+              <dl id="sync-details"></dl>
+              <button id="sync-reconnect" type="button">Reconnect now</button>
+            </div>
+          </body>
+        </html>
+      `);
+      global.window = dom.window;
+      global.document = dom.window.document;
+
+      await Settings.initSettingsPage(state);
+      YjsModule.setSetting(state, 'journal-name', 'red-owl');
+      latestSocket().onopen();
+      latestSocket().onmessage({ data: serverSyncStep2() });
+
+      expect(document.getElementById('sync-status-container').classList.contains('is-hidden')).to.be.false;
+      expect(document.getElementById('sync-text').textContent).to.equal('Synced');
+      expect(document.querySelectorAll('#sync-details dd')[0].textContent).to.equal('red-owl');
+
+      const before = sockets.length;
+      document.getElementById('sync-reconnect').click();
+      expect(sockets.length).to.equal(before + 1);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import { handleUndoShortcut, runUndoable } from '../js/undo.js';
+import { maybeCloseOpenPart } from '../js/parts.js';
+import { runAIJobs } from '../js/ai-queue.js';
+
+const keydown = (key, options = {}) => ({
+  key,
+  ctrlKey: true,
+  target: document.body,
+  preventDefault: () => {},
+  ...options
+});
+
+describe('Undo and Redo', function() {
+  let state;
+  let originalConfirm;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <div id="entries-container"></div>
+          <input id="field" />
+        </body>
+      </html>
+    `);
+    global.window = dom.window;
+    global.document = dom.window.document;
+    originalConfirm = global.confirm;
+    global.confirm = () => true;
+
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+    YjsModule.getUndoManager(state);
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((notification) => notification.remove());
+    global.confirm = originalConfirm;
+    YjsModule.resetYjs();
+  });
+
+  describe('local changes', function() {
+    it('should undo and redo journal, character and chronicle edits', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Arrived in town', timestamp: Date.now() });
+      YjsModule.startUndoStep(state);
+      YjsModule.setCharacter(state, 'backstory', 'Raised by wolves');
+      YjsModule.startUndoStep(state);
+      YjsModule.setChronicleBreak(state, 'e1', true);
+
+      expect(YjsModule.undoChange(state)).to.be.true;
+      expect(YjsModule.getChronicleBreaks(state).has('e1')).to.be.false;
+      YjsModule.undoChange(state);
+      expect(YjsModule.getCharacter(state, 'backstory')).to.equal('');
+      YjsModule.undoChange(state);
+      expect(YjsModule.getEntries(state)).to.have.length(0);
+      expect(YjsModule.canUndo(state)).to.be.false;
+
+      expect(YjsModule.redoChange(state)).to.be.true;
+      expect(YjsModule.getEntries(state)[0].content).to.equal('Arrived in town');
+    });
+
+    it('should not make AI summaries or migrations undo steps', async function() {
+      YjsModule.setSetting(state, 'ai-enabled', true);
+      YjsModule.setSetting(state, 'ai-provider', 'mock');
+      YjsModule.addEntry(state, { id: 'e1', content: 'Day 1 in the Mistwood.', timestamp: 1 });
+      YjsModule.addEntry(state, { id: 'e2', content: 'Day 2 in the Mistwood.', timestamp: 2 });
+      YjsModule.startUndoStep(state);
+      YjsModule.setCharacter(state, 'name', 'Aria');
+      YjsModule.startUndoStep(state);
+
+      // A part closes and its summaries are written from the queue, between two edits
+      await maybeCloseOpenPart(state, 2);
+      await runAIJobs(state);
+      state.journalArray.push([{ id: 'e3', content: 'Written by an older client', timestamp: 3 }]);
+      YjsModule.migrateEntryTexts(state);
+      YjsModule.startUndoStep(state);
+      YjsModule.setCharacter(state, 'notes', 'Owes the ferryman');
+
+      const soFar = YjsModule.ensureChronicleStructure(state).get('soFarSummary');
+      const partSummary = YjsModule.getChroniclePartsMap(state).get('1').get('summary');
+      expect(soFar).to.include('Mistwood');
+
+      YjsModule.undoChange(state);
+      expect(YjsModule.getCharacter(state, 'notes')).to.equal('');
+      YjsModule.undoChange(state);
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('');
+      expect(YjsModule.ensureChronicleStructure(state).get('soFarSummary')).to.equal(soFar);
+      expect(YjsModule.getChroniclePartsMap(state).get('1').get('summary')).to.equal(partSummary);
+      expect(YjsModule.getEntryText(state, 'e3').toString()).to.equal('Written by an older client');
+    });
+
+    it('should leave changes from other devices alone', function() {
+      const remote = new Y.Doc();
+      remote.getMap('character').set('name', 'Aria');
+      Y.applyUpdate(state.ydoc, Y.encodeStateAsUpdate(remote), 'remote-provider');
+
+      expect(YjsModule.canUndo(state)).to.be.false;
+      expect(YjsModule.undoChange(state)).to.be.false;
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aria');
+    });
+  });
+
+  describe('shortcuts', function() {
+    it('should undo with Ctrl+Z and redo with Ctrl+Shift+Z or Ctrl+Y', function() {
+      YjsModule.setCharacter(state, 'name', 'Aria');
+
+      expect(handleUndoShortcut(keydown('z'), state)).to.be.true;
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('');
+      handleUndoShortcut(keydown('Z', { shiftKey: true }), state);
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aria');
+      handleUndoShortcut(keydown('z', { metaKey: true, ctrlKey: false }), state);
+      handleUndoShortcut(keydown('y'), state);
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aria');
+    });
+
+    it('should leave typing undo to text fields', function() {
+      YjsModule.setCharacter(state, 'name', 'Aria');
+      expect(handleUndoShortcut(keydown('z', { target: document.getElementById('field') }), state)).to.be.false;
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aria');
+    });
+  });
+
+  describe('undo from notifications', function() {
+    it('should bring back a deleted entry from the toast', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Keep me', timestamp: Date.now() });
+      Journal.handleDeleteEntry('e1', state);
+      expect(YjsModule.getEntries(state)).to.have.length(0);
+
+      const action = document.querySelector('.notification .notification__action');
+      expect(action.textContent).to.equal('Undo');
+      action.click();
+
+      expect(YjsModule.getEntries(state).map(e => e.content)).to.deep.equal(['Keep me']);
+      expect(YjsModule.getEntryRevisions(state, 'e1')).to.have.length(1);
+    });
+
+    it('should not undo newer changes from an old toast', function() {
+      runUndoable((s) => YjsModule.setCharacter(s, 'backstory', 'Old'), 'Backstory updated', state);
+      const action = document.querySelector('.notification__action');
+      YjsModule.startUndoStep(state);
+      YjsModule.setCharacter(state, 'notes', 'Newer');
+
+      action.click();
+      expect(YjsModule.getCharacter(state, 'backstory')).to.equal('Old');
+      expect(YjsModule.getCharacter(state, 'notes')).to.equal('Newer');
+    });
+  });
+});
@@ -292,6 +292,68 @@ describe('Utils Module', function() {
       expect(html).to.include('<li>Two-A');
       expect(html).to.include('<li>Two-A-i</li>');
     });
+
+    it('should render links with allowed schemes only', function() {
+      const html = Utils.parseMarkdown('[map](https://example.com/map) [part](/part.html?part=2) [bad](javascript:alert(1)) [data](data:text/html,x)');
+
+      expect(html).to.include('<a href="https://example.com/map" target="_blank" rel="noopener noreferrer">map</a>');
+      expect(html).to.include('<a href="/part.html?part=2">part</a>');
+      expect(html).to.not.include('href="javascript');
+      expect(html).to.not.include('href="data');
+      expect(Utils.getSafeUrl('JavaScript:alert(1)')).to.be.null;
+      expect(Utils.getSafeUrl('mailto:dm@example.com')).to.equal('mailto:dm@example.com');
+    });
+
+    it('should render images over http(s) only', function() {
+      const html = Utils.parseMarkdown('![Handout](https://example.com/handout.png) ![x](data:image/svg+xml,<svg>)');
+
+      expect(html).to.include('<img src="https://example.com/handout.png" alt="Handout" loading="lazy">');
+      expect(html).to.not.match(/<img[^>]+data:/);
+    });
+
+    it('should keep emphasis out of link URLs', function() {
+      const html = Utils.parseMarkdown('[wiki](https://example.com/a*b*c) *after*');
+
+      expect(html).to.include('href="https://example.com/a*b*c"');
+      expect(html).to.include('<em>after</em>');
+    });
+
+    it('should render blockquotes with nested formatting', function() {
+      const html = Utils.parseMarkdown('> Read aloud:\n> The **door** opens.\n>\n> - a list\n\nAfter');
+
+      expect(html).to.include('<blockquote><p>Read aloud:<br>The <strong>door</strong> opens.</p><ul><li>a list</li></ul></blockquote>');
+      expect(html).to.include('<p>After</p>');
+    });
+
+    it('should render GFM tables with alignment and escaped pipes', function() {
+      const html = Utils.parseMarkdown('| Loot | Value |\n| --- | ---: |\n| *Ring* | 50 gp |\n| Rope \\| 50 ft | 1 gp |');
+
+      expect(html).to.include('<table><thead><tr><th>Loot</th><th class="align-right">Value</th></tr></thead>');
+      expect(html).to.include('<tr><td><em>Ring</em></td><td class="align-right">50 gp</td></tr>');
+      expect(html).to.include('<td>Rope | 50 ft</td>');
+    });
+
+    it('should render task lists as disabled checkboxes', function() {
+      const html = Utils.parseMarkdown('- [ ] Find the map\n- [x] Pay Toblen\n- Plain item');
+
+      expect(html).to.include('<li class="task-list-item"><input type="checkbox" disabled> Find the map</li>');
+      expect(html).to.include('<li class="task-list-item"><input type="checkbox" disabled checked> Pay Toblen</li>');
+      expect(html).to.include('<li>Plain item</li>');
+    });
+
+    it('should render fenced code blocks verbatim', function() {
+      const html = Utils.parseMarkdown('Before\n```text\n**not bold** <b>\n\n- not a list\n```\nAfter');
+
+      expect(html).to.include('<pre><code class="language-text">**not bold** &lt;b&gt;\n\n- not a list</code></pre>');
+      expect(html).to.include('<p>Before</p>');
+      expect(html).to.include('<p>After</p>');
+    });
+
+    it('should render horizontal rules', function() {
+      const html = Utils.parseMarkdown('Scene one\n\n---\n\n***\nScene two');
+
+      expect(html).to.equal('<p>Scene one</p><hr><hr><p>Scene two</p>');
+    });
   });
 
   describe('formatAIPromptText', function() {
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'mocha';
+import { expect } from 'chai';
+import { JSDOM } from 'jsdom';
+
+import * as YjsModule from '../js/yjs.js';
+import * as Journal from '../js/journal.js';
+import * as Characters from '../js/characters.js';
+import { extractWikiLinks, createWikiResolver, collectWikiLinks } from '../js/wiki-links.js';
+import { getWikiLinkIndex } from '../js/wiki.js';
+import { mergeEntryEntities } from '../js/codex-entities.js';
+import { parseMarkdown } from '../js/utils.js';
+import { renderBrokenLinks } from '../js/components/backlinks.js';
+
+describe('Wiki Links', function() {
+  let state;
+
+  beforeEach(async function() {
+    const dom = new JSDOM(`
+      <!DOCTYPE html>
+      <html>
+        <body>
+          <header class="tabs"><div class="tabs__container"></div></header>
+          <div id="entries-container"></div>
+          <div id="entry-form-container"></div>
+          <div id="broken"></div>
+        </body>
+      </html>
+    `, { url: 'http://localhost/' });
+    global.window = dom.window;
+    global.document = dom.window.document;
+    YjsModule.resetYjs();
+    state = await YjsModule.initYjs();
+  });
+
+  afterEach(function() {
+    document.querySelectorAll('.notification').forEach((el) => el.remove());
+    Characters.setReloadPage(null);
+    YjsModule.resetYjs();
+  });
+
+  describe('pure helpers', function() {
+    it('should find links with optional labels', function() {
+      expect(extractWikiLinks('Met [[Sildar]] and [[entry:42|the ambush]]. [[ ]] [[a\nb]]')).to.deep.equal([
+        { target: 'Sildar', label: 'Sildar' },
+        { target: 'entry:42', label: 'the ambush' }
+      ]);
+    });
+
+    it('should resolve entries, parts, characters and codex names', function() {
+      const resolve = createWikiResolver({
+        entries: [{ id: 'e1' }, { id: 'e2' }],
+        entryTitles: new Map([['e2', 'The Goblin Ambush']]),
+        parts: [{ index: 1, title: 'A Road to Phandalin' }],
+        characters: [{ id: 'default', name: 'Aria' }, { id: 'c2', name: 'Bram' }],
+        activeCharacterId: 'default',
+        codex: [{ id: 'npc:sildar', name: 'Sildar Hallwinter', aliases: ['Sildar'] }]
+      });
+      expect(resolve('entry:e1')).to.include({ key: 'entry:e1', href: '/#entry-e1' });
+      expect(resolve('entry:missing')).to.be.null;
+      expect(resolve('part:1')).to.include({ key: 'part:1', href: '/part.html?part=1' });
+      expect(resolve('the goblin ambush')).to.include({ key: 'entry:e2' });
+      expect(resolve('A Road to Phandalin')).to.include({ key: 'part:1' });
+      expect(resolve('Aria')).to.include({ href: '/character.html' });
+      expect(resolve('Bram')).to.include({ href: '/character.html?character=c2' });
+      expect(resolve('sildar')).to.include({ key: 'codex:npc:sildar', href: '/codex.html#npc%3Asildar' });
+      expect(resolve('Nobody')).to.be.null;
+    });
+
+    it('should collect backlinks and broken links, ignoring links to the entry itself', function() {
+      const resolve = createWikiResolver({ entries: [{ id: 'a' }, { id: 'b' }] });
+      const { backlinks, broken } = collectWikiLinks([
+        { id: 'a', content: 'See [[entry:b]] and [[entry:a]] and [[entry:b]].' },
+        { id: 'b', content: 'See [[entry:a]] and [[Nowhere]].' }
+      ], resolve);
+      expect(Array.from(backlinks.entries())).to.deep.equal([['entry:b', ['a']], ['entry:a', ['b']]]);
+      expect(broken).to.deep.equal([{ entryId: 'b', target: 'Nowhere' }]);
+    });
+  });
+
+  describe('parseMarkdown', function() {
+    const resolveWikiLink = (target) => (target === 'Tom & Jerry' ? { href: '/codex.html#x', title: 'Tom & Jerry' } : null);
+
+    it('should render resolved links and mark broken ones', function() {
+      const html = parseMarkdown('Met [[Tom & Jerry|the **pair**]] near [[<b>Nowhere</b>]].', { resolveWikiLink });
+      expect(html).to.include('<a class="wiki-link" href="/codex.html#x" title="Tom &amp; Jerry">the <strong>pair</strong></a>');
+      expect(html).to.include('<span class="wiki-link wiki-link--broken" title="Nothing called &lt;b&gt;Nowhere&lt;/b&gt; yet">&lt;b&gt;Nowhere&lt;/b&gt;</span>');
+      expect(html).to.not.include('<b>');
+    });
+
+    it('should leave the brackets alone without a resolver', function() {
+      expect(parseMarkdown('Met [[Sildar]].')).to.include('Met [[Sildar]].');
+    });
+  });
+
+  describe('journal', function() {
+    it('should link entries to each other and show backlinks', async function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'We camped by the road.', timestamp: 1 });
+      YjsModule.addEntry(state, { id: 'e2', content: 'Back to [[entry:e1|the camp]], looking for [[Sildar]].', timestamp: 2 });
+      await Journal.initJournalPage(state);
+
+      const link = document.querySelector('#entry-e2 .entry-content a.wiki-link');
+      expect(link.getAttribute('href')).to.equal('/#entry-e1');
+      expect(link.textContent).to.equal('the camp');
+      expect(document.querySelector('#entry-e2 .wiki-link--broken').textContent).to.equal('Sildar');
+      expect(document.querySelector('#entry-e1 .backlinks a').getAttribute('href')).to.equal('/#entry-e2');
+      expect(document.querySelector('#entry-e2 .backlinks')).to.be.null;
+
+      // Once the codex knows the name, the link resolves and the entity gets a backlink
+      mergeEntryEntities(state, 'e1', [{ type: 'npc', name: 'Sildar', aliases: [], description: '' }]);
+      Journal.renderJournalPage(state);
+      expect(document.querySelector('#entry-e2 .wiki-link--broken')).to.be.null;
+      expect(getWikiLinkIndex(state).getBacklinks('codex:npc:sildar').map(item => item.entryId)).to.deep.equal(['e2']);
+    });
+
+    it('should list broken links with the entries they are in', function() {
+      YjsModule.addEntry(state, { id: 'e1', content: 'Ask [[Harbin Wester]].', timestamp: 1 });
+      const { broken } = getWikiLinkIndex(state);
+      renderBrokenLinks(document.getElementById('broken'), broken);
+      const item = document.querySelector('#broken li');
+      expect(item.querySelector('code').textContent).to.equal('[[Harbin Wester]]');
+      expect(item.querySelector('a').getAttribute('href')).to.equal('/#entry-e1');
+    });
+  });
+
+  describe('characters', function() {
+    it('should switch to the character a link points at', function() {
+      let reloads = 0;
+      Characters.setReloadPage(() => { reloads++; });
+      YjsModule.addCharacter(state, 'c2', 'Bram');
+      window.history.replaceState(null, '', '/character.html?character=c2');
+
+      Characters.setupCharacterSwitcher(state);
+      expect(reloads).to.equal(1);
+      expect(state.deviceMap.get('active-character')).to.equal('c2');
+    });
+  });
+});
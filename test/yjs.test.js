@@ -1,6 +1,7 @@
 import { describe, it, beforeEach, afterEach } from 'mocha';
 import { expect } from 'chai';
 import { JSDOM } from 'jsdom';
+import * as Y from 'yjs';
 
 import * as YjsModule from '../js/yjs.js';
 
@@ -135,6 +136,59 @@ describe('Simple Y.js Module', function() {
     });
   });
 
+  describe('Character roster', function() {
+    it('should list the default character first', function() {
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      const characters = YjsModule.getCharacters(state);
+      expect(characters).to.deep.equal([{ id: YjsModule.DEFAULT_CHARACTER_ID, name: 'Aragorn' }]);
+    });
+
+    it('should add characters with their own name', function() {
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      const characters = YjsModule.getCharacters(state);
+      expect(characters).to.have.length(2);
+      expect(characters[1]).to.deep.equal({ id: 'gimli-id', name: 'Gimli' });
+    });
+
+    it('should keep character data and entries separate per active character', function() {
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      YjsModule.addEntry(state, { id: 'e1', content: 'Ranger business', timestamp: Date.now() });
+
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      YjsModule.setActiveCharacter(state, 'gimli-id');
+      const gimliState = YjsModule.getYjsState();
+
+      expect(YjsModule.getActiveCharacterId(gimliState)).to.equal('gimli-id');
+      expect(YjsModule.getCharacterData(gimliState).name).to.equal('Gimli');
+      expect(YjsModule.getEntries(gimliState)).to.have.length(0);
+      expect(gimliState.settingsMap).to.equal(state.settingsMap);
+
+      YjsModule.setActiveCharacter(gimliState, YjsModule.DEFAULT_CHARACTER_ID);
+      const defaultState = YjsModule.getYjsState();
+      expect(YjsModule.getCharacterData(defaultState).name).to.equal('Aragorn');
+      expect(YjsModule.getEntries(defaultState)).to.have.length(1);
+    });
+
+    it('should fall back to the default character when the active one is removed', function() {
+      YjsModule.addCharacter(state, 'gimli-id', 'Gimli');
+      YjsModule.setActiveCharacter(state, 'gimli-id');
+      YjsModule.addEntry(YjsModule.getYjsState(), { id: 'g1', content: 'Axes', timestamp: Date.now() });
+
+      YjsModule.removeCharacter(state, 'gimli-id');
+
+      const after = YjsModule.getYjsState();
+      expect(YjsModule.getActiveCharacterId(after)).to.equal(YjsModule.DEFAULT_CHARACTER_ID);
+      expect(YjsModule.getCharacters(after)).to.have.length(1);
+      expect(state.ydoc.getArray('journal-entries:gimli-id').length).to.equal(0);
+    });
+
+    it('should not remove the default character', function() {
+      YjsModule.setCharacter(state, 'name', 'Aragorn');
+      YjsModule.removeCharacter(state, YjsModule.DEFAULT_CHARACTER_ID);
+      expect(YjsModule.getCharacter(state, 'name')).to.equal('Aragorn');
+    });
+  });
+
   describe('Settings operations', function() {
     it('should set and get settings', function() {
       YjsModule.setSetting(state, 'test-key', 'test-value');
@@ -217,6 +271,32 @@ describe('Simple Y.js Module', function() {
       expect(changeDetected).to.be.true; // Observer should have fired for the journal change
     });
 
+    it('should report typing to journal observers once it pauses', async function() {
+      YjsModule.addEntry(state, { id: 'typed-entry', title: 'Typed', content: 'The', timestamp: Date.now() });
+      let calls = 0;
+      const off = YjsModule.onJournalChange(state, () => {
+        calls++;
+      });
+
+      const text = YjsModule.getEntryText(state, 'typed-entry');
+      // Keystrokes from another device
+      const type = (index, words) => Y.transact(state.ydoc, () => text.insert(index, words), 'remote', false);
+      [' tower', ' fell', '.'].forEach((word) => type(text.length, word));
+      expect(calls).to.equal(0);
+
+      await new Promise((resolve) => setTimeout(resolve, YjsModule.TEXT_CHANGE_DELAY_MS + 50));
+      expect(calls).to.equal(1);
+
+      // Saved edits are reported right away
+      YjsModule.updateEntry(state, 'typed-entry', { content: 'The tower fell!' });
+      expect(calls).to.equal(2);
+
+      off();
+      type(0, 'And ');
+      await new Promise((resolve) => setTimeout(resolve, YjsModule.TEXT_CHANGE_DELAY_MS + 50));
+      expect(calls).to.equal(2);
+    });
+
     it('should allow adding settings change observers', function() {
       let changeDetected = false;
       